@@ -1,4 +1,6 @@
-import { createChart, ColorType, LineStyle, CrosshairMode, CandlestickSeries, LineSeries, createSeriesMarkers } from 'lightweight-charts';
+import { createChart, ColorType, LineStyle, CrosshairMode, CandlestickSeries, LineSeries, HistogramSeries, createSeriesMarkers } from 'lightweight-charts';
+import { fibLevels, channelOffset } from './drawingGeometry.js';
+import { sma, ema, rsi, macd, atr, obv, bollinger, heikinAshi, lastValue, INDICATOR_TYPES, indicatorParams, indicatorLabel } from './indicators.js';
 
 let chart = null;
 let candleSeries = null;
@@ -10,8 +12,18 @@ let initialized = false;
 let priceLines = [];
 let lineSeriesArr = [];
 let markers = [];
+let markersPlugin = null;
+// Chart the drawings belong to ({ asset, timeframe }) and the variables their levels give bot code
+let drawingsChart = null;
+let drawingVariables = [];
+// Indicators picked for the chart ({ id, type, params }) and the series/panes drawn for them
+let chartIndicators = loadChartIndicators();
+let indicatorSeries = [];
+// Candles as loaded; the candle series shows them as Heikin-Ashi when that overlay is on
+let chartCandles = [];
 let screenshotBase64 = null;
 let equityChart = null;
+let monteCarloChart = null;
 let tradeChart = null;
 let tradeCandleSeries = null;
 let currentBotId = null;
@@ -22,45 +34,10 @@ let pendingOriginalDescription = null;
 
 
 let cachedData = {};
+// Source details of each loaded series, e.g. the warning on generated (synthetic) candles
+let cachedDataInfo = {};
 
-const CACHE_TTL_MS = {
-  '1m': 60 * 1000,
-  '5m': 5 * 60 * 1000,
-  '15m': 15 * 60 * 1000,
-  '30m': 30 * 60 * 1000,
-  '1h': 60 * 60 * 1000,
-  '4h': 4 * 60 * 60 * 1000,
-  '1d': 24 * 60 * 60 * 1000
-};
-
-function getLocalStorageCache(key) {
-  try {
-    const cached = localStorage.getItem(`market_${key}`);
-    if (!cached) return null;
-    const { data, timestamp, timeframe } = JSON.parse(cached);
-    const ttl = CACHE_TTL_MS[timeframe] || 60 * 60 * 1000;
-    if (Date.now() - timestamp > ttl) {
-      localStorage.removeItem(`market_${key}`);
-      return null;
-    }
-    return data;
-  } catch (e) {
-    return null;
-  }
-}
-
-function setLocalStorageCache(key, data, timeframe) {
-  try {
-    localStorage.setItem(`market_${key}`, JSON.stringify({
-      data,
-      timestamp: Date.now(),
-      timeframe
-    }));
-  } catch (e) {
-    console.warn('Failed to cache to localStorage:', e);
-  }
-}
-
+// Candles are persisted in the server's candle store; this only saves refetching within a page session
 async function fetchMarketData(asset, timeframe = '1h', forceRefresh = false) {
   const cacheKey = `${asset}_${timeframe}`;
   
@@ -68,13 +45,6 @@ async function fetchMarketData(asset, timeframe = '1h', forceRefresh = false) {
     if (cachedData[cacheKey]) {
       return cachedData[cacheKey];
     }
-    
-    const localCached = getLocalStorageCache(cacheKey);
-    if (localCached) {
-      cachedData[cacheKey] = localCached;
-      console.log(`Using localStorage cache for ${cacheKey}`);
-      return localCached;
-    }
   }
   
   try {
@@ -90,8 +60,9 @@ async function fetchMarketData(asset, timeframe = '1h', forceRefresh = false) {
     }
     
     if (data.candles && data.candles.length > 0) {
+      if (data.synthetic) console.warn(`Synthetic market data for ${asset}/${timeframe}:`, data.warning);
       cachedData[cacheKey] = data.candles;
-      setLocalStorageCache(cacheKey, data.candles, timeframe);
+      cachedDataInfo[cacheKey] = { source: data.source, synthetic: !!data.synthetic, warning: data.warning };
       return data.candles;
     }
   } catch (e) {
@@ -101,6 +72,83 @@ async function fetchMarketData(asset, timeframe = '1h', forceRefresh = false) {
   return null;
 }
 
+// Flag generated candles above the chart so they aren't mistaken for market data
+function updateMarketDataNotice(asset, timeframe) {
+  const notice = document.getElementById('marketDataNotice');
+  if (!notice) return;
+  const info = cachedDataInfo[`${asset}_${timeframe}`];
+  notice.textContent = info?.synthetic ? `Synthetic data (${info.source}): ${info.warning}` : '';
+  notice.classList.toggle('hidden', !info?.synthetic);
+}
+
+// Custom (CSV-imported) assets go in their own optgroup of the asset selector
+function addCustomAssetOption(asset) {
+  const group = document.getElementById('customAssetGroup');
+  if (!group) return;
+  let option = group.querySelector(`option[value="${asset.id}"]`);
+  if (!option) {
+    option = document.createElement('option');
+    option.value = asset.id;
+    group.appendChild(option);
+  }
+  option.textContent = `${asset.name} (CSV)`;
+  group.classList.remove('hidden');
+}
+
+async function loadCustomAssets() {
+  try {
+    const response = await fetch('/api/custom-assets');
+    const data = await response.json();
+    (data.assets || []).forEach(addCustomAssetOption);
+  } catch (e) {
+    console.warn('Failed to load custom assets:', e);
+  }
+}
+
+async function importCsvAssetFile(file) {
+  const defaultName = file.name.replace(/\.[^.]+$/, '');
+  const name = prompt('Name for the imported asset (importing again under the same name adds to its history):', defaultName);
+  if (name === null) return;
+
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('name', name.trim() || defaultName);
+
+  try {
+    const response = await fetch('/api/custom-assets/import', { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok || data.error) {
+      alert(`CSV import failed: ${data.error || response.statusText}`);
+      return;
+    }
+
+    const { asset, report } = data;
+    Object.keys(cachedData).filter(key => key.startsWith(`${asset.id}_`)).forEach(key => delete cachedData[key]);
+    addCustomAssetOption(asset);
+
+    const detected = report.detected;
+    const lines = [
+      `Imported ${report.candles.toLocaleString()} ${report.timeframe} bars into "${asset.name}" (${report.added.toLocaleString()} new).`,
+      `Range: ${new Date(report.from * 1000).toISOString().slice(0, 16).replace('T', ' ')} - ${new Date(report.to * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+      `Detected: ${detected.dateFormat} dates, "${detected.delimiter}" delimiter, timezone ${detected.timezone}${detected.decimalComma ? ', decimal comma' : ''}`
+    ];
+    if (report.warnings.length > 0) lines.push('', ...report.warnings.map(w => `- ${w}`));
+    alert(lines.join('\n'));
+
+    const assetSelect = document.getElementById('assetSelect');
+    const timeframeSelect = document.getElementById('timeframeSelect');
+    if (timeframeSelect && timeframeSelect.querySelector(`option[value="${report.timeframe}"]`)) {
+      timeframeSelect.value = report.timeframe;
+    }
+    if (assetSelect) {
+      assetSelect.value = asset.id;
+      assetSelect.dispatchEvent(new Event('change'));
+    }
+  } catch (e) {
+    alert(`CSV import failed: ${e.message}`);
+  }
+}
+
 
 async function loadSavedStrategies() {
   try {
@@ -199,11 +247,17 @@ export async function initBotBuilder() {
     wickDownColor: '#ef4444',
     wickUpColor: '#22c55e',
   });
+  markersPlugin = null;
+  priceLines = [];
+  lineSeriesArr = [];
+  indicatorSeries = [];
 
   const data = await fetchMarketData('silver', '1m');
+  updateMarketDataNotice('silver', '1m');
   if (data && data.length > 0) {
-    candleSeries.setData(data);
+    setChartCandles(data);
     chart.timeScale().fitContent();
+    await restoreDrawings('silver', '1m');
   } else {
     console.warn('No market data available for initial chart load');
   }
@@ -253,9 +307,11 @@ function setupBotBuilderEvents() {
   const markHigh = document.getElementById('markHigh');
   const markLow = document.getElementById('markLow');
   const clearDrawings = document.getElementById('clearDrawings');
+  const exportDrawingLevels = document.getElementById('exportDrawingLevels');
   const generateBotBtn = document.getElementById('generateBotBtn');
   const copyBotCode = document.getElementById('copyBotCode');
   const saveBotCode = document.getElementById('saveBotCode');
+  const lintBotCodeBtn = document.getElementById('lintBotCode');
   const fixBotError = document.getElementById('fixBotError');
 
   const timeframeSelect = document.getElementById('timeframeSelect');
@@ -264,10 +320,11 @@ function setupBotBuilderEvents() {
     const asset = assetSelect?.value || 'silver';
     const timeframe = timeframeSelect?.value || '1h';
     const data = await fetchMarketData(asset, timeframe);
+    updateMarketDataNotice(asset, timeframe);
     if (data && data.length > 0) {
-      candleSeries.setData(data);
+      setChartCandles(data);
       chart.timeScale().fitContent();
-      clearAllDrawings();
+      await restoreDrawings(asset, timeframe);
     } else {
       alert(`Unable to load market data for ${asset}. Please try a different asset or timeframe.`);
     }
@@ -281,12 +338,29 @@ function setupBotBuilderEvents() {
     timeframeSelect.addEventListener('change', loadChartData);
   }
 
+  const importCsvAsset = document.getElementById('importCsvAsset');
+  const importCsvFile = document.getElementById('importCsvFile');
+  if (importCsvAsset && importCsvFile) {
+    importCsvAsset.addEventListener('click', () => importCsvFile.click());
+    importCsvFile.addEventListener('change', async () => {
+      const file = importCsvFile.files[0];
+      importCsvFile.value = '';
+      if (file) await importCsvAssetFile(file);
+    });
+  }
+  loadCustomAssets();
+
   const drawTools = [
     { el: drawLine, mode: 'line' },
     { el: drawHorizontal, mode: 'horizontal' },
     { el: drawVertical, mode: 'vertical' },
     { el: markHigh, mode: 'high' },
-    { el: markLow, mode: 'low' }
+    { el: markLow, mode: 'low' },
+    { el: document.getElementById('drawFib'), mode: 'fib' },
+    { el: document.getElementById('drawChannel'), mode: 'channel' },
+    { el: document.getElementById('drawRectangle'), mode: 'rectangle' },
+    { el: document.getElementById('drawText'), mode: 'text' },
+    { el: document.getElementById('eraseDrawing'), mode: 'erase' }
   ];
 
   drawTools.forEach(({ el, mode }) => {
@@ -300,9 +374,18 @@ function setupBotBuilderEvents() {
   });
 
   if (clearDrawings) {
-    clearDrawings.addEventListener('click', clearAllDrawings);
+    clearDrawings.addEventListener('click', () => {
+      clearAllDrawings();
+      saveDrawings();
+    });
+  }
+
+  if (exportDrawingLevels) {
+    exportDrawingLevels.addEventListener('click', exportLevels);
   }
 
+  setupIndicatorPicker();
+
   if (generateBotBtn) {
     generateBotBtn.addEventListener('click', generateBot);
   }
@@ -353,6 +436,10 @@ function setupBotBuilderEvents() {
     saveBotCode.addEventListener('click', saveBotCodeToFile);
   }
 
+  if (lintBotCodeBtn) {
+    lintBotCodeBtn.addEventListener('click', lintBotCode);
+  }
+
   if (fixBotError) {
     fixBotError.addEventListener('click', fixBotErrorAndRegenerate);
   }
@@ -407,6 +494,7 @@ function setupBotBuilderEvents() {
   const chartContainer = document.getElementById('chartContainer');
   if (chartContainer) {
     chart.subscribeClick(handleChartClick);
+    setupDrawingDrag(chartContainer);
   }
 }
 
@@ -890,10 +978,27 @@ function setDrawingMode(mode) {
   drawingPoints = [];
 }
 
+// Pixels within which a click or drag picks a drawing
+const DRAWING_HIT_PX = 8;
+
+// UTC date and time of a drawing point for the bot description
+function drawingTimeLabel(time) {
+  return new Date(time * 1000).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
 function handleChartClick(param) {
-  if (!drawingMode || !param.time) return;
+  if (!drawingMode || !param.time || !param.point) return;
+  // Drawings live on the price pane; clicks in an indicator pane are ignored
+  if (param.paneIndex > 0) return;
+
+  if (drawingMode === 'erase') {
+    const hit = hitTestDrawings(param.point);
+    if (hit) deleteDrawing(hit.index);
+    return;
+  }
 
-  const price = param.seriesData.get(candleSeries);
+  // Points snap to the real bar even when the chart shows Heikin-Ashi candles
+  const price = chartCandles.find(c => c.time === param.time) || param.seriesData.get(candleSeries);
   if (!price) return;
 
   const point = {
@@ -902,31 +1007,269 @@ function handleChartClick(param) {
     high: price.high,
     low: price.low
   };
+  // Zones, channels, Fibonacci and notes use the clicked price rather than the bar's close
+  const at = { time: param.time, price: candleSeries.coordinateToPrice(param.point.y) ?? price.close };
 
-  if (drawingMode === 'high') {
-    addMarker(point, 'high');
-    drawings.push({ type: 'high', point });
-    updateDrawingCount();
-  } else if (drawingMode === 'low') {
-    addMarker(point, 'low');
-    drawings.push({ type: 'low', point });
-    updateDrawingCount();
+  let drawing = null;
+  if (drawingMode === 'high' || drawingMode === 'low') {
+    drawing = { type: drawingMode, point };
   } else if (drawingMode === 'horizontal') {
-    addHorizontalLine(point.price);
-    drawings.push({ type: 'horizontal', price: point.price });
-    updateDrawingCount();
+    drawing = { type: 'horizontal', price: point.price };
   } else if (drawingMode === 'vertical') {
-    addVerticalLine(point.time, point.price);
-    drawings.push({ type: 'vertical', time: point.time, price: point.price });
-    updateDrawingCount();
-  } else if (drawingMode === 'line') {
-    drawingPoints.push(point);
-    if (drawingPoints.length === 2) {
-      addTrendLine(drawingPoints[0], drawingPoints[1]);
-      drawings.push({ type: 'line', start: drawingPoints[0], end: drawingPoints[1] });
-      drawingPoints = [];
-      updateDrawingCount();
+    drawing = { type: 'vertical', time: point.time, price: point.price };
+  } else if (drawingMode === 'text') {
+    const text = prompt('Note text:')?.trim();
+    if (!text) return;
+    drawing = { type: 'text', point: at, text: text.slice(0, 200) };
+  } else if (drawingMode === 'fib') {
+    if (drawingPoints[0]?.price === at.price) return;
+    drawingPoints.push(at);
+    if (drawingPoints.length === 2) drawing = { type: 'fib', start: drawingPoints[0], end: drawingPoints[1] };
+  } else {
+    // Two-point tools (and a channel's base line) need their points on different bars
+    if (drawingPoints.length === 1 && drawingPoints[0].time === point.time) return;
+    drawingPoints.push(drawingMode === 'line' ? point : at);
+    if (drawingMode === 'line' && drawingPoints.length === 2) {
+      drawing = { type: 'line', start: drawingPoints[0], end: drawingPoints[1] };
+    } else if (drawingMode === 'rectangle' && drawingPoints.length === 2) {
+      drawing = { type: 'rectangle', start: drawingPoints[0], end: drawingPoints[1] };
+    } else if (drawingMode === 'channel' && drawingPoints.length === 3) {
+      drawing = { type: 'channel', start: drawingPoints[0], end: drawingPoints[1], through: drawingPoints[2] };
+    }
+  }
+  if (!drawing) return;
+
+  drawingPoints = [];
+  drawings.push(drawing);
+  renderAllDrawings();
+  updateDrawingCount();
+  saveDrawings();
+}
+
+function renderDrawing(d) {
+  if (d.type === 'high' || d.type === 'low') {
+    addMarker(d.point, d.type);
+  } else if (d.type === 'horizontal') {
+    addHorizontalLine(d.price);
+  } else if (d.type === 'vertical') {
+    addVerticalLine(d.time);
+  } else if (d.type === 'line') {
+    addSegment(d.start, d.end, { color: '#8b5cf6', lineStyle: LineStyle.Solid });
+  } else if (d.type === 'fib') {
+    addSegment(d.start, d.end, { color: '#eab308', lineWidth: 1, lineStyle: LineStyle.Dashed });
+    addPriceLine(d.start.price, '#eab308', LineStyle.Solid, 'Fib 100%');
+    addPriceLine(d.end.price, '#eab308', LineStyle.Solid, 'Fib 0%');
+    fibLevels(d).forEach(level => addPriceLine(level.price, '#eab308',
+      level.kind === 'retracement' ? LineStyle.Dotted : LineStyle.LargeDashed, `Fib ${+(level.ratio * 100).toFixed(1)}%`));
+  } else if (d.type === 'channel') {
+    const offset = channelOffset(d);
+    addSegment(d.start, d.end, { color: '#06b6d4', lineStyle: LineStyle.Solid });
+    addSegment({ time: d.start.time, price: d.start.price + offset }, { time: d.end.time, price: d.end.price + offset }, { color: '#06b6d4', lineStyle: LineStyle.Solid });
+  } else if (d.type === 'rectangle') {
+    const top = Math.max(d.start.price, d.end.price);
+    const bottom = Math.min(d.start.price, d.end.price);
+    addSegment({ time: d.start.time, price: top }, { time: d.end.time, price: top }, { color: '#f97316', lineStyle: LineStyle.Solid });
+    addSegment({ time: d.start.time, price: bottom }, { time: d.end.time, price: bottom }, { color: '#f97316', lineStyle: LineStyle.Solid });
+  } else if (d.type === 'text') {
+    markers.push({ time: d.point.time, position: 'atPriceMiddle', price: d.point.price, color: '#e5e7eb', shape: 'square', size: 0.5, text: d.text });
+  }
+}
+
+// Redraws every drawing from the drawings array (after adding, moving or deleting one)
+function renderAllDrawings() {
+  removeDrawingVisuals();
+  drawings.forEach(renderDrawing);
+  markers.sort((a, b) => a.time - b.time);
+  if (!markersPlugin) markersPlugin = createSeriesMarkers(candleSeries, []);
+  markersPlugin.setMarkers(markers);
+}
+
+function deleteDrawing(index) {
+  drawings.splice(index, 1);
+  renderAllDrawings();
+  updateDrawingCount();
+  saveDrawings();
+}
+
+// Draggable points of a drawing; a null time or price means the point moves along one axis only
+function drawingHandles(d) {
+  switch (d.type) {
+    case 'high':
+    case 'low': return [{ key: 'point', time: d.point.time, price: d.point[d.type] }];
+    case 'horizontal': return [{ key: 'price', time: null, price: d.price }];
+    case 'vertical': return [{ key: 'time', time: d.time, price: null }];
+    case 'text': return [{ key: 'point', time: d.point.time, price: d.point.price }];
+    case 'channel': return ['start', 'end', 'through'].map(key => ({ key, ...d[key] }));
+    default: return ['start', 'end'].map(key => ({ key, ...d[key] }));
+  }
+}
+
+// Line segments a click can pick a drawing by, besides its handles
+function drawingSegments(d) {
+  if (d.type === 'line' || d.type === 'fib') return [[d.start, d.end]];
+  if (d.type === 'channel') {
+    const offset = channelOffset(d);
+    return [[d.start, d.end], [{ time: d.start.time, price: d.start.price + offset }, { time: d.end.time, price: d.end.price + offset }]];
+  }
+  if (d.type === 'rectangle') {
+    return [d.start.price, d.end.price].map(price => [{ time: d.start.time, price }, { time: d.end.time, price }]);
+  }
+  return [];
+}
+
+function toPixels(p) {
+  return {
+    x: p.time == null ? null : chart.timeScale().timeToCoordinate(p.time),
+    y: p.price == null ? null : candleSeries.priceToCoordinate(p.price)
+  };
+}
+
+function distanceToSegment(pt, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const t = dx || dy ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(pt.x - (a.x + t * dx), pt.y - (a.y + t * dy));
+}
+
+// Nearest drawing within DRAWING_HIT_PX of a pane point: { index, handle } (handle is null when only a
+// segment was hit). The newest drawing wins ties.
+function hitTestDrawings(pt, { handlesOnly = false } = {}) {
+  let best = null;
+  drawings.forEach((d, index) => {
+    const consider = (distance, handle) => {
+      if (distance <= DRAWING_HIT_PX && (!best || distance <= best.distance)) best = { index, handle, distance };
+    };
+    for (const handle of drawingHandles(d)) {
+      const { x, y } = toPixels(handle);
+      if (handle.time != null && x == null) continue;
+      if (handle.price != null && y == null) continue;
+      consider(Math.hypot(x == null ? 0 : pt.x - x, y == null ? 0 : pt.y - y), handle);
+    }
+    if (handlesOnly) return;
+    for (const [a, b] of drawingSegments(d)) {
+      const pa = toPixels(a);
+      const pb = toPixels(b);
+      if ([pa.x, pa.y, pb.x, pb.y].some(v => v == null)) continue;
+      consider(distanceToSegment(pt, pa, pb), null);
+    }
+  });
+  return best;
+}
+
+// Moves one handle of a drawing to a time/price; markers snap to the bar under the new time
+function moveHandle(d, key, time, price) {
+  if (key === 'price') {
+    if (price != null) d.price = price;
+  } else if (key === 'time') {
+    if (time != null) d.time = time;
+  } else if (d.type === 'high' || d.type === 'low') {
+    const bar = time != null && chartCandles.find(c => c.time === time);
+    if (bar) d.point = { time, price: bar.close, high: bar.high, low: bar.low };
+  } else {
+    const target = key === 'point' ? d.point : d[key];
+    if (time != null) target.time = time;
+    if (price != null) target.price = price;
+  }
+}
+
+// Drag-to-edit: pressing on a drawing's handle moves it instead of panning the chart. The
+// capture-phase listener keeps the press from reaching the chart.
+function setupDrawingDrag(container) {
+  let drag = null;
+  const panePoint = (e) => {
+    const rect = container.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  container.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || drawingMode === 'erase' || drawingPoints.length > 0) return;
+    const hit = hitTestDrawings(panePoint(e), { handlesOnly: true });
+    if (!hit) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const drawing = drawings[hit.index];
+    drag = { drawing, before: JSON.parse(JSON.stringify(drawing)), key: hit.handle.key, moved: false };
+  }, true);
+
+  document.addEventListener('mousemove', (e) => {
+    if (!drag) return;
+    const pt = panePoint(e);
+    // Times snap to the bar under the cursor; past the last bar the time is kept
+    const time = chart.timeScale().coordinateToTime(pt.x);
+    const price = candleSeries.coordinateToPrice(pt.y);
+    moveHandle(drag.drawing, drag.key, time, price);
+    drag.moved = true;
+    renderAllDrawings();
+  });
+
+  document.addEventListener('mouseup', () => {
+    if (!drag) return;
+    const { drawing, before, moved } = drag;
+    drag = null;
+    if (!moved) return;
+    // A drag that collapses a two-point drawing onto one bar is undone
+    if (['line', 'rectangle', 'channel'].includes(drawing.type) && drawing.start.time === drawing.end.time) {
+      drawings[drawings.indexOf(drawing)] = before;
+      renderAllDrawings();
+      return;
     }
+    saveDrawings();
+  });
+}
+
+// Drawings are saved per asset/timeframe on the server; the response carries their level variables
+async function saveDrawings() {
+  if (!drawingsChart) return;
+  const { asset, timeframe } = drawingsChart;
+  try {
+    const response = await fetch(`/api/drawings/${encodeURIComponent(asset)}/${encodeURIComponent(timeframe)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ drawings })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    drawingVariables = data.levels.variables;
+  } catch (e) {
+    console.warn('Failed to save drawings:', e);
+  }
+}
+
+async function restoreDrawings(asset, timeframe) {
+  clearAllDrawings();
+  drawingsChart = { asset, timeframe };
+  try {
+    const response = await fetch(`/api/drawings/${encodeURIComponent(asset)}/${encodeURIComponent(timeframe)}`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    // The chart may have been switched again while loading
+    if (drawingsChart.asset !== asset || drawingsChart.timeframe !== timeframe) return;
+    drawings = data.drawings;
+    renderAllDrawings();
+    drawingVariables = data.drawings.length > 0 ? data.levels.variables : [];
+    updateDrawingCount();
+  } catch (e) {
+    console.warn('Failed to load drawings:', e);
+  }
+}
+
+// Downloads the drawings as structured levels (support/resistance, trend lines, time windows)
+async function exportLevels() {
+  if (!drawingsChart) return;
+  const { asset, timeframe } = drawingsChart;
+  try {
+    const response = await fetch(`/api/drawings/${encodeURIComponent(asset)}/${encodeURIComponent(timeframe)}/levels`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `levels-${asset}-${timeframe}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    alert(`Failed to export levels: ${e.message}`);
   }
 }
 
@@ -938,7 +1281,19 @@ function addMarker(point, type) {
     shape: type === 'high' ? 'arrowUp' : 'arrowDown',
     text: type === 'high' ? 'H' : 'L'
   });
-  candleSeries.setMarkers(markers);
+}
+
+function addPriceLine(price, color, lineStyle, title) {
+  const line = candleSeries.createPriceLine({
+    price: price,
+    color,
+    lineWidth: 1,
+    lineStyle,
+    axisLabelVisible: false,
+    title,
+  });
+  priceLines.push(line);
+  return line;
 }
 
 function addHorizontalLine(price) {
@@ -954,37 +1309,41 @@ function addHorizontalLine(price) {
   return line;
 }
 
-function addTrendLine(start, end) {
+// A straight line between two points on different bars
+function addSegment(a, b, options) {
+  if (a.time === b.time) return null;
+  const [first, second] = a.time < b.time ? [a, b] : [b, a];
   const line = chart.addSeries(LineSeries, {
-    color: '#8b5cf6',
     lineWidth: 2,
-    lineStyle: LineStyle.Solid,
+    lastValueVisible: false,
+    priceLineVisible: false,
+    crosshairMarkerVisible: false,
+    ...options,
   });
   line.setData([
-    { time: start.time, value: start.price },
-    { time: end.time, value: end.price }
+    { time: first.time, value: first.price },
+    { time: second.time, value: second.price }
   ]);
   lineSeriesArr.push(line);
+  return line;
 }
 
-function addVerticalLine(time, price) {
-  const line = chart.addSeries(LineSeries, {
-    color: '#f59e0b',
-    lineWidth: 2,
-    lineStyle: LineStyle.Dotted,
+// A one-bar histogram on its own full-height scale draws the vertical line
+function addVerticalLine(time) {
+  const line = chart.addSeries(HistogramSeries, {
+    color: 'rgba(245, 158, 11, 0.5)',
+    priceScaleId: 'verticalLines',
+    lastValueVisible: false,
+    priceLineVisible: false,
   });
-  line.setData([
-    { time: time, value: price * 0.95 },
-    { time: time, value: price * 1.05 }
-  ]);
+  chart.priceScale('verticalLines').applyOptions({ scaleMargins: { top: 0, bottom: 0 }, visible: false });
+  line.setData([{ time, value: 1 }]);
   lineSeriesArr.push(line);
 }
 
-function clearAllDrawings() {
-  drawings = [];
-  drawingPoints = [];
+function removeDrawingVisuals() {
   markers = [];
-  candleSeries.setMarkers([]);
+  markersPlugin?.setMarkers([]);
   
   priceLines.forEach(line => {
     try {
@@ -999,7 +1358,13 @@ function clearAllDrawings() {
     } catch (e) {}
   });
   lineSeriesArr = [];
-  
+}
+
+function clearAllDrawings() {
+  drawings = [];
+  drawingPoints = [];
+  drawingVariables = [];
+  removeDrawingVisuals();
   updateDrawingCount();
 }
 
@@ -1010,6 +1375,172 @@ function updateDrawingCount() {
   }
 }
 
+// Chart indicators: overlays go on the price pane, RSI/MACD/ATR/OBV each get a pane below it
+const INDICATOR_COLORS = ['#f59e0b', '#3b82f6', '#ec4899', '#10b981', '#a855f7', '#14b8a6'];
+const PRICE_PANE_HEIGHT = 384;
+const INDICATOR_PANE_HEIGHT = 120;
+
+function loadChartIndicators() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('botBuilderIndicators') || '[]');
+    return Array.isArray(stored) ? stored.filter(ind => INDICATOR_TYPES[ind?.type]) : [];
+  } catch (e) {
+    console.warn('Failed to load chart indicators:', e);
+    return [];
+  }
+}
+
+function saveChartIndicators() {
+  try {
+    localStorage.setItem('botBuilderIndicators', JSON.stringify(chartIndicators));
+  } catch (e) {
+    console.warn('Failed to save chart indicators:', e);
+  }
+}
+
+function setChartCandles(data) {
+  chartCandles = data;
+  renderIndicators();
+}
+
+function renderIndicators() {
+  if (!chart || !candleSeries) return;
+
+  indicatorSeries.forEach(s => chart.removeSeries(s));
+  indicatorSeries = [];
+  while (chart.panes().length > 1) chart.removePane(chart.panes().length - 1);
+
+  const showHeikinAshi = chartIndicators.some(ind => ind.type === 'heikinAshi');
+  candleSeries.setData(showHeikinAshi ? heikinAshi(chartCandles) : chartCandles);
+
+  const closes = chartCandles.map(c => c.close);
+  // Warm-up bars become whitespace so every series stays aligned with the candles
+  const toData = (values) => chartCandles.map((c, i) => (values[i] == null ? { time: c.time } : { time: c.time, value: values[i] }));
+  const addLine = (values, color, pane, options = {}) => {
+    const series = chart.addSeries(LineSeries, {
+      color,
+      lineWidth: 1,
+      priceLineVisible: false,
+      lastValueVisible: false,
+      crosshairMarkerVisible: false,
+      ...options
+    }, pane);
+    series.setData(toData(values));
+    indicatorSeries.push(series);
+    return series;
+  };
+
+  let pane = 0;
+  chartIndicators.forEach((ind, i) => {
+    const p = indicatorParams(ind);
+    const color = INDICATOR_COLORS[i % INDICATOR_COLORS.length];
+    const title = indicatorLabel(ind);
+    if (ind.type === 'sma') {
+      addLine(sma(closes, p.period), color, 0, { title });
+    } else if (ind.type === 'ema') {
+      addLine(ema(closes, p.period), color, 0, { title });
+    } else if (ind.type === 'bollinger') {
+      const bands = bollinger(closes, p.period, p.deviations);
+      addLine(bands.upper, color, 0, { title });
+      addLine(bands.middle, color, 0, { lineStyle: LineStyle.Dashed });
+      addLine(bands.lower, color, 0);
+    } else if (ind.type === 'rsi') {
+      const series = addLine(rsi(closes, p.period), color, ++pane, { title, lastValueVisible: true });
+      series.createPriceLine({ price: 70, color: '#ef4444', lineWidth: 1, lineStyle: LineStyle.Dashed, axisLabelVisible: false });
+      series.createPriceLine({ price: 30, color: '#22c55e', lineWidth: 1, lineStyle: LineStyle.Dashed, axisLabelVisible: false });
+    } else if (ind.type === 'macd') {
+      const m = macd(closes, p.fast, p.slow, p.signal);
+      const histogram = chart.addSeries(HistogramSeries, { priceLineVisible: false, lastValueVisible: false }, ++pane);
+      histogram.setData(chartCandles.map((c, j) => (m.histogram[j] == null
+        ? { time: c.time }
+        : { time: c.time, value: m.histogram[j], color: m.histogram[j] >= 0 ? 'rgba(34, 197, 94, 0.5)' : 'rgba(239, 68, 68, 0.5)' })));
+      indicatorSeries.push(histogram);
+      addLine(m.macd, '#3b82f6', pane, { title, lastValueVisible: true });
+      addLine(m.signal, '#f97316', pane);
+    } else if (ind.type === 'atr') {
+      addLine(atr(chartCandles, p.period), color, ++pane, { title, lastValueVisible: true });
+    } else if (ind.type === 'obv') {
+      addLine(obv(chartCandles), color, ++pane, { title, lastValueVisible: true });
+    }
+  });
+
+  // The chart grows by one indicator pane height per pane so the price pane keeps its size
+  const height = PRICE_PANE_HEIGHT + pane * INDICATOR_PANE_HEIGHT;
+  const container = document.getElementById('chartContainer');
+  if (container) container.style.height = `${height}px`;
+  chart.applyOptions({ height });
+  chart.panes().forEach((paneApi, i) => paneApi.setStretchFactor(i === 0 ? PRICE_PANE_HEIGHT : INDICATOR_PANE_HEIGHT));
+}
+
+function renderIndicatorPicker() {
+  const select = document.getElementById('indicatorSelect');
+  const list = document.getElementById('activeIndicators');
+  if (!select || !list) return;
+
+  // Heikin-Ashi can only be on once; the rest can be added several times with different periods
+  const hasHeikinAshi = chartIndicators.some(ind => ind.type === 'heikinAshi');
+  select.innerHTML = '<option value="">+ Add indicator</option>' + Object.entries(INDICATOR_TYPES)
+    .filter(([type]) => type !== 'heikinAshi' || !hasHeikinAshi)
+    .map(([type, def]) => `<option value="${type}">${def.label}${def.placement === 'pane' ? ' (pane)' : ''}</option>`)
+    .join('');
+
+  list.innerHTML = chartIndicators.map((ind, i) => {
+    const p = indicatorParams(ind);
+    const inputs = Object.entries(p).map(([key, value]) => `
+      <input type="number" data-indicator="${ind.id}" data-param="${key}" value="${value}" min="${key === 'deviations' ? 0.1 : 1}" step="${key === 'deviations' ? 0.1 : 1}"
+        title="${key}" class="w-14 px-1 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-xs">`).join('');
+    return `
+      <span class="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-xs text-gray-700 dark:text-gray-300">
+        <span class="w-2 h-2 rounded-full" style="background:${ind.type === 'macd' ? '#3b82f6' : INDICATOR_COLORS[i % INDICATOR_COLORS.length]}"></span>
+        ${INDICATOR_TYPES[ind.type].label}${inputs}
+        <button data-remove-indicator="${ind.id}" class="ml-1 text-gray-400 hover:text-red-500" title="Remove">&times;</button>
+      </span>`;
+  }).join('');
+}
+
+function setupIndicatorPicker() {
+  const select = document.getElementById('indicatorSelect');
+  const list = document.getElementById('activeIndicators');
+  if (!select || !list) return;
+
+  select.addEventListener('change', () => {
+    const type = select.value;
+    if (!INDICATOR_TYPES[type]) return;
+    const id = `i${Date.now().toString(36)}${chartIndicators.length}`;
+    chartIndicators.push({ id, type, params: { ...INDICATOR_TYPES[type].params } });
+    saveChartIndicators();
+    renderIndicatorPicker();
+    renderIndicators();
+  });
+
+  list.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-param]');
+    if (!input) return;
+    const ind = chartIndicators.find(x => x.id === input.dataset.indicator);
+    if (!ind) return;
+    const key = input.dataset.param;
+    const value = key === 'deviations' ? parseFloat(input.value) : parseInt(input.value);
+    if (!(value > 0)) {
+      input.value = indicatorParams(ind)[key];
+      return;
+    }
+    ind.params = { ...indicatorParams(ind), [key]: value };
+    saveChartIndicators();
+    renderIndicators();
+  });
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-remove-indicator]');
+    if (!button) return;
+    chartIndicators = chartIndicators.filter(x => x.id !== button.dataset.removeIndicator);
+    saveChartIndicators();
+    renderIndicatorPicker();
+    renderIndicators();
+  });
+
+  renderIndicatorPicker();
+}
+
 function getSettings() {
   const enableTimeFilters = document.getElementById('enableTimeFilters')?.checked ?? true;
   const strategySelect = document.getElementById('strategyType');
@@ -1040,6 +1571,8 @@ function getSettings() {
     stopLoss: parseInt(document.getElementById('stopLoss')?.value) || 7000,
     takeProfit: parseInt(document.getElementById('takeProfit')?.value) || 300,
     useTrailingStop: document.getElementById('useTrailingStop')?.checked ?? true,
+    intrabarOrder: document.getElementById('intrabarOrder')?.value || 'pessimistic',
+    stopSlippage: parseFloat(document.getElementById('stopSlippage')?.value) || 0,
     trailingPercent: parseFloat(document.getElementById('trailingPercent')?.value) || 0.46,
     stepPercent: parseFloat(document.getElementById('stepPercent')?.value) || 0.018,
     useOBV: document.getElementById('useOBV')?.checked ?? true,
@@ -1049,6 +1582,12 @@ function getSettings() {
     baseCode: baseCode,
     extraInstructions: document.getElementById('botExtraInstructions')?.value || '',
     drawings: drawings,
+    indicators: chartIndicators.map(ind => ({
+      type: ind.type,
+      params: indicatorParams(ind),
+      label: indicatorLabel(ind),
+      placement: INDICATOR_TYPES[ind.type].placement
+    })),
     enableTimeFilters: enableTimeFilters,
     timezone: document.getElementById('timezone')?.value || 'Australia/Brisbane',
     excludeWeekends: enableTimeFilters && (document.getElementById('excludeWeekends')?.checked ?? true),
@@ -1168,10 +1707,27 @@ function buildBotDescription(settings) {
         desc += `- Horizontal level at ${d.price.toFixed(4)}\n`;
       } else if (d.type === 'line') {
         desc += `- Trend line from ${d.start.price.toFixed(4)} to ${d.end.price.toFixed(4)} (trading window)\n`;
+      } else if (d.type === 'fib') {
+        desc += `- Fibonacci of the move ${d.start.price.toFixed(4)} → ${d.end.price.toFixed(4)}: ${fibLevels(d).map(l => `${l.kind} ${+(l.ratio * 100).toFixed(1)}% at ${l.price.toFixed(4)}`).join(', ')}\n`;
+      } else if (d.type === 'channel') {
+        const offset = channelOffset(d);
+        desc += `- Parallel channel from ${drawingTimeLabel(d.start.time)} to ${drawingTimeLabel(d.end.time)}: base line ${d.start.price.toFixed(4)} → ${d.end.price.toFixed(4)}, parallel line ${(d.start.price + offset).toFixed(4)} → ${(d.end.price + offset).toFixed(4)}\n`;
+      } else if (d.type === 'rectangle') {
+        desc += `- Zone between ${Math.min(d.start.price, d.end.price).toFixed(4)} and ${Math.max(d.start.price, d.end.price).toFixed(4)} from ${drawingTimeLabel(Math.min(d.start.time, d.end.time))} to ${drawingTimeLabel(Math.max(d.start.time, d.end.time))}\n`;
+      } else if (d.type === 'text') {
+        desc += `- Note at ${d.point.price.toFixed(4)} (${drawingTimeLabel(d.point.time)}): "${d.text}"\n`;
       }
     });
   }
   
+  if (settings.indicators.length > 0) {
+    desc += `\nCHART INDICATORS (the trader reads the chart with these; use the same settings where the strategy needs them):\n`;
+    settings.indicators.forEach(ind => {
+      const where = ind.placement === 'pane' ? 'separate pane' : 'price overlay';
+      desc += `- ${ind.label} (${where}) - ProBuilder: ${INDICATOR_TYPES[ind.type].probuilder(ind.params)}\n`;
+    });
+  }
+  
   if (settings.extraInstructions) {
     desc += `\nADDITIONAL INSTRUCTIONS:\n${settings.extraInstructions}\n`;
   }
@@ -1309,6 +1865,10 @@ function buildSummaryHTML(settings) {
             if (d.type === 'low') return `<li>• Low point at ${d.point.low.toFixed(4)}</li>`;
             if (d.type === 'horizontal') return `<li>• Horizontal level at ${d.price.toFixed(4)}</li>`;
             if (d.type === 'line') return `<li>• Trend line: ${d.start.price.toFixed(4)} → ${d.end.price.toFixed(4)}</li>`;
+            if (d.type === 'fib') return `<li>• Fibonacci: ${d.start.price.toFixed(4)} → ${d.end.price.toFixed(4)}</li>`;
+            if (d.type === 'channel') return `<li>• Channel: ${d.start.price.toFixed(4)} → ${d.end.price.toFixed(4)}, width ${Math.abs(channelOffset(d)).toFixed(4)}</li>`;
+            if (d.type === 'rectangle') return `<li>• Zone: ${Math.min(d.start.price, d.end.price).toFixed(4)} – ${Math.max(d.start.price, d.end.price).toFixed(4)}</li>`;
+            if (d.type === 'text') return `<li>• Note: ${escapeHtml(d.text)}</li>`;
             return '';
           }).join('')}
         </ul>
@@ -1316,6 +1876,18 @@ function buildSummaryHTML(settings) {
     `);
   }
   
+  // Chart Indicators
+  if (settings.indicators.length > 0) {
+    sections.push(`
+      <div class="bg-amber-50 dark:bg-amber-900/20 rounded-lg p-3 border border-amber-200 dark:border-amber-700">
+        <h4 class="font-semibold text-amber-700 dark:text-amber-300 mb-2">Chart Indicators (${settings.indicators.length})</h4>
+        <ul class="text-sm space-y-1">
+          ${settings.indicators.map(ind => `<li>• ${ind.label}${ind.placement === 'pane' ? ' (pane)' : ''}</li>`).join('')}
+        </ul>
+      </div>
+    `);
+  }
+  
   // Extra Instructions
   if (settings.extraInstructions) {
     sections.push(`
@@ -1417,6 +1989,9 @@ async function generateBot() {
   const progressText = document.getElementById('generateProgressText');
   const progressPercent = document.getElementById('generateProgressPercent');
   
+  const autoFix = document.getElementById('autoFixLint')?.checked || false;
+  const maxFixIterations = parseInt(document.getElementById('autoFixIterations')?.value) || 3;
+  
   generateBotBtn.disabled = true;
   generateBotBtn.classList.add('hidden');
   
@@ -1430,7 +2005,7 @@ async function generateBot() {
       { pct: 40, text: 'AI processing settings...' },
       { pct: 55, text: 'Generating bot logic...' },
       { pct: 70, text: 'Writing ProRealTime code...' },
-      { pct: 85, text: 'Finalizing code...' }
+      { pct: 85, text: autoFix ? 'Checking and fixing syntax...' : 'Finalizing code...' }
     ];
     let stepIndex = 0;
     
@@ -1455,7 +2030,9 @@ async function generateBot() {
           screenshotBase64: screenshotBase64,
           asset: assetSelect?.value || 'unknown',
           strategy: strategyType?.value || 'custom',
-          botName: settings.botName
+          botName: settings.botName,
+          autoFix,
+          maxFixIterations
         })
       });
 
@@ -1480,6 +2057,8 @@ async function generateBot() {
       if (optPanel) optPanel.classList.remove('hidden');
       detectAndDisplayVariables();
       showCodeVariableSliders();
+      lintBotCode();
+      displayAutoFixLog(data.lintLog);
 
     } catch (err) {
       clearInterval(progressInterval);
@@ -1508,7 +2087,9 @@ async function generateBot() {
           screenshotBase64: screenshotBase64,
           asset: assetSelect?.value || 'unknown',
           strategy: strategyType?.value || 'custom',
-          botName: settings.botName
+          botName: settings.botName,
+          autoFix,
+          maxFixIterations
         })
       });
 
@@ -1526,6 +2107,8 @@ async function generateBot() {
       if (optPanel) optPanel.classList.remove('hidden');
       detectAndDisplayVariables();
       showCodeVariableSliders();
+      lintBotCode();
+      displayAutoFixLog(data.lintLog);
 
     } catch (err) {
       alert('Error generating bot: ' + err.message);
@@ -1726,6 +2309,126 @@ function saveBotCodeToFile() {
   URL.revokeObjectURL(url);
 }
 
+// Static syntax/style check via /api/lint-bot - highlights offending lines in the code panel
+async function lintBotCode() {
+  const botCodeOutput = document.getElementById('botCodeOutput');
+  const code = botCodeOutput?.textContent || generatedBotCode;
+  if (!code) return;
+  
+  try {
+    const response = await fetch('/api/lint-bot', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, variables: drawingVariables })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    renderCodeWithDiagnostics(code, data.diagnostics);
+    displayLintResults(data);
+  } catch (e) {
+    console.warn('Lint failed:', e);
+  }
+}
+
+function renderCodeWithDiagnostics(code, diagnostics) {
+  const botCodeOutput = document.getElementById('botCodeOutput');
+  if (!botCodeOutput) return;
+  
+  const byLine = {};
+  diagnostics.forEach(d => {
+    if (!byLine[d.line]) byLine[d.line] = [];
+    byLine[d.line].push(d);
+  });
+  
+  // Only wrap lines in spans so textContent (used by copy/variable sliders) stays the raw code
+  botCodeOutput.innerHTML = code.split('\n').map((text, i) => {
+    const lineDiags = byLine[i + 1];
+    if (!lineDiags) return escapeHtml(text);
+    const hasError = lineDiags.some(d => d.severity === 'error');
+    const title = escapeHtml(lineDiags.map(d => d.message).join('\n')).replace(/"/g, '&quot;');
+    return `<span data-line="${i + 1}" class="${hasError ? 'bg-red-900/60 text-red-200' : 'bg-yellow-900/50 text-yellow-200'}" title="${title}">${escapeHtml(text) || ' '}</span>`;
+  }).join('\n');
+}
+
+function displayLintResults(result) {
+  const panel = document.getElementById('botLintResults');
+  if (!panel) return;
+  
+  if (result.diagnostics.length === 0) {
+    panel.className = 'p-3 rounded-lg border text-sm bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-700 text-green-700 dark:text-green-300';
+    panel.innerHTML = '✓ No syntax or style issues found';
+    return;
+  }
+  
+  const colorClass = result.errorCount > 0
+    ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-700'
+    : 'bg-yellow-50 dark:bg-yellow-900/20 border-yellow-200 dark:border-yellow-700';
+  panel.className = `p-3 rounded-lg border text-sm ${colorClass}`;
+  panel.innerHTML = `
+    <div class="flex items-center justify-between mb-2">
+      <span class="font-semibold text-gray-800 dark:text-gray-200">${result.errorCount} error${result.errorCount === 1 ? '' : 's'}, ${result.warningCount} warning${result.warningCount === 1 ? '' : 's'}</span>
+      <button id="lintToFixBtn" class="px-2 py-1 text-xs bg-orange-500 hover:bg-orange-600 text-white rounded transition-colors">Send to Fix</button>
+    </div>
+    <ul class="space-y-1 font-mono text-xs max-h-40 overflow-y-auto">
+      ${result.diagnostics.map(d => `
+        <li class="cursor-pointer hover:underline ${d.severity === 'error' ? 'text-red-700 dark:text-red-300' : 'text-yellow-700 dark:text-yellow-300'}" data-line="${d.line}">
+          L${d.line}:${d.column} [${d.rule}] ${escapeHtml(d.message)}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  
+  panel.querySelectorAll('li[data-line]').forEach(li => {
+    li.addEventListener('click', () => {
+      const target = document.querySelector(`#botCodeOutput span[data-line="${li.dataset.line}"]`);
+      target?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    });
+  });
+  
+  document.getElementById('lintToFixBtn')?.addEventListener('click', () => {
+    const errorInput = document.getElementById('botErrorInput');
+    if (!errorInput) return;
+    errorInput.value = result.diagnostics
+      .map(d => `Line ${d.line}, column ${d.column}: ${d.message}`)
+      .join('\n');
+    errorInput.focus();
+  });
+}
+
+// Per-pass log from the generate-lint-fix loop (autoFix mode of /api/generate-bot)
+function displayAutoFixLog(lintLog) {
+  const panel = document.getElementById('botAutoFixLog');
+  if (!panel) return;
+  
+  if (!lintLog || lintLog.length === 0) {
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+    return;
+  }
+  
+  panel.classList.remove('hidden');
+  panel.innerHTML = `
+    <div class="font-semibold text-gray-800 dark:text-gray-200 mb-2">Auto-fix: ${lintLog.length} pass${lintLog.length === 1 ? '' : 'es'}</div>
+    <ol class="space-y-2 text-xs">
+      ${lintLog.map(entry => `
+        <li>
+          <div class="text-gray-700 dark:text-gray-300">
+            Pass ${entry.iteration}: fixed ${entry.fixed.length} of ${entry.diagnostics.length}, ${entry.remaining.length} remaining
+            ${entry.error ? `<span class="text-red-600 dark:text-red-400">(${escapeHtml(entry.error)})</span>` : ''}
+            ${entry.discarded ? '<span class="text-amber-600 dark:text-amber-400">(discarded - no fewer errors, kept the previous code)</span>' : ''}
+          </div>
+          ${entry.fixed.length ? `
+            <ul class="mt-1 ml-4 list-disc font-mono text-green-700 dark:text-green-400">
+              ${entry.fixed.map(d => `<li>[${d.rule}] ${escapeHtml(d.message)}</li>`).join('')}
+            </ul>
+          ` : ''}
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
 async function fixBotErrorAndRegenerate() {
   const errorInput = document.getElementById('botErrorInput');
   const fixBotErrorBtn = document.getElementById('fixBotError');
@@ -1771,6 +2474,7 @@ async function fixBotErrorAndRegenerate() {
       botCodeOutput.textContent = generatedBotCode;
     }
     errorInput.value = '';
+    lintBotCode();
 
   } catch (err) {
     alert('Error fixing bot: ' + err.message);
@@ -1914,6 +2618,8 @@ async function loadBotEntry(id) {
     }
     
     if (botOutputSection) botOutputSection.classList.remove('hidden');
+    lintBotCode();
+    displayAutoFixLog(data.lintLog);
     
   } catch (e) {
     console.warn('Failed to load bot entry:', e);
@@ -2463,42 +3169,20 @@ function analyzeHistoricalData(candles) {
     return { trend: 0, volatility: 0.01, waveInfo: null, indicators: {} };
   }
   
-  // Calculate SMAs for trend detection
-  const sma20 = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-  const sma50 = n >= 50 ? closes.slice(-50).reduce((a, b) => a + b, 0) / 50 : sma20;
-  const sma100 = n >= 100 ? closes.slice(-100).reduce((a, b) => a + b, 0) / 100 : sma50;
-  const sma200 = n >= 200 ? closes.slice(-200).reduce((a, b) => a + b, 0) / 200 : sma100;
-  
-  // EMA calculation
-  const calcEMA = (data, period) => {
-    const k = 2 / (period + 1);
-    let ema = data.slice(0, Math.min(period, data.length)).reduce((a, b) => a + b, 0) / Math.min(period, data.length);
-    for (let i = Math.min(period, data.length); i < data.length; i++) {
-      ema = data[i] * k + ema * (1 - k);
-    }
-    return ema;
-  };
+  // Indicators come from the shared library, as on the chart; short histories use all the bars they have
+  const sma20 = lastValue(sma(closes, 20));
+  const sma50 = n >= 50 ? lastValue(sma(closes, 50)) : sma20;
+  const sma100 = n >= 100 ? lastValue(sma(closes, 100)) : sma50;
+  const sma200 = n >= 200 ? lastValue(sma(closes, 200)) : sma100;
   
-  const ema9 = calcEMA(closes, 9);
-  const ema21 = calcEMA(closes, 21);
-  const ema50 = calcEMA(closes, Math.min(50, n));
+  const lastEma = (period) => lastValue(ema(closes, Math.min(period, n)));
   
-  // RSI
-  let gains = 0, losses = 0;
-  const rsiPeriod = Math.min(14, n - 1);
-  for (let i = n - rsiPeriod; i < n; i++) {
-    const change = closes[i] - closes[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
-  }
-  const avgGain = gains / rsiPeriod;
-  const avgLoss = losses / rsiPeriod;
-  const rsi = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+  const ema9 = lastEma(9);
+  const ema21 = lastEma(21);
+  const ema50 = lastEma(50);
   
-  // MACD
-  const ema12 = calcEMA(closes, Math.min(12, n));
-  const ema26 = calcEMA(closes, Math.min(26, n));
-  const macd = ema12 - ema26;
+  const rsiValue = lastValue(rsi(closes, Math.min(14, n - 1)));
+  const macdLine = lastValue(macd(closes, 12, Math.min(26, n)).macd);
   
   // Volatility (standard deviation of returns)
   let priceChanges = [];
@@ -2529,11 +3213,11 @@ function analyzeHistoricalData(candles) {
   else trendScore -= 0.1;
   
   // RSI contribution
-  if (rsi > 50) trendScore += (rsi - 50) / 200;
-  else trendScore -= (50 - rsi) / 200;
+  if (rsiValue > 50) trendScore += (rsiValue - 50) / 200;
+  else trendScore -= (50 - rsiValue) / 200;
   
   // MACD contribution
-  if (macd > 0) trendScore += 0.1;
+  if (macdLine > 0) trendScore += 0.1;
   else trendScore -= 0.1;
   
   // Clamp trend score
@@ -2556,7 +3240,8 @@ function analyzeHistoricalData(candles) {
     indicators: {
       sma20, sma50, sma100, sma200,
       ema9, ema21, ema50,
-      rsi, macd,
+      rsi: rsiValue,
+      macd: macdLine,
       currentPrice
     }
   };
@@ -4066,6 +4751,8 @@ window.useAiHypothesis = function(index) {
 let currentCandles = [];
 let lastSimulationResults = null;
 let optimizationResults = [];
+let walkForwardResults = null;
+let walkForwardChart = null;
 
 function setupSimulator() {
   const runBtn = document.getElementById('runSimulatorBtn');
@@ -4088,9 +4775,17 @@ function setupSimulator() {
     detectVarsBtn.addEventListener('click', detectAndDisplayVariables);
   }
   
-  const autoOptBtn = document.getElementById('autoOptimizeBtn');
-  if (autoOptBtn) {
-    autoOptBtn.addEventListener('click', runAutoOptimization);
+  const varOptBtn = document.getElementById('varOptimizeBtn');
+  if (varOptBtn) {
+    varOptBtn.addEventListener('click', runAutoOptimization);
+  }
+  resumeOptimizationJob();
+  
+  const optimizeMode = document.getElementById('optimizeMode');
+  if (optimizeMode) {
+    optimizeMode.addEventListener('change', () => {
+      document.getElementById('walkForwardOptions')?.classList.toggle('hidden', optimizeMode.value !== 'walkForward');
+    });
   }
   
   const runModBtn = document.getElementById('runModifiedBtn');
@@ -4108,6 +4803,8 @@ function setupSimulator() {
     resetVarsBtn.addEventListener('click', resetVariablesToOriginal);
   }
   
+  document.getElementById('runMonteCarloBtn')?.addEventListener('click', runMonteCarloAnalysis);
+  
   // Equity chart height slider
   const equityHeightSlider = document.getElementById('equityChartHeight');
   const equityHeightLabel = document.getElementById('equityChartHeightLabel');
@@ -4376,7 +5073,25 @@ function applyVariablesToCode(code, variables) {
   return modifiedCode;
 }
 
-async function runSimulationWithVariables(variables, candles, settings) {
+// Finer timeframe used to decide whether the stop or the target was hit first on a bar that touches both
+const LOWER_TIMEFRAMES = { '1m': '1s', '5m': '1m', '15m': '1m', '1h': '5m', '4h': '15m', '1d': '1h' };
+
+// Lower-timeframe candles covering the backtest range, only when the simulator is set to look them up
+async function loadLowerTimeframeCandles(settings, candles) {
+  const lowerTimeframe = LOWER_TIMEFRAMES[settings.timeframe];
+  if (settings.intrabarOrder !== 'lowerTimeframe' || !lowerTimeframe || candles.length === 0) return [];
+  try {
+    const lower = await fetchMarketData(settings.asset, lowerTimeframe);
+    const start = candles[0].time;
+    const end = candles[candles.length - 1].time + (candles.length > 1 ? candles[1].time - candles[0].time : 0);
+    return (lower || []).filter(c => c.time >= start && c.time < end);
+  } catch (e) {
+    console.warn('Lower timeframe data unavailable, same-bar exits fall back to pessimistic:', e);
+    return [];
+  }
+}
+
+async function runSimulationWithVariables(variables, candles, settings) {
   const modifiedCode = applyVariablesToCode(generatedBotCode, variables);
   
   const response = await fetch('/api/simulate-bot', {
@@ -4385,6 +5100,7 @@ async function runSimulationWithVariables(variables, candles, settings) {
     body: JSON.stringify({
       code: modifiedCode,
       candles,
+      lowerTimeframeCandles: await loadLowerTimeframeCandles(settings, candles),
       settings
     })
   });
@@ -4392,14 +5108,182 @@ async function runSimulationWithVariables(variables, candles, settings) {
   return await response.json();
 }
 
-async function runAutoOptimization() {
-  const btn = document.getElementById('autoOptimizeBtn');
+function scoreSimulationResult(result, metric) {
+  switch (metric) {
+    case 'winRate': return result.winRate || 0;
+    case 'gainLossRatio': return result.gainLossRatio || 0;
+    // Results without statistics fall back to gain over drawdown
+    case 'sharpe': return result.statistics
+      ? result.statistics.sharpeRatio ?? 0
+      : (result.totalGain || 0) / Math.max(1, Math.abs(result.maxDrawdown || 1));
+    default: return result.totalGain || 0;
+  }
+}
+
+const ACTIVE_OPTIMIZATION_JOB_KEY = 'activeOptimizationJob';
+
+// Submit a server-side optimization job (grid/random/genetic, run in worker threads)
+async function submitOptimizationJob({ candles, settings, iterations, metric, method }) {
+  const response = await fetch('/api/optimize/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      code: generatedBotCode,
+      candles,
+      lowerTimeframeCandles: await loadLowerTimeframeCandles(settings, candles),
+      settings,
+      variables: detectedVariables,
+      method,
+      iterations,
+      metric
+    })
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data.jobId;
+}
+
+// Follow a job's SSE progress stream; resolves with the finished job including its ranked results
+function followOptimizationJob(jobId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/optimize/jobs/${jobId}/events`);
+    
+    source.onmessage = async (e) => {
+      const event = JSON.parse(e.data);
+      if (!event.status) {
+        source.close();
+        reject(new Error(event.error || 'Optimization job not found'));
+        return;
+      }
+      onProgress?.(event);
+      if (event.status === 'queued' || event.status === 'running') return;
+      
+      source.close();
+      try {
+        const job = await (await fetch(`/api/optimize/jobs/${jobId}`)).json();
+        if (job.status === 'failed' || job.status === 'interrupted') {
+          reject(new Error(job.error || `Optimization job ${job.status}`));
+        } else {
+          resolve(job);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    };
+    
+    // EventSource retries on its own while CONNECTING; CLOSED means the server is gone
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to optimization job'));
+      }
+    };
+  });
+}
+
+function jobResultsToOptimizationResults(job) {
+  return job.results.map(r => ({ ...r, metric: job.metric }));
+}
+
+// A job started before the tab was closed keeps running on the server - pick its results back up
+async function resumeOptimizationJob() {
+  const jobId = localStorage.getItem(ACTIVE_OPTIMIZATION_JOB_KEY);
+  if (!jobId) return;
+  
   const progressDiv = document.getElementById('optimizeProgress');
+  const progressText = document.getElementById('optimizeProgressText');
+  progressDiv?.classList.remove('hidden');
+  
+  try {
+    const job = await followOptimizationJob(jobId, updateOptimizationJobProgress);
+    optimizationResults = jobResultsToOptimizationResults(job);
+    walkForwardResults = null;
+    displayOptimizationResults();
+    if (progressText) progressText.textContent = `Restored ${job.progress.completed} ${job.method} evaluations from the server`;
+  } catch (e) {
+    console.warn('Could not resume optimization job:', e.message);
+    progressDiv?.classList.add('hidden');
+  } finally {
+    localStorage.removeItem(ACTIVE_OPTIMIZATION_JOB_KEY);
+  }
+}
+
+function updateOptimizationJobProgress(event, label = '') {
   const progressBar = document.getElementById('optimizeProgressBar');
   const progressText = document.getElementById('optimizeProgressText');
   const progressPercent = document.getElementById('optimizeProgressPercent');
-  const resultsPanel = document.getElementById('bestResultsPanel');
-  const resultsList = document.getElementById('bestResultsList');
+  const { completed, total, generation } = event.progress;
+  const progress = total > 0 ? (completed / total) * 100 : 0;
+  
+  if (progressBar) progressBar.style.width = `${progress}%`;
+  if (progressPercent) progressPercent.textContent = `${Math.round(progress)}%`;
+  if (progressText) {
+    const best = event.best ? ` - best ${event.best.score.toFixed(2)}` : '';
+    progressText.textContent = `${label}${generation ? `Generation ${generation}: ` : ''}${completed} of ${total} evaluated${best}`;
+  }
+}
+
+// Rolling windows: each optimizes on inSample bars and is scored on the next outSample bars,
+// with the out-of-sample slices laid end to end over the tail of the data
+function buildWalkForwardWindows(totalBars, windowCount, inSampleRatio) {
+  const outSample = Math.floor(totalBars / (windowCount + inSampleRatio / (1 - inSampleRatio)));
+  const inSample = Math.floor(outSample * inSampleRatio / (1 - inSampleRatio));
+  if (outSample < 20 || inSample < 50) return null;
+  
+  const offset = totalBars - (inSample + windowCount * outSample);
+  const windows = [];
+  for (let w = 0; w < windowCount; w++) {
+    const isStart = offset + w * outSample;
+    windows.push({
+      isStart,
+      isEnd: isStart + inSample,
+      oosStart: isStart + inSample,
+      oosEnd: isStart + inSample + outSample
+    });
+  }
+  return windows;
+}
+
+// Same headline figures as the server backtest, rebuilt from a subset of its trades
+function summarizeTrades(trades, initialCapital) {
+  const winning = trades.filter(t => t.pnl > 0);
+  const losing = trades.filter(t => t.pnl < 0);
+  const totalGain = trades.reduce((sum, t) => sum + t.pnl, 0);
+  const avgWin = winning.length > 0 ? winning.reduce((sum, t) => sum + t.pnl, 0) / winning.length : 0;
+  const avgLoss = losing.length > 0 ? Math.abs(losing.reduce((sum, t) => sum + t.pnl, 0)) / losing.length : 1;
+  
+  let equity = initialCapital;
+  let peak = initialCapital;
+  let trough = initialCapital;
+  let maxDrawdown = 0;
+  let maxRunup = 0;
+  trades.forEach(t => {
+    equity += t.pnl;
+    peak = Math.max(peak, equity);
+    trough = Math.min(trough, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxRunup = Math.max(maxRunup, equity - trough);
+  });
+  
+  return {
+    totalGain,
+    winRate: trades.length > 0 ? (winning.length / trades.length) * 100 : 0,
+    gainLossRatio: avgLoss > 0 ? avgWin / avgLoss : avgWin,
+    totalTrades: trades.length,
+    winningTrades: winning.length,
+    losingTrades: losing.length,
+    avgGainPerTrade: trades.length > 0 ? totalGain / trades.length : 0,
+    bestTrade: trades.length > 0 ? Math.max(...trades.map(t => t.pnl)) : 0,
+    worstTrade: trades.length > 0 ? Math.min(...trades.map(t => t.pnl)) : 0,
+    maxDrawdown: -maxDrawdown,
+    maxRunup,
+    trades
+  };
+}
+
+async function runAutoOptimization() {
+  const btn = document.getElementById('varOptimizeBtn');
+  const progressDiv = document.getElementById('optimizeProgress');
+  const progressText = document.getElementById('optimizeProgressText');
   
   if (!generatedBotCode || detectedVariables.length === 0) {
     alert('Please generate a bot and detect variables first.');
@@ -4408,10 +5292,13 @@ async function runAutoOptimization() {
   
   const iterations = parseInt(document.getElementById('optimizeIterations')?.value) || 20;
   const metric = document.getElementById('optimizeMetric')?.value || 'totalGain';
+  const method = document.getElementById('optimizeMethod')?.value || 'random';
+  const mode = document.getElementById('optimizeMode')?.value || 'standard';
   
   btn.disabled = true;
   progressDiv?.classList.remove('hidden');
   optimizationResults = [];
+  walkForwardResults = null;
   
   const settings = getSettings();
   const asset = document.getElementById('assetSelect')?.value || 'silver';
@@ -4421,10 +5308,7 @@ async function runAutoOptimization() {
     const datapoints = parseInt(document.getElementById('simDatapoints')?.value) || 2000;
     let candles = await fetchMarketData(asset, timeframe);
     if (!candles || candles.length === 0) {
-      if (statusEl) {
-        statusEl.textContent = `Error: Unable to load market data for ${asset}`;
-        statusEl.className = 'mb-4 p-3 rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm';
-      }
+      alert(`Unable to load market data for ${asset}`);
       return;
     }
     if (candles.length > datapoints) {
@@ -4432,61 +5316,23 @@ async function runAutoOptimization() {
     }
     currentCandles = candles;
     
-    for (let i = 0; i < iterations; i++) {
-      const testVars = detectedVariables.map(v => ({
-        ...v,
-        currentValue: v.includeInOptimization 
-          ? v.min + Math.random() * (v.max - v.min)
-          : v.currentValue
-      }));
-      
-      testVars.forEach(v => {
-        if (v.includeInOptimization) {
-          v.currentValue = Math.round(v.currentValue / v.step) * v.step;
-        }
-      });
-      
-      const progress = ((i + 1) / iterations) * 100;
-      if (progressBar) progressBar.style.width = `${progress}%`;
-      if (progressText) progressText.textContent = `Running iteration ${i + 1} of ${iterations}...`;
-      if (progressPercent) progressPercent.textContent = `${Math.round(progress)}%`;
-      
-      try {
-        const result = await runSimulationWithVariables(testVars, candles, settings);
-        
-        if (!result.error) {
-          let score;
-          switch (metric) {
-            case 'winRate': score = result.winRate || 0; break;
-            case 'gainLossRatio': score = result.gainLossRatio || 0; break;
-            case 'sharpe': score = (result.totalGain || 0) / Math.max(1, Math.abs(result.maxDrawdown || 1)); break;
-            default: score = result.totalGain || 0;
-          }
-          
-          optimizationResults.push({
-            variables: testVars.map(v => ({ 
-              name: v.name, 
-              value: v.currentValue,
-              pattern: v.pattern,
-              originalValue: v.originalValue
-            })),
-            result,
-            score,
-            metric
-          });
-        }
-      } catch (e) {
-        console.warn(`Iteration ${i + 1} failed:`, e);
-      }
-      
-      await new Promise(r => setTimeout(r, 50));
+    if (mode === 'walkForward') {
+      await runWalkForwardOptimization(candles, settings, iterations, metric, method);
+      displayOptimizationResults();
+      if (progressText) progressText.textContent = `Completed ${walkForwardResults.windows.length} walk-forward windows!`;
+      return;
     }
     
-    optimizationResults.sort((a, b) => b.score - a.score);
+    const jobId = await submitOptimizationJob({ candles, settings, iterations, metric, method });
+    localStorage.setItem(ACTIVE_OPTIMIZATION_JOB_KEY, jobId);
+    
+    const job = await followOptimizationJob(jobId, updateOptimizationJobProgress);
+    localStorage.removeItem(ACTIVE_OPTIMIZATION_JOB_KEY);
+    optimizationResults = jobResultsToOptimizationResults(job);
     
     displayOptimizationResults();
     
-    if (progressText) progressText.textContent = `Completed ${iterations} iterations!`;
+    if (progressText) progressText.textContent = `Completed ${job.progress.completed} ${job.method} evaluations!`;
     
   } catch (e) {
     console.error('Optimization error:', e);
@@ -4496,6 +5342,206 @@ async function runAutoOptimization() {
   }
 }
 
+// Optimize on each in-sample slice, then score the winner on the unseen slice that follows it
+async function runWalkForwardOptimization(candles, settings, iterations, metric, method) {
+  const windowCount = Math.min(Math.max(parseInt(document.getElementById('wfWindows')?.value) || 4, 2), 10);
+  const inSampleRatio = Math.min(Math.max((parseFloat(document.getElementById('wfInSamplePct')?.value) || 75) / 100, 0.5), 0.9);
+  
+  const windows = buildWalkForwardWindows(candles.length, windowCount, inSampleRatio);
+  if (!windows) {
+    throw new Error(`Not enough candles (${candles.length}) for ${windowCount} walk-forward windows`);
+  }
+  
+  const windowResults = [];
+  
+  for (let w = 0; w < windows.length; w++) {
+    const win = windows[w];
+    const label = `Window ${w + 1} of ${windows.length}: `;
+    
+    let best;
+    try {
+      const jobId = await submitOptimizationJob({ candles: candles.slice(win.isStart, win.isEnd), settings, iterations, metric, method });
+      const job = await followOptimizationJob(jobId, event => updateOptimizationJobProgress(event, label));
+      best = job.results[0];
+    } catch (e) {
+      console.warn(`Walk-forward window ${w + 1} failed:`, e);
+    }
+    if (!best) continue;
+    
+    // Run from the in-sample start so indicators are warmed up, then keep only trades opened in the unseen slice
+    const bestVars = best.variables.map(v => ({ ...v, currentValue: v.value }));
+    const oosStartTime = candles[win.oosStart].time;
+    // statisticsFrom makes the server add the out-of-sample statistics (periodStatistics)
+    const fullRun = await runSimulationWithVariables(bestVars, candles.slice(win.isStart, win.oosEnd), { ...settings, statisticsFrom: oosStartTime });
+    if (fullRun.error) continue;
+    const oosResult = {
+      ...summarizeTrades(fullRun.trades.filter(t => t.entryTime >= oosStartTime), settings.initialCapital),
+      statistics: fullRun.periodStatistics
+    };
+    
+    windowResults.push({
+      window: w + 1,
+      ...win,
+      oosStartTime,
+      oosEndTime: candles[win.oosEnd - 1].time,
+      variables: best.variables,
+      inSampleResult: best.result,
+      inSampleScore: best.score,
+      outSampleResult: oosResult,
+      outSampleScore: scoreSimulationResult(oosResult, metric)
+    });
+  }
+  
+  if (windowResults.length === 0) {
+    throw new Error('No walk-forward window produced a valid result');
+  }
+  
+  // Stitch the out-of-sample trades end to end into a single equity curve
+  let capital = settings.initialCapital;
+  const equity = [{ time: windowResults[0].oosStartTime, value: capital }];
+  windowResults.forEach(wr => {
+    wr.outSampleResult.trades.forEach(t => {
+      capital += t.pnl;
+      if (t.exitTime > equity[equity.length - 1].time) {
+        equity.push({ time: t.exitTime, value: capital });
+      } else {
+        equity[equity.length - 1].value = capital;
+      }
+    });
+  });
+  
+  // Walk-forward efficiency: out-of-sample gain per bar relative to in-sample gain per bar
+  const inSampleGain = windowResults.reduce((sum, wr) => sum + wr.inSampleResult.totalGain, 0);
+  const outSampleGain = windowResults.reduce((sum, wr) => sum + wr.outSampleResult.totalGain, 0);
+  const inSampleBars = windowResults.reduce((sum, wr) => sum + (wr.isEnd - wr.isStart), 0);
+  const outSampleBars = windowResults.reduce((sum, wr) => sum + (wr.oosEnd - wr.oosStart), 0);
+  const efficiency = inSampleGain > 0 ? (outSampleGain / outSampleBars) / (inSampleGain / inSampleBars) : null;
+  
+  walkForwardResults = {
+    windows: windowResults,
+    inSampleGain,
+    outSampleGain,
+    outSampleTrades: windowResults.reduce((sum, wr) => sum + wr.outSampleResult.totalTrades, 0),
+    efficiency,
+    equity,
+    metric
+  };
+  
+  // Results list shows each window's in-sample winner with its out-of-sample performance, in time order
+  optimizationResults = windowResults.map(wr => ({
+    window: wr.window,
+    variables: wr.variables,
+    result: wr.outSampleResult,
+    score: wr.outSampleScore,
+    metric
+  }));
+}
+
+function displayWalkForwardSummary() {
+  const summary = document.getElementById('walkForwardSummary');
+  if (!summary) return;
+  
+  if (walkForwardChart) {
+    walkForwardChart.remove();
+    walkForwardChart = null;
+  }
+  
+  if (!walkForwardResults) {
+    summary.classList.add('hidden');
+    return;
+  }
+  summary.classList.remove('hidden');
+  
+  const wf = walkForwardResults;
+  const formatMoney = (v) => `${v >= 0 ? '+' : ''}$${v.toFixed(2)}`;
+  const gainClass = (v) => v >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+  const efficiencyText = wf.efficiency === null ? 'n/a' : `${(wf.efficiency * 100).toFixed(0)}%`;
+  const efficiencyClass = wf.efficiency === null ? 'text-gray-500' : wf.efficiency >= 0.5 ? 'text-green-600 dark:text-green-400' : 'text-orange-600 dark:text-orange-400';
+  
+  document.getElementById('walkForwardStats').innerHTML = `
+    <div>
+      <div class="text-xs text-gray-500 dark:text-gray-400" title="Out-of-sample gain per bar divided by in-sample gain per bar. Above 50% suggests the parameters are not just curve-fitted.">Walk-forward efficiency</div>
+      <div class="text-lg font-bold ${efficiencyClass}">${efficiencyText}</div>
+    </div>
+    <div>
+      <div class="text-xs text-gray-500 dark:text-gray-400">Out-of-sample gain</div>
+      <div class="text-lg font-bold ${gainClass(wf.outSampleGain)}">${formatMoney(wf.outSampleGain)}</div>
+    </div>
+    <div>
+      <div class="text-xs text-gray-500 dark:text-gray-400">In-sample gain</div>
+      <div class="text-lg font-bold ${gainClass(wf.inSampleGain)}">${formatMoney(wf.inSampleGain)}</div>
+    </div>
+    <div>
+      <div class="text-xs text-gray-500 dark:text-gray-400">Out-of-sample trades</div>
+      <div class="text-lg font-bold text-gray-800 dark:text-gray-200">${wf.outSampleTrades}</div>
+    </div>
+  `;
+  
+  document.getElementById('walkForwardWindows').innerHTML = `
+    <table class="w-full text-xs">
+      <thead class="text-gray-500 dark:text-gray-400">
+        <tr>
+          <th class="text-left py-1">Window</th>
+          <th class="text-left py-1">Out-of-sample period</th>
+          <th class="text-right py-1">IS gain</th>
+          <th class="text-right py-1">OOS gain</th>
+          <th class="text-right py-1">OOS trades</th>
+        </tr>
+      </thead>
+      <tbody class="text-gray-700 dark:text-gray-300">
+        ${wf.windows.map(wr => `
+          <tr class="border-t border-gray-100 dark:border-gray-700">
+            <td class="py-1">W${wr.window}</td>
+            <td class="py-1">${new Date(wr.oosStartTime * 1000).toLocaleDateString()} – ${new Date(wr.oosEndTime * 1000).toLocaleDateString()}</td>
+            <td class="py-1 text-right ${gainClass(wr.inSampleResult.totalGain)}">${formatMoney(wr.inSampleResult.totalGain)}</td>
+            <td class="py-1 text-right ${gainClass(wr.outSampleResult.totalGain)}">${formatMoney(wr.outSampleResult.totalGain)}</td>
+            <td class="py-1 text-right">${wr.outSampleResult.totalTrades}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  const container = document.getElementById('walkForwardEquityChart');
+  if (!container) return;
+  
+  const isDark = document.documentElement.classList.contains('dark');
+  walkForwardChart = createChart(container, {
+    width: container.clientWidth,
+    height: container.clientHeight || 160,
+    layout: {
+      background: { type: ColorType.Solid, color: 'transparent' },
+      textColor: isDark ? '#9ca3af' : '#6b7280',
+    },
+    grid: {
+      vertLines: { visible: false },
+      horzLines: { color: isDark ? '#374151' : '#e5e7eb' },
+    },
+    rightPriceScale: { borderVisible: false },
+    timeScale: { borderVisible: false, timeVisible: true },
+    handleScroll: false,
+    handleScale: false,
+  });
+  
+  const equitySeries = walkForwardChart.addSeries(LineSeries, {
+    color: '#10b981',
+    lineWidth: 2,
+    priceLineVisible: false,
+    crosshairMarkerVisible: false,
+  });
+  equitySeries.setData(wf.equity);
+  
+  // Mark where each out-of-sample window begins
+  createSeriesMarkers(equitySeries, wf.windows
+    .map(wr => {
+      const point = wf.equity.find(p => p.time >= wr.oosStartTime);
+      return point ? { time: point.time, position: 'aboveBar', color: '#6366f1', shape: 'arrowDown', text: `W${wr.window}` } : null;
+    })
+    .filter((m, i, all) => m && all.findIndex(o => o && o.time === m.time) === i));
+  
+  walkForwardChart.timeScale().fitContent();
+}
+
 function displayOptimizationResults() {
   const panel = document.getElementById('bestResultsPanel');
   const list = document.getElementById('bestResultsList');
@@ -4505,13 +5551,15 @@ function displayOptimizationResults() {
   
   const allResults = optimizationResults;
   
+  displayWalkForwardSummary();
+  
   if (allResults.length === 0) {
     list.innerHTML = '<p class="text-sm text-gray-500">No valid results found.</p>';
     panel.classList.remove('hidden');
     return;
   }
   
-  if (countEl) countEl.textContent = `(${allResults.length} results)`;
+  if (countEl) countEl.textContent = walkForwardResults ? `(${allResults.length} walk-forward windows)` : `(${allResults.length} results)`;
   
   const formatMoney = (v) => {
     const sign = v >= 0 ? '+' : '';
@@ -4523,7 +5571,7 @@ function displayOptimizationResults() {
   list.innerHTML = allResults.map((r, i) => `
     <div class="result-card p-3 rounded-lg ${i === 0 ? 'bg-green-100 dark:bg-green-800/30 border-2 border-green-400 dark:border-green-500' : 'bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600'} cursor-pointer hover:shadow-lg transition-all" data-result-index="${i}">
       <div class="flex items-center gap-3">
-        <span class="w-8 h-8 flex items-center justify-center rounded-full ${i === 0 ? 'bg-gradient-to-br from-yellow-400 to-orange-500 text-white shadow-lg' : i < 3 ? 'bg-green-500 text-white' : 'bg-gray-300 dark:bg-gray-600 text-gray-700 dark:text-gray-300'} text-sm font-bold flex-shrink-0">${i + 1}</span>
+        <span class="w-8 h-8 flex items-center justify-center rounded-full ${i === 0 ? 'bg-gradient-to-br from-yellow-400 to-orange-500 text-white shadow-lg' : i < 3 ? 'bg-green-500 text-white' : 'bg-gray-300 dark:bg-gray-600 text-gray-700 dark:text-gray-300'} text-sm font-bold flex-shrink-0">${r.window ? `W${r.window}` : i + 1}</span>
         <div class="flex-1 min-w-0">
           <div class="flex items-center gap-2 text-sm flex-wrap">
             <span class="${r.result.totalGain >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'} font-bold text-base">${formatMoney(r.result.totalGain)}</span>
@@ -4859,6 +5907,7 @@ async function runSimulation() {
       body: JSON.stringify({
         code: generatedBotCode,
         candles,
+        lowerTimeframeCandles: await loadLowerTimeframeCandles(settings, candles),
         settings
       })
     });
@@ -4914,6 +5963,7 @@ function displaySimulationResults(r) {
   
   createEquityCurveChart(r.equity || []);
   createTradeAnalysisChart(r.trades || [], currentCandles);
+  resetMonteCarloPanel();
   
   document.getElementById('simTotalGain').textContent = formatMoney(r.totalGain);
   document.getElementById('simTotalGain').className = `text-2xl font-bold ${r.totalGain >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`;
@@ -4948,6 +5998,8 @@ function displaySimulationResults(r) {
   document.getElementById('simTimeInMarket').textContent = `${r.timeInMarket.toFixed(1)}%`;
   document.getElementById('simAvgOrdersDay').textContent = r.avgOrdersPerDay.toFixed(2);
   
+  displayDetailedStatistics(r.statistics, r.sessionFilter);
+  
   const chartContainer = document.getElementById('performanceChartContainer');
   if (chartContainer && r.dailyPerformance) {
     chartContainer.innerHTML = '';
@@ -4965,6 +6017,106 @@ function displaySimulationResults(r) {
   }
 }
 
+function formatDuration(seconds) {
+  if (!seconds) return '0';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  if (days > 0) return `${days}d ${hours}h`;
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// ProRealTime-style detailed report from the statistics block returned by /api/simulate-bot, plus
+// what the session filters did when they were on
+function displayDetailedStatistics(stats, sessionFilter = null) {
+  const panel = document.getElementById('simDetailedReport');
+  if (!panel) return;
+  if (!stats) {
+    panel.classList.add('hidden');
+    return;
+  }
+  panel.classList.remove('hidden');
+  
+  const num = (v, decimals = 2) => v === null || v === undefined ? '–' : v.toFixed(decimals);
+  const money = (v) => v === null || v === undefined ? '–' : `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+  const pct = (v) => v === null || v === undefined ? '–' : `${v.toFixed(2)}%`;
+  const signClass = (v) => v === null || v === undefined ? '' : v >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+  // No profit factor means no losing trades: infinite only when something was won
+  const profitFactor = stats.profitFactor !== null
+    ? num(stats.profitFactor)
+    : stats.grossProfit > 0 && stats.grossLoss === 0 ? '∞' : '--';
+  
+  const rows = [
+    ['Sharpe ratio', num(stats.sharpeRatio), signClass(stats.sharpeRatio), 'Annualised mean / std-dev of per-bar returns'],
+    ['Sortino ratio', num(stats.sortinoRatio), signClass(stats.sortinoRatio), 'Annualised mean / downside deviation of per-bar returns'],
+    ['CAGR', pct(stats.cagr), signClass(stats.cagr), 'Compound annual growth rate over the tested period'],
+    ['Annual volatility', pct(stats.annualVolatility), '', ''],
+    ['Profit factor', profitFactor, '', 'Gross profit / gross loss'],
+    ['Expectancy', money(stats.expectancy), signClass(stats.expectancy), 'Average net result per trade'],
+    ['Recovery factor', num(stats.recoveryFactor), '', 'Net profit / max drawdown (marked to market)'],
+    ['Max drawdown (open)', money(stats.maxDrawdownMarked), 'text-red-600 dark:text-red-400', 'Including unrealised losses on open trades'],
+    ['Avg MAE', money(stats.avgMAE), 'text-red-600 dark:text-red-400', 'Average maximum adverse excursion per trade'],
+    ['Avg MFE', money(stats.avgMFE), 'text-green-600 dark:text-green-400', 'Average maximum favourable excursion per trade'],
+    ['Longest drawdown', `${stats.longestDrawdownBars} bars (${formatDuration(stats.longestDrawdownSeconds)})`, '', 'Longest time spent below a previous equity high'],
+    ['Time in market', pct(stats.timeInMarket), '', ''],
+    ['Avg bars in trade', num(stats.avgBarsInTrade, 1), '', ''],
+    ['Max consecutive wins', String(stats.maxConsecutiveWins), 'text-green-600 dark:text-green-400', ''],
+    ['Max consecutive losses', String(stats.maxConsecutiveLosses), 'text-red-600 dark:text-red-400', '']
+  ];
+  
+  const exitLabels = { signal: 'Signal', stop: 'Stop', trailingStop: 'Trailing stop', target: 'Target', sessionClose: 'Session close', quit: 'Quit', end: 'End of data' };
+  const exitHints = {
+    trailingStop: 'Closed by the percent trailing stop from the bot settings',
+    sessionClose: 'Positions closed by the flat-before-session-end filter'
+  };
+  Object.entries(stats.exitReasons || {}).forEach(([reason, r]) => {
+    rows.push([`Exits: ${exitLabels[reason] || reason}`, `${r.trades} (${money(r.pnl)})`, signClass(r.pnl), exitHints[reason] || '']);
+  });
+  if (sessionFilter) {
+    rows.push(['Session filters', `${sessionFilter.timezone}${sessionFilter.exchange ? ` · ${sessionFilter.exchange} calendar` : ''}`, '', 'Trading hours and days are read in this timezone']);
+    rows.push(['Entries blocked by filters', String(sessionFilter.blockedEntries), '', 'Entry orders that would have filled outside the allowed hours, days or holidays']);
+    rows.push(['Holidays skipped', String(sessionFilter.holidaysSkipped.length), '', sessionFilter.holidaysSkipped.join(', ')]);
+  }
+  
+  document.getElementById('simDetailedStats').innerHTML = rows.map(([label, value, cls, title]) => `
+    <div class="flex justify-between gap-2 border-b border-gray-100 dark:border-gray-600 py-1" ${title ? `title="${title}"` : ''}>
+      <span class="text-gray-500 dark:text-gray-400">${label}</span>
+      <span class="font-medium text-gray-800 dark:text-gray-200 ${cls}">${value}</span>
+    </div>
+  `).join('');
+  
+  // Year x month grid, like the ProRealTime report
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const byYear = {};
+  (stats.monthlyReturns || []).forEach(m => {
+    const [year, month] = m.month.split('-');
+    if (!byYear[year]) byYear[year] = {};
+    byYear[year][parseInt(month) - 1] = m;
+  });
+  
+  document.getElementById('simMonthlyReturns').innerHTML = Object.keys(byYear).length === 0
+    ? '<p class="text-xs text-gray-500">No data</p>'
+    : `
+      <table class="w-full text-xs text-center">
+        <thead class="text-gray-500 dark:text-gray-400">
+          <tr><th class="text-left py-1">Year</th>${monthNames.map(n => `<th class="py-1">${n}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${Object.keys(byYear).sort().map(year => `
+            <tr class="border-t border-gray-100 dark:border-gray-600">
+              <td class="text-left py-1 font-medium text-gray-700 dark:text-gray-300">${year}</td>
+              ${monthNames.map((_, i) => {
+                const m = byYear[year][i];
+                if (!m) return '<td class="py-1 text-gray-300 dark:text-gray-600">·</td>';
+                return `<td class="py-1 ${signClass(m.gain)}" title="${money(m.gain)}">${pct(m.returnPct)}</td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+}
+
 function createEquityCurveChart(equityData) {
   const container = document.getElementById('equityCurveChart');
   if (!container) return;
@@ -5029,6 +6181,145 @@ function createEquityCurveChart(equityData) {
   }).observe(container);
 }
 
+// Previous Monte Carlo runs belong to the previous trade list
+function resetMonteCarloPanel() {
+  if (monteCarloChart) {
+    monteCarloChart.remove();
+    monteCarloChart = null;
+  }
+  document.getElementById('monteCarloResults')?.classList.add('hidden');
+  document.getElementById('monteCarloEmpty')?.classList.remove('hidden');
+}
+
+async function runMonteCarloAnalysis() {
+  const btn = document.getElementById('runMonteCarloBtn');
+  const trades = lastSimulationResults?.trades || [];
+  if (trades.length === 0) {
+    alert('Run a backtest with at least one trade first.');
+    return;
+  }
+  
+  btn.disabled = true;
+  btn.textContent = 'Running...';
+  try {
+    const response = await fetch('/api/monte-carlo', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        trades: trades.map(t => ({ pnl: t.pnl })),
+        initialCapital: getSettings().initialCapital,
+        method: document.getElementById('monteCarloMethod')?.value || 'shuffle',
+        iterations: parseInt(document.getElementById('monteCarloIterations')?.value) || 1000,
+        skipPercent: parseFloat(document.getElementById('monteCarloSkip')?.value) || 0,
+        ruinPercent: parseFloat(document.getElementById('monteCarloRuin')?.value) || 50
+      })
+    });
+    const mc = await response.json();
+    if (mc.error) throw new Error(mc.error);
+    displayMonteCarloResults(mc);
+  } catch (e) {
+    console.error('Monte Carlo error:', e);
+    alert(`Monte Carlo failed: ${e.message}`);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Run';
+  }
+}
+
+function displayMonteCarloResults(mc) {
+  document.getElementById('monteCarloEmpty')?.classList.add('hidden');
+  document.getElementById('monteCarloResults')?.classList.remove('hidden');
+  createMonteCarloFanChart(mc.bands);
+  
+  const money = (v) => `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(0)}`;
+  const rows = [
+    ['Final equity 5%', money(mc.finalEquity.p5), mc.finalEquity.p5 >= mc.initialCapital ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400', 'Worst 5% of runs end below this'],
+    ['Final equity 50%', money(mc.finalEquity.p50), '', 'Median final equity'],
+    ['Final equity 95%', money(mc.finalEquity.p95), 'text-green-600 dark:text-green-400', 'Best 5% of runs end above this'],
+    ['Chance of loss', `${mc.probabilityOfLoss.toFixed(1)}%`, '', `Runs ending below ${money(mc.initialCapital)}`],
+    ['Median max DD', `-${money(mc.maxDrawdown.p50)}`, 'text-red-600 dark:text-red-400', `${mc.maxDrawdownPercent.p50.toFixed(1)}% from peak`],
+    ['95% max DD', `-${money(mc.maxDrawdown.p95)}`, 'text-red-600 dark:text-red-400', `${mc.maxDrawdownPercent.p95.toFixed(1)}% from peak - 1 run in 20 is worse`],
+    ['Worst max DD', `-${money(mc.maxDrawdown.max)}`, 'text-red-600 dark:text-red-400', ''],
+    ['Risk of ruin', `${mc.riskOfRuin.toFixed(1)}%`, mc.riskOfRuin > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400', `Runs that touched ${money(mc.ruinLevel)} (${mc.ruinPercent}% below initial capital)`]
+  ];
+  
+  document.getElementById('monteCarloStats').innerHTML = rows.map(([label, value, cls, title]) => `
+    <div class="flex flex-col border-b border-gray-100 dark:border-gray-600 py-1" ${title ? `title="${title}"` : ''}>
+      <span class="text-gray-500 dark:text-gray-400">${label}</span>
+      <span class="font-medium text-gray-800 dark:text-gray-200 ${cls}">${value}</span>
+    </div>
+  `).join('');
+}
+
+// Percentile bands of equity by trade number, with the backtest's own trade order on top
+function createMonteCarloFanChart(bands) {
+  const container = document.getElementById('monteCarloChart');
+  if (!container) return;
+  
+  if (monteCarloChart) {
+    monteCarloChart.remove();
+    monteCarloChart = null;
+  }
+  
+  const isDark = document.documentElement.classList.contains('dark');
+  monteCarloChart = createChart(container, {
+    width: container.clientWidth,
+    height: container.clientHeight || 200,
+    layout: {
+      background: { type: ColorType.Solid, color: 'transparent' },
+      textColor: isDark ? '#9ca3af' : '#6b7280',
+    },
+    grid: {
+      vertLines: { visible: false },
+      horzLines: { color: isDark ? '#374151' : '#e5e7eb' },
+    },
+    rightPriceScale: {
+      borderVisible: false,
+    },
+    timeScale: {
+      borderVisible: false,
+      timeVisible: false,
+      // Time axis only carries the trade number (offset by one to keep times positive)
+      tickMarkFormatter: (time) => `#${time - 1}`,
+    },
+    localization: {
+      timeFormatter: (time) => `Trade ${time - 1}`,
+    },
+    handleScroll: false,
+    handleScale: false,
+  });
+  
+  const lines = [
+    ['p5', 'rgba(168, 85, 247, 0.45)', 1],
+    ['p25', 'rgba(168, 85, 247, 0.75)', 1],
+    ['p50', '#a855f7', 2],
+    ['p75', 'rgba(168, 85, 247, 0.75)', 1],
+    ['p95', 'rgba(168, 85, 247, 0.45)', 1],
+    ['actual', '#22d3ee', 2]
+  ];
+  
+  for (const [key, color, lineWidth] of lines) {
+    const series = monteCarloChart.addSeries(LineSeries, {
+      color,
+      lineWidth,
+      lineStyle: key === 'p5' || key === 'p95' ? 2 : 0,
+      priceLineVisible: false,
+      lastValueVisible: key === 'p5' || key === 'p50' || key === 'p95',
+      crosshairMarkerVisible: false,
+      title: key === 'actual' ? 'Backtest' : key.toUpperCase(),
+    });
+    series.setData(bands.map(b => ({ time: b.trade + 1, value: b[key] })));
+  }
+  
+  monteCarloChart.timeScale().fitContent();
+  
+  new ResizeObserver(() => {
+    if (monteCarloChart) {
+      monteCarloChart.applyOptions({ width: container.clientWidth });
+    }
+  }).observe(container);
+}
+
 function createTradeAnalysisChart(trades, candles) {
   const container = document.getElementById('tradeAnalysisChart');
   if (!container || !candles || candles.length === 0) return;
@@ -5324,7 +6615,8 @@ async function loadAiMemoryData() {
     updateBrainStatusDisplay(brain);
     
     // Update pattern map visualization
-    updatePatternMapDisplay(brain.learnedPatterns || []);
+    brainPatterns = brain.learnedPatterns || [];
+    updatePatternMapDisplay(brainPatterns);
     
     // Update events archive
     updateEventsArchiveDisplay(eventsData.events || [], asset);
@@ -5399,7 +6691,61 @@ function updateBrainStatusDisplay(brain) {
   }
 }
 
+// Observed prediction accuracy per pattern at one verification horizon
+function updatePatternHorizonDisplay(patterns, horizon) {
+  const gridEl = document.getElementById('patternMapGrid');
+  const totalPnLEl = document.getElementById('patternTotalPnL');
+  const avgWinRateEl = document.getElementById('patternAvgWinRate');
+  const totalTradesEl = document.getElementById('patternTotalTrades');
+  const bestSessionEl = document.getElementById('patternBestSession');
+  if (!gridEl) return;
+  
+  const rows = (patterns || [])
+    .filter(p => p.horizons?.[horizon]?.occurrences > 0)
+    .map(p => ({ name: p.name, ...p.horizons[horizon] }))
+    .sort((a, b) => b.successRate - a.successRate || b.occurrences - a.occurrences);
+  
+  const checks = rows.reduce((sum, r) => sum + r.occurrences, 0);
+  const correct = rows.reduce((sum, r) => sum + r.correct, 0);
+  if (totalPnLEl) { totalPnLEl.textContent = '--'; totalPnLEl.className = 'text-sm font-bold text-gray-500'; }
+  if (avgWinRateEl) avgWinRateEl.textContent = checks > 0 ? `${(correct / checks * 100).toFixed(0)}%` : '0%';
+  if (totalTradesEl) totalTradesEl.textContent = checks;
+  if (bestSessionEl) bestSessionEl.textContent = '--';
+  
+  if (rows.length === 0) {
+    gridEl.innerHTML = `<p class="text-xs text-gray-500 italic col-span-full text-center py-4">No predictions verified at ${horizon} yet - turn on Observe mode</p>`;
+    return;
+  }
+  
+  gridEl.innerHTML = `
+    <div class="grid grid-cols-3 md:grid-cols-4 gap-1 text-xs">
+      ${rows.map(r => {
+        let bgColor = 'bg-gray-200 dark:bg-gray-700';
+        if (r.successRate >= 70) bgColor = 'bg-green-500 text-white';
+        else if (r.successRate >= 55) bgColor = 'bg-green-200';
+        else if (r.successRate <= 30) bgColor = 'bg-red-500 text-white';
+        else if (r.successRate <= 45) bgColor = 'bg-red-200';
+        const tooltip = `${r.name} at ${horizon}\nCorrect: ${r.correct} of ${r.occurrences}`;
+        return `<div class="${bgColor} rounded p-2 text-center cursor-default" title="${escapeHtml(tooltip)}">
+          <div class="truncate">${escapeHtml(r.name)}</div>
+          <div class="font-bold">${r.successRate.toFixed(0)}%</div>
+          <div class="opacity-75">${r.occurrences}</div>
+        </div>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+// Learned patterns of the asset shown in the AI Memory panel, re-rendered when the map's horizon changes
+let brainPatterns = [];
+
 function updatePatternMapDisplay(patterns) {
+  const horizon = document.getElementById('patternMapHorizon')?.value;
+  if (horizon) {
+    updatePatternHorizonDisplay(patterns, horizon);
+    return;
+  }
+  
   const gridEl = document.getElementById('patternMapGrid');
   const topPatternsEl = document.getElementById('topProfitablePatterns');
   const totalPnLEl = document.getElementById('patternTotalPnL');
@@ -5791,6 +7137,8 @@ function setupAiMemoryEventListeners() {
     assetSelect.addEventListener('change', loadAiMemoryData);
   }
   
+  document.getElementById('patternMapHorizon')?.addEventListener('change', () => updatePatternMapDisplay(brainPatterns));
+  
   // Refresh button
   const refreshBtn = document.getElementById('refreshAiMemory');
   if (refreshBtn) {
@@ -5843,6 +7191,7 @@ function setupAiMemoryEventListeners() {
   const observeToggle = document.getElementById('observeToggle');
   if (observeToggle) {
     observeToggle.addEventListener('click', toggleObserveMode);
+    refreshObserveStatus();
   }
 }
 
@@ -5996,265 +7345,102 @@ async function saveNewEvent() {
 }
 
 // ===== OBSERVE MODE =====
-let observeInterval = null;
-let observing = false;
-
-function toggleObserveMode() {
-  const btn = document.getElementById('observeToggle');
-  const label = document.getElementById('observeLabel');
-  
-  if (observing) {
-    // Stop observing
-    observing = false;
-    if (observeInterval) {
-      clearInterval(observeInterval);
-      observeInterval = null;
-    }
-    if (btn) {
-      btn.classList.remove('bg-green-500', 'text-white', 'animate-pulse');
-      btn.classList.add('bg-gray-200', 'dark:bg-gray-600', 'text-gray-700', 'dark:text-gray-300');
-    }
-    if (label) label.textContent = 'Observe';
-    console.log('Observe mode stopped');
-  } else {
-    // Start observing
-    observing = true;
-    if (btn) {
-      btn.classList.remove('bg-gray-200', 'dark:bg-gray-600', 'text-gray-700', 'dark:text-gray-300');
-      btn.classList.add('bg-green-500', 'text-white', 'animate-pulse');
-    }
-    if (label) label.textContent = 'Observing...';
-    console.log('Observe mode started');
-    
-    // Run immediately
-    runObservation();
-    
-    // Then every 30 seconds
-    observeInterval = setInterval(runObservation, 30000);
+// Observing runs on the server (predictions are persisted and verified there); the page starts/stops it
+// and polls its status
+const OBSERVE_POLL_MS = 30000;
+let observePoll = null;
+let observeStatus = null;
+
+function selectedObserveAssets() {
+  const typed = (document.getElementById('observeAssets')?.value || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+  return typed.length > 0 ? typed : [document.getElementById('aiMemoryAsset')?.value || 'silver'];
+}
+
+async function toggleObserveMode() {
+  const running = observeStatus?.status === 'running';
+  try {
+    const response = await fetch(`/api/ai-memory/observe/${running ? 'stop' : 'start'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(running ? {} : { assets: selectedObserveAssets() })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    renderObserveStatus(data);
+  } catch (e) {
+    console.error('Observe mode error:', e);
+    alert(`Observe mode: ${e.message}`);
   }
 }
 
-// Store pending predictions to verify later
-let pendingPredictions = [];
-
-async function runObservation() {
-  if (!observing) return;
-  
-  const asset = document.getElementById('aiMemoryAsset')?.value || 'silver';
-  const symbol = asset === 'silver' ? 'XAGUSD' : 'XAUUSD';
-  
+async function refreshObserveStatus() {
   try {
-    // Fetch current price data
-    const response = await fetch(`/api/market-data/${asset}/1m`);
-    if (!response.ok) throw new Error('Failed to fetch market data');
-    
-    const data = await response.json();
-    if (!data.candles || data.candles.length < 30) return;
-    
-    const candles = data.candles.slice(-30); // Last 30 candles
-    const latest = candles[candles.length - 1];
-    const currentPrice = latest.close;
-    const currentTime = Date.now();
-    
-    // First, verify any pending predictions that are now old enough
-    const verifiedPredictions = [];
-    const stillPending = [];
-    
-    for (const pred of pendingPredictions) {
-      // Check predictions after 5 minutes (10 observation cycles)
-      if (currentTime - pred.timestamp > 5 * 60 * 1000) {
-        const priceChange = currentPrice - pred.priceAtPrediction;
-        const actualDirection = priceChange > 0 ? 1 : (priceChange < 0 ? -1 : 0);
-        const wasCorrect = pred.prediction === actualDirection;
-        
-        // Record verified prediction to brain
-        await fetch('/api/ai-memory/brain/prediction', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            asset: symbol,
-            prediction: pred.prediction,
-            actual: actualDirection,
-            confidence: pred.confidence,
-            patterns: pred.patterns.map(p => ({ name: p.name, success: wasCorrect }))
-          })
-        });
-        
-        console.log('Verified prediction:', { 
-          predicted: pred.prediction > 0 ? 'UP' : 'DOWN', 
-          actual: actualDirection > 0 ? 'UP' : 'DOWN',
-          correct: wasCorrect,
-          priceChange: priceChange.toFixed(4)
-        });
-        
-        verifiedPredictions.push(pred);
-      } else {
-        stillPending.push(pred);
-      }
-    }
-    pendingPredictions = stillPending;
-    
-    // Make a new prediction using multi-timeframe analysis
-    const patterns = detectAdvancedPatterns(candles);
-    const directionalPatterns = patterns.filter(p => p.direction === 'up' || p.direction === 'down');
-    
-    if (directionalPatterns.length > 0) {
-      // Calculate weighted prediction from all patterns
-      let upWeight = 0, downWeight = 0;
-      directionalPatterns.forEach(p => {
-        if (p.direction === 'up') upWeight += p.strength;
-        else if (p.direction === 'down') downWeight += p.strength;
-      });
-      
-      const predictedDirection = upWeight > downWeight ? 1 : -1;
-      const confidence = Math.max(upWeight, downWeight) / (upWeight + downWeight) * 100;
-      
-      // Store prediction to verify later
-      pendingPredictions.push({
-        timestamp: currentTime,
-        priceAtPrediction: currentPrice,
-        prediction: predictedDirection,
-        confidence,
-        patterns: directionalPatterns
-      });
-      
-      console.log('New prediction:', { 
-        direction: predictedDirection > 0 ? 'UP' : 'DOWN', 
-        confidence: confidence.toFixed(1) + '%',
-        patterns: directionalPatterns.map(p => p.name),
-        pendingCount: pendingPredictions.length
-      });
-    }
-    
-    // Update last updated timestamp
-    const lastUpdated = document.getElementById('brainLastUpdated');
-    if (lastUpdated) {
-      const pendingInfo = pendingPredictions.length > 0 ? ` (${pendingPredictions.length} pending)` : '';
-      lastUpdated.textContent = `Observing: ${new Date().toLocaleTimeString()}${pendingInfo}`;
-    }
-    
-    // Refresh brain stats if we verified any predictions
-    if (verifiedPredictions.length > 0) {
-      loadAiMemoryData();
-    }
-    
+    const response = await fetch('/api/ai-memory/observe/status');
+    if (!response.ok) throw new Error('Failed to fetch observe status');
+    renderObserveStatus(await response.json());
   } catch (e) {
-    console.error('Observation error:', e);
+    console.error('Observe status error:', e);
   }
 }
 
-// Advanced pattern detection with multi-timeframe indicators
-function detectAdvancedPatterns(candles) {
-  const patterns = [];
-  const closes = candles.map(c => c.close);
-  const highs = candles.map(c => c.high);
-  const lows = candles.map(c => c.low);
-  const n = closes.length;
+function renderObserveStatus(status) {
+  const verifiedBefore = observeStatus ? Object.values(observeStatus.stats).reduce((sum, s) => sum + s.verified, 0) : null;
+  observeStatus = status;
+  const running = status.status === 'running';
   
-  // Short-term indicators (last 5-10 candles)
-  const sma5 = closes.slice(-5).reduce((a, b) => a + b, 0) / 5;
-  const sma10 = closes.slice(-10).reduce((a, b) => a + b, 0) / 10;
-  const sma20 = closes.slice(-20).reduce((a, b) => a + b, 0) / Math.min(20, closes.length);
-  
-  // Calculate EMA
-  const calcEMA = (data, period) => {
-    const k = 2 / (period + 1);
-    let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    for (let i = period; i < data.length; i++) {
-      ema = data[i] * k + ema * (1 - k);
-    }
-    return ema;
-  };
-  
-  const ema9 = calcEMA(closes, 9);
-  const ema21 = calcEMA(closes, 21);
-  
-  // RSI calculation
-  let gains = 0, losses = 0;
-  for (let i = n - 14; i < n; i++) {
-    const change = closes[i] - closes[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
-  }
-  const avgGain = gains / 14;
-  const avgLoss = losses / 14;
-  const rsi = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
-  
-  // MACD
-  const ema12 = calcEMA(closes, 12);
-  const ema26 = calcEMA(closes, Math.min(26, closes.length));
-  const macd = ema12 - ema26;
-  
-  // Price momentum
-  const momentum = (closes[n-1] - closes[n-5]) / closes[n-5] * 100;
-  const longMomentum = (closes[n-1] - closes[n-20]) / closes[n-20] * 100;
-  
-  // Wave detection - find recent swing highs/lows
-  const recentHigh = Math.max(...highs.slice(-10));
-  const recentLow = Math.min(...lows.slice(-10));
-  const currentPrice = closes[n-1];
-  const priceRange = recentHigh - recentLow;
-  const positionInRange = priceRange > 0 ? (currentPrice - recentLow) / priceRange : 0.5;
-  
-  // Trend detection based on multiple indicators
-  // SMA crossover
-  if (sma5 > sma10 && sma10 > sma20) {
-    patterns.push({ name: 'Strong uptrend (SMA alignment)', direction: 'up', strength: 75 });
-  } else if (sma5 < sma10 && sma10 < sma20) {
-    patterns.push({ name: 'Strong downtrend (SMA alignment)', direction: 'down', strength: 75 });
-  } else if (sma5 > sma10) {
-    patterns.push({ name: 'Uptrend (SMA5 > SMA10)', direction: 'up', strength: 55 });
-  } else if (sma5 < sma10) {
-    patterns.push({ name: 'Downtrend (SMA5 < SMA10)', direction: 'down', strength: 55 });
-  }
-  
-  // EMA crossover
-  if (ema9 > ema21) {
-    patterns.push({ name: 'Bullish EMA crossover', direction: 'up', strength: 60 });
-  } else {
-    patterns.push({ name: 'Bearish EMA crossover', direction: 'down', strength: 60 });
+  const btn = document.getElementById('observeToggle');
+  const label = document.getElementById('observeLabel');
+  if (btn) {
+    btn.classList.toggle('bg-green-500', running);
+    btn.classList.toggle('text-white', running);
+    btn.classList.toggle('animate-pulse', running);
+    ['bg-gray-200', 'dark:bg-gray-600', 'text-gray-700', 'dark:text-gray-300'].forEach(cls => btn.classList.toggle(cls, !running));
   }
+  if (label) label.textContent = running ? 'Observing...' : 'Observe';
   
-  // RSI signals
-  if (rsi < 30) {
-    patterns.push({ name: 'Oversold (RSI < 30)', direction: 'up', strength: 70 });
-  } else if (rsi > 70) {
-    patterns.push({ name: 'Overbought (RSI > 70)', direction: 'down', strength: 70 });
-  } else if (rsi < 40) {
-    patterns.push({ name: 'Low RSI zone', direction: 'up', strength: 40 });
-  } else if (rsi > 60) {
-    patterns.push({ name: 'High RSI zone', direction: 'down', strength: 40 });
+  const assetsInput = document.getElementById('observeAssets');
+  if (assetsInput && !assetsInput.value && status.config.assets.length > 0) {
+    assetsInput.value = status.config.assets.join(', ');
   }
   
-  // MACD signal
-  if (macd > 0) {
-    patterns.push({ name: 'MACD bullish', direction: 'up', strength: 55 });
-  } else {
-    patterns.push({ name: 'MACD bearish', direction: 'down', strength: 55 });
+  // Let the brain panel show any observed asset
+  const assetSelect = document.getElementById('aiMemoryAsset');
+  if (assetSelect) {
+    for (const asset of status.config.assets) {
+      if (![...assetSelect.options].some(o => o.value === asset)) {
+        assetSelect.add(new Option(asset.toUpperCase(), asset));
+      }
+    }
   }
   
-  // Momentum signal
-  if (momentum > 0.5) {
-    patterns.push({ name: `Strong momentum (+${momentum.toFixed(2)}%)`, direction: 'up', strength: 65 });
-  } else if (momentum < -0.5) {
-    patterns.push({ name: `Strong momentum (${momentum.toFixed(2)}%)`, direction: 'down', strength: 65 });
+  const lastUpdated = document.getElementById('brainLastUpdated');
+  if (lastUpdated && running) {
+    const pendingInfo = status.pending.length > 0 ? ` (${status.pending.length} pending)` : '';
+    const when = status.lastRunAt ? new Date(status.lastRunAt).toLocaleTimeString() : 'starting';
+    lastUpdated.textContent = `Observing ${status.config.assets.length} asset${status.config.assets.length > 1 ? 's' : ''}: ${when}${pendingInfo}`;
+    lastUpdated.title = Object.entries(status.stats)
+      .map(([asset, s]) => `${asset.toUpperCase()}: ${Object.entries(s.horizons)
+        .map(([h, hs]) => `${h} ${hs.accuracy ?? '--'}% of ${hs.verified}`)
+        .join(', ') || 'nothing verified yet'} (${s.pending} pending)`)
+      .concat(status.lastError ? [status.lastError] : [])
+      .join('\n');
   }
   
-  // Long-term momentum
-  if (longMomentum > 2) {
-    patterns.push({ name: 'Long-term uptrend', direction: 'up', strength: 50 });
-  } else if (longMomentum < -2) {
-    patterns.push({ name: 'Long-term downtrend', direction: 'down', strength: 50 });
+  // Refresh brain stats once the server has verified more predictions
+  const verifiedNow = Object.values(status.stats).reduce((sum, s) => sum + s.verified, 0);
+  if (verifiedBefore != null && verifiedNow > verifiedBefore) {
+    loadAiMemoryData();
   }
   
-  // Wave position (mean reversion)
-  if (positionInRange > 0.9) {
-    patterns.push({ name: 'Near resistance (top of range)', direction: 'down', strength: 45 });
-  } else if (positionInRange < 0.1) {
-    patterns.push({ name: 'Near support (bottom of range)', direction: 'up', strength: 45 });
+  if (running && !observePoll) {
+    observePoll = setInterval(refreshObserveStatus, OBSERVE_POLL_MS);
+  } else if (!running && observePoll) {
+    clearInterval(observePoll);
+    observePoll = null;
   }
-  
-  return patterns;
 }
 
 function detectPatterns(candles) {
@@ -6458,56 +7644,67 @@ async function checkDailyNewsOnLoad() {
   await checkOnlineMarketNews();
 }
 
-// ===== AI TRADING ENGINE =====
+// ===== AI TRADING VIEWER =====
+// The trading loop, account ledger and order history live on the server (/api/paper-trading);
+// this tab starts/stops it and polls its status, so trading continues after the browser closes.
 const AI_TRADING = {
-  active: false,
-  interval: null,
-  
-  // Silver contract specifications
-  contract: {
-    minSize: 0.05,
-    contractSizePerPoint: 100,
-    onePointMeans: 0.01, // Cents/Troy Ounce
-    valuePerPoint: 1, // AUD
-    minStopDistance: 4,
-    minGuaranteedStop: 40
-  },
-  
-  // Trading state
-  state: {
-    capital: 2000,
-    startingCapital: 2000,
-    position: null, // { type: 'long'/'short', size: number, entryPrice: number, entryTime: Date }
-    trades: [],
-    pnl: 0,
-    wins: 0,
-    losses: 0
-  },
-  
-  // Learning weights (adjusted based on success)
-  learning: {
-    score: 0,
-    weights: {
-      trend: 1.0,
-      momentum: 1.0,
-      rsi: 1.0,
-      macd: 1.0,
-      wavePosition: 1.0,
-      news: 1.2,
-      higherTF: 1.3
-    },
-    recentPatterns: []
-  },
-  
-  // Market analysis cache
-  analysis: {
-    allTimeframes: {},
-    newsSentiment: 'neutral',
-    marketSpeed: 'normal',
-    lastCheck: null
-  }
+  // Latest /api/paper-trading/status snapshot
+  status: null,
+  pollTimer: null,
+  // Newest signal already flashed, so each signal blinks once
+  lastSignalTime: null,
+  // Order handling inputs are filled from the server's settings once, then left to the user
+  orderSettingsLoaded: false,
+  // Weight history / factor contributions for the asset picked in the Learning Weights panel
+  learning: null,
+  learningFetchedAt: 0,
+  weightChart: null,
+  factorChart: null
+};
+
+// How often the learning charts refetch when no new weight update has arrived
+const AI_LEARNING_REFRESH_MS = 30000;
+
+const AI_WEIGHT_COLORS = {
+  trend: '#3b82f6',
+  momentum: '#a855f7',
+  rsi: '#f59e0b',
+  macd: '#10b981',
+  wavePosition: '#ec4899',
+  news: '#ef4444',
+  higherTF: '#6366f1'
 };
 
+// Order handling inputs -> paper trading settings keys
+const AI_ORDER_SETTING_INPUTS = {
+  entryOrderType: 'aiTradeEntryType',
+  entryOffset: 'aiTradeEntryOffset',
+  orderExpiry: 'aiTradeOrderExpiry',
+  trailingStop: 'aiTradeTrailingStop',
+  breakEvenTrigger: 'aiTradeBreakEvenTrigger',
+  breakEvenOffset: 'aiTradeBreakEvenOffset'
+};
+
+const AI_TRADING_POLL_MS = 5000;
+
+// Instrument specs (point size, multiplier, margin, min size) from the server-side registry
+const instrumentCache = {};
+
+async function loadInstrumentSpec(asset) {
+  const key = String(asset || 'silver').toLowerCase();
+  if (instrumentCache[key]) return instrumentCache[key];
+  
+  const response = await fetch(`/api/instruments/${encodeURIComponent(key)}`);
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  instrumentCache[key] = data;
+  return data;
+}
+
+function cachedInstrumentSpec(asset) {
+  return instrumentCache[String(asset || 'silver').toLowerCase()] || null;
+}
+
 // Initialize AI Trading UI
 function initAiTrading() {
   const startBtn = document.getElementById('startAiTrading');
@@ -6524,9 +7721,24 @@ function initAiTrading() {
     resetBtn.addEventListener('click', resetAiTrading);
   }
   
-  // Load saved state
-  loadAiTradingState();
-  updateAiTradingUI();
+  document.getElementById('runAiReplay')?.addEventListener('click', runAiReplay);
+  document.getElementById('aiLearningAsset')?.addEventListener('change', refreshLearningHistory);
+  document.getElementById('aiRestoreDefaultWeights')?.addEventListener('click', () => restoreLearningWeights('default'));
+  document.getElementById('aiWeightHistory')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-snapshot-id]');
+    if (btn) restoreLearningWeights(btn.dataset.snapshotId);
+  });
+  
+  document.getElementById('aiWorkingOrdersList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-order-action]');
+    if (!btn) return;
+    if (btn.dataset.orderAction === 'cancel') cancelWorkingOrder(btn.dataset.orderId);
+    else modifyWorkingOrder(btn.dataset.orderId);
+  });
+  
+  // Show the server-side account and keep following it
+  refreshAiTradingStatus();
+  AI_TRADING.pollTimer = setInterval(refreshAiTradingStatus, AI_TRADING_POLL_MS);
   
   // Initialize AI Chat
   initAiChat();
@@ -6727,260 +7939,130 @@ function getBacktestSettings() {
   };
 }
 
-// Start AI Trading
-async function startAiTrading() {
-  if (AI_TRADING.active) return;
-  
-  AI_TRADING.active = true;
-  
-  // Update UI
-  document.getElementById('startAiTrading')?.classList.add('hidden');
-  document.getElementById('stopAiTrading')?.classList.remove('hidden');
-  document.getElementById('aiTradeStatus').textContent = 'Running';
-  document.getElementById('aiTradeStatus').className = 'px-2 py-0.5 text-xs font-medium bg-emerald-100 dark:bg-emerald-900 text-emerald-700 dark:text-emerald-300 rounded-full';
-  
-  // Initialize capital from settings if starting fresh
-  if (AI_TRADING.state.trades.length === 0) {
-    const settings = getTradeSettings();
-    AI_TRADING.state.capital = settings.initialCapital;
-    AI_TRADING.state.startingCapital = settings.initialCapital;
+function getAiOrderSettings() {
+  const settings = {};
+  for (const [key, id] of Object.entries(AI_ORDER_SETTING_INPUTS)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    settings[key] = key === 'entryOrderType' ? el.value : (parseFloat(el.value) || 0);
   }
-  
-  // Run immediately, then on interval
-  await runAiTradingCycle();
-  
-  // Determine interval based on timeframe
-  const tf = document.querySelector('#aiResultsTimeframeBtns .ai-tf-btn.bg-purple-100')?.dataset?.tf || '5m';
-  AI_TRADING.currentTF = tf;
-  AI_TRADING.baseIntervalMs = getTradeIntervalForTimeframe(tf);
-  
-  // Start with base interval, will be adjusted dynamically based on market speed
-  scheduleNextTradeCycle();
-  
-  console.log('AI Trading started, base interval:', AI_TRADING.baseIntervalMs, 'ms');
+  return settings;
 }
 
-// Schedule next trade cycle with dynamic interval based on market speed
-function scheduleNextTradeCycle() {
-  if (!AI_TRADING.active) return;
-  
-  // Adjust interval based on market speed
-  const speedMultipliers = {
-    'very-fast': 0.5,  // Trade twice as fast
-    'fast': 0.75,
-    'normal': 1.0,
-    'slow': 1.5  // Trade slower in quiet markets
-  };
-  
-  const multiplier = speedMultipliers[AI_TRADING.analysis.marketSpeed] || 1.0;
-  const adjustedInterval = Math.floor(AI_TRADING.baseIntervalMs * multiplier);
-  
-  AI_TRADING.interval = setTimeout(async () => {
-    await runAiTradingCycle();
-    scheduleNextTradeCycle();  // Schedule next cycle with potentially new interval
-  }, adjustedInterval);
-  
-  console.log(`Next trade cycle in ${adjustedInterval}ms (speed: ${AI_TRADING.analysis.marketSpeed})`);
-}
-
-// Get trade interval based on timeframe (market speed awareness)
-function getTradeIntervalForTimeframe(tf) {
-  const intervals = {
-    '1s': 3000,    // 3 sec
-    '2s': 5000,    // 5 sec
-    '3s': 6000,    // 6 sec
-    '5s': 10000,   // 10 sec
-    '10s': 15000,  // 15 sec
-    '30s': 30000,  // 30 sec
-    '1m': 60000,   // 1 min
-    '5m': 120000,  // 2 min
-    '15m': 300000, // 5 min
-    '1h': 600000,  // 10 min
-    '4h': 900000,  // 15 min
-    '1d': 1800000  // 30 min
-  };
-  return intervals[tf] || 60000;
+async function postAiTrading(action, body = {}) {
+  const response = await fetch(`/api/paper-trading/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data;
 }
 
-// Stop AI Trading
-function stopAiTrading() {
-  AI_TRADING.active = false;
-  
-  if (AI_TRADING.interval) {
-    clearTimeout(AI_TRADING.interval);
-    AI_TRADING.interval = null;
-  }
-  
-  // Close any open position
-  if (AI_TRADING.state.position) {
-    closePosition('Trading stopped');
-  }
-  
-  document.getElementById('startAiTrading')?.classList.remove('hidden');
-  document.getElementById('stopAiTrading')?.classList.add('hidden');
-  document.getElementById('aiTradeStatus').textContent = 'Stopped';
-  document.getElementById('aiTradeStatus').className = 'px-2 py-0.5 text-xs font-medium bg-gray-200 dark:bg-gray-600 text-gray-600 dark:text-gray-300 rounded-full';
-  
-  // Hide signal
-  document.getElementById('aiTradeSignal')?.classList.add('hidden');
-  
-  saveAiTradingState();
-  console.log('AI Trading stopped');
+// Assets typed into the AI Trading panel, falling back to the asset picked in the AI Memory tab
+function selectedAiTradeAssets() {
+  const typed = (document.getElementById('aiTradeAssets')?.value || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+  return typed.length > 0 ? typed : [document.getElementById('aiMemoryAsset')?.value || 'silver'];
 }
 
-// Reset AI Trading
-function resetAiTrading() {
-  stopAiTrading();
-  
-  const settings = getTradeSettings();
-  
-  AI_TRADING.state = {
-    capital: settings.initialCapital,
-    startingCapital: settings.initialCapital,
-    position: null,
-    trades: [],
-    pnl: 0,
-    wins: 0,
-    losses: 0
-  };
-  
-  AI_TRADING.learning = {
-    score: 0,
-    weights: {
-      trend: 1.0,
-      momentum: 1.0,
-      rsi: 1.0,
-      macd: 1.0,
-      wavePosition: 1.0,
-      news: 1.2,
-      higherTF: 1.3
-    },
-    recentPatterns: []
-  };
-  
-  saveAiTradingState();
-  updateAiTradingUI();
-  
-  // Clear trade list
-  const tradeList = document.getElementById('aiTradeList');
-  if (tradeList) {
-    tradeList.innerHTML = '<div class="p-3 text-center text-gray-500 dark:text-gray-400 italic">No trades yet - click Start to begin AI trading</div>';
-  }
-  
-  console.log('AI Trading reset');
+// Books for the assets currently being traded, as [asset, book] pairs
+function activeAiTradeBooks(status) {
+  return (status?.config?.assets || [])
+    .filter(asset => status.books?.[asset])
+    .map(asset => [asset, status.books[asset]]);
+}
+
+function formatSignedUsd(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
 }
 
-// Main trading cycle
-async function runAiTradingCycle() {
-  if (!AI_TRADING.active) return;
+// Start server-side AI trading on the selected assets and timeframe
+async function startAiTrading() {
+  const assets = selectedAiTradeAssets();
+  const timeframe = document.querySelector('#aiResultsTimeframeBtns .ai-tf-btn.bg-purple-100')?.dataset?.tf || '5m';
   
   try {
-    const asset = document.getElementById('aiMemoryAsset')?.value || 'silver';
-    const symbol = asset === 'silver' ? 'XAGUSD' : 'XAUUSD';
-    const currentTF = document.querySelector('#aiResultsTimeframeBtns .ai-tf-btn.bg-purple-100')?.dataset?.tf || '5m';
-    
-    // 1. Fetch ALL timeframes for comprehensive analysis
-    await fetchAllTimeframeData(symbol);
-    
-    // 2. Check news/breaking events (every 5 cycles to save resources)
-    const cycleCount = AI_TRADING.state.trades.length;
-    if (cycleCount % 5 === 0) {
-      await checkMarketNews();
-    }
-    
-    // 3. Calculate market speed based on volatility
-    updateMarketSpeed();
-    
-    // 4. Run comprehensive analysis
-    const decision = analyzeAndDecide(currentTF);
-    
-    // 5. Execute trade decision
-    await executeTradeDecision(decision, symbol);
-    
-    // 6. Update UI
-    updateAiTradingUI();
-    
-    // Update last check time
-    document.getElementById('aiTradeLastCheck').textContent = `Last analysis: ${new Date().toLocaleTimeString()}`;
-    
+    renderAiTradingStatus(await postAiTrading('start', { assets, timeframe, settings: { ...getTradeSettings(), ...getAiOrderSettings() } }));
   } catch (e) {
-    console.error('AI Trading cycle error:', e);
+    console.error('Failed to start AI trading:', e);
+    alert(`Could not start AI trading: ${e.message}`);
   }
 }
-
-// Fetch data from ALL timeframes
-async function fetchAllTimeframeData(symbol) {
-  const timeframes = ['1m', '5m', '15m', '1h', '4h', '1d'];
-  
-  const fetchPromises = timeframes.map(async (tf) => {
-    try {
-      const response = await fetch(`/api/market-data/${symbol}/${tf}`);
-      if (response.ok) {
-        const data = await response.json();
-        if (data.candles && data.candles.length > 0) {
-          AI_TRADING.analysis.allTimeframes[tf] = {
-            candles: data.candles,
-            analysis: analyzeHistoricalData(data.candles),
-            timestamp: Date.now()
-          };
-        }
-      }
-    } catch (e) {
-      console.error(`Failed to fetch ${tf} data:`, e);
-    }
-  });
-  
-  await Promise.all(fetchPromises);
-  console.log('All timeframes fetched:', Object.keys(AI_TRADING.analysis.allTimeframes));
+
+// Stop the server loop; open positions are closed at their last prices
+async function stopAiTrading() {
+  try {
+    renderAiTradingStatus(await postAiTrading('stop'));
+  } catch (e) {
+    console.error('Failed to stop AI trading:', e);
+  }
 }
 
-// Check market news using AI
-async function checkMarketNews() {
+// Stop and start over with a fresh account funded from the Capital & Fees settings
+async function resetAiTrading() {
+  if (!confirm('Reset the paper trading account? Trade, order and ledger history will be cleared.')) return;
   try {
-    const response = await fetch('/api/ai/check-breaking-news', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ asset: 'silver' })
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      AI_TRADING.analysis.newsSentiment = data.sentiment || 'neutral';
-      
-      const sentimentEl = document.getElementById('aiNewsSentiment');
-      if (sentimentEl) {
-        const colors = {
-          bullish: 'text-green-600 dark:text-green-400',
-          bearish: 'text-red-600 dark:text-red-400',
-          neutral: 'text-gray-600 dark:text-gray-400'
-        };
-        sentimentEl.textContent = data.sentiment?.charAt(0).toUpperCase() + data.sentiment?.slice(1) || 'Neutral';
-        sentimentEl.className = `text-xs font-medium ${colors[data.sentiment] || colors.neutral}`;
-      }
-    }
+    renderAiTradingStatus(await postAiTrading('reset', { settings: { ...getTradeSettings(), ...getAiOrderSettings() } }));
   } catch (e) {
-    // Fallback to neutral if news check fails
-    AI_TRADING.analysis.newsSentiment = 'neutral';
+    console.error('Failed to reset AI trading:', e);
   }
 }
 
-// Calculate market speed based on current volatility
-function updateMarketSpeed() {
-  const tf1m = AI_TRADING.analysis.allTimeframes['1m'];
-  if (!tf1m || !tf1m.analysis) {
-    AI_TRADING.analysis.marketSpeed = 'normal';
-    return;
+async function refreshAiTradingStatus() {
+  try {
+    const response = await fetch('/api/paper-trading/status');
+    if (response.ok) renderAiTradingStatus(await response.json());
+  } catch (e) {
+    // Server unreachable - keep showing the last snapshot
   }
+}
+
+function renderAiTradingStatus(status) {
+  AI_TRADING.status = status;
+  const running = status.status === 'running';
+  const books = activeAiTradeBooks(status);
   
-  const volatility = tf1m.analysis.volatility || 0.01;
-  
-  let speed;
-  if (volatility > 0.02) speed = 'very-fast';
-  else if (volatility > 0.01) speed = 'fast';
-  else if (volatility > 0.005) speed = 'normal';
-  else speed = 'slow';
+  document.getElementById('startAiTrading')?.classList.toggle('hidden', running);
+  document.getElementById('stopAiTrading')?.classList.toggle('hidden', !running);
+  const assetsInput = document.getElementById('aiTradeAssets');
+  if (assetsInput) {
+    assetsInput.disabled = running;
+    if (running || !assetsInput.value) assetsInput.value = status.config.assets.join(', ');
+  }
+  for (const [key, id] of Object.entries(AI_ORDER_SETTING_INPUTS)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.disabled = running;
+    if ((running || !AI_TRADING.orderSettingsLoaded) && status.config.settings[key] !== undefined) el.value = status.config.settings[key];
+  }
+  AI_TRADING.orderSettingsLoaded = true;
+  const statusEl = document.getElementById('aiTradeStatus');
+  if (statusEl) {
+    statusEl.textContent = running ? `Running · ${status.config.assets.map(a => a.toUpperCase()).join(', ')} ${status.config.timeframe}` : 'Stopped';
+    statusEl.className = running
+      ? 'px-2 py-0.5 text-xs font-medium bg-emerald-100 dark:bg-emerald-900 text-emerald-700 dark:text-emerald-300 rounded-full'
+      : 'px-2 py-0.5 text-xs font-medium bg-gray-200 dark:bg-gray-600 text-gray-600 dark:text-gray-300 rounded-full';
+    statusEl.title = status.lastError ? `Last error: ${status.lastError}` : '';
+  }
   
-  AI_TRADING.analysis.marketSpeed = speed;
+  const sentimentEl = document.getElementById('aiNewsSentiment');
+  if (sentimentEl) {
+    const colors = {
+      bullish: 'text-green-600 dark:text-green-400',
+      bearish: 'text-red-600 dark:text-red-400',
+      neutral: 'text-gray-600 dark:text-gray-400'
+    };
+    sentimentEl.className = 'text-xs font-medium';
+    sentimentEl.innerHTML = books.map(([asset, book]) => {
+      const sentiment = book.analysis?.newsSentiment || 'neutral';
+      const label = sentiment.charAt(0).toUpperCase() + sentiment.slice(1);
+      return `<span class="${colors[sentiment] || colors.neutral}" title="${escapeHtml(book.analysis?.newsReason || '')}">${books.length > 1 ? `${asset.toUpperCase()} ` : ''}${label}</span>`;
+    }).join(' · ') || 'Neutral';
+  }
   
   const speedEl = document.getElementById('aiMarketSpeed');
   if (speedEl) {
@@ -6990,180 +8072,46 @@ function updateMarketSpeed() {
       'normal': 'text-gray-600 dark:text-gray-400',
       'slow': 'text-blue-600 dark:text-blue-400'
     };
+    // The fastest market sets the cycle pace, so that is the one shown
+    const order = ['very-fast', 'fast', 'normal', 'slow'];
+    const speeds = books.map(([, book]) => book.analysis?.marketSpeed || 'normal');
+    const speed = speeds.sort((a, b) => order.indexOf(a) - order.indexOf(b))[0] || 'normal';
     speedEl.textContent = speed.replace('-', ' ').toUpperCase();
-    speedEl.className = `text-xs font-medium ${colors[speed]}`;
-  }
-}
-
-// Comprehensive analysis across all timeframes
-function analyzeAndDecide(currentTF) {
-  const weights = AI_TRADING.learning.weights;
-  let bullScore = 0;
-  let bearScore = 0;
-  let confidence = 0;
-  const reasons = [];
-  
-  // 1. Calculate separate local TF and higher TF trends, then blend 30/70
-  const htfOrder = ['1d', '4h', '1h', '15m', '5m', '1m'];
-  const currentIdx = htfOrder.indexOf(currentTF);
-  
-  let localTrend = 0;
-  let higherTFTrend = 0;
-  let higherTFCount = 0;
-  
-  for (let i = 0; i < htfOrder.length; i++) {
-    const tf = htfOrder[i];
-    const tfData = AI_TRADING.analysis.allTimeframes[tf];
-    if (!tfData?.analysis) continue;
-    
-    const trend = tfData.analysis.trend || 0;
-    const isHigher = i < currentIdx;
-    
-    if (tf === currentTF) {
-      localTrend = trend;
-    } else if (isHigher) {
-      // Weight higher timeframes more heavily (longer = more weight)
-      const htfWeight = 1 + (currentIdx - i) * 0.2;
-      higherTFTrend += trend * htfWeight;
-      higherTFCount += htfWeight;
-      if (Math.abs(trend) > 0.2) {
-        reasons.push(`${tf} ${trend > 0 ? 'uptrend' : 'downtrend'}`);
-      }
-    }
-  }
-  
-  // Normalize higher TF trend
-  if (higherTFCount > 0) {
-    higherTFTrend = higherTFTrend / higherTFCount;
-  }
-  
-  // Blend: 30% local + 70% higher TF (as per design spec)
-  const blendedTrend = (localTrend * 0.3) + (higherTFTrend * 0.7);
-  
-  // Apply blended trend to scores
-  if (blendedTrend > 0.1) {
-    bullScore += blendedTrend * weights.trend;
-    reasons.push(`Blended trend bullish (${(blendedTrend * 100).toFixed(0)}%)`);
-  } else if (blendedTrend < -0.1) {
-    bearScore += Math.abs(blendedTrend) * weights.trend;
-    reasons.push(`Blended trend bearish (${(blendedTrend * 100).toFixed(0)}%)`);
-  }
-  
-  // 2. Current timeframe indicators
-  const currentData = AI_TRADING.analysis.allTimeframes[currentTF];
-  if (currentData?.analysis) {
-    const { indicators, waveInfo } = currentData.analysis;
-    
-    // RSI
-    if (indicators?.rsi < 30) {
-      bullScore += 0.5 * weights.rsi;
-      reasons.push('RSI oversold');
-    } else if (indicators?.rsi > 70) {
-      bearScore += 0.5 * weights.rsi;
-      reasons.push('RSI overbought');
-    }
-    
-    // MACD
-    if (indicators?.macd > 0) {
-      bullScore += 0.3 * weights.macd;
-    } else {
-      bearScore += 0.3 * weights.macd;
-    }
-    
-    // Wave position (mean reversion)
-    if (waveInfo?.positionInCycle < 0.2) {
-      bullScore += 0.4 * weights.wavePosition;
-      reasons.push('Near support');
-    } else if (waveInfo?.positionInCycle > 0.8) {
-      bearScore += 0.4 * weights.wavePosition;
-      reasons.push('Near resistance');
-    }
-  }
-  
-  // 3. News sentiment
-  if (AI_TRADING.analysis.newsSentiment === 'bullish') {
-    bullScore += 0.5 * weights.news;
-    reasons.push('Bullish news');
-  } else if (AI_TRADING.analysis.newsSentiment === 'bearish') {
-    bearScore += 0.5 * weights.news;
-    reasons.push('Bearish news');
-  }
-  
-  // 4. Market speed adjustment (avoid trading in very fast markets unless confident)
-  const speed = AI_TRADING.analysis.marketSpeed;
-  const speedMultiplier = speed === 'very-fast' ? 0.7 : (speed === 'fast' ? 0.85 : 1);
-  
-  // Calculate final decision
-  const totalScore = bullScore + bearScore;
-  confidence = totalScore > 0 ? Math.abs(bullScore - bearScore) / totalScore * speedMultiplier : 0;
-  
-  let action = 'hold';
-  const settings = getTradeSettings();
-  
-  // Decision thresholds (require minimum confidence)
-  const minConfidence = 0.3;
-  
-  if (confidence > minConfidence) {
-    if (bullScore > bearScore * 1.2 && (settings.tradeType === 'both' || settings.tradeType === 'long')) {
-      action = 'buy';
-    } else if (bearScore > bullScore * 1.2 && (settings.tradeType === 'both' || settings.tradeType === 'short')) {
-      action = 'sell';
-    }
+    speedEl.className = `text-xs font-medium ${colors[speed] || colors.normal}`;
+    speedEl.title = books.map(([asset, book]) => `${asset.toUpperCase()}: ${book.analysis?.marketSpeed || 'normal'}`).join(', ');
   }
   
-  // Check if we should close existing position
-  if (AI_TRADING.state.position) {
-    const pos = AI_TRADING.state.position;
-    if (pos.type === 'long' && action === 'sell') action = 'close_and_sell';
-    else if (pos.type === 'short' && action === 'buy') action = 'close_and_buy';
-    else if (confidence < 0.15) action = 'close'; // Close on low confidence
-  }
-  
-  return { action, confidence, bullScore, bearScore, reasons };
-}
-
-// Execute trade decision
-async function executeTradeDecision(decision, symbol) {
-  const { action, confidence, reasons } = decision;
-  const settings = getTradeSettings();
-  const signalEl = document.getElementById('aiTradeSignal');
-  
-  // Get current price
-  const tf1m = AI_TRADING.analysis.allTimeframes['1m'];
-  if (!tf1m?.candles?.length) return;
-  
-  const currentPrice = tf1m.candles[tf1m.candles.length - 1].close;
-  
-  // Show signal indicator
-  if (action === 'buy' || action === 'close_and_buy') {
-    showTradeSignal('BUY', 'bg-green-500');
-  } else if (action === 'sell' || action === 'close_and_sell') {
-    showTradeSignal('SELL', 'bg-red-500');
-  } else if (action === 'close') {
-    showTradeSignal('CLOSE', 'bg-yellow-500');
-  } else {
-    signalEl?.classList.add('hidden');
+  const contractsEl = document.getElementById('aiTradeContracts');
+  if (contractsEl) {
+    contractsEl.textContent = books.length > 0
+      ? `Contracts: ${books.map(([asset, book]) => `${asset.toUpperCase()} ${book.instrument.contractMultiplier}/point, ${book.instrument.marginPercent}% margin (${book.instrument.currency})`).join(' · ')}`
+      : 'Contracts: --';
   }
   
-  // Handle close actions first
-  if (action.includes('close') && AI_TRADING.state.position) {
-    await closePosition(reasons.join(', '));
+  const lastCheckEl = document.getElementById('aiTradeLastCheck');
+  if (lastCheckEl) {
+    lastCheckEl.textContent = status.lastCycleAt
+      ? `Last analysis: ${new Date(status.lastCycleAt).toLocaleTimeString()}`
+      : 'Last analysis: --';
   }
   
-  // Open new position
-  if ((action === 'buy' || action === 'close_and_buy') && !AI_TRADING.state.position) {
-    openPosition('long', currentPrice, settings, confidence, reasons);
-  } else if ((action === 'sell' || action === 'close_and_sell') && !AI_TRADING.state.position) {
-    openPosition('short', currentPrice, settings, confidence, reasons);
+  // Flash signals the server produced since the last poll
+  const latestSignal = books
+    .map(([asset, book]) => book.signals?.length ? { ...book.signals[book.signals.length - 1], asset } : null)
+    .filter(Boolean)
+    .sort((a, b) => b.time - a.time)[0];
+  const signalKey = latestSignal ? `${latestSignal.asset}:${latestSignal.time}` : null;
+  if (signalKey && AI_TRADING.lastSignalTime !== null && signalKey !== AI_TRADING.lastSignalTime && running) {
+    const colors = { BUY: 'bg-green-500', SELL: 'bg-red-500', CLOSE: 'bg-yellow-500' };
+    showTradeSignal(`${latestSignal.action} ${latestSignal.asset.toUpperCase()}`, colors[latestSignal.action]);
   }
+  AI_TRADING.lastSignalTime = signalKey ?? AI_TRADING.lastSignalTime ?? 0;
   
-  // Check stop loss / take profit for existing position
-  if (AI_TRADING.state.position) {
-    checkStopLossTakeProfit(currentPrice, settings);
-  }
+  updateAiTradingUI();
+  updateTradeList();
 }
 
-// Show blinking trade signal and add marker to chart
+// Show blinking trade signal
 function showTradeSignal(text, colorClass) {
   const signalEl = document.getElementById('aiTradeSignal');
   if (!signalEl) return;
@@ -7181,244 +8129,345 @@ function showTradeSignal(text, colorClass) {
   setTimeout(() => {
     signalEl.classList.add('hidden');
   }, 3000);
-  
-  // Add marker to projection chart if available
-  addTradeMarkerToChart(text);
 }
 
-// Add trade marker to the projection chart
-function addTradeMarkerToChart(tradeType) {
-  if (!aiProjectionChart) return;
-  
-  // Get current time for marker
-  const tf1m = AI_TRADING.analysis.allTimeframes['1m'];
-  if (!tf1m?.candles?.length) return;
+// Update all UI elements
+function updateAiTradingUI() {
+  const status = AI_TRADING.status;
+  if (!status) return;
+  const account = status.account;
   
-  const lastCandle = tf1m.candles[tf1m.candles.length - 1];
-  const markerTime = lastCandle.time;
-  const price = lastCandle.close;
+  // Capital
+  const capitalEl = document.getElementById('aiTradeCapital');
+  capitalEl.textContent = `$${account.capital.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  capitalEl.title = `Equity incl. open positions: $${status.equity.toFixed(2)}, margin in use: $${status.usedMargin.toFixed(2)}`;
   
-  // Store markers in AI_TRADING for persistence
-  if (!AI_TRADING.chartMarkers) {
-    AI_TRADING.chartMarkers = [];
+  // P&L with color
+  const pnlEl = document.getElementById('aiTradePnL');
+  if (pnlEl) {
+    const pnlStr = `${account.pnl >= 0 ? '+' : ''}$${account.pnl.toFixed(2)}`;
+    pnlEl.textContent = pnlStr;
+    pnlEl.className = `text-sm font-bold ${account.pnl > 0 ? 'text-green-600' : account.pnl < 0 ? 'text-red-600' : 'text-gray-600'}`;
   }
   
-  const marker = {
-    time: markerTime,
-    position: tradeType === 'BUY' || tradeType === 'CLOSE' ? 'belowBar' : 'aboveBar',
-    color: tradeType === 'BUY' ? '#22c55e' : (tradeType === 'SELL' ? '#ef4444' : '#eab308'),
-    shape: tradeType === 'BUY' ? 'arrowUp' : (tradeType === 'SELL' ? 'arrowDown' : 'circle'),
-    text: tradeType,
-    size: 2
-  };
-  
-  AI_TRADING.chartMarkers.push(marker);
+  // Win rate
+  const totalTrades = account.wins + account.losses;
+  const winRate = totalTrades > 0 ? (account.wins / totalTrades * 100).toFixed(1) : '--';
+  document.getElementById('aiTradeWinRate').textContent = `${winRate}%`;
   
-  // Keep only last 50 markers
-  if (AI_TRADING.chartMarkers.length > 50) {
-    AI_TRADING.chartMarkers = AI_TRADING.chartMarkers.slice(-50);
-  }
+  // Trade count
+  document.getElementById('aiTradeCount').textContent = totalTrades.toString();
+  document.getElementById('aiTradeListCount').textContent = `${status.trades.length} trades`;
   
-  // Try to add markers to the chart series
-  try {
-    // Find the historical series (first series) and add markers
-    if (aiProjectionSeries && aiProjectionSeries.length > 0) {
-      const historicalSeries = aiProjectionSeries[0];
-      if (historicalSeries && typeof historicalSeries.setMarkers === 'function') {
-        historicalSeries.setMarkers(AI_TRADING.chartMarkers);
-      }
-    }
-  } catch (e) {
-    console.log('Could not add marker to chart:', e.message);
+  // Learning score - each asset learns on its own, the bar shows their average
+  const books = activeAiTradeBooks(status);
+  const score = books.length > 0 ? Math.round(books.reduce((sum, [, book]) => sum + book.learning.score, 0) / books.length) : 0;
+  const scoreEl = document.getElementById('aiLearningScore');
+  const barEl = document.getElementById('aiLearningBar');
+  if (scoreEl) {
+    scoreEl.textContent = score.toString();
+    scoreEl.title = books.map(([asset, book]) => `${asset.toUpperCase()}: ${book.learning.score}`).join(', ');
   }
+  if (barEl) barEl.style.width = `${Math.min(100, score)}%`;
   
-  console.log(`Chart marker added: ${tradeType} at ${price.toFixed(4)}`);
+  updatePositionDisplay();
+  updateAssetBreakdown();
+  updateWorkingOrders();
+  updateLearningAssetOptions();
 }
 
-// Open a new position
-function openPosition(type, price, settings, confidence, reasons) {
-  const fee = settings.useOrderFee ? settings.orderFee : 0;
-  const spread = settings.useSpread ? settings.spreadPips * AI_TRADING.contract.onePointMeans : 0;
-  
-  // Apply spread to entry
-  const entryPrice = type === 'long' ? price + spread : price - spread;
+function updateLearningAssetOptions() {
+  const select = document.getElementById('aiLearningAsset');
+  const books = AI_TRADING.status?.books || {};
+  if (!select) return;
   
-  // Calculate position size (respect contract minimums)
-  let size = Math.min(settings.positionSize, settings.maxPositionSize);
-  size = Math.max(size, AI_TRADING.contract.minSize);
-  
-  AI_TRADING.state.position = {
-    type,
-    size,
-    entryPrice,
-    entryTime: new Date(),
-    confidence,
-    reasons
-  };
+  const assets = Object.keys(books);
+  const current = select.value;
+  if ([...select.options].map(o => o.value).join() !== assets.join()) {
+    select.innerHTML = assets.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(a.toUpperCase())}</option>`).join('');
+    select.value = assets.includes(current) ? current : (AI_TRADING.status.config.assets[0] || assets[0] || '');
+  }
   
-  // Deduct fee
-  AI_TRADING.state.capital -= fee;
+  // Refetch when the selected asset's weights changed, otherwise now and then for new decisions
+  const book = books[select.value];
+  const stale = Date.now() - AI_TRADING.learningFetchedAt > AI_LEARNING_REFRESH_MS;
+  const changed = book && AI_TRADING.learning?.asset === select.value &&
+    book.learning.lastUpdateId !== (AI_TRADING.learning.history[AI_TRADING.learning.history.length - 1]?.id ?? null);
+  if (book && (stale || changed || AI_TRADING.learning?.asset !== select.value)) refreshLearningHistory();
+}
+
+async function refreshLearningHistory() {
+  const asset = document.getElementById('aiLearningAsset')?.value;
+  if (!asset) return;
+  AI_TRADING.learningFetchedAt = Date.now();
   
-  console.log(`Opened ${type} position at ${entryPrice}, size: ${size}, confidence: ${(confidence * 100).toFixed(1)}%`);
+  try {
+    const response = await fetch(`/api/paper-trading/learning/${encodeURIComponent(asset)}`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    AI_TRADING.learning = data;
+    renderLearningCharts(data);
+    renderWeightHistory(data);
+  } catch (e) {
+    console.error('Failed to load learning history:', e);
+  }
+}
+
+// Roll the selected asset's weights back to an earlier snapshot ('default' = starting weights)
+async function restoreLearningWeights(snapshotId) {
+  const asset = document.getElementById('aiLearningAsset')?.value;
+  if (!asset) return;
+  const label = snapshotId === 'default' ? 'the default weights' : 'the weights after this update';
+  if (!confirm(`Restore ${asset.toUpperCase()} learning to ${label}?`)) return;
   
-  // Record pattern for learning
-  AI_TRADING.learning.recentPatterns.push({
-    type,
-    entryPrice,
-    reasons: [...reasons],
-    timestamp: Date.now()
+  try {
+    const response = await fetch(`/api/paper-trading/learning/${encodeURIComponent(asset)}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ snapshotId })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    AI_TRADING.learning = data;
+    renderLearningCharts(data);
+    renderWeightHistory(data);
+    refreshAiTradingStatus();
+  } catch (e) {
+    alert(`Could not restore weights: ${e.message}`);
+  }
+}
+
+// Chart times must be strictly increasing - nudge events sharing a second apart
+function toChartTimes(times) {
+  let previous = -Infinity;
+  return times.map(t => {
+    previous = Math.max(Math.floor(t), previous + 1);
+    return previous;
   });
-  
-  updatePositionDisplay();
 }
 
-// Close position
-async function closePosition(reason) {
-  if (!AI_TRADING.state.position) return;
-  
-  const pos = AI_TRADING.state.position;
-  const settings = getTradeSettings();
-  
-  // Get current price
-  const tf1m = AI_TRADING.analysis.allTimeframes['1m'];
-  const currentPrice = tf1m?.candles?.[tf1m.candles.length - 1]?.close || pos.entryPrice;
-  
-  const fee = settings.useOrderFee ? settings.orderFee : 0;
-  const spread = settings.useSpread ? settings.spreadPips * AI_TRADING.contract.onePointMeans : 0;
-  
-  // Apply spread to exit
-  const exitPrice = pos.type === 'long' ? currentPrice - spread : currentPrice + spread;
-  
-  // Calculate P&L
-  const pointsGained = pos.type === 'long' 
-    ? (exitPrice - pos.entryPrice) / AI_TRADING.contract.onePointMeans
-    : (pos.entryPrice - exitPrice) / AI_TRADING.contract.onePointMeans;
-  
-  const pnl = pointsGained * AI_TRADING.contract.valuePerPoint * pos.size * AI_TRADING.contract.contractSizePerPoint - fee;
-  
-  // Update state
-  AI_TRADING.state.capital += pnl;
-  AI_TRADING.state.pnl += pnl;
-  
-  const isWin = pnl > 0;
-  if (isWin) AI_TRADING.state.wins++;
-  else AI_TRADING.state.losses++;
-  
-  // Record trade
-  const trade = {
-    type: pos.type,
-    entryPrice: pos.entryPrice,
-    exitPrice,
-    size: pos.size,
-    pnl,
-    isWin,
-    entryTime: pos.entryTime,
-    exitTime: new Date(),
-    reasons: pos.reasons,
-    closeReason: reason
-  };
-  
-  AI_TRADING.state.trades.unshift(trade);
-  if (AI_TRADING.state.trades.length > 100) {
-    AI_TRADING.state.trades = AI_TRADING.state.trades.slice(0, 100);
+function createLearningChart(container) {
+  const isDark = document.documentElement.classList.contains('dark');
+  // The AI tab may be hidden while it polls, so size from the container once it is shown
+  return createChart(container, {
+    autoSize: true,
+    layout: {
+      background: { type: ColorType.Solid, color: 'transparent' },
+      textColor: isDark ? '#9ca3af' : '#6b7280',
+      fontSize: 10,
+    },
+    grid: {
+      vertLines: { visible: false },
+      horzLines: { color: isDark ? '#374151' : '#e5e7eb' },
+    },
+    rightPriceScale: {
+      borderVisible: false,
+    },
+    timeScale: {
+      borderVisible: false,
+      timeVisible: true,
+    },
+    handleScroll: false,
+    handleScale: false,
+  });
+}
+
+function renderLearningCharts(data) {
+  const weightContainer = document.getElementById('aiWeightChart');
+  const factorContainer = document.getElementById('aiFactorChart');
+  if (!weightContainer || !factorContainer) return;
+  
+  AI_TRADING.weightChart?.remove();
+  AI_TRADING.factorChart?.remove();
+  AI_TRADING.weightChart = createLearningChart(weightContainer);
+  AI_TRADING.factorChart = createLearningChart(factorContainer);
+  
+  // Weights before the first update, then after each one
+  const history = data.history;
+  if (history.length > 0) {
+    const first = history[0];
+    const initial = { ...first.weights };
+    for (const change of first.changes) initial[change.weight] = change.from;
+    const times = toChartTimes([Date.parse(first.time) / 1000 - 1, ...history.map(h => Date.parse(h.time) / 1000)]);
+    const snapshots = [initial, ...history.map(h => h.weights)];
+    
+    for (const key of Object.keys(data.defaults)) {
+      const series = AI_TRADING.weightChart.addSeries(LineSeries, {
+        color: AI_WEIGHT_COLORS[key] || '#9ca3af',
+        lineWidth: 2,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        title: key,
+      });
+      series.setData(snapshots.map((w, i) => ({ time: times[i], value: w[key] ?? data.defaults[key] })));
+    }
+    AI_TRADING.weightChart.timeScale().fitContent();
   }
   
-  // Learning: adjust weights based on outcome
-  adjustLearningWeights(trade);
-  
-  AI_TRADING.state.position = null;
-  
-  console.log(`Closed ${pos.type} at ${exitPrice}, P&L: $${pnl.toFixed(2)}, Reason: ${reason}`);
-  
-  saveAiTradingState();
-  updateTradeList();
-  updatePositionDisplay();
+  const contributions = data.contributions;
+  if (contributions.length > 0) {
+    const times = toChartTimes(contributions.map(c => c.time));
+    for (const key of Object.keys(contributions[contributions.length - 1].factors)) {
+      const series = AI_TRADING.factorChart.addSeries(LineSeries, {
+        color: AI_WEIGHT_COLORS[key] || '#9ca3af',
+        lineWidth: 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        title: key,
+      });
+      series.setData(contributions.map((c, i) => ({ time: times[i], value: c.factors[key] ?? 0 })));
+    }
+    AI_TRADING.factorChart.timeScale().fitContent();
+  }
 }
 
-// Check stop loss and take profit
-function checkStopLossTakeProfit(currentPrice, settings) {
-  const pos = AI_TRADING.state.position;
-  if (!pos) return;
-  
-  const pointsFromEntry = pos.type === 'long'
-    ? (currentPrice - pos.entryPrice) / AI_TRADING.contract.onePointMeans
-    : (pos.entryPrice - currentPrice) / AI_TRADING.contract.onePointMeans;
+// Newest weight updates with the trade (or rollback) behind each, and a restore button per snapshot
+function renderWeightHistory(data) {
+  const listEl = document.getElementById('aiWeightHistory');
+  if (!listEl) return;
   
-  // Check stop loss
-  if (settings.stopLoss > 0 && pointsFromEntry < -settings.stopLoss) {
-    closePosition('Stop loss hit');
+  const entries = data.history.slice(-20).reverse();
+  if (entries.length === 0) {
+    listEl.innerHTML = '<div class="p-3 text-center text-gray-500 dark:text-gray-400 italic">No weight updates yet</div>';
     return;
   }
   
-  // Check take profit
-  if (settings.takeProfit > 0 && pointsFromEntry > settings.takeProfit) {
-    closePosition('Take profit hit');
-    return;
-  }
+  listEl.innerHTML = entries.map(h => {
+    const summary = h.type === 'rollback'
+      ? `<span class="text-amber-600 dark:text-amber-400">Rolled back to ${escapeHtml(h.restoredFrom === 'default' ? 'defaults' : h.restoredFrom)}</span>`
+      : `<span class="${h.trade.isWin ? 'text-green-600' : 'text-red-600'} font-medium">${h.trade.type.toUpperCase()} ${formatSignedUsd(h.trade.pnl)}</span>
+         <span class="text-gray-400">${escapeHtml(h.trade.closeReason || '')}</span>`;
+    const changes = h.changes.length > 0
+      ? h.changes.map(c => `<span title="${escapeHtml(c.reasons.join(', '))}">${c.weight} ${c.from.toFixed(2)}→${c.to.toFixed(2)}</span>`).join(', ')
+      : '<span class="italic">no weight changed</span>';
+    
+    return `
+      <div class="flex items-center justify-between px-3 py-1.5 border-b border-gray-200 dark:border-gray-700">
+        <div class="flex flex-col gap-0.5">
+          <div class="flex items-center gap-2">
+            <span class="text-gray-400">${new Date(h.time).toLocaleString()}</span>
+            ${summary}
+          </div>
+          <div class="text-gray-600 dark:text-gray-400">${changes}</div>
+        </div>
+        <button data-snapshot-id="${h.id}" class="px-2 py-0.5 text-xs bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 text-gray-700 dark:text-gray-200 rounded transition-colors" title="Restore the weights as they were after this update">Restore</button>
+      </div>
+    `;
+  }).join('');
 }
 
-// Adjust learning weights based on trade outcome
-function adjustLearningWeights(trade) {
-  const adjustAmount = 0.05;
-  const weights = AI_TRADING.learning.weights;
-  
-  // Find which reasons contributed to this trade
-  if (trade.reasons) {
-    trade.reasons.forEach(reason => {
-      const r = reason.toLowerCase();
-      
-      if (r.includes('trend') || r.includes('uptrend') || r.includes('downtrend')) {
-        weights.trend = Math.max(0.5, Math.min(2, weights.trend + (trade.isWin ? adjustAmount : -adjustAmount)));
-      }
-      if (r.includes('rsi')) {
-        weights.rsi = Math.max(0.5, Math.min(2, weights.rsi + (trade.isWin ? adjustAmount : -adjustAmount)));
-      }
-      if (r.includes('support') || r.includes('resistance')) {
-        weights.wavePosition = Math.max(0.5, Math.min(2, weights.wavePosition + (trade.isWin ? adjustAmount : -adjustAmount)));
-      }
-      if (r.includes('news')) {
-        weights.news = Math.max(0.5, Math.min(2, weights.news + (trade.isWin ? adjustAmount : -adjustAmount)));
-      }
-    });
-  }
+// Pending entries and the open positions' stop/target brackets, with modify/cancel controls
+function updateWorkingOrders() {
+  const container = document.getElementById('aiWorkingOrders');
+  const listEl = document.getElementById('aiWorkingOrdersList');
+  if (!container || !listEl) return;
   
-  // Update learning score
-  AI_TRADING.learning.score = Math.max(0, AI_TRADING.learning.score + (trade.isWin ? 5 : -3));
+  const orders = Object.values(AI_TRADING.status?.books || {}).flatMap(book => book.workingOrders || []);
+  container.classList.toggle('hidden', orders.length === 0);
+  document.getElementById('aiWorkingOrdersCount').textContent = `${orders.length} order${orders.length === 1 ? '' : 's'}`;
   
-  console.log('Learning weights updated:', weights);
+  const roleLabels = { entry: 'Entry', stopLoss: 'Stop', takeProfit: 'Target' };
+  listEl.innerHTML = orders.map(o => {
+    const sideColor = o.side === 'buy' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700';
+    const details = [
+      o.ocoGroup && o.role === 'entry' ? 'OCO' : null,
+      o.trailingStop > 0 ? `trail ${o.trailingStop} pts` : null,
+      o.breakEvenTrigger > 0 ? (o.breakEvenDone ? 'at break-even' : `B/E at +${o.breakEvenTrigger} pts`) : null,
+      o.expiresAt ? `expires ${new Date(o.expiresAt).toLocaleTimeString()}` : (o.role === 'entry' ? 'GTC' : null)
+    ].filter(Boolean).join(' · ');
+    
+    return `
+      <div class="flex items-center justify-between px-3 py-1.5 border-b border-gray-200 dark:border-gray-700">
+        <div class="flex items-center gap-2">
+          <span class="px-1.5 py-0.5 rounded font-medium ${sideColor}">${o.side.toUpperCase()} ${o.type.toUpperCase()}</span>
+          <span class="font-medium text-gray-700 dark:text-gray-300">${escapeHtml(o.asset.toUpperCase())}</span>
+          <span class="text-gray-500 dark:text-gray-400">${roleLabels[o.role] || o.role}${o.source === 'manual' ? ' (manual)' : ''}</span>
+          <span class="font-mono text-gray-700 dark:text-gray-300">@ ${o.price.toFixed(4)}</span>
+          <span class="text-gray-400">${escapeHtml(details)}</span>
+        </div>
+        <div class="flex items-center gap-1">
+          <button data-order-action="modify" data-order-id="${o.id}" class="px-2 py-0.5 text-xs bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 text-gray-700 dark:text-gray-200 rounded transition-colors">Modify</button>
+          <button data-order-action="cancel" data-order-id="${o.id}" class="px-2 py-0.5 text-xs bg-red-100 dark:bg-red-900/40 hover:bg-red-200 dark:hover:bg-red-900 text-red-700 dark:text-red-300 rounded transition-colors">Cancel</button>
+        </div>
+      </div>
+    `;
+  }).join('');
 }
 
-// Update all UI elements
-function updateAiTradingUI() {
-  const state = AI_TRADING.state;
-  
-  // Capital
-  document.getElementById('aiTradeCapital').textContent = `$${state.capital.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+async function requestWorkingOrder(method, id, body) {
+  const response = await fetch(`/api/paper-trading/orders/${encodeURIComponent(id)}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+async function modifyWorkingOrder(id) {
+  const order = Object.values(AI_TRADING.status?.books || {})
+    .flatMap(book => book.workingOrders || [])
+    .find(o => o.id === id);
+  if (!order) return;
   
-  // P&L with color
-  const pnlEl = document.getElementById('aiTradePnL');
-  if (pnlEl) {
-    const pnlStr = `${state.pnl >= 0 ? '+' : ''}$${state.pnl.toFixed(2)}`;
-    pnlEl.textContent = pnlStr;
-    pnlEl.className = `text-sm font-bold ${state.pnl > 0 ? 'text-green-600' : state.pnl < 0 ? 'text-red-600' : 'text-gray-600'}`;
+  const input = prompt(`New price for ${order.asset.toUpperCase()} ${order.side} ${order.type}:`, order.price.toFixed(4));
+  if (input === null) return;
+  try {
+    renderAiTradingStatus(await requestWorkingOrder('PATCH', id, { price: parseFloat(input) }));
+  } catch (e) {
+    alert(`Could not modify order: ${e.message}`);
   }
-  
-  // Win rate
-  const totalTrades = state.wins + state.losses;
-  const winRate = totalTrades > 0 ? (state.wins / totalTrades * 100).toFixed(1) : '--';
-  document.getElementById('aiTradeWinRate').textContent = `${winRate}%`;
-  
-  // Trade count
-  document.getElementById('aiTradeCount').textContent = totalTrades.toString();
-  document.getElementById('aiTradeListCount').textContent = `${state.trades.length} trades`;
-  
-  // Learning score
-  const scoreEl = document.getElementById('aiLearningScore');
-  const barEl = document.getElementById('aiLearningBar');
-  if (scoreEl) scoreEl.textContent = AI_TRADING.learning.score.toString();
-  if (barEl) barEl.style.width = `${Math.min(100, AI_TRADING.learning.score)}%`;
-  
-  updatePositionDisplay();
+}
+
+async function cancelWorkingOrder(id) {
+  try {
+    renderAiTradingStatus(await requestWorkingOrder('DELETE', id));
+  } catch (e) {
+    alert(`Could not cancel order: ${e.message}`);
+  }
+}
+
+// Per-asset P&L, position and learning under the combined account
+function updateAssetBreakdown() {
+  const el = document.getElementById('aiTradeAssetBreakdown');
+  if (!el) return;
+  
+  const status = AI_TRADING.status;
+  // Assets dropped from the loop stay listed while they have history
+  const rows = Object.entries(status?.books || {}).filter(([, book]) => book.active || book.wins + book.losses > 0);
+  el.classList.toggle('hidden', rows.length < 2);
+  if (rows.length < 2) return;
+  
+  const pnlClass = (v) => v > 0 ? 'text-green-600' : v < 0 ? 'text-red-600' : 'text-gray-500';
+  el.innerHTML = `
+    <table class="w-full">
+      <thead class="bg-gray-100 dark:bg-gray-700/50 text-gray-600 dark:text-gray-400">
+        <tr>
+          <th class="px-3 py-1.5 text-left font-medium">Asset</th>
+          <th class="px-3 py-1.5 text-left font-medium">Position</th>
+          <th class="px-3 py-1.5 text-right font-medium">Open P/L</th>
+          <th class="px-3 py-1.5 text-right font-medium">Realized P/L</th>
+          <th class="px-3 py-1.5 text-right font-medium">W / L</th>
+          <th class="px-3 py-1.5 text-right font-medium">Learning</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(([asset, book]) => `
+          <tr class="border-t border-gray-200 dark:border-gray-700 ${book.active ? '' : 'opacity-60'}" title="${escapeHtml(book.lastError || book.instrument.name)}">
+            <td class="px-3 py-1.5 font-medium text-gray-700 dark:text-gray-300">${escapeHtml(asset.toUpperCase())}${book.lastError ? ' <span class="text-amber-500">⚠</span>' : ''}</td>
+            <td class="px-3 py-1.5 ${book.position ? (book.position.type === 'long' ? 'text-green-600' : 'text-red-600') : 'text-gray-500'}">
+              ${book.position ? `${book.position.type.toUpperCase()} ${book.position.size} @ ${book.position.entryPrice.toFixed(4)}` : '—'}
+            </td>
+            <td class="px-3 py-1.5 text-right ${pnlClass(book.unrealizedPnl)}">${book.position ? formatSignedUsd(book.unrealizedPnl) : '—'}</td>
+            <td class="px-3 py-1.5 text-right font-bold ${pnlClass(book.pnl)}">${formatSignedUsd(book.pnl)}</td>
+            <td class="px-3 py-1.5 text-right text-gray-600 dark:text-gray-400">${book.wins} / ${book.losses}</td>
+            <td class="px-3 py-1.5 text-right text-purple-600 dark:text-purple-400">${book.learning.score}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
 }
 
 // Update position display
@@ -7426,13 +8475,18 @@ function updatePositionDisplay() {
   const posEl = document.getElementById('aiTradePosition');
   if (!posEl) return;
   
-  const pos = AI_TRADING.state.position;
-  if (pos) {
-    posEl.textContent = `${pos.type.toUpperCase()} ${pos.size}`;
-    posEl.className = `text-sm font-bold ${pos.type === 'long' ? 'text-green-600' : 'text-red-600'}`;
+  const open = Object.values(AI_TRADING.status?.books || {}).filter(book => book.position);
+  if (open.length > 0) {
+    const pos = open[0].position;
+    posEl.textContent = open.length === 1 ? `${pos.type.toUpperCase()} ${pos.size}` : `${open.length} OPEN`;
+    posEl.className = `text-sm font-bold ${open.length > 1 ? 'text-gray-800 dark:text-gray-200' : pos.type === 'long' ? 'text-green-600' : 'text-red-600'}`;
+    posEl.title = open
+      .map(book => `${book.position.asset.toUpperCase()} ${book.position.type} ${book.position.size} @ ${book.position.entryPrice.toFixed(4)}, open P/L ${formatSignedUsd(book.unrealizedPnl || 0)}`)
+      .join('\n');
   } else {
     posEl.textContent = 'None';
     posEl.className = 'text-sm font-bold text-gray-500';
+    posEl.title = '';
   }
 }
 
@@ -7441,22 +8495,26 @@ function updateTradeList() {
   const listEl = document.getElementById('aiTradeList');
   if (!listEl) return;
   
-  const trades = AI_TRADING.state.trades.slice(0, 20); // Show last 20
-  
+  const trades = (AI_TRADING.status?.trades || []).slice(0, 20); // Show last 20
   if (trades.length === 0) {
     listEl.innerHTML = '<div class="p-3 text-center text-gray-500 dark:text-gray-400 italic">No trades yet - click Start to begin AI trading</div>';
     return;
   }
   
-  listEl.innerHTML = trades.map(t => {
+  listEl.innerHTML = renderAiTradeRows(trades);
+}
+
+function renderAiTradeRows(trades) {
+  return trades.map(t => {
     const pnlColor = t.isWin ? 'text-green-600' : 'text-red-600';
     const typeColor = t.type === 'long' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700';
     const time = new Date(t.exitTime).toLocaleTimeString();
     
     return `
-      <div class="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700">
+      <div class="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700" title="${escapeHtml(t.closeReason || '')}">
         <div class="flex items-center gap-2">
           <span class="px-1.5 py-0.5 rounded text-xs font-medium ${typeColor}">${t.type.toUpperCase()}</span>
+          <span class="font-medium text-gray-700 dark:text-gray-300">${escapeHtml((t.asset || '').toUpperCase())}</span>
           <span class="text-gray-600 dark:text-gray-400">${t.entryPrice.toFixed(4)} → ${t.exitPrice.toFixed(4)}</span>
         </div>
         <div class="flex items-center gap-3">
@@ -7468,6 +8526,73 @@ function updateTradeList() {
   }).join('');
 }
 
+// Replay stored candles through the server's trading pipeline with the panel's assets/timeframe/settings
+async function runAiReplay() {
+  const resultsEl = document.getElementById('aiReplayResults');
+  const btn = document.getElementById('runAiReplay');
+  if (!resultsEl || !btn) return;
+  
+  const from = document.getElementById('aiReplayFrom')?.value;
+  const to = document.getElementById('aiReplayTo')?.value;
+  const body = {
+    assets: selectedAiTradeAssets(),
+    timeframe: document.querySelector('#aiResultsTimeframeBtns .ai-tf-btn.bg-purple-100')?.dataset?.tf || '5m',
+    settings: { ...getTradeSettings(), ...getAiOrderSettings() },
+    // The end date is inclusive
+    from: from || undefined,
+    to: to ? new Date(Date.parse(to) + 86400000).toISOString() : undefined
+  };
+  
+  btn.disabled = true;
+  btn.textContent = 'Replaying...';
+  try {
+    const response = await fetch('/api/paper-trading/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    displayAiReplayResults(data);
+  } catch (e) {
+    resultsEl.innerHTML = `<div class="p-3 text-center text-red-600 dark:text-red-400">${escapeHtml(e.message)}</div>`;
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Replay';
+  }
+}
+
+function displayAiReplayResults(result) {
+  const resultsEl = document.getElementById('aiReplayResults');
+  const { account, statistics, replay, trades } = result;
+  const total = account.wins + account.losses;
+  const gain = account.capital - account.startingCapital;
+  const pnlClass = gain > 0 ? 'text-green-600' : gain < 0 ? 'text-red-600' : 'text-gray-600';
+  const stat = (label, value, cls = 'text-gray-800 dark:text-gray-200') => `
+    <div class="bg-white/50 dark:bg-gray-800/50 rounded p-1.5 text-center">
+      <div class="text-gray-500 dark:text-gray-400">${label}</div>
+      <div class="font-bold ${cls}">${value}</div>
+    </div>`;
+  
+  resultsEl.innerHTML = `
+    <div class="px-3 py-1.5 text-gray-500 dark:text-gray-400">
+      ${replay.steps} ${replay.stepTimeframe} bars, ${new Date(replay.from).toLocaleString()} → ${new Date(replay.to).toLocaleString()}
+    </div>
+    <div class="grid grid-cols-7 gap-2 px-3 pb-2">
+      ${stat('Final Capital', `$${account.capital.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)}
+      ${stat('P/L', formatSignedUsd(gain), pnlClass)}
+      ${stat('Win Rate', total > 0 ? `${(account.wins / total * 100).toFixed(1)}%` : '--%')}
+      ${stat('Trades', total)}
+      ${stat('Max DD', `$${Math.abs(statistics.maxDrawdownMarked).toFixed(2)}`, 'text-red-600')}
+      ${stat('Profit Factor', statistics.profitFactor ?? '--')}
+      ${stat('Sharpe', statistics.sharpeRatio ?? '--')}
+    </div>
+    <div class="max-h-40 overflow-y-auto border-t border-gray-200 dark:border-gray-700">
+      ${trades.length > 0 ? renderAiTradeRows(trades) : '<div class="p-3 text-center text-gray-500 dark:text-gray-400 italic">No trades in this range</div>'}
+    </div>
+  `;
+}
+
 // ==================== BACKTEST SIMULATION ====================
 
 let BACKTEST_RUNNING = false;
@@ -7565,16 +8690,9 @@ async function runBacktestSimulation() {
   };
   const tfConfig = tfMap[timeframe] || { api: '1h', interval: 3600 };
   
-  // Contract specs per asset (point value)
-  const contractSpecs = {
-    silver: 100, xagusd: 100,  // $100 per point
-    gold: 100, xauusd: 100,
-    oil: 10, wti: 10, brent: 10,
-    sp500: 50, nasdaq: 20, dow: 10,
-    eurusd: 100000, gbpusd: 100000, usdjpy: 1000,
-    btcusd: 1, ethusd: 1
-  };
-  const pointValue = contractSpecs[symbol.toLowerCase()] || 100;
+  // Value of a 1.0 price move per contract, from the instrument registry
+  const instrument = await loadInstrumentSpec(symbol).catch(() => null);
+  const pointValue = instrument?.contractMultiplier || 100;
   
   let candles = [];
   try {
@@ -8112,31 +9230,12 @@ async function runCycleBacktest(candles, exitStrategy, settings, pointValue, par
   // Use provided params or defaults
   const exitParams = params || getDefaultParams();
   
-  // Calculate ATR for volatility-based exits
-  function calcATR(candleSlice) {
-    if (candleSlice.length < 2) return 0;
-    let trSum = 0;
-    for (let j = 1; j < candleSlice.length; j++) {
-      const high = candleSlice[j].high;
-      const low = candleSlice[j].low;
-      const prevClose = candleSlice[j-1].close;
-      const tr = Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
-      trSum += tr;
-    }
-    return trSum / (candleSlice.length - 1);
-  }
-  
-  // Calculate RSI
-  function calcRSI(candleSlice) {
-    let gains = 0, losses = 0;
-    for (let j = 1; j < candleSlice.length; j++) {
-      const diff = candleSlice[j].close - candleSlice[j-1].close;
-      if (diff > 0) gains += diff;
-      else losses -= diff;
-    }
-    const rs = losses > 0 ? gains / losses : 100;
-    return 100 - (100 / (1 + rs));
-  }
+  // RSI and ATR over the whole history from the shared indicator library (Wilder's smoothing, as on
+  // the chart); bars still in the warm-up read as a neutral RSI and no ATR
+  const rsiSeries = rsi(candles.map(c => c.close), lookback);
+  const atrSeries = atr(candles, lookback);
+  const rsiAt = (bar) => rsiSeries[bar] ?? 50;
+  const atrAt = (bar) => atrSeries[bar] ?? 0;
   
   // Find dynamic exit point based on strategy
   function findExitPoint(entryIdx, signal, entryPrice) {
@@ -8146,7 +9245,7 @@ async function runCycleBacktest(candles, exitStrategy, settings, pointValue, par
     let lowestPrice = entryPrice;
     
     // Calculate ATR with minimum floor to prevent immediate exits
-    let atr = calcATR(candles.slice(Math.max(0, entryIdx - lookback), entryIdx));
+    let atr = atrAt(entryIdx - 1);
     const minATR = entryPrice * 0.002; // Minimum 0.2% of price as ATR floor
     if (atr < minATR) atr = minATR;
     
@@ -8187,7 +9286,7 @@ async function runCycleBacktest(candles, exitStrategy, settings, pointValue, par
         }
         
         // RSI reversal exit
-        const currentRSI = calcRSI(candles.slice(Math.max(0, j - lookback), j + 1));
+        const currentRSI = rsiAt(j);
         if (signal === 'long' && currentRSI > 70) {
           exitIdx = j;
           exitReason = 'rsi_overbought';
@@ -8240,7 +9339,7 @@ async function runCycleBacktest(candles, exitStrategy, settings, pointValue, par
       // Exit Strategy: Signal Reversal - wait for opposite signal
       else if (exitStrategy === 'reversal') {
         const recentSlice = candles.slice(Math.max(0, j - lookback), j + 1);
-        const currentRSI = calcRSI(recentSlice);
+        const currentRSI = rsiAt(j);
         const sma = recentSlice.reduce((sum, c) => sum + c.close, 0) / recentSlice.length;
         
         // Check for signal reversal
@@ -8272,8 +9371,8 @@ async function runCycleBacktest(candles, exitStrategy, settings, pointValue, par
     const recentCandles = candles.slice(i - lookback, i);
     const sma = recentCandles.reduce((sum, c) => sum + c.close, 0) / lookback;
     const currentPrice = candles[i].close;
-    const rsi = calcRSI(recentCandles);
-    const atr = calcATR(recentCandles);
+    const rsi = rsiAt(i - 1);
+    const atr = atrAt(i - 1);
     
     // Calculate momentum
     const priceChange = (currentPrice - candles[i - lookback].close) / candles[i - lookback].close;
@@ -8632,29 +9731,6 @@ document.addEventListener('DOMContentLoaded', () => {
   setTimeout(initBacktest, 600);
 });
 
-// Save trading state to localStorage
-function saveAiTradingState() {
-  localStorage.setItem('aiTradingState', JSON.stringify({
-    state: AI_TRADING.state,
-    learning: AI_TRADING.learning
-  }));
-}
-
-// Load trading state from localStorage
-function loadAiTradingState() {
-  try {
-    const saved = localStorage.getItem('aiTradingState');
-    if (saved) {
-      const data = JSON.parse(saved);
-      if (data.state) AI_TRADING.state = data.state;
-      if (data.learning) AI_TRADING.learning = data.learning;
-      updateTradeList();
-    }
-  } catch (e) {
-    console.error('Failed to load AI trading state:', e);
-  }
-}
-
 // Initialize on load
 document.addEventListener('DOMContentLoaded', () => {
   setTimeout(initAiTrading, 500);
@@ -9317,6 +10393,9 @@ async function generateForecast() {
   try {
     const asset = document.getElementById('forecastAssetSelect')?.value || 'silver';
     
+    // generateMockForecast reads the point size synchronously from the cache
+    await loadInstrumentSpec(asset).catch(() => null);
+    
     const [brainRes, priceRes] = await Promise.all([
       fetch('/api/ai-memory/brain'),
       fetch(`/api/market-data/${asset}/1h`)
@@ -9628,8 +10707,8 @@ function generateMockForecast(asset, priceData, brainData) {
     const positionSize = backtestSettings.positionSize; // $/point (e.g., $1/point)
     const fees = backtestSettings.orderFee * 2; // Entry + exit fees
     const priceDiff = direction === 'bullish' ? exitPrice - entryPrice : entryPrice - exitPrice;
-    // Convert price difference to points (1 point = $0.01 for commodities like silver/gold)
-    const pointValue = 0.01; // Standard: 1 cent = 1 point
+    // Convert price difference to points using the instrument's point size
+    const pointValue = cachedInstrumentSpec(asset)?.pointSize || 0.01;
     const priceDiffInPoints = priceDiff / pointValue; // e.g., $2.99 / 0.01 = 299 points
     const grossPnL = priceDiffInPoints * positionSize; // 299 points * $1/point = $299
     const spreadCostPoints = backtestSettings.spreadCost / pointValue; // Convert spread to points
@@ -9794,7 +10873,8 @@ async function runForecastBacktest(dayIndex) {
     takeProfit: parseFloat(document.getElementById('takeProfitPercent')?.value) || 5,
     orderFee: parseFloat(document.getElementById('orderFee')?.value) || 7
   };
-  const pointValue = 0.01; // 1 point = $0.01 (1 cent)
+  const instrument = await loadInstrumentSpec(forecastData.asset || 'silver').catch(() => null);
+  const pointValue = instrument?.pointSize || 0.01; // price move that counts as one point
   
   const trades = [];
   let capital = settings.initialCapital;
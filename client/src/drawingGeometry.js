@@ -0,0 +1,27 @@
+// Geometry of the chart drawings, shared by the Bot Builder chart and the server's drawing levels
+// (server/drawings.js imports this file), so the ratios drawn on the chart and the variables a
+// backtest reads come from the same code. Points are { time, price } with unix-second times.
+
+// Fibonacci ratios: retracements of the start->end move measured back from the end, extensions
+// projected from the start
+export const FIB_RETRACEMENTS = [0.236, 0.382, 0.5, 0.618, 0.786];
+export const FIB_EXTENSIONS = [1.272, 1.618, 2.618];
+
+// Price of a trend line at a time - the line extends both ways past its two points
+export function trendLineValue(line, time) {
+  const slope = (line.end.price - line.start.price) / (line.end.time - line.start.time);
+  return line.start.price + (time - line.start.time) * slope;
+}
+
+export function fibLevels(d) {
+  const move = d.end.price - d.start.price;
+  return [
+    ...FIB_RETRACEMENTS.map(ratio => ({ kind: 'retracement', ratio, price: d.end.price - move * ratio })),
+    ...FIB_EXTENSIONS.map(ratio => ({ kind: 'extension', ratio, price: d.start.price + move * ratio }))
+  ];
+}
+
+// The channel's parallel line is the base line shifted to pass through its third point
+export function channelOffset(d) {
+  return d.through.price - trendLineValue(d, d.through.time);
+}
@@ -0,0 +1,159 @@
+// Client-side indicator library shared by the Bot Builder chart and the in-browser analysis. Every
+// function takes candles (or a value series) and returns a series aligned with its input, with null
+// for bars still inside the warm-up period.
+
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Seeded with the simple average of the first `period` values
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = value;
+  for (let i = period; i < values.length; i++) {
+    value = values[i] * k + value * (1 - k);
+    out[i] = value;
+  }
+  return out;
+}
+
+// Wilder's smoothing, as in ProRealTime's RSI and AverageTrueRange
+function wilder(values, period, start) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < start + period) return out;
+  let value = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+  out[start + period - 1] = value;
+  for (let i = start + period; i < values.length; i++) {
+    value = (value * (period - 1) + values[i]) / period;
+    out[i] = value;
+  }
+  return out;
+}
+
+export function rsi(closes, period = 14) {
+  const gains = closes.map((c, i) => (i > 0 ? Math.max(0, c - closes[i - 1]) : 0));
+  const losses = closes.map((c, i) => (i > 0 ? Math.max(0, closes[i - 1] - c) : 0));
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+  return closes.map((_, i) => {
+    if (avgGain[i] == null) return null;
+    return avgLoss[i] === 0 ? 100 : 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] == null || slowEma[i] == null ? null : fastEma[i] - slowEma[i]));
+  const first = line.findIndex(v => v != null);
+  const signal = new Array(closes.length).fill(null);
+  if (first >= 0) ema(line.slice(first), signalPeriod).forEach((v, i) => { signal[first + i] = v; });
+  const histogram = line.map((v, i) => (v == null || signal[i] == null ? null : v - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+export function trueRange(candles) {
+  return candles.map((c, i) => (i === 0
+    ? c.high - c.low
+    : Math.max(c.high - c.low, Math.abs(c.high - candles[i - 1].close), Math.abs(c.low - candles[i - 1].close))));
+}
+
+export function atr(candles, period = 14) {
+  return wilder(trueRange(candles), period, 0);
+}
+
+// On-balance volume; candles without volume leave it flat
+export function obv(candles) {
+  let value = 0;
+  return candles.map((c, i) => {
+    if (i > 0) {
+      const volume = c.volume || 0;
+      if (c.close > candles[i - 1].close) value += volume;
+      else if (c.close < candles[i - 1].close) value -= volume;
+    }
+    return value;
+  });
+}
+
+export function bollinger(closes, period = 20, deviations = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  middle.forEach((mean, i) => {
+    if (mean == null) return;
+    const window = closes.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(window.reduce((sum, v) => sum + (v - mean) ** 2, 0) / period);
+    upper[i] = mean + deviations * sd;
+    lower[i] = mean - deviations * sd;
+  });
+  return { middle, upper, lower };
+}
+
+export function heikinAshi(candles) {
+  const out = [];
+  candles.forEach((c, i) => {
+    const close = (c.open + c.high + c.low + c.close) / 4;
+    const open = i === 0 ? (c.open + c.close) / 2 : (out[i - 1].open + out[i - 1].close) / 2;
+    out.push({ ...c, open, close, high: Math.max(c.high, open, close), low: Math.min(c.low, open, close) });
+  });
+  return out;
+}
+
+// Last non-null value of a series
+export function lastValue(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] != null) return series[i];
+  }
+  return null;
+}
+
+// Indicators the chart picker offers: overlays draw on the price pane, the others get a pane of their own.
+// probuilder gives the matching ProBuilder expression for the bot-generation prompt.
+export const INDICATOR_TYPES = {
+  sma: { label: 'SMA', placement: 'overlay', params: { period: 20 }, probuilder: p => `Average[${p.period}](close)` },
+  ema: { label: 'EMA', placement: 'overlay', params: { period: 20 }, probuilder: p => `ExponentialAverage[${p.period}](close)` },
+  bollinger: {
+    label: 'Bollinger Bands',
+    placement: 'overlay',
+    params: { period: 20, deviations: 2 },
+    probuilder: p => `Average[${p.period}](close) +/- ${p.deviations} * STD[${p.period}](close)`
+  },
+  heikinAshi: {
+    label: 'Heikin-Ashi candles',
+    placement: 'overlay',
+    params: {},
+    probuilder: () => 'haClose = (open + high + low + close) / 4, haOpen = (haOpen[1] + haClose[1]) / 2'
+  },
+  rsi: { label: 'RSI', placement: 'pane', params: { period: 14 }, probuilder: p => `RSI[${p.period}](close)` },
+  macd: {
+    label: 'MACD',
+    placement: 'pane',
+    params: { fast: 12, slow: 26, signal: 9 },
+    probuilder: p => `MACDline[${p.fast}, ${p.slow}, ${p.signal}](close), MACDSignal[${p.fast}, ${p.slow}, ${p.signal}](close)`
+  },
+  atr: { label: 'ATR', placement: 'pane', params: { period: 14 }, probuilder: p => `AverageTrueRange[${p.period}](close)` },
+  obv: { label: 'OBV', placement: 'pane', params: {}, probuilder: () => 'OBV(close)' }
+};
+
+// Parameters of a configured indicator with the defaults filled in
+export function indicatorParams({ type, params = {} }) {
+  return { ...INDICATOR_TYPES[type]?.params, ...params };
+}
+
+// Short name of a configured indicator, e.g. "SMA(20)" or "MACD(12, 26, 9)"
+export function indicatorLabel({ type, params = {} }) {
+  const def = INDICATOR_TYPES[type];
+  const values = Object.values(indicatorParams({ type, params }));
+  const name = type === 'heikinAshi' ? 'Heikin-Ashi' : (def?.label || type);
+  return values.length > 0 ? `${name}(${values.join(', ')})` : name;
+}
@@ -0,0 +1,511 @@
+// Bar-by-bar backtester: runs ProBuilder code through the interpreter against OHLC candles
+// and applies the spread/fee model and the session filters. Kept free of Express state so worker
+// threads can import it.
+
+import { parseProBuilder, createStrategyRunner } from './probuilder.js';
+import { resolveInstrument } from './instruments.js';
+import { computeStatistics } from './statistics.js';
+import { createSessionFilter } from './sessionFilter.js';
+import { drawingLevels, levelSeries } from './drawings.js';
+
+// Which exit wins when a bar touches both the stop and the target
+export const INTRABAR_ORDERS = ['pessimistic', 'optimistic', 'lowerTimeframe'];
+
+// Usual spacing of the candles in seconds (the smallest gap among the first bars, so weekend and
+// overnight gaps don't count)
+function barLength(candles) {
+  let gap = Infinity;
+  for (let i = 1; i < Math.min(candles.length, 50); i++) {
+    const diff = candles[i].time - candles[i - 1].time;
+    if (diff > 0) gap = Math.min(gap, diff);
+  }
+  return Number.isFinite(gap) ? gap : 0;
+}
+
+// lowerTimeframeCandles (optional) are finer bars used to resolve stop-vs-target on the same bar
+// when settings.intrabarOrder is 'lowerTimeframe'; bars they don't cover fall back to pessimistic.
+export function runBacktest(code, candles, settings, lowerTimeframeCandles = []) {
+  const backtest = createBacktest(code, candles, settings, lowerTimeframeCandles);
+  for (let i = 0; i < candles.length; i++) backtest.step(i);
+  return backtest.finish();
+}
+
+// Steppable form of runBacktest so several strategies can be driven on one timeline (portfolio
+// backtests). sizeLimit({ type, price, instrument }) may cap the contracts of a new position
+// below maxPositionSize, e.g. to the margin a shared capital pool can still afford.
+export function createBacktest(code, candles, settings, lowerTimeframeCandles = [], { sizeLimit } = {}) {
+  const initialCapital = settings?.initialCapital || 2000;
+  const maxPositionSize = settings?.maxPositionSize || 1;
+  const useOrderFee = settings?.useOrderFee ?? true;
+  const orderFee = settings?.orderFee || 7;
+  const useSpread = settings?.useSpread ?? true;
+  const tradeType = settings?.tradeType || 'both';
+  const asset = settings?.asset || 'silver';
+  const intrabarOrder = INTRABAR_ORDERS.includes(settings?.intrabarOrder) ? settings.intrabarOrder : 'pessimistic';
+  const stopSlippagePoints = settings?.stopSlippage || 0;
+  const useTrailingStop = settings?.useTrailingStop === true;
+  const trailingPercent = settings?.trailingPercent || 0.46;
+  const stepPercent = settings?.stepPercent || 0.018;
+  
+  let capital = initialCapital;
+  // The open position: one lot per filled entry order (several when orders cumulate) under their
+  // average entry price and total size, which the strategy state and the risk exits work from
+  let position = null;
+  let trades = [];
+  let equity = [initialCapital];
+  let markedEquity = [];
+  let dailyGains = {};
+  let barsInPosition = 0;
+  // settings.statisticsFrom (unix time) asks for a second set of statistics covering only the run
+  // from that time on, e.g. the out-of-sample slice of a walk-forward window
+  const statisticsFrom = settings?.statisticsFrom != null && Number.isFinite(Number(settings.statisticsFrom))
+    ? Number(settings.statisticsFrom)
+    : null;
+  let barsInPositionFrom = 0;
+  let rejectedEntries = 0;
+  let sessionBlockedEntries = 0;
+  let lastIndex = -1;
+  let totalBars = candles.length;
+  
+  const instrument = resolveInstrument(asset);
+  const pointValue = instrument.pointSize;
+  const contractValue = instrument.contractMultiplier;
+  const spreadPips = settings?.spreadPips ?? instrument.typicalSpread;
+  const spreadCost = useSpread ? spreadPips * pointValue : 0;
+  const stopSlippage = stopSlippagePoints * pointValue;
+  const subBars = intrabarOrder === 'lowerTimeframe'
+    ? [...lowerTimeframeCandles].sort((a, b) => a.time - b.time)
+    : [];
+  const feePerTrade = useOrderFee ? orderFee : 0;
+  const barSeconds = barLength(candles);
+  const session = createSessionFilter(settings, instrument, barSeconds);
+  // Chart drawings reach the code as drawsupport, drawtrend1... variables (see drawings.js)
+  const chartLevels = settings?.drawings?.length ? drawingLevels(settings.drawings) : null;
+  
+  const canLong = tradeType === 'both' || tradeType === 'long';
+  const canShort = tradeType === 'both' || tradeType === 'short';
+  
+  // Parse errors surface as ProBuilderError with the offending line/column
+  const program = parseProBuilder(code);
+  const strategy = createStrategyRunner(program, candles, {
+    pointSize: pointValue,
+    pointValue: pointValue * contractValue,
+    series: chartLevels ? levelSeries(chartLevels, candles) : {}
+  });
+  // DEFPARAM CUMULATEORDERS in the code wins over the setting
+  const cumulateParam = program.defparams.cumulateorders;
+  const cumulateOrders = cumulateParam == null
+    ? settings?.cumulateOrders === true
+    : cumulateParam === 1 || String(cumulateParam).toLowerCase() === 'true';
+  
+  let pendingOrders = [];
+  let tradePrices = [];
+  let quit = false;
+  
+  // Convert a SET STOP / SET TARGET spec into a price distance from entry
+  function riskDistance(spec, pos) {
+    if (!spec) return null;
+    switch (spec.unit) {
+      case 'points': return spec.value * pointValue;
+      case 'money': return spec.value / (pos.quantity * contractValue);
+      case 'percent': return pos.entryPrice * spec.value / 100;
+      default: return spec.value;
+    }
+  }
+  
+  // Brokers reject stops closer than the instrument's minimum distance
+  function stopDistanceFor(pos) {
+    const distance = riskDistance(strategy.risk.stop, pos);
+    return distance == null ? null : Math.max(distance, instrument.minStopDistance * pointValue);
+  }
+  
+  function updateAverage() {
+    position.quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    position.entryPrice = position.lots.reduce((sum, lot) => sum + lot.entryPrice * lot.quantity, 0) / position.quantity;
+  }
+  
+  // Opens a position, or adds a lot to it when orders cumulate; the total stays within maxPositionSize
+  function openPosition(type, price, candle, quantity, barIndex) {
+    const wanted = Math.min(quantity ?? 1, maxPositionSize - (position?.quantity || 0));
+    const limit = sizeLimit ? sizeLimit({ type, price, instrument }) : Infinity;
+    const size = Math.min(wanted, limit);
+    if (!(size > 0)) {
+      if (wanted > 0 && limit < wanted) rejectedEntries++;
+      return;
+    }
+    capital -= feePerTrade;
+    const entryPrice = type === 'long' ? price + spreadCost : price - spreadCost;
+    if (!position) {
+      position = { type, lots: [], entryPrice, quantity: 0, bestPrice: entryPrice, trailingStop: null };
+    }
+    position.lots.push({ entryPrice, entryTime: candle.time, entryBar: barIndex, quantity: size, maxAdverse: 0, maxFavorable: 0 });
+    updateAverage();
+    tradePrices.push(entryPrice);
+  }
+  
+  function recordTrade(lot, size, exitPrice, candle, exitReason, fee) {
+    const priceDiff = position.type === 'long'
+      ? exitPrice - lot.entryPrice
+      : lot.entryPrice - exitPrice;
+    const pnl = priceDiff * size * contractValue;
+    const grossPnl = pnl - (spreadCost * size * contractValue);
+    const netPnl = grossPnl - fee;
+    
+    capital += netPnl;
+    
+    trades.push({
+      type: position.type,
+      entryPrice: lot.entryPrice,
+      exitPrice,
+      entryTime: lot.entryTime,
+      exitTime: candle.time,
+      quantity: size,
+      marginRequired: lot.entryPrice * size * contractValue * instrument.marginPercent / 100,
+      mae: lot.maxAdverse * size * contractValue,
+      mfe: lot.maxFavorable * size * contractValue,
+      pnl: netPnl,
+      exitReason
+    });
+    
+    const date = new Date(candle.time * 1000).toISOString().split('T')[0];
+    if (!dailyGains[date]) dailyGains[date] = 0;
+    dailyGains[date] += netPnl;
+  }
+  
+  // Closes quantity contracts (all by default), oldest lots first. Every lot closed is a trade of its
+  // own; the exit order's fee is shared between them by size.
+  function closePosition(exitPrice, candle, exitReason, quantity = null) {
+    const closing = Math.min(quantity ?? Infinity, position.quantity);
+    if (!(closing > 0)) return;
+    let remaining = closing;
+    while (remaining > 1e-9 && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const size = Math.min(lot.quantity, remaining);
+      recordTrade(lot, size, exitPrice, candle, exitReason, feePerTrade * size / closing);
+      remaining -= size;
+      if (lot.quantity - size > 1e-9) lot.quantity -= size;
+      else position.lots.shift();
+    }
+    
+    tradePrices.push(exitPrice);
+    if (position.lots.length > 0) updateAverage();
+    else position = null;
+  }
+  
+  // Price at which an order placed on the previous bar fills on this bar, or null if it doesn't
+  function fillPrice(order, candle) {
+    if (order.type === 'market') return candle.open;
+    const buying = order.action === 'BUY' || order.action === 'EXITSHORT';
+    if (order.type === 'stop') {
+      if (buying && candle.high >= order.price) return Math.max(order.price, candle.open);
+      if (!buying && candle.low <= order.price) return Math.min(order.price, candle.open);
+    } else if (order.type === 'limit') {
+      if (buying && candle.low <= order.price) return Math.min(order.price, candle.open);
+      if (!buying && candle.high >= order.price) return Math.max(order.price, candle.open);
+    }
+    return null;
+  }
+  
+  // First index in subBars with time >= t
+  function subBarIndex(t) {
+    let lo = 0;
+    let hi = subBars.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (subBars[mid].time < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+  
+  // Walk the finer bars inside candle i to see whether the stop or the target was reached first.
+  // Returns 'stop', 'target', or null when the lower timeframe can't tell.
+  function firstTouchFromLowerTimeframe(i, isLong, stopPrice, targetPrice) {
+    if (subBars.length === 0) return null;
+    const start = candles[i].time;
+    const end = i + 1 < candles.length ? candles[i + 1].time : Infinity;
+    for (let k = subBarIndex(start); k < subBars.length && subBars[k].time < end; k++) {
+      const bar = subBars[k];
+      const stopTouched = isLong ? bar.low <= stopPrice : bar.high >= stopPrice;
+      const targetTouched = isLong ? bar.high >= targetPrice : bar.low <= targetPrice;
+      if (stopTouched && targetTouched) return null;
+      if (stopTouched) return 'stop';
+      if (targetTouched) return 'target';
+    }
+    return null;
+  }
+  
+  // Intrabar SET STOP / SET TARGET fills from the bar's high/low. A bar that opens beyond a level
+  // fills at the open (gap-through); stop fills get slippage, target fills are limit orders and don't.
+  function checkRiskExits(candle, i) {
+    const isLong = position.type === 'long';
+    const dir = isLong ? 1 : -1;
+    const stopDistance = stopDistanceFor(position);
+    const targetDistance = riskDistance(strategy.risk.target, position);
+    
+    let stopPrice = stopDistance == null ? null
+      : (strategy.risk.stop.trailing ? position.bestPrice : position.entryPrice) - dir * stopDistance;
+    const targetPrice = targetDistance == null ? null : position.entryPrice + dir * targetDistance;
+    
+    // The settings trailing stop takes over once it is tighter than SET STOP
+    let stopReason = 'stop';
+    const trail = position.trailingStop;
+    if (trail != null && (stopPrice == null || (isLong ? trail > stopPrice : trail < stopPrice))) {
+      stopPrice = trail;
+      stopReason = 'trailingStop';
+    }
+    
+    if (stopPrice != null && (isLong ? candle.open <= stopPrice : candle.open >= stopPrice)) {
+      closePosition(candle.open - dir * stopSlippage, candle, stopReason);
+      return;
+    }
+    if (targetPrice != null && (isLong ? candle.open >= targetPrice : candle.open <= targetPrice)) {
+      closePosition(candle.open, candle, 'target');
+      return;
+    }
+    
+    const stopTouched = stopPrice != null && (isLong ? candle.low <= stopPrice : candle.high >= stopPrice);
+    const targetTouched = targetPrice != null && (isLong ? candle.high >= targetPrice : candle.low <= targetPrice);
+    
+    let exit = stopTouched ? 'stop' : targetTouched ? 'target' : null;
+    if (stopTouched && targetTouched) {
+      if (intrabarOrder === 'optimistic') exit = 'target';
+      else if (intrabarOrder === 'lowerTimeframe') exit = firstTouchFromLowerTimeframe(i, isLong, stopPrice, targetPrice) || 'stop';
+    }
+    
+    if (exit === 'stop') {
+      closePosition(stopPrice - dir * stopSlippage, candle, stopReason);
+    } else if (exit === 'target') {
+      closePosition(targetPrice, candle, 'target');
+    } else if (strategy.risk.stop?.trailing) {
+      // Trail from this bar's extreme only after checking it, since the bar's order of high/low is unknown
+      position.bestPrice = isLong ? Math.max(position.bestPrice, candle.high) : Math.min(position.bestPrice, candle.low);
+    }
+  }
+  
+  // An entry in the position's direction adds a lot when orders cumulate and is ignored otherwise.
+  // entryAllowed is false outside the session filters: reversals then only close the position.
+  // Exits with a quantity close that many contracts.
+  function enter(type, order, price, candle, barIndex, entryAllowed) {
+    if (position && (position.type !== type || !cumulateOrders)) return;
+    if (entryAllowed) openPosition(type, price, candle, order.quantity, barIndex);
+    else sessionBlockedEntries++;
+  }
+  
+  function executeOrder(order, price, candle, barIndex, entryAllowed) {
+    switch (order.action) {
+      case 'BUY':
+        if (position?.type === 'short') closePosition(price, candle, 'signal');
+        if (canLong) enter('long', order, price, candle, barIndex, entryAllowed);
+        break;
+      case 'SELLSHORT':
+        if (position?.type === 'long') closePosition(price, candle, 'signal');
+        if (canShort) enter('short', order, price, candle, barIndex, entryAllowed);
+        break;
+      case 'SELL':
+        if (position?.type === 'long') closePosition(price, candle, 'signal', order.quantity);
+        break;
+      case 'EXITSHORT':
+        if (position?.type === 'short') closePosition(price, candle, 'signal', order.quantity);
+        break;
+    }
+  }
+  
+  // Percent trailing stop from the settings, as in ProRealTime's trailing snippet: once a close is
+  // trailingPercent % past the average entry, the stop goes to entry + one step (stepPercent %), then
+  // moves one step on every close more than a step past it. Levels set at a close work from the
+  // next bar.
+  function updateTrailingStop(candle) {
+    const dir = position.type === 'long' ? 1 : -1;
+    const start = position.entryPrice * trailingPercent / 100;
+    const step = position.entryPrice * stepPercent / 100;
+    if (position.trailingStop == null) {
+      if (dir * (candle.close - position.entryPrice) >= start) position.trailingStop = position.entryPrice + dir * step;
+    } else if (dir * (candle.close - position.trailingStop) > step) {
+      position.trailingStop += dir * step;
+    }
+  }
+  
+  function unrealizedPnl() {
+    if (!position || lastIndex < 0) return 0;
+    const close = candles[lastIndex].close;
+    return (position.type === 'long' ? close - position.entryPrice : position.entryPrice - close) * position.quantity * contractValue;
+  }
+  
+  function step(i) {
+    const candle = candles[i];
+    lastIndex = i;
+    
+    // A bar that opens past the flat-before-end time (after a gap) closes the position at its open
+    if (position && session?.mustBeFlat(candle.time)) {
+      closePosition(candle.open, candle, 'sessionClose');
+    }
+    
+    // No entries outside the session, nor on a bar that has to end flat
+    const entryAllowed = !session || (session.canEnter(candle.time) && !session.mustBeFlat(candle.time + barSeconds));
+    
+    // Orders placed at the previous bar's close execute during this bar; exits go first
+    const ordered = [
+      ...pendingOrders.filter(o => o.action === 'SELL' || o.action === 'EXITSHORT'),
+      ...pendingOrders.filter(o => o.action === 'BUY' || o.action === 'SELLSHORT')
+    ];
+    for (const order of ordered) {
+      const price = fillPrice(order, candle);
+      if (price != null) executeOrder(order, price, candle, i, entryAllowed);
+    }
+    pendingOrders = [];
+    
+    if (position && quit) {
+      closePosition(candle.open, candle, 'quit');
+    }
+    
+    if (position) {
+      barsInPosition++;
+      if (statisticsFrom != null && candle.time >= statisticsFrom) barsInPositionFrom++;
+      
+      // Worst and best excursion from entry of each lot while it is open (MAE/MFE)
+      for (const lot of position.lots) {
+        lot.maxAdverse = Math.max(lot.maxAdverse,
+          position.type === 'long' ? lot.entryPrice - candle.low : candle.high - lot.entryPrice);
+        lot.maxFavorable = Math.max(lot.maxFavorable,
+          position.type === 'long' ? candle.high - lot.entryPrice : lot.entryPrice - candle.low);
+      }
+      
+      checkRiskExits(candle, i);
+      
+      // Flat before the session end: close at the close of the bar that reaches the cut-off
+      if (position && session?.mustBeFlat(candle.time + barSeconds)) {
+        closePosition(candle.close, candle, 'sessionClose');
+      }
+      if (position && useTrailingStop) updateTrailingStop(candle);
+    }
+    
+    if (!quit) {
+      const result = strategy.runBar(i, {
+        direction: position ? (position.type === 'long' ? 1 : -1) : 0,
+        quantity: position?.quantity || 0,
+        positionPrice: position?.entryPrice || 0,
+        positionPerf: position
+          ? (position.type === 'long' ? candle.close / position.entryPrice - 1 : position.entryPrice / candle.close - 1)
+          : 0,
+        tradePrices: tradePrices.slice(),
+        strategyProfit: capital - initialCapital
+      });
+      pendingOrders = result.orders;
+      quit = result.quit;
+    }
+    
+    equity.push(capital);
+    markedEquity.push(capital + unrealizedPnl());
+  }
+  
+  // Statistics of the bars from statisticsFrom on and the trades opened in them, starting from the
+  // marked equity just before
+  function statisticsSince(from) {
+    const start = candles.findIndex(c => c.time >= from);
+    if (start < 0) return null;
+    return computeStatistics({
+      equity: markedEquity.slice(start),
+      trades: trades.filter(t => t.entryTime >= from),
+      candles: candles.slice(start),
+      initialCapital: start > 0 ? markedEquity[start - 1] : initialCapital,
+      barsInPosition: barsInPositionFrom
+    });
+  }
+  
+  function finish() {
+    if (position) {
+      const lastCandle = candles[Math.max(lastIndex, 0)];
+      closePosition(lastCandle.close, lastCandle, 'end');
+      if (markedEquity.length > 0) markedEquity[markedEquity.length - 1] = capital;
+    }
+  
+    const winningTrades = trades.filter(t => t.pnl > 0);
+    const losingTrades = trades.filter(t => t.pnl < 0);
+    const neutralTrades = trades.filter(t => t.pnl === 0);
+  
+    const totalGain = capital - initialCapital;
+    const winRate = trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0;
+  
+    const gainsOnly = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
+    const lossesOnly = losingTrades.reduce((sum, t) => sum + t.pnl, 0);
+  
+    const avgWin = winningTrades.length > 0 ? gainsOnly / winningTrades.length : 0;
+    const avgLoss = losingTrades.length > 0 ? Math.abs(lossesOnly) / losingTrades.length : 1;
+    const gainLossRatio = avgLoss > 0 ? avgWin / avgLoss : avgWin;
+  
+    let maxDrawdown = 0;
+    let maxRunup = 0;
+    let peak = initialCapital;
+    let trough = initialCapital;
+  
+    for (const eq of equity) {
+      if (eq > peak) peak = eq;
+      if (eq < trough) trough = eq;
+    
+      const drawdown = peak - eq;
+      const runup = eq - trough;
+    
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+      if (runup > maxRunup) maxRunup = runup;
+    }
+  
+    const timeInMarket = totalBars > 0 ? (barsInPosition / totalBars) * 100 : 0;
+  
+    const tradeDays = Object.keys(dailyGains).length || 1;
+    const avgOrdersPerDay = trades.length / tradeDays;
+  
+    const avgGainPerTrade = trades.length > 0 ? totalGain / trades.length : 0;
+    const bestTrade = trades.length > 0 ? Math.max(...trades.map(t => t.pnl)) : 0;
+    const worstTrade = trades.length > 0 ? Math.min(...trades.map(t => t.pnl)) : 0;
+  
+    const dailyPerformance = Object.entries(dailyGains)
+      .map(([date, gain]) => ({ date, gain }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  
+    return {
+      totalGain,
+      winRate,
+      gainLossRatio,
+      totalTrades: trades.length,
+      winningTrades: winningTrades.length,
+      losingTrades: losingTrades.length,
+      neutralTrades: neutralTrades.length,
+      gainsOnly,
+      lossesOnly,
+      avgGainPerTrade,
+      bestTrade,
+      worstTrade,
+      maxDrawdown: -maxDrawdown,
+      maxRunup,
+      timeInMarket,
+      avgOrdersPerDay,
+      dailyPerformance,
+      instrument,
+      statistics: computeStatistics({ equity: markedEquity, trades, candles, initialCapital, barsInPosition }),
+      ...(statisticsFrom != null ? { periodStatistics: statisticsSince(statisticsFrom) } : {}),
+      rejectedEntries,
+      cumulateOrders,
+      drawingVariables: chartLevels?.variables || [],
+      sessionFilter: session ? {
+        timezone: session.timezone,
+        exchange: session.exchange,
+        blockedEntries: sessionBlockedEntries,
+        holidaysSkipped: session.holidaysSkipped()
+      } : null,
+      equity,
+      trades
+    };
+  }
+  
+  return {
+    step,
+    finish,
+    instrument,
+    get capital() { return capital; },
+    get inPosition() { return !!position; },
+    unrealizedPnl,
+    // Margin tied up by the open position
+    usedMargin: () => position ? position.entryPrice * position.quantity * contractValue * instrument.marginPercent / 100 : 0
+  };
+}
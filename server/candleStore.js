@@ -0,0 +1,147 @@
+// On-disk OHLCV store - one file per asset/timeframe under data/candles. Fetched bars are merged in by
+// timestamp (the newest fetch wins for a bar it also covers), so history builds up beyond the data
+// source's range limits and stays available offline. Bars are kept as compact
+// [time, open, high, low, close, volume] rows.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORE_DIR = path.join(__dirname, '..', 'data', 'candles');
+
+// Bar length per timeframe ('1M' varies and can't be resampled to)
+export const TIMEFRAME_SECONDS = {
+  '1m': 60,
+  '2m': 120,
+  '5m': 300,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400,
+  '1w': 604800
+};
+
+// Weekly bars start on Monday; the epoch was a Thursday
+const WEEK_ANCHOR = 4 * 86400;
+
+// '1M' (month) and '1m' (minute) would clash on case-insensitive file systems
+const fileTimeframe = (timeframe) => timeframe === '1M' ? '1mo' : timeframe;
+
+function assetDir(asset) {
+  if (!/^[a-z0-9_-]+$/i.test(asset)) throw new Error(`Invalid candle store asset: ${asset}`);
+  return path.join(STORE_DIR, asset.toLowerCase());
+}
+
+function storeFile(asset, timeframe) {
+  if (!/^[a-z0-9]+$/i.test(timeframe)) throw new Error(`Invalid candle store timeframe: ${timeframe}`);
+  return path.join(assetDir(asset), `${fileTimeframe(timeframe)}.json`);
+}
+
+const toRow = (c) => [c.time, c.open, c.high, c.low, c.close, c.volume || 0];
+const fromRow = ([time, open, high, low, close, volume]) => ({ time, open, high, low, close, volume });
+
+function readFile(asset, timeframe) {
+  const file = storeFile(asset, timeframe);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    console.warn(`Could not read stored candles ${asset}/${timeframe}:`, e.message);
+    return null;
+  }
+}
+
+// Stored candles, oldest first, with the metadata of the last sync; null when nothing is stored.
+// from/to (unix seconds) limit the returned range.
+export function readCandles(asset, timeframe, { from, to } = {}) {
+  const stored = readFile(asset, timeframe);
+  if (!stored || stored.rows.length === 0) return null;
+  const { rows, ...meta } = stored;
+  const candles = rows
+    .filter(([time]) => (from == null || time >= from) && (to == null || time <= to))
+    .map(fromRow);
+  return { ...meta, candles };
+}
+
+// Merge fetched candles into the store and return the stored count and range
+export function mergeCandles(asset, timeframe, candles, meta = {}) {
+  const stored = readFile(asset, timeframe);
+  const byTime = new Map((stored?.rows || []).map(row => [row[0], row]));
+  for (const c of candles) {
+    if (Number.isFinite(c.time) && [c.open, c.high, c.low, c.close].every(Number.isFinite)) {
+      byTime.set(c.time, toRow(c));
+    }
+  }
+  const rows = [...byTime.values()].sort((a, b) => a[0] - b[0]);
+
+  const file = storeFile(asset, timeframe);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const record = { ...stored, ...meta, asset, timeframe, updatedAt: new Date().toISOString(), rows };
+  fs.writeFileSync(file, JSON.stringify(record));
+  return { count: rows.length, from: rows[0]?.[0] ?? null, to: rows[rows.length - 1]?.[0] ?? null, added: rows.length - (stored?.rows.length || 0) };
+}
+
+// Newest stored bar time, or null
+export function lastStoredTime(asset, timeframe) {
+  const rows = readFile(asset, timeframe)?.rows;
+  return rows?.length ? rows[rows.length - 1][0] : null;
+}
+
+// Timeframes stored for an asset
+export function storedTimeframes(asset) {
+  const dir = assetDir(asset);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => {
+    const tf = f.replace(/\.json$/, '');
+    return tf === '1mo' ? '1M' : tf;
+  });
+}
+
+export function deleteCandles(asset) {
+  fs.rmSync(assetDir(asset), { recursive: true, force: true });
+}
+
+// Aggregate candles (oldest first) into bars of the given length on fixed UTC boundaries, so the same
+// bars come out whatever range goes in
+export function resampleCandles(candles, seconds) {
+  const anchor = seconds === TIMEFRAME_SECONDS['1w'] ? WEEK_ANCHOR : 0;
+  const result = [];
+  for (const c of candles) {
+    const time = c.time - ((c.time - anchor) % seconds + seconds) % seconds;
+    const bar = result[result.length - 1];
+    if (bar && bar.time === time) {
+      bar.high = Math.max(bar.high, c.high);
+      bar.low = Math.min(bar.low, c.low);
+      bar.close = c.close;
+      bar.volume += c.volume || 0;
+    } else {
+      result.push({ time, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume || 0 });
+    }
+  }
+  return result;
+}
+
+// Every stored series with its bar count and range
+export function listStoredCandles() {
+  if (!fs.existsSync(STORE_DIR)) return [];
+  const series = [];
+  for (const asset of fs.readdirSync(STORE_DIR)) {
+    if (!fs.statSync(path.join(STORE_DIR, asset)).isDirectory()) continue;
+    for (const tf of storedTimeframes(asset)) {
+      const stored = readFile(asset, tf);
+      if (!stored) continue;
+      series.push({
+        asset,
+        timeframe: stored.timeframe,
+        count: stored.rows.length,
+        from: stored.rows[0]?.[0] ?? null,
+        to: stored.rows[stored.rows.length - 1]?.[0] ?? null,
+        source: stored.source,
+        updatedAt: stored.updatedAt
+      });
+    }
+  }
+  return series;
+}
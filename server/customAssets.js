@@ -0,0 +1,441 @@
+// Custom assets - OHLCV history imported from CSV exports (ProRealTime, MetaTrader, TradingView and
+// the like). The delimiter, header/column mapping, date format and timezone are detected, and any of
+// them can be overridden. Validated bars go to the candle store under the asset's id. The asset list
+// is persisted to data/custom-assets.json.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { mergeCandles, readCandles, storedTimeframes, deleteCandles, resampleCandles, TIMEFRAME_SECONDS } from './candleStore.js';
+import { wallTimeConverter } from './timezones.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ASSETS_FILE = path.join(__dirname, '..', 'data', 'custom-assets.json');
+
+export const CUSTOM_ASSET_PREFIX = 'custom-';
+export const CSV_DATE_FORMATS = ['unix', 'unix-ms', 'iso', 'yyyymmdd', 'yyyy.mm.dd', 'dd/mm/yyyy', 'mm/dd/yyyy'];
+
+const DELIMITERS = [',', ';', '\t', '|'];
+// Rows sampled when detecting the layout
+const SAMPLE_ROWS = 200;
+const MAX_IMPORTS_KEPT = 20;
+// Invalid rows listed in the import report
+const MAX_REPORTED_ROWS = 10;
+
+// Header names per field, after lower-casing and dropping accents and non-alphanumerics. Longer
+// names also match as prefixes ("Close (EUR)", "<CLOSE>").
+const COLUMN_ALIASES = {
+  date: ['datetime', 'timestamp', 'date', 'day', 'datum', 'gmttime', 'localtime', 'opentime', 'time'],
+  time: ['time', 'hour', 'heure', 'zeit'],
+  open: ['open', 'o', 'ouverture', 'first'],
+  high: ['high', 'h', 'haut', 'plushaut', 'max'],
+  low: ['low', 'l', 'bas', 'plusbas', 'min'],
+  close: ['close', 'c', 'cloture', 'last', 'price', 'dernier'],
+  volume: ['volume', 'vol', 'v', 'tickvol', 'tickvolume', 'realvolume']
+};
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+
+function loadAssets() {
+  try {
+    if (fs.existsSync(ASSETS_FILE)) return JSON.parse(fs.readFileSync(ASSETS_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn('Could not read custom assets:', e.message);
+  }
+  return {};
+}
+
+let assets = loadAssets();
+
+function saveAssets() {
+  fs.mkdirSync(path.dirname(ASSETS_FILE), { recursive: true });
+  fs.writeFileSync(ASSETS_FILE, JSON.stringify(assets, null, 2));
+}
+
+const normalizeHeader = (h) => h.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function splitLine(line, delimiter) {
+  if (!line.includes('"')) return line.split(delimiter).map(v => v.trim());
+  const values = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === delimiter && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+// The delimiter that splits the sample lines into the same number (at least 5) of fields most often
+function detectDelimiter(lines) {
+  let best = null;
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => splitLine(line, delimiter).length);
+    const mode = counts.sort((a, b) => counts.filter(c => c === b).length - counts.filter(c => c === a).length)[0];
+    const consistent = counts.filter(c => c === mode).length;
+    if (mode >= 5 && (!best || consistent > best.consistent || (consistent === best.consistent && mode > best.fields))) {
+      best = { delimiter, fields: mode, consistent };
+    }
+  }
+  if (!best) throw new Error('Could not detect the CSV delimiter - expected at least date, open, high, low and close columns');
+  return best.delimiter;
+}
+
+const TIME_OF_DAY = /^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$|^\d{4}(\d{2})?$/;
+
+function isNumeric(value) {
+  return /^-?\d+([.,]\d+)?$/.test(value);
+}
+
+// Map fields to column indexes from header names, or by position when the file has no header
+function detectColumns(firstRow, sampleRow) {
+  const names = firstRow.map(normalizeHeader);
+  const hasHeader = firstRow.filter(v => v && !isNumeric(v) && !/\d{2,}/.test(v)).length >= 3;
+
+  if (hasHeader) {
+    const find = (aliases, exclude = []) => {
+      for (const alias of aliases) {
+        const index = names.findIndex((name, i) => !exclude.includes(i) &&
+          (name === alias || (alias.length > 2 && name.startsWith(alias) && !name.startsWith('adj'))));
+        if (index !== -1) return index;
+      }
+      return -1;
+    };
+    const columns = {};
+    columns.date = find(COLUMN_ALIASES.date);
+    const time = find(COLUMN_ALIASES.time, [columns.date]);
+    if (time !== -1 && TIME_OF_DAY.test(sampleRow[time] || '')) columns.time = time;
+    for (const field of [...PRICE_FIELDS, 'volume']) {
+      const index = find(COLUMN_ALIASES[field], Object.values(columns));
+      if (index !== -1) columns[field] = index;
+    }
+    return { hasHeader, columns };
+  }
+
+  // No header: date[, time], open, high, low, close[, volume]
+  const withTime = /^\d{1,2}:\d{2}(:\d{2})?$/.test(sampleRow[1] || '');
+  const offset = withTime ? 2 : 1;
+  const columns = { date: 0, ...(withTime && { time: 1 }) };
+  PRICE_FIELDS.forEach((field, i) => { columns[field] = offset + i; });
+  if (sampleRow.length > offset + 4) columns.volume = offset + 4;
+  return { hasHeader, columns };
+}
+
+// Columns given by the caller as indexes or header names
+function resolveColumns(requested, header) {
+  const names = (header || []).map(normalizeHeader);
+  const columns = {};
+  for (const [field, value] of Object.entries(requested)) {
+    if (!(field in COLUMN_ALIASES) || value == null || value === '') continue;
+    const index = Number.isInteger(Number(value)) ? Number(value) : names.indexOf(normalizeHeader(String(value)));
+    if (index < 0) throw new Error(`Column "${value}" for ${field} not found`);
+    columns[field] = index;
+  }
+  return columns;
+}
+
+// Pad HHMM / HHMMSS / H:MM times to HH:MM:SS
+function normalizeTime(time) {
+  if (!time) return '';
+  if (/^\d{4}(\d{2})?$/.test(time)) return `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6) || '00'}`;
+  const [h, m, sec = '00'] = time.split(':');
+  return `${h.padStart(2, '0')}:${m}:${sec.split('.')[0]}`;
+}
+
+// Each format returns [year, month, day, hour, minute, second, offsetMinutes | null] or a unix time
+// in seconds, or null when the value doesn't match
+const DATE_PARSERS = {
+  'unix': (v) => /^\d{9,10}(\.\d+)?$/.test(v) ? Math.floor(Number(v)) : null,
+  'unix-ms': (v) => /^\d{12,13}$/.test(v) ? Math.floor(Number(v) / 1000) : null,
+  'iso': (v) => {
+    const m = v.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!m) return null;
+    let offset = null;
+    if (m[7]) {
+      offset = m[7].toUpperCase() === 'Z' ? 0 : (m[7][0] === '-' ? -1 : 1) * (Number(m[7].slice(1, 3)) * 60 + Number(m[7].slice(-2)));
+    }
+    return [+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), offset];
+  },
+  'yyyymmdd': (v) => {
+    const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:[ T]?(\d{2}):?(\d{2})(?::?(\d{2}))?)?$/);
+    return m ? [+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), null] : null;
+  },
+  'yyyy.mm.dd': (v) => {
+    const m = v.match(/^(\d{4})[./](\d{1,2})[./](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    return m ? [+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), null] : null;
+  },
+  'dd/mm/yyyy': (v) => {
+    const m = v.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    return m ? [fullYear(m[3]), +m[2], +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), null] : null;
+  },
+  'mm/dd/yyyy': (v) => {
+    const m = v.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    return m ? [fullYear(m[3]), +m[1], +m[2], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), null] : null;
+  }
+};
+
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) - (Number(year) > 69 ? 100 : 0) : Number(year);
+}
+
+// The first format every sampled date matches. Day/month order is settled by a field above 12;
+// when none is, day first (the ProRealTime default) is assumed and flagged.
+function detectDateFormat(values) {
+  for (const format of CSV_DATE_FORMATS) {
+    if (!values.every(v => isValidParts(DATE_PARSERS[format](v)))) continue;
+    if (format === 'dd/mm/yyyy') {
+      const dayFirst = values.some(v => Number(v.split(/[./-]/)[0]) > 12);
+      const monthFirst = values.some(v => Number(v.split(/[./-]/)[1]) > 12);
+      if (monthFirst && !dayFirst) return { format: 'mm/dd/yyyy' };
+      return { format, ambiguous: !dayFirst };
+    }
+    return { format };
+  }
+  throw new Error(`Could not detect the date format of "${values[0]}" - set dateFormat to one of ${CSV_DATE_FORMATS.join(', ')}`);
+}
+
+function isValidParts(parts) {
+  if (parts == null) return false;
+  if (typeof parts === 'number') return true;
+  const [, month, day, hour, minute, second] = parts;
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 && hour < 24 && minute < 60 && second < 61;
+}
+
+// "Date (UTC+1)", "Time GMT-5" style hints in the header
+function timezoneFromHeader(header) {
+  for (const name of header || []) {
+    const m = name.match(/(?:UTC|GMT)\s*([+-]\d{1,2}(?::?\d{2})?)?/i);
+    if (m) return m[1] ? `UTC${m[1]}` : 'UTC';
+  }
+  return null;
+}
+
+function parseNumber(value, decimalComma) {
+  if (value == null || value === '') return NaN;
+  return Number(decimalComma ? value.replace(',', '.') : value);
+}
+
+function nearestTimeframe(seconds) {
+  const match = Object.entries(TIMEFRAME_SECONDS).find(([, s]) => Math.abs(seconds - s) / s <= 0.1);
+  return match ? match[0] : null;
+}
+
+// Most common bar spacing - overnight and weekend gaps don't shift it
+function commonGap(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+// Parse an OHLCV CSV into candles (unix seconds, oldest first, deduped by time - the last row wins).
+// options: delimiter, dateFormat, timezone (IANA name or offset; UTC unless the dates or the header
+// carry one), columns ({ date, time?, open, high, low, close, volume? } as indexes or header names),
+// timeframe. Throws when the layout can't be worked out or no row is valid.
+export function parseOhlcvCsv(text, options = {}) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) throw new Error('The CSV needs at least two rows');
+
+  const sample = lines.slice(0, SAMPLE_ROWS + 1);
+  const delimiter = options.delimiter ? (options.delimiter === 'tab' ? '\t' : options.delimiter) : detectDelimiter(sample);
+  const firstRow = splitLine(lines[0], delimiter);
+  const detected = detectColumns(firstRow, splitLine(lines[1], delimiter));
+  const header = detected.hasHeader ? firstRow : null;
+  const columns = options.columns ? { ...detected.columns, ...resolveColumns(options.columns, header) } : detected.columns;
+  const missing = ['date', ...PRICE_FIELDS].filter(field => !(columns[field] >= 0));
+  if (missing.length > 0) {
+    throw new Error(`Could not find the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''} - set columns explicitly`);
+  }
+
+  const rows = (detected.hasHeader ? lines.slice(1) : lines).map(line => splitLine(line, delimiter));
+  const dateValue = (row) => [row[columns.date], columns.time >= 0 ? normalizeTime(row[columns.time]) : '']
+    .filter(Boolean).join(' ');
+
+  const warnings = [];
+  let dateFormat = options.dateFormat;
+  if (dateFormat && !DATE_PARSERS[dateFormat]) {
+    throw new Error(`Unknown date format "${dateFormat}" - use ${CSV_DATE_FORMATS.join(', ')}`);
+  }
+  if (!dateFormat) {
+    const found = detectDateFormat(rows.slice(0, SAMPLE_ROWS).map(dateValue).filter(Boolean));
+    dateFormat = found.format;
+    if (found.ambiguous) warnings.push('Day and month order is ambiguous - assumed day first (dd/mm/yyyy)');
+  }
+
+  const timezone = options.timezone || timezoneFromHeader(header) || 'UTC';
+  const toUtc = wallTimeConverter(timezone);
+  const decimalComma = delimiter !== ',' && rows.slice(0, SAMPLE_ROWS).some(row => /^-?\d+,\d+$/.test(row[columns.close] || ''));
+
+  const byTime = new Map();
+  const invalid = [];
+  let embeddedOffsets = 0;
+  let localTimes = 0;
+  rows.forEach((row, i) => {
+    const line = i + (detected.hasHeader ? 2 : 1);
+    const parts = DATE_PARSERS[dateFormat](dateValue(row));
+    if (!isValidParts(parts)) {
+      invalid.push({ line, reason: `bad date "${dateValue(row)}"` });
+      return;
+    }
+    let time;
+    if (typeof parts === 'number') {
+      time = parts;
+    } else {
+      const [year, month, day, hour, minute, second, offset] = parts;
+      const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+      if (offset !== null) embeddedOffsets++;
+      else localTimes++;
+      time = Math.floor((offset !== null ? wallMs - offset * 60000 : toUtc(wallMs)) / 1000);
+    }
+
+    const [open, high, low, close] = PRICE_FIELDS.map(field => parseNumber(row[columns[field]], decimalComma));
+    const volume = columns.volume >= 0 ? parseNumber(row[columns.volume], decimalComma) : 0;
+    if (![open, high, low, close].every(Number.isFinite)) {
+      invalid.push({ line, reason: 'non-numeric price' });
+      return;
+    }
+    // Allow for rounding in the export
+    const tolerance = Math.abs(close) * 1e-6;
+    if (high < low || high < Math.max(open, close) - tolerance || low > Math.min(open, close) + tolerance) {
+      invalid.push({ line, reason: 'high/low outside open/close' });
+      return;
+    }
+    byTime.set(time, { time, open, high, low, close, volume: Number.isFinite(volume) ? volume : 0 });
+  });
+
+  const candles = [...byTime.values()].sort((a, b) => a.time - b.time);
+  if (candles.length === 0) {
+    throw new Error(`No valid rows${invalid.length > 0 ? ` - line ${invalid[0].line}: ${invalid[0].reason}` : ''}`);
+  }
+  const duplicates = rows.length - invalid.length - candles.length;
+  if (duplicates > 0) warnings.push(`${duplicates} duplicate timestamp${duplicates > 1 ? 's' : ''} - kept the last row`);
+  if (invalid.length > 0) warnings.push(`${invalid.length} invalid row${invalid.length > 1 ? 's' : ''} skipped`);
+
+  let timeframe = options.timeframe;
+  if (timeframe && !TIMEFRAME_SECONDS[timeframe]) {
+    throw new Error(`Unknown timeframe "${timeframe}" - use ${Object.keys(TIMEFRAME_SECONDS).join(', ')}`);
+  }
+  if (!timeframe) {
+    const gaps = candles.slice(1).map((c, i) => c.time - candles[i].time);
+    timeframe = gaps.length > 0 ? nearestTimeframe(commonGap(gaps)) : null;
+    if (!timeframe) throw new Error('Could not work out the bar timeframe - set timeframe explicitly');
+  }
+
+  return {
+    candles,
+    timeframe,
+    detected: {
+      delimiter: delimiter === '\t' ? 'tab' : delimiter,
+      hasHeader: detected.hasHeader,
+      header,
+      columns,
+      dateFormat,
+      timezone: localTimes === 0 && embeddedOffsets > 0 ? 'embedded offsets' : timezone,
+      decimalComma
+    },
+    rows: rows.length,
+    invalidRows: invalid.slice(0, MAX_REPORTED_ROWS),
+    warnings
+  };
+}
+
+function slugify(name) {
+  return name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function isCustomAsset(asset) {
+  return !!assets[asset];
+}
+
+export function getCustomAsset(id) {
+  return assets[id] ? { ...assets[id] } : null;
+}
+
+export function listCustomAssets() {
+  return Object.values(assets).map(a => ({ ...a, timeframes: storedTimeframes(a.id) }));
+}
+
+// Parse a CSV export and add its bars to the named custom asset (created on first import). With
+// preview set nothing is stored. Returns the asset and the import report.
+export function importCsvAsset({ name, csv, fileName, preview = false, ...options }) {
+  const label = String(name || (fileName ? path.basename(fileName, path.extname(fileName)) : '')).trim();
+  if (!label) throw new Error('A name for the asset is required');
+  const slug = slugify(label);
+  if (!slug) throw new Error('The asset name needs at least one letter or digit');
+  const id = `${CUSTOM_ASSET_PREFIX}${slug}`;
+
+  const parsed = parseOhlcvCsv(csv, options);
+  const report = {
+    fileName: fileName || null,
+    timeframe: parsed.timeframe,
+    rows: parsed.rows,
+    candles: parsed.candles.length,
+    from: parsed.candles[0].time,
+    to: parsed.candles[parsed.candles.length - 1].time,
+    detected: parsed.detected,
+    invalidRows: parsed.invalidRows,
+    warnings: parsed.warnings
+  };
+  if (preview) {
+    return { asset: assets[id] || { id, name: label }, preview: true, report, sample: parsed.candles.slice(0, 5) };
+  }
+
+  const stored = mergeCandles(id, parsed.timeframe, parsed.candles, { symbol: label, source: 'csv' });
+  const now = new Date().toISOString();
+  const existing = assets[id];
+  assets[id] = {
+    id,
+    name: existing?.name || label,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    imports: [{ ...report, added: stored.added, importedAt: now }, ...(existing?.imports || [])].slice(0, MAX_IMPORTS_KEPT)
+  };
+  saveAssets();
+  console.log(`Imported ${parsed.candles.length} ${parsed.timeframe} bars into ${id} (${stored.added} new)`);
+  return { asset: { ...assets[id], timeframes: storedTimeframes(id) }, report: { ...report, added: stored.added, stored } };
+}
+
+export function deleteCustomAsset(id) {
+  if (!assets[id]) return null;
+  const removed = assets[id];
+  delete assets[id];
+  saveAssets();
+  deleteCandles(id);
+  return removed;
+}
+
+// Candles of a custom asset at a timeframe - stored bars, or bars resampled from the coarsest stored
+// timeframe that divides it. Throws when the asset has no data that fits.
+export function loadCustomCandles(id, timeframe) {
+  const asset = assets[id];
+  if (!asset) return null;
+  const stored = readCandles(id, timeframe);
+  if (stored) return { candles: stored.candles, symbol: asset.name, source: 'csv', storedAt: stored.updatedAt };
+
+  const target = TIMEFRAME_SECONDS[timeframe];
+  const base = storedTimeframes(id)
+    .filter(tf => TIMEFRAME_SECONDS[tf] && target && TIMEFRAME_SECONDS[tf] < target && target % TIMEFRAME_SECONDS[tf] === 0)
+    .sort((a, b) => TIMEFRAME_SECONDS[b] - TIMEFRAME_SECONDS[a])[0];
+  if (!base) {
+    throw new Error(`${asset.name} has no data for ${timeframe} (imported: ${storedTimeframes(id).join(', ') || 'none'})`);
+  }
+  const source = readCandles(id, base);
+  return {
+    candles: resampleCandles(source.candles, target),
+    symbol: asset.name,
+    source: 'csv',
+    resampledFrom: base,
+    storedAt: source.updatedAt
+  };
+}
@@ -0,0 +1,266 @@
+// Chart drawings - the markers, lines and shapes drawn on the Bot Builder chart, saved per
+// asset/timeframe to data/drawings.json, and their export as structured levels: price levels
+// (horizontal lines, high/low markers, Fibonacci ratios, zone edges), trend lines (including channel
+// lines), zones, time windows (pairs of vertical lines) and text notes.
+//
+// The backtester and the AI trading engine read the levels directly. Strategy code sees them as
+// per-bar variables (see levelSeries): drawlevel1.., drawhigh1.., drawlow1.., drawfib1r618 /
+// drawfib1e1618 (retracement / extension ratio), drawzone1top / drawzone1bottom, drawtrend1.. and
+// drawchannel1upper / drawchannel1lower in drawing order, drawsupport / drawresistance for the nearest
+// level below / above the close (0 when there is none) and drawwindow (1 inside a time window, or
+// everywhere when no window is drawn).
+//
+// Drawings keep the chart's shapes: { type: 'high' | 'low', point: { time, price, high, low } },
+// { type: 'horizontal', price }, { type: 'vertical', time, price }, { type: 'line' | 'fib' |
+// 'rectangle', start, end }, { type: 'channel', start, end, through } (the parallel line passes
+// through `through`) and { type: 'text', point, text }, with points { time, price }. Times are unix
+// seconds.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { TIMEFRAME_SECONDS } from './candleStore.js';
+// Fibonacci and channel geometry is the chart's own, so drawn levels and variables agree
+import { trendLineValue, fibLevels, channelOffset } from '../client/src/drawingGeometry.js';
+
+export { FIB_RETRACEMENTS, FIB_EXTENSIONS, trendLineValue, fibLevels } from '../client/src/drawingGeometry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DRAWINGS_FILE = path.join(__dirname, '..', 'data', 'drawings.json');
+
+export const DRAWING_TYPES = ['high', 'low', 'horizontal', 'vertical', 'line', 'fib', 'channel', 'rectangle', 'text'];
+const MAX_DRAWINGS = 200;
+const MAX_NOTE_LENGTH = 200;
+
+function loadDrawings() {
+  try {
+    if (fs.existsSync(DRAWINGS_FILE)) return JSON.parse(fs.readFileSync(DRAWINGS_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn('Could not read chart drawings:', e.message);
+  }
+  return {};
+}
+
+let sets = loadDrawings();
+
+function saveSets() {
+  fs.mkdirSync(path.dirname(DRAWINGS_FILE), { recursive: true });
+  fs.writeFileSync(DRAWINGS_FILE, JSON.stringify(sets, null, 2));
+}
+
+function setKey(asset, timeframe) {
+  const id = String(asset || '').toLowerCase();
+  if (!/^[a-z0-9._-]+$/.test(id)) throw new Error('Asset may only contain letters, digits, ".", "_" and "-"');
+  if (!TIMEFRAME_SECONDS[timeframe]) throw new Error(`Unknown timeframe "${timeframe}"`);
+  return `${id}/${timeframe}`;
+}
+
+function finite(value, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`${label} must be a number`);
+  return n;
+}
+
+const anchor = (p, label) => ({ time: finite(p?.time, `${label} time`), price: finite(p?.price, `${label} price`) });
+
+function normalizeDrawing(d, i) {
+  const label = `Drawing ${i + 1}`;
+  if (!DRAWING_TYPES.includes(d?.type)) throw new Error(`${label}: type must be one of ${DRAWING_TYPES.join(', ')}`);
+  const id = typeof d.id === 'string' && d.id ? d.id.slice(0, 64) : null;
+  switch (d.type) {
+    case 'high':
+    case 'low': {
+      const point = anchor(d.point, label);
+      // The marked bar's extreme is the level; older clients may only send the close
+      const extreme = d.point[d.type] ?? point.price;
+      return { id, type: d.type, point: { ...point, [d.type]: finite(extreme, `${label} ${d.type}`) } };
+    }
+    case 'horizontal':
+      return { id, type: d.type, price: finite(d.price, `${label} price`) };
+    case 'vertical':
+      return { id, type: d.type, time: finite(d.time, `${label} time`), price: finite(d.price ?? 0, `${label} price`) };
+    case 'line':
+    case 'rectangle':
+    case 'channel': {
+      const start = anchor(d.start, `${label} start`);
+      const end = anchor(d.end, `${label} end`);
+      if (start.time === end.time) throw new Error(`${label}: a ${d.type} needs two points at different times`);
+      const ordered = start.time < end.time ? { start, end } : { start: end, end: start };
+      if (d.type !== 'channel') return { id, type: d.type, ...ordered };
+      return { id, type: d.type, ...ordered, through: anchor(d.through, `${label} third point`) };
+    }
+    // A Fibonacci keeps its direction: the ratios are measured from the end back to the start
+    case 'fib': {
+      const start = anchor(d.start, `${label} start`);
+      const end = anchor(d.end, `${label} end`);
+      if (start.price === end.price) throw new Error(`${label}: a Fibonacci needs two different prices`);
+      return { id, type: d.type, start, end };
+    }
+    case 'text': {
+      const text = String(d.text ?? '').trim();
+      if (!text) throw new Error(`${label}: a note needs text`);
+      return { id, type: d.type, point: anchor(d.point, label), text: text.slice(0, MAX_NOTE_LENGTH) };
+    }
+  }
+}
+
+export function normalizeDrawings(drawings) {
+  if (!Array.isArray(drawings)) throw new Error('drawings must be an array');
+  if (drawings.length > MAX_DRAWINGS) throw new Error(`At most ${MAX_DRAWINGS} drawings per chart`);
+  const normalized = drawings.map(normalizeDrawing);
+  // New drawings (and copies) get the next free id
+  const used = new Set();
+  let next = 1;
+  for (const d of normalized) {
+    if (d.id && !used.has(d.id)) {
+      used.add(d.id);
+      continue;
+    }
+    while (used.has(`d${next}`) || normalized.some(other => other.id === `d${next}`)) next++;
+    d.id = `d${next}`;
+    used.add(d.id);
+  }
+  return normalized;
+}
+
+export function getDrawings(asset, timeframe) {
+  return sets[setKey(asset, timeframe)] || [];
+}
+
+// Replaces the drawings of a chart; an empty list removes it
+export function saveDrawings(asset, timeframe, drawings) {
+  const key = setKey(asset, timeframe);
+  const normalized = normalizeDrawings(drawings);
+  if (normalized.length > 0) sets[key] = normalized;
+  else delete sets[key];
+  saveSets();
+  return normalized;
+}
+
+function trendLine(id, name, start, end, extra = {}) {
+  const slope = (end.price - start.price) / (end.time - start.time);
+  return { id, name, ...extra, start, end, slopePerHour: slope * 3600 };
+}
+
+// Structured export: levels with the role they were drawn with, trend lines, zones, notes and the
+// time windows between consecutive vertical lines (a last unpaired line opens a window with no end)
+export function drawingLevels(drawings) {
+  const normalized = normalizeDrawings(drawings || []);
+  const counters = {};
+  const nextName = (prefix) => `${prefix}${(counters[prefix] = (counters[prefix] || 0) + 1)}`;
+
+  const levels = [];
+  const trendLines = [];
+  const zones = [];
+  const notes = [];
+  const verticals = [];
+  for (const d of normalized) {
+    if (d.type === 'horizontal') {
+      levels.push({ id: d.id, name: nextName('drawlevel'), source: 'horizontal', role: 'level', price: d.price });
+    } else if (d.type === 'high' || d.type === 'low') {
+      levels.push({
+        id: d.id,
+        name: nextName(`draw${d.type}`),
+        source: d.type,
+        role: d.type === 'high' ? 'resistance' : 'support',
+        price: d.point[d.type],
+        time: d.point.time
+      });
+    } else if (d.type === 'line') {
+      trendLines.push(trendLine(d.id, nextName('drawtrend'), d.start, d.end));
+    } else if (d.type === 'fib') {
+      const name = nextName('drawfib');
+      for (const level of fibLevels(d)) {
+        const ratio = Math.round(level.ratio * 1000);
+        levels.push({ id: d.id, name: `${name}${level.kind === 'retracement' ? 'r' : 'e'}${ratio}`, source: 'fib', role: 'level', ...level });
+      }
+    } else if (d.type === 'channel') {
+      const name = nextName('drawchannel');
+      const offset = channelOffset(d);
+      const parallel = [{ ...d.start, price: d.start.price + offset }, { ...d.end, price: d.end.price + offset }];
+      const [upper, lower] = offset >= 0 ? [parallel, [d.start, d.end]] : [[d.start, d.end], parallel];
+      trendLines.push(trendLine(d.id, `${name}upper`, upper[0], upper[1], { channel: 'upper' }));
+      trendLines.push(trendLine(d.id, `${name}lower`, lower[0], lower[1], { channel: 'lower' }));
+    } else if (d.type === 'rectangle') {
+      const name = nextName('drawzone');
+      const top = Math.max(d.start.price, d.end.price);
+      const bottom = Math.min(d.start.price, d.end.price);
+      zones.push({ id: d.id, name, top, bottom, start: d.start.time, end: d.end.time });
+      levels.push({ id: d.id, name: `${name}top`, source: 'rectangle', role: 'resistance', price: top });
+      levels.push({ id: d.id, name: `${name}bottom`, source: 'rectangle', role: 'support', price: bottom });
+    } else if (d.type === 'text') {
+      notes.push({ id: d.id, time: d.point.time, price: d.point.price, text: d.text });
+    } else {
+      verticals.push(d.time);
+    }
+  }
+
+  verticals.sort((a, b) => a - b);
+  const timeWindows = [];
+  for (let i = 0; i < verticals.length; i += 2) {
+    timeWindows.push({ start: verticals[i], end: verticals[i + 1] ?? null });
+  }
+
+  return {
+    levels,
+    trendLines,
+    zones,
+    timeWindows,
+    notes,
+    variables: [...levels.map(l => l.name), ...trendLines.map(t => t.name), 'drawsupport', 'drawresistance', 'drawwindow']
+  };
+}
+
+const inWindow = (windows, time) => windows.length === 0 || windows.some(w => time >= w.start && (w.end == null || time <= w.end));
+
+// Every level and trend line price at a time, nearest support below and resistance above `price`
+function nearestLevels(exported, price, time) {
+  const prices = [
+    ...exported.levels.map(l => ({ name: l.name, price: l.price })),
+    ...exported.trendLines.map(t => ({ name: t.name, price: trendLineValue(t, time) }))
+  ];
+  let support = null;
+  let resistance = null;
+  for (const p of prices) {
+    if (p.price <= price && (!support || p.price > support.price)) support = p;
+    if (p.price >= price && (!resistance || p.price < resistance.price)) resistance = p;
+  }
+  return { support, resistance };
+}
+
+// Per-bar values of the drawing variables for the strategy runner, keyed by variable name
+export function levelSeries(exported, candles) {
+  const series = {};
+  for (const level of exported.levels) series[level.name] = candles.map(() => level.price);
+  for (const line of exported.trendLines) series[line.name] = candles.map(c => trendLineValue(line, c.time));
+  series.drawsupport = [];
+  series.drawresistance = [];
+  series.drawwindow = [];
+  candles.forEach((c, i) => {
+    const { support, resistance } = nearestLevels(exported, c.close, c.time);
+    series.drawsupport[i] = support?.price ?? 0;
+    series.drawresistance[i] = resistance?.price ?? 0;
+    series.drawwindow[i] = inWindow(exported.timeWindows, c.time) ? 1 : 0;
+  });
+  return series;
+}
+
+// The drawings as seen from one price: nearest support / resistance with their distance in percent,
+// trend lines the price crossed since previousPrice, and whether the time is inside a window
+export function levelContext(exported, { price, previousPrice = null, time }) {
+  const { support, resistance } = nearestLevels(exported, price, time);
+  const distance = (level) => level && { ...level, distancePercent: Math.abs(price - level.price) / price * 100 };
+  const breakouts = previousPrice == null ? [] : exported.trendLines.flatMap(line => {
+    const value = trendLineValue(line, time);
+    if (previousPrice <= value && price > value) return [{ name: line.name, direction: 'up', price: value }];
+    if (previousPrice >= value && price < value) return [{ name: line.name, direction: 'down', price: value }];
+    return [];
+  });
+  return {
+    support: distance(support),
+    resistance: distance(resistance),
+    breakouts,
+    inWindow: inWindow(exported.timeWindows, time),
+    hasWindows: exported.timeWindows.length > 0
+  };
+}
@@ -0,0 +1,178 @@
+// Exchange holiday calendars for the backtester's session filters. Holidays are worked out from
+// rules per year (fixed dates with weekend substitution, nth weekday of a month, Easter), so no
+// yearly table needs maintaining. Lunar-calendar holidays (Chinese New Year, Mid-Autumn, Buddha's
+// Birthday...) can't be derived this way and are left out - pass them as extra dates instead.
+// Dates are 'YYYY-MM-DD' in the exchange's own timezone.
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+const weekday = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+function shiftDays(year, month, day, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()];
+}
+
+// Easter Sunday (anonymous Gregorian algorithm) as [month, day]
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return [Math.floor((h + l - 7 * m + 114) / 31), ((h + l - 7 * m + 114) % 31) + 1];
+}
+
+function easterOffset(year, days) {
+  const [month, day] = easter(year);
+  return ymd(...shiftDays(year, month, day, days));
+}
+
+// nth (1-based, -1 = last) given weekday (0 = Sunday) of a month
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(year, month, 1);
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(year, month, lastDay);
+  return ymd(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// US rule: Saturday holidays move to Friday, Sunday ones to Monday
+function usObserved(year, month, day) {
+  const dow = weekday(year, month, day);
+  if (dow === 6) return ymd(...shiftDays(year, month, day, -1));
+  if (dow === 0) return ymd(...shiftDays(year, month, day, 1));
+  return ymd(year, month, day);
+}
+
+// Holidays on a Sunday (and on a Saturday where saturday is set) move to the next weekday that isn't
+// already a holiday - the UK bank holiday and Japanese / Hong Kong substitute holiday rules
+function withSubstitutes(year, dates, { saturday = false } = {}) {
+  const taken = new Set(dates.map(([month, day]) => ymd(year, month, day)));
+  return dates.map(([month, day]) => {
+    const dow = weekday(year, month, day);
+    if (dow !== 0 && !(saturday && dow === 6)) return ymd(year, month, day);
+    let [y, m, d] = shiftDays(year, month, day, 1);
+    while (weekday(y, m, d) === 0 || weekday(y, m, d) === 6 || taken.has(ymd(y, m, d))) [y, m, d] = shiftDays(y, m, d, 1);
+    taken.add(ymd(y, m, d));
+    return ymd(y, m, d);
+  });
+}
+
+function usHolidays(year) {
+  const days = [
+    nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 2, 1, 3), // Presidents' Day
+    easterOffset(year, -2), // Good Friday
+    nthWeekday(year, 5, 1, -1), // Memorial Day
+    usObserved(year, 7, 4),
+    nthWeekday(year, 9, 1, 1), // Labor Day
+    nthWeekday(year, 11, 4, 4), // Thanksgiving
+    usObserved(year, 12, 25)
+  ];
+  // New Year's Day on a Saturday isn't moved back into the old year
+  if (weekday(year, 1, 1) !== 6) days.push(usObserved(year, 1, 1));
+  if (year >= 2022) days.push(usObserved(year, 6, 19)); // Juneteenth
+  return days;
+}
+
+function ukHolidays(year) {
+  return [
+    ...withSubstitutes(year, [[1, 1], [12, 25], [12, 26]], { saturday: true }),
+    easterOffset(year, -2),
+    easterOffset(year, 1),
+    nthWeekday(year, 5, 1, 1), // Early May bank holiday
+    nthWeekday(year, 5, 1, -1), // Spring bank holiday
+    nthWeekday(year, 8, 1, -1) // Summer bank holiday
+  ];
+}
+
+function germanHolidays(year) {
+  return [ymd(year, 1, 1), easterOffset(year, -2), easterOffset(year, 1), ymd(year, 5, 1), ymd(year, 12, 24), ymd(year, 12, 25), ymd(year, 12, 26), ymd(year, 12, 31)];
+}
+
+function euronextHolidays(year) {
+  return [ymd(year, 1, 1), easterOffset(year, -2), easterOffset(year, 1), ymd(year, 5, 1), ymd(year, 12, 25), ymd(year, 12, 26)];
+}
+
+function japanHolidays(year) {
+  // Equinox days from the usual approximation (valid 1980-2099)
+  const vernal = Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+  const autumnal = Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+  return [
+    ymd(year, 1, 2), ymd(year, 1, 3), ymd(year, 12, 31), // Exchange year-end closure
+    nthWeekday(year, 1, 1, 2), // Coming of Age Day
+    nthWeekday(year, 7, 1, 3), // Marine Day
+    nthWeekday(year, 9, 1, 3), // Respect for the Aged Day
+    nthWeekday(year, 10, 1, 2), // Sports Day
+    ...withSubstitutes(year, [[1, 1], [2, 11], [2, 23], [3, vernal], [4, 29], [5, 3], [5, 4], [5, 5], [8, 11], [9, autumnal], [11, 3], [11, 23]])
+  ];
+}
+
+function hongKongHolidays(year) {
+  return [
+    ...withSubstitutes(year, [[1, 1], [5, 1], [7, 1], [10, 1], [12, 25], [12, 26]]),
+    easterOffset(year, -2),
+    easterOffset(year, -1),
+    easterOffset(year, 1)
+  ];
+}
+
+function chinaHolidays(year) {
+  return [ymd(year, 1, 1), ymd(year, 5, 1), ymd(year, 5, 2), ymd(year, 5, 3), ...[1, 2, 3, 4, 5, 6, 7].map(day => ymd(year, 10, day))];
+}
+
+// Spot FX and metals only really close for Christmas and New Year
+const fxHolidays = (year) => [ymd(year, 1, 1), ymd(year, 12, 25)];
+
+const CALENDARS = {
+  NYSE: { name: 'New York Stock Exchange', timezone: 'America/New_York', holidays: usHolidays },
+  NASDAQ: { name: 'NASDAQ', timezone: 'America/New_York', holidays: usHolidays },
+  CME: { name: 'CME Group (CME, CBOT, NYMEX, COMEX)', timezone: 'America/Chicago', holidays: usHolidays },
+  CBOE: { name: 'Cboe', timezone: 'America/Chicago', holidays: usHolidays },
+  ICE_US: { name: 'ICE Futures US', timezone: 'America/New_York', holidays: usHolidays },
+  ICE_EU: { name: 'ICE Futures Europe', timezone: 'Europe/London', holidays: ukHolidays },
+  LSE: { name: 'London Stock Exchange', timezone: 'Europe/London', holidays: ukHolidays },
+  XETRA: { name: 'Xetra', timezone: 'Europe/Berlin', holidays: germanHolidays },
+  EUREX: { name: 'Eurex', timezone: 'Europe/Berlin', holidays: germanHolidays },
+  EURONEXT: { name: 'Euronext Paris', timezone: 'Europe/Paris', holidays: euronextHolidays },
+  JPX: { name: 'Japan Exchange Group', timezone: 'Asia/Tokyo', holidays: japanHolidays },
+  HKEX: { name: 'Hong Kong Exchanges (lunar holidays not included)', timezone: 'Asia/Hong_Kong', holidays: hongKongHolidays },
+  SSE: { name: 'Shanghai Stock Exchange (lunar holidays not included)', timezone: 'Asia/Shanghai', holidays: chinaHolidays },
+  FX: { name: 'Spot FX / OTC', timezone: 'America/New_York', holidays: fxHolidays },
+  CRYPTO: { name: 'Crypto (trades every day)', timezone: 'UTC', holidays: () => [] }
+};
+
+export const EXCHANGES = Object.keys(CALENDARS);
+
+const cache = new Map();
+
+// Holiday dates of an exchange in a year; unknown exchanges have none
+export function exchangeHolidays(exchange, year) {
+  const calendar = CALENDARS[exchange];
+  if (!calendar) return [];
+  const key = `${exchange}:${year}`;
+  if (!cache.has(key)) cache.set(key, [...new Set(calendar.holidays(year))].sort());
+  return cache.get(key);
+}
+
+export function exchangeTimezone(exchange) {
+  return CALENDARS[exchange]?.timezone || 'UTC';
+}
+
+export function isExchangeHoliday(exchange, date) {
+  return exchangeHolidays(exchange, Number(date.slice(0, 4))).includes(date);
+}
+
+export function listExchanges() {
+  return EXCHANGES.map(id => ({ id, name: CALENDARS[id].name, timezone: CALENDARS[id].timezone }));
+}
@@ -11,6 +11,38 @@ import OpenAI from 'openai';
 import pLimit from 'p-limit';
 import pRetry from 'p-retry';
 import * as cheerio from 'cheerio';
+import { ProBuilderError } from './probuilder.js';
+import { runBacktest } from './backtest.js';
+import {
+  startOptimizationJob,
+  getOptimizationJob,
+  listOptimizationJobs,
+  cancelOptimizationJob,
+  subscribeOptimizationJob
+} from './optimizer.js';
+import { lintProBuilder, formatDiagnostics } from './probuilderLint.js';
+import { getInstrument, listInstruments, upsertInstrument, resetInstrument } from './instruments.js';
+import { listExchanges, exchangeHolidays } from './holidays.js';
+import { runMonteCarlo } from './monteCarlo.js';
+import { runPortfolioBacktest } from './portfolio.js';
+import {
+  initPaperTrading,
+  getPaperTradingStatus,
+  startPaperTrading,
+  stopPaperTrading,
+  resetPaperTrading,
+  placePaperOrder,
+  cancelPaperOrder,
+  modifyPaperOrder,
+  getLearningHistory,
+  rollbackLearningWeights,
+  replayPaperTrading
+} from './paperTrading.js';
+import { initObserver, getObserverStatus, startObserver, stopObserver } from './observer.js';
+import { readCandles, mergeCandles, lastStoredTime, listStoredCandles, resampleCandles, TIMEFRAME_SECONDS } from './candleStore.js';
+import { importCsvAsset, listCustomAssets, getCustomAsset, deleteCustomAsset, isCustomAsset, loadCustomCandles } from './customAssets.js';
+import { registerProvider, fetchFromProviders, isProviderAsset, listProviders, setProviderPriority } from './marketDataProviders.js';
+import { getDrawings, saveDrawings, drawingLevels } from './drawings.js';
 
 const require = createRequire(import.meta.url);
 const pdf = require('pdf-parse');
@@ -1444,7 +1476,7 @@ Return ONLY valid JSON, no markdown or explanation.`;
 
 // Bot generation endpoint with screenshot support
 app.post('/api/generate-bot', async (req, res) => {
-  const { description, syntaxRules, settings, screenshotBase64, asset, strategy, botName } = req.body;
+  const { description, syntaxRules, settings, screenshotBase64, asset, strategy, botName, autoFix, maxFixIterations } = req.body;
   
   if (!description) {
     return res.status(400).json({ error: 'Bot description is required' });
@@ -1523,6 +1555,19 @@ ${description}`;
       code = await callAI(systemPrompt, userPrompt, 'claude-sonnet-4-5');
     }
     
+    let lintLog = [];
+    let lint = null;
+    if (autoFix) {
+      const iterations = Math.min(Math.max(parseInt(maxFixIterations) || 3, 1), 5);
+      let externals = [];
+      try {
+        externals = settings?.drawings?.length ? drawingLevels(settings.drawings).variables : [];
+      } catch (e) {
+        console.warn('Ignoring invalid chart drawings:', e.message);
+      }
+      ({ code, lint, lintLog } = await lintAndFixBotCode(code, syntaxRules, iterations, externals));
+    }
+    
     const savedEntry = saveBotEntry({
       asset: asset || 'unknown',
       strategy: strategy || 'custom',
@@ -1530,10 +1575,11 @@ ${description}`;
       description,
       settings: settings || {},
       code,
-      screenshotPath
+      screenshotPath,
+      ...(autoFix ? { lint, lintLog } : {})
     });
     
-    res.json({ code, entryId: savedEntry.id });
+    res.json({ code, entryId: savedEntry.id, ...(autoFix ? { lint, lintLog } : {}) });
   } catch (error) {
     console.error('Bot generation error:', error);
     res.status(500).json({ error: 'Failed to generate bot code' });
@@ -1570,14 +1616,8 @@ EXECUTION ENVIRONMENT:
 - Timeframes: intraday typical
 `;
 
-// Bot fix endpoint
-app.post('/api/fix-bot', async (req, res) => {
-  const { code, error, syntaxRules } = req.body;
-  
-  if (!code || !error) {
-    return res.status(400).json({ error: 'Code and error message are required' });
-  }
-  
+// Fix code through the AI using an error message (pasted from ProRealTime or produced by the linter)
+async function fixBotCode(code, error, syntaxRules) {
   const relevantDocs = getRelevantPrtDocs(code + ' ' + error, {});
   const docsPrompt = buildPrtDocsPrompt(relevantDocs);
   
@@ -1607,8 +1647,58 @@ ${error}
 
 Generate the fixed, ready-to-use ProBuilder code following ProRealCode forum conventions:`;
 
+  return callAI(systemPrompt, userPrompt, 'claude-sonnet-4-5');
+}
+
+// Generate-lint-fix loop: feed linter diagnostics back through fixBotCode until no errors are left
+// or out of iterations. Warnings alone don't spend an AI call. A pass that doesn't lower the error
+// count is logged but discarded, and ends the loop - the code with the fewest errors is returned.
+// externals are the chart drawing variables, which the code may use without assigning.
+// Each log entry records which diagnostics that pass removed and which remain.
+async function lintAndFixBotCode(code, syntaxRules, maxIterations, externals = []) {
+  const diagnosticKey = d => `${d.rule}|${d.message}`;
+  const lintLog = [];
+  let lint = lintProBuilder(code, { externals });
+  
+  for (let iteration = 1; iteration <= maxIterations && lint.errorCount > 0; iteration++) {
+    const before = lint;
+    let fixedCode;
+    try {
+      fixedCode = await fixBotCode(code, formatDiagnostics(before.diagnostics), syntaxRules);
+    } catch (e) {
+      console.warn(`Lint fix iteration ${iteration} failed:`, e.message);
+      lintLog.push({ iteration, error: e.message, diagnostics: before.diagnostics, fixed: [], remaining: before.diagnostics });
+      break;
+    }
+    const after = lintProBuilder(fixedCode, { externals });
+    
+    const remainingKeys = new Set(after.diagnostics.map(diagnosticKey));
+    const improved = after.errorCount < before.errorCount;
+    lintLog.push({
+      iteration,
+      diagnostics: before.diagnostics,
+      fixed: before.diagnostics.filter(d => !remainingKeys.has(diagnosticKey(d))),
+      remaining: after.diagnostics,
+      ...(improved ? {} : { discarded: true })
+    });
+    if (!improved) break;
+    code = fixedCode;
+    lint = after;
+  }
+  
+  return { code, lint, lintLog };
+}
+
+// Bot fix endpoint
+app.post('/api/fix-bot', async (req, res) => {
+  const { code, error, syntaxRules } = req.body;
+  
+  if (!code || !error) {
+    return res.status(400).json({ error: 'Code and error message are required' });
+  }
+  
   try {
-    const fixedCode = await callAI(systemPrompt, userPrompt, 'claude-sonnet-4-5');
+    const fixedCode = await fixBotCode(code, error, syntaxRules);
     res.json({ code: fixedCode });
   } catch (error) {
     console.error('Bot fix error:', error);
@@ -1616,6 +1706,23 @@ Generate the fixed, ready-to-use ProBuilder code following ProRealCode forum con
   }
 });
 
+// Static lint endpoint - checks syntax and style rules locally, no AI call
+app.post('/api/lint-bot', (req, res) => {
+  const { code, variables } = req.body;
+  
+  if (!code) {
+    return res.status(400).json({ error: 'Bot code is required' });
+  }
+  
+  try {
+    // variables: names supplied by the chart drawings, which the code may use without assigning
+    res.json(lintProBuilder(code, { externals: Array.isArray(variables) ? variables : [] }));
+  } catch (error) {
+    console.error('Lint error:', error);
+    res.status(500).json({ error: 'Failed to lint bot code' });
+  }
+});
+
 // ProRealCode forum scraper with caching
 const PRC_CACHE = new Map();
 const PRC_CACHE_TTL = 60 * 60 * 1000; // 1 hour cache
@@ -2002,299 +2109,274 @@ app.delete('/api/search-history/:id', (req, res) => {
 // Backtest simulation endpoint
 app.post('/api/simulate-bot', async (req, res) => {
   console.log('Simulation request received');
-  const { code, candles, settings } = req.body;
+  const { code, settings, lowerTimeframeCandles } = req.body;
+  let { candles } = req.body;
   
   console.log('Code length:', code?.length || 0);
   console.log('Candles length:', candles?.length || 0);
   console.log('Settings:', settings?.asset, settings?.timeframe);
   
+  // Without candles, run on the stored data of settings.asset/timeframe (e.g. an imported CSV asset)
+  if (code && (!candles || candles.length === 0) && settings?.asset) {
+    try {
+      candles = await loadRealCandles(settings.asset, settings.timeframe || '1h');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  
   if (!code || !candles || candles.length === 0) {
     console.log('Missing code or candles');
     return res.status(400).json({ error: 'Bot code and candle data are required' });
   }
   
   try {
-    const results = runBacktest(code, candles, settings);
+    const results = runBacktest(code, candles, settings, lowerTimeframeCandles || []);
     console.log('Simulation completed, trades:', results.totalTrades);
     res.json(results);
   } catch (error) {
+    if (error instanceof ProBuilderError) {
+      return res.status(400).json({ error: error.message, line: error.line, column: error.column });
+    }
     console.error('Simulation error:', error);
     res.status(500).json({ error: error.message || 'Simulation failed' });
   }
 });
 
-function runBacktest(code, candles, settings) {
-  const initialCapital = settings?.initialCapital || 2000;
-  const maxPositionSize = settings?.maxPositionSize || 1;
-  const useOrderFee = settings?.useOrderFee ?? true;
-  const orderFee = settings?.orderFee || 7;
-  const useSpread = settings?.useSpread ?? true;
-  const spreadPips = settings?.spreadPips || 2;
-  const positionSize = Math.min(settings?.positionSize || 0.5, maxPositionSize);
-  const stopLoss = settings?.stopLoss || 7000;
-  const takeProfit = settings?.takeProfit || 300;
-  const tradeType = settings?.tradeType || 'both';
-  const asset = settings?.asset || 'silver';
-  
-  let capital = initialCapital;
-  let position = null;
-  let trades = [];
-  let equity = [initialCapital];
-  let dailyGains = {};
-  let barsInPosition = 0;
-  let totalBars = candles.length;
-  
-  const POINT_VALUES = {
-    silver: 0.01,
-    gold: 0.1,
-    copper: 0.0001,
-    oil: 0.01,
-    natgas: 0.001,
-    eurusd: 0.0001,
-    gbpusd: 0.0001,
-    usdjpy: 0.01,
-    spx500: 0.25,
-    dax: 0.5,
-    ftse: 0.5
-  };
-  
-  const CONTRACT_VALUES = {
-    silver: 5000,
-    gold: 100,
-    copper: 25000,
-    oil: 1000,
-    natgas: 10000,
-    eurusd: 100000,
-    gbpusd: 100000,
-    usdjpy: 100000,
-    spx500: 50,
-    dax: 25,
-    ftse: 10
-  };
-  
-  const pointValue = POINT_VALUES[asset] || 0.01;
-  const contractValue = CONTRACT_VALUES[asset] || 1000;
-  const spreadCost = useSpread ? spreadPips * pointValue : 0;
-  const feePerTrade = useOrderFee ? orderFee : 0;
-  
-  const canLong = tradeType === 'both' || tradeType === 'long';
-  const canShort = tradeType === 'both' || tradeType === 'short';
-  
-  const useOBV = settings?.useOBV ?? true;
-  const useHeikinAshi = settings?.useHeikinAshi ?? true;
-  const obvPeriod = settings?.obvPeriod || 5;
-  
-  let obvValues = [];
-  let prevClose = candles[0]?.close || 0;
-  let cumulativeOBV = 0;
-  
-  function calculateHeikinAshi(candle, prevHA) {
-    const haClose = (candle.open + candle.high + candle.low + candle.close) / 4;
-    const haOpen = prevHA ? (prevHA.open + prevHA.close) / 2 : (candle.open + candle.close) / 2;
-    const haHigh = Math.max(candle.high, haOpen, haClose);
-    const haLow = Math.min(candle.low, haOpen, haClose);
-    return { open: haOpen, high: haHigh, low: haLow, close: haClose };
+// ============ PAPER TRADING ============
+// The AI trading loop runs here so the mock account keeps going without a browser; the AI Trading tab only views it
+
+initPaperTrading({
+  loadMarketCandles: loadRealCandles,
+  checkNewsSentiment: (asset) => checkBreakingNews(asset)
+});
+
+app.get('/api/paper-trading/status', (req, res) => {
+  res.json(getPaperTradingStatus());
+});
+
+app.post('/api/paper-trading/start', (req, res) => {
+  try {
+    res.json(startPaperTrading(req.body || {}));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
   }
-  
-  function getOBVSignal(obvArr, period) {
-    if (obvArr.length < period + 1) return 0;
-    const recent = obvArr.slice(-period);
-    const older = obvArr.slice(-(period * 2), -period);
-    if (older.length === 0) return recent[recent.length - 1] > 0 ? 1 : -1;
-    const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-    const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
-    return recentAvg > olderAvg ? 1 : recentAvg < olderAvg ? -1 : 0;
+});
+
+app.post('/api/paper-trading/stop', (req, res) => {
+  res.json(stopPaperTrading({ closeOpenPosition: req.body?.closePosition !== false }));
+});
+
+app.post('/api/paper-trading/reset', (req, res) => {
+  res.json(resetPaperTrading(req.body || {}));
+});
+
+// Pending limit/stop/OCO entries and the open positions' stop/target brackets
+app.post('/api/paper-trading/orders', (req, res) => {
+  try {
+    res.json(placePaperOrder(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-  
-  let prevHA = null;
-  const stopLossPoints = stopLoss * pointValue;
-  const takeProfitPoints = takeProfit * pointValue;
-  
-  for (let i = 1; i < candles.length; i++) {
-    const candle = candles[i];
-    const prevCandle = candles[i - 1];
-    
-    if (candle.close > prevClose) {
-      cumulativeOBV += (candle.close - prevClose);
-    } else if (candle.close < prevClose) {
-      cumulativeOBV -= (prevClose - candle.close);
-    }
-    obvValues.push(cumulativeOBV);
-    prevClose = candle.close;
-    
-    const ha = calculateHeikinAshi(candle, prevHA);
-    prevHA = ha;
-    
-    const bullishHA = ha.close > ha.open;
-    const obvSignal = getOBVSignal(obvValues, obvPeriod);
-    
-    const date = new Date(candle.time * 1000).toISOString().split('T')[0];
-    
-    if (position) {
-      barsInPosition++;
-      
-      const priceDiff = position.type === 'long' 
-        ? candle.close - position.entryPrice
-        : position.entryPrice - candle.close;
-      
-      const pnl = priceDiff * positionSize * contractValue;
-      
-      const stopHit = priceDiff <= -stopLossPoints;
-      const targetHit = priceDiff >= takeProfitPoints;
-      
-      let signalExit = false;
-      if (useHeikinAshi) {
-        if (position.type === 'long' && !bullishHA) signalExit = true;
-        if (position.type === 'short' && bullishHA) signalExit = true;
-      }
-      
-      let exitReason = null;
-      if (stopHit) exitReason = 'stop';
-      else if (targetHit) exitReason = 'target';
-      else if (signalExit) exitReason = 'signal';
-      
-      if (exitReason) {
-        const grossPnl = pnl - (spreadCost * positionSize * contractValue);
-        const netPnl = grossPnl - feePerTrade;
-        
-        capital += netPnl;
-        
-        trades.push({
-          type: position.type,
-          entryPrice: position.entryPrice,
-          exitPrice: candle.close,
-          entryTime: position.entryTime,
-          exitTime: candle.time,
-          pnl: netPnl,
-          exitReason
-        });
-        
-        if (!dailyGains[date]) dailyGains[date] = 0;
-        dailyGains[date] += netPnl;
-        
-        position = null;
-      }
-    } else {
-      let shouldBuy = false;
-      let shouldSell = false;
-      
-      if (useHeikinAshi && useOBV) {
-        shouldBuy = bullishHA && obvSignal > 0;
-        shouldSell = !bullishHA && obvSignal < 0;
-      } else if (useHeikinAshi) {
-        shouldBuy = bullishHA && !prevHA?.close || (prevHA && ha.close > prevHA.close);
-        shouldSell = !bullishHA && prevHA && ha.close < prevHA.close;
-      } else if (useOBV) {
-        shouldBuy = obvSignal > 0;
-        shouldSell = obvSignal < 0;
-      } else {
-        shouldBuy = candle.close > prevCandle.close && candle.close > candle.open;
-        shouldSell = candle.close < prevCandle.close && candle.close < candle.open;
-      }
-      
-      if (shouldBuy && canLong && !position) {
-        capital -= feePerTrade;
-        position = {
-          type: 'long',
-          entryPrice: candle.close + spreadCost,
-          entryTime: candle.time
-        };
-      } else if (shouldSell && canShort && !position) {
-        capital -= feePerTrade;
-        position = {
-          type: 'short',
-          entryPrice: candle.close - spreadCost,
-          entryTime: candle.time
-        };
-      }
+});
+
+app.patch('/api/paper-trading/orders/:id', (req, res) => {
+  try {
+    const status = modifyPaperOrder(req.params.id, req.body || {});
+    if (!status) {
+      return res.status(404).json({ error: 'Working order not found' });
     }
-    
-    equity.push(capital);
-  }
-  
-  if (position) {
-    const lastCandle = candles[candles.length - 1];
-    const pnl = position.type === 'long'
-      ? (lastCandle.close - position.entryPrice) * positionSize * 1000
-      : (position.entryPrice - lastCandle.close) * positionSize * 1000;
-    const netPnl = pnl - spreadCost * positionSize * 1000 - feePerTrade;
-    capital += netPnl;
-    trades.push({
-      type: position.type,
-      entryPrice: position.entryPrice,
-      exitPrice: lastCandle.close,
-      entryTime: position.entryTime,
-      exitTime: lastCandle.time,
-      pnl: netPnl,
-      exitReason: 'end'
-    });
+    res.json(status);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/paper-trading/orders/:id', (req, res) => {
+  const status = cancelPaperOrder(req.params.id);
+  if (!status) {
+    return res.status(404).json({ error: 'Working order not found' });
+  }
+  res.json(status);
+});
+
+// Replay stored candles through the same pipeline on a throwaway account.
+// Body: { assets, timeframe, settings, from, to, startFromLiveWeights }
+app.post('/api/paper-trading/replay', async (req, res) => {
+  try {
+    res.json(await replayPaperTrading(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Per-asset learning weight history (with the trades behind each update) and decision factor contributions
+app.get('/api/paper-trading/learning/:asset', (req, res) => {
+  const learning = getLearningHistory(req.params.asset);
+  if (!learning) {
+    return res.status(404).json({ error: 'No paper trading book for this asset' });
+  }
+  res.json(learning);
+});
+
+// Body: { snapshotId } - a history entry id, or 'default' for the starting weights
+app.post('/api/paper-trading/learning/:asset/rollback', (req, res) => {
+  const snapshotId = req.body?.snapshotId;
+  if (!snapshotId) {
+    return res.status(400).json({ error: 'snapshotId is required' });
+  }
+  const learning = rollbackLearningWeights(req.params.asset, snapshotId);
+  if (!learning) {
+    return res.status(404).json({ error: 'Asset or weight snapshot not found' });
+  }
+  res.json(learning);
+});
+
+// ============ PORTFOLIO BACKTEST ============
+// Several bots/assets on one shared capital pool. Legs without candles get them from the market data cache/Yahoo.
+
+app.post('/api/simulate-portfolio', async (req, res) => {
+  const { legs, settings } = req.body || {};
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return res.status(400).json({ error: 'At least one leg is required' });
   }
   
-  const winningTrades = trades.filter(t => t.pnl > 0);
-  const losingTrades = trades.filter(t => t.pnl < 0);
-  const neutralTrades = trades.filter(t => t.pnl === 0);
-  
-  const totalGain = capital - initialCapital;
-  const winRate = trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0;
-  
-  const gainsOnly = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
-  const lossesOnly = losingTrades.reduce((sum, t) => sum + t.pnl, 0);
-  
-  const avgWin = winningTrades.length > 0 ? gainsOnly / winningTrades.length : 0;
-  const avgLoss = losingTrades.length > 0 ? Math.abs(lossesOnly) / losingTrades.length : 1;
-  const gainLossRatio = avgLoss > 0 ? avgWin / avgLoss : avgWin;
-  
-  let maxDrawdown = 0;
-  let maxRunup = 0;
-  let peak = initialCapital;
-  let trough = initialCapital;
-  
-  for (const eq of equity) {
-    if (eq > peak) peak = eq;
-    if (eq < trough) trough = eq;
-    
-    const drawdown = peak - eq;
-    const runup = eq - trough;
-    
-    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-    if (runup > maxRunup) maxRunup = runup;
-  }
-  
-  const timeInMarket = totalBars > 0 ? (barsInPosition / totalBars) * 100 : 0;
-  
-  const tradeDays = Object.keys(dailyGains).length || 1;
-  const avgOrdersPerDay = trades.length / tradeDays;
-  
-  const avgGainPerTrade = trades.length > 0 ? totalGain / trades.length : 0;
-  const bestTrade = trades.length > 0 ? Math.max(...trades.map(t => t.pnl)) : 0;
-  const worstTrade = trades.length > 0 ? Math.min(...trades.map(t => t.pnl)) : 0;
-  
-  const dailyPerformance = Object.entries(dailyGains)
-    .map(([date, gain]) => ({ date, gain }))
-    .sort((a, b) => a.date.localeCompare(b.date));
-  
-  return {
-    totalGain,
-    winRate,
-    gainLossRatio,
-    totalTrades: trades.length,
-    winningTrades: winningTrades.length,
-    losingTrades: losingTrades.length,
-    neutralTrades: neutralTrades.length,
-    gainsOnly,
-    lossesOnly,
-    avgGainPerTrade,
-    bestTrade,
-    worstTrade,
-    maxDrawdown: -maxDrawdown,
-    maxRunup,
-    timeInMarket,
-    avgOrdersPerDay,
-    dailyPerformance,
-    equity,
-    trades
-  };
-}
+  try {
+    const withCandles = await Promise.all(legs.map(async (leg, index) => {
+      if (Array.isArray(leg.candles) && leg.candles.length > 0) return leg;
+      const candles = await loadRealCandles(leg.asset, leg.timeframe || '1h');
+      if (!candles?.length) throw new Error(`Leg ${index + 1} (${leg.asset}): no market data available`);
+      return { ...leg, candles };
+    }));
+    const result = runPortfolioBacktest({ legs: withCandles, settings });
+    console.log(`Portfolio simulation completed: ${result.legs.length} legs, ${result.totalTrades} trades`);
+    res.json(result);
+  } catch (error) {
+    console.error('Portfolio simulation error:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ MONTE CARLO ============
+// Reshuffles/resamples a simulation's trade list to show how much of the result is down to trade order
+
+app.post('/api/monte-carlo', (req, res) => {
+  try {
+    res.json(runMonteCarlo(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ OPTIMIZATION JOBS ============
+// Server-side grid/random/genetic search; progress is streamed over SSE and jobs survive client disconnects
+
+app.post('/api/optimize/jobs', (req, res) => {
+  try {
+    const job = startOptimizationJob(req.body);
+    res.json({ jobId: job.id, status: job.status, total: job.progress.total });
+  } catch (error) {
+    if (error instanceof ProBuilderError) {
+      return res.status(400).json({ error: error.message, line: error.line, column: error.column });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/optimize/jobs', (req, res) => {
+  res.json({ jobs: listOptimizationJobs() });
+});
+
+app.get('/api/optimize/jobs/:id', (req, res) => {
+  const job = getOptimizationJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Optimization job not found' });
+  res.json(job);
+});
+
+app.get('/api/optimize/jobs/:id/events', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const unsubscribe = subscribeOptimizationJob(req.params.id, (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (event.status !== 'queued' && event.status !== 'running') res.end();
+  });
+  if (!unsubscribe) {
+    res.write(`data: ${JSON.stringify({ error: 'Optimization job not found' })}\n\n`);
+    return res.end();
+  }
+  req.on('close', unsubscribe);
+});
+
+app.post('/api/optimize/jobs/:id/cancel', (req, res) => {
+  const event = cancelOptimizationJob(req.params.id);
+  if (!event) return res.status(404).json({ error: 'Optimization job not found' });
+  res.json(event);
+});
+
+// ============ INSTRUMENT REGISTRY ============
+
+app.get('/api/instruments', (req, res) => {
+  res.json({ instruments: listInstruments() });
+});
+
+app.get('/api/instruments/:id', (req, res) => {
+  const instrument = getInstrument(req.params.id);
+  if (!instrument) return res.status(404).json({ error: `Unknown instrument "${req.params.id}"` });
+  res.json(instrument);
+});
+
+// Creates a custom instrument or overrides fields of a built-in one
+app.put('/api/instruments/:id', (req, res) => {
+  try {
+    res.json(upsertInstrument(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Built-ins revert to their defaults; custom instruments are removed
+app.delete('/api/instruments/:id', (req, res) => {
+  if (!getInstrument(req.params.id)) return res.status(404).json({ error: `Unknown instrument "${req.params.id}"` });
+  const instrument = resetInstrument(req.params.id);
+  res.json({ success: true, instrument });
+});
+
+// Exchange holiday calendars used by the backtester's session filters (holidays of ?year, default this year)
+app.get('/api/exchanges', (req, res) => {
+  const year = Number(req.query.year) || new Date().getUTCFullYear();
+  res.json({ year, exchanges: listExchanges().map(e => ({ ...e, holidays: exchangeHolidays(e.id, year) })) });
+});
+
+// Chart drawings saved per asset/timeframe, restored when the Bot Builder chart loads
+app.get('/api/drawings/:asset/:timeframe', (req, res) => {
+  try {
+    const drawings = getDrawings(req.params.asset, req.params.timeframe);
+    res.json({ drawings, levels: drawingLevels(drawings) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/drawings/:asset/:timeframe', (req, res) => {
+  try {
+    const drawings = saveDrawings(req.params.asset, req.params.timeframe, req.body?.drawings);
+    res.json({ drawings, levels: drawingLevels(drawings) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Structured export of a chart's drawings - levels, trend lines and time windows
+app.get('/api/drawings/:asset/:timeframe/levels', (req, res) => {
+  try {
+    const { asset, timeframe } = req.params;
+    res.json({ asset, timeframe, ...drawingLevels(getDrawings(asset, timeframe)) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
 // Market data endpoints - Using Yahoo Finance (no API key required)
 const METALS_API_KEY = process.env.METALS_API_KEY;
@@ -2400,6 +2482,47 @@ const YAHOO_RANGES = {
   '1M': '10y'
 };
 
+// Furthest back Yahoo serves each interval - used to backfill a new store series and to close gaps
+// left while the server was off
+const YAHOO_MAX_RANGES = {
+  '1m': '5d',
+  '2m': '1mo',
+  '5m': '1mo',
+  '15m': '1mo',
+  '30m': '1mo',
+  '1h': '1y',
+  '1d': 'max',
+  '1w': 'max',
+  '1M': 'max'
+};
+
+// Yahoo range strings, shortest first, with the seconds they cover
+const YAHOO_RANGE_SECONDS = [
+  ['1d', 86400],
+  ['5d', 5 * 86400],
+  ['1mo', 31 * 86400],
+  ['3mo', 92 * 86400],
+  ['6mo', 183 * 86400],
+  ['1y', 366 * 86400],
+  ['2y', 731 * 86400],
+  ['5y', 1827 * 86400],
+  ['10y', 3653 * 86400],
+  ['max', Infinity]
+];
+
+// Range to request for a stored series: the usual range, widened to reach back to the newest stored
+// bar, or the longest available range when nothing is stored yet
+function syncRange(timeframe, lastTime) {
+  const max = YAHOO_MAX_RANGES[timeframe] || YAHOO_RANGES[timeframe] || '1mo';
+  if (lastTime == null) return max;
+  const gap = Date.now() / 1000 - lastTime;
+  const start = YAHOO_RANGE_SECONDS.findIndex(([r]) => r === (YAHOO_RANGES[timeframe] || '1mo'));
+  for (const [range, seconds] of YAHOO_RANGE_SECONDS.slice(start)) {
+    if (seconds >= gap || range === max) return range;
+  }
+  return max;
+}
+
 // Fetch current price from MetalPriceAPI for commodities
 async function fetchMetalsApiPrice(metal) {
   if (!METALS_API_KEY) {
@@ -2457,15 +2580,20 @@ function setCachedMarketData(asset, timeframe, data) {
   marketDataCache.set(key, { data, timestamp: Date.now() });
 }
 
-// Generate realistic candle data around a base price
-function generateCandlesFromPrice(basePrice, numBars = 100, volatility = 0.02) {
+function clearCachedMarketData(asset) {
+  for (const key of marketDataCache.keys()) {
+    if (key.startsWith(`${asset}_`)) marketDataCache.delete(key);
+  }
+}
+
+// Generate a random walk of candles around a base price - synthetic, not market history
+function generateCandlesFromPrice(basePrice, numBars = 100, volatility = 0.02, barSeconds = 3600) {
   const data = [];
   let price = basePrice;
-  const now = Math.floor(Date.now() / 1000);
-  const hourInSeconds = 3600;
+  const now = Math.floor(Date.now() / 1000 / barSeconds) * barSeconds;
   
   for (let i = numBars; i >= 0; i--) {
-    const time = now - (i * hourInSeconds);
+    const time = now - (i * barSeconds);
     const change = (Math.random() - 0.5) * 2 * volatility * price;
     const open = price;
     const close = price + change;
@@ -2651,85 +2779,216 @@ async function analyzeMarketContext(asset) {
   }
 }
 
-// Aggregate hourly candles to 4-hour candles
-function aggregateTo4Hour(candles) {
-  if (!candles || candles.length === 0) return candles;
-  
-  const result = [];
-  for (let i = 0; i < candles.length; i += 4) {
-    const chunk = candles.slice(i, i + 4);
-    if (chunk.length === 0) continue;
-    
-    result.push({
-      time: chunk[0].time,
-      open: chunk[0].open,
-      high: Math.max(...chunk.map(c => c.high)),
-      low: Math.min(...chunk.map(c => c.low)),
-      close: chunk[chunk.length - 1].close,
-      volume: chunk.reduce((sum, c) => sum + (c.volume || 0), 0)
-    });
+// Market data providers, tried in each asset's priority order (see marketDataProviders.js)
+registerProvider({
+  id: 'yahoo',
+  name: 'Yahoo Finance',
+  description: 'Price history for every built-in asset, synced into the candle store',
+  store: true,
+  supports: (asset, timeframe) => !!YAHOO_SYMBOLS[asset] && (!timeframe || !!YAHOO_INTERVALS[timeframe]),
+  fetchCandles: async (asset, timeframe, { since }) => {
+    const data = await fetchYahooFinanceData(YAHOO_SYMBOLS[asset], YAHOO_INTERVALS[timeframe], syncRange(timeframe, since));
+    if (!data) throw new Error('Yahoo Finance request failed');
+    return { candles: data.candles, symbol: data.symbol, currency: data.currency, exchange: data.exchangeName };
   }
-  return result;
-}
+});
 
-app.get('/api/market-data/:asset/:timeframe', async (req, res) => {
-  const { asset, timeframe } = req.params;
-  const forceRefresh = req.query.refresh === 'true';
-  
+const METAL_CODES = { silver: 'XAG', xagusd: 'XAG', gold: 'XAU', xauusd: 'XAU' };
+
+registerProvider({
+  id: 'metalpriceapi',
+  name: 'MetalPriceAPI',
+  description: 'Spot price only - candles are generated around it (needs METALS_API_KEY)',
+  synthetic: true,
+  supports: (asset) => !!METALS_API_KEY && !!METAL_CODES[asset],
+  fetchCandles: async (asset, timeframe) => {
+    const metal = METAL_CODES[asset];
+    const price = await fetchMetalsApiPrice(metal);
+    if (!price) throw new Error('MetalPriceAPI request failed');
+    return { candles: generateCandlesFromPrice(price, 100, 0.015, TIMEFRAME_SECONDS[timeframe] || 3600), symbol: `${metal}/USD` };
+  }
+});
+
+// Market data for an asset/timeframe. Real providers are tried in the asset's priority order; bars
+// from a provider that stores them (Yahoo) are merged into the on-disk candle store and served from
+// there, so history builds up across syncs. When every real provider fails the stored bars are
+// served, and only after that synthetic providers, whose candles come back flagged synthetic: true.
+// Custom (CSV-imported) assets are served from the store only. Returns null when nothing has data;
+// throws for unknown assets.
+async function loadMarketData(asset, timeframe, forceRefresh = false) {
   // Check cache first (unless force refresh)
   if (!forceRefresh) {
     const cached = getCachedMarketData(asset, timeframe);
     if (cached) {
       console.log(`Serving cached market data for ${asset}/${timeframe}`);
-      return res.json({ ...cached, cached: true });
+      return { ...cached, cached: true };
     }
   }
   
-  // Get Yahoo Finance symbol
-  const yahooSymbol = YAHOO_SYMBOLS[asset];
-  if (!yahooSymbol) {
-    return res.status(400).json({ error: `Unknown asset: ${asset}. Available assets: ${Object.keys(YAHOO_SYMBOLS).join(', ')}` });
+  if (isCustomAsset(asset)) {
+    const result = loadCustomCandles(asset, timeframe);
+    setCachedMarketData(asset, timeframe, result);
+    return result;
   }
   
-  const interval = YAHOO_INTERVALS[timeframe] || '1h';
-  const range = YAHOO_RANGES[timeframe] || '1mo';
+  if (!YAHOO_SYMBOLS[asset] && !isProviderAsset(asset)) {
+    throw new Error(`Unknown asset: ${asset}. Available assets: ${Object.keys(YAHOO_SYMBOLS).join(', ')}`);
+  }
   
-  // Fetch from Yahoo Finance
-  const yahooData = await fetchYahooFinanceData(yahooSymbol, interval, range);
+  // 4H bars are built from the 1H series; unknown timeframes get 1H data
+  const storeTimeframe = timeframe === '4h' || !YAHOO_INTERVALS[timeframe] ? '1h' : timeframe;
+  const toTimeframe = (candles) => timeframe === '4h' ? resampleCandles(candles, TIMEFRAME_SECONDS['4h']) : candles;
   
-  if (yahooData && yahooData.candles.length > 0) {
-    let candles = yahooData.candles;
-    
-    // Aggregate to 4H if needed
-    if (timeframe === '4h') {
-      candles = aggregateTo4Hour(candles);
-    }
-    
-    const result = { 
-      candles, 
-      symbol: yahooData.symbol, 
-      source: 'yahoo',
-      currency: yahooData.currency,
-      exchange: yahooData.exchangeName
-    };
+  const { provider, data, attempts } = await fetchFromProviders(asset, storeTimeframe, {
+    since: lastStoredTime(asset, storeTimeframe),
+    ignoreCooldown: forceRefresh
+  });
+  
+  // Providers that keep their own data (local fixtures) bypass the store
+  if (provider && !provider.store) {
+    const result = { candles: toTimeframe(data.candles), symbol: data.symbol, source: provider.id, currency: data.currency, exchange: data.exchange };
     setCachedMarketData(asset, timeframe, result);
-    return res.json(result);
+    return result;
   }
   
-  // Fallback: Try MetalPriceAPI for silver and gold spot prices
-  if ((asset === 'silver' || asset === 'gold' || asset === 'xagusd' || asset === 'xauusd') && METALS_API_KEY) {
-    const metal = (asset === 'silver' || asset === 'xagusd') ? 'XAG' : 'XAU';
-    const currentPrice = await fetchMetalsApiPrice(metal);
-    
-    if (currentPrice) {
-      const candles = generateCandlesFromPrice(currentPrice, 100, 0.015);
-      const result = { candles, symbol: `${metal}/USD`, source: 'metalpriceapi' };
+  if (provider) {
+    mergeCandles(asset, storeTimeframe, data.candles, {
+      symbol: data.symbol,
+      source: provider.id,
+      currency: data.currency,
+      exchange: data.exchange
+    });
+  }
+  
+  const stored = readCandles(asset, storeTimeframe);
+  if (stored) {
+    const result = {
+      candles: toTimeframe(stored.candles),
+      symbol: stored.symbol,
+      source: provider ? provider.id : 'store',
+      currency: stored.currency,
+      exchange: stored.exchange,
+      storedAt: stored.updatedAt
+    };
+    // Serve stored bars without caching them so the next load retries the providers
+    if (provider) {
       setCachedMarketData(asset, timeframe, result);
-      return res.json(result);
+      return result;
     }
+    return { ...result, providerErrors: attempts };
+  }
+  
+  const generated = await fetchFromProviders(asset, storeTimeframe, { synthetic: true, ignoreCooldown: forceRefresh });
+  if (generated.provider) {
+    const result = {
+      candles: toTimeframe(generated.data.candles),
+      symbol: generated.data.symbol,
+      source: generated.provider.id,
+      synthetic: true,
+      warning: `No real price history is available - these candles are generated around the current ${generated.provider.name} price and are not market data`
+    };
+    setCachedMarketData(asset, timeframe, result);
+    return result;
   }
   
-  res.status(400).json({ error: 'No data available for this asset. Yahoo Finance may be temporarily unavailable.' });
+  return null;
+}
+
+// Candles for the server-side loops and for backtests run without candles; generated candles would
+// make their results meaningless
+async function loadRealCandles(asset, timeframe) {
+  const data = await loadMarketData(asset, timeframe);
+  if (data?.synthetic) {
+    throw new Error(`Only generated candles are available for ${asset} ${timeframe} - no real market data`);
+  }
+  return data?.candles;
+}
+
+// Series held in the on-disk candle store
+app.get('/api/market-data/store', (req, res) => {
+  res.json({ series: listStoredCandles() });
+});
+
+// Market data providers with their health and priority order
+app.get('/api/market-data/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// Body: { asset?, providers: [ids] } - without asset the default order is set; an empty list drops
+// the asset's own order
+app.put('/api/market-data/providers/priority', (req, res) => {
+  const { asset, providers } = req.body || {};
+  try {
+    const priority = setProviderPriority(asset, providers);
+    if (asset) clearCachedMarketData(asset);
+    else marketDataCache.clear();
+    res.json({ priority });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Custom assets - OHLCV history uploaded as CSV (multipart "file" or a JSON "csv" string). Layout fields
+// (delimiter, dateFormat, timezone, columns, timeframe) override detection; preview=true only parses.
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 200 * 1024 * 1024 } });
+
+app.get('/api/custom-assets', (req, res) => {
+  res.json({ assets: listCustomAssets() });
+});
+
+app.post('/api/custom-assets/import', csvUpload.single('file'), (req, res) => {
+  try {
+    const { columns, preview, ...fields } = req.body || {};
+    const csv = req.file ? req.file.buffer.toString('utf-8') : fields.csv;
+    if (!csv) {
+      return res.status(400).json({ error: 'Upload a CSV file or send its text as csv' });
+    }
+    const result = importCsvAsset({
+      ...fields,
+      csv,
+      fileName: req.file?.originalname || fields.fileName,
+      columns: typeof columns === 'string' && columns ? JSON.parse(columns) : columns,
+      preview: preview === true || preview === 'true'
+    });
+    // Imported bars replace whatever was cached for the asset
+    clearCachedMarketData(result.asset.id);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error instanceof SyntaxError ? 'columns must be JSON' : error.message });
+  }
+});
+
+app.delete('/api/custom-assets/:id', (req, res) => {
+  const removed = deleteCustomAsset(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Custom asset not found' });
+  }
+  clearCachedMarketData(removed.id);
+  res.json({ success: true });
+});
+
+app.get('/api/market-data/:asset/:timeframe', async (req, res) => {
+  const { asset, timeframe } = req.params;
+  
+  try {
+    const result = await loadMarketData(asset, timeframe, req.query.refresh === 'true');
+    if (!result) {
+      return res.status(400).json({ error: 'No data available for this asset. Its market data providers may be temporarily unavailable.' });
+    }
+    // Optional from/to (dates or unix seconds) trim the stored history
+    const bound = (value) => value == null ? null : (/^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000);
+    const from = bound(req.query.from);
+    const to = bound(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be dates or unix times in seconds' });
+    }
+    if (from != null || to != null) {
+      return res.json({ ...result, candles: result.candles.filter(c => (from == null || c.time >= from) && (to == null || c.time <= to)) });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 // ProRealTime Documentation Management API
@@ -3054,79 +3313,116 @@ app.get('/api/ai-memory/brain/:asset', (req, res) => {
   }
 });
 
-// Update AI brain with prediction result
-app.post('/api/ai-memory/brain/prediction', (req, res) => {
-  const { asset, prediction, actual, confidence, patterns } = req.body;
-  try {
-    const brain = readAIMemory('brain.json') || { assets: {}, globalStats: { totalAnalyses: 0, totalPatterns: 0, overallAccuracy: 0 } };
-    
-    if (!brain.assets[asset]) {
-      brain.assets[asset] = {
-        symbol: asset.toUpperCase(),
-        totalPredictions: 0,
-        correctPredictions: 0,
-        accuracy: 0,
-        learnedPatterns: [],
-        sessionMemory: [],
-        lastUpdated: null,
-        confidenceLevel: 0,
-        correlatedAssets: []
-      };
-    }
-    
-    const assetData = brain.assets[asset];
-    assetData.totalPredictions++;
-    
-    // Check if prediction was correct (direction match)
-    const predDir = prediction > 0 ? 'up' : 'down';
-    const actDir = actual > 0 ? 'up' : 'down';
-    if (predDir === actDir) {
-      assetData.correctPredictions++;
-    }
-    
-    assetData.accuracy = assetData.totalPredictions > 0 
-      ? (assetData.correctPredictions / assetData.totalPredictions * 100).toFixed(1)
-      : 0;
+// Update AI brain with a prediction result - shared by the endpoint and the server-side observer.
+// With a horizon the result is also tallied per horizon, overall and per pattern; horizonOnly results
+// (the longer horizons of an observed prediction) update only those tallies so one prediction isn't
+// counted several times.
+function recordBrainPrediction({ asset, prediction, actual, confidence, patterns, horizon, horizonOnly = false }) {
+  const brain = readAIMemory('brain.json') || { assets: {}, globalStats: { totalAnalyses: 0, totalPatterns: 0, overallAccuracy: 0 } };
+  
+  if (!brain.assets[asset]) {
+    brain.assets[asset] = {
+      symbol: asset.toUpperCase(),
+      totalPredictions: 0,
+      correctPredictions: 0,
+      accuracy: 0,
+      learnedPatterns: [],
+      sessionMemory: [],
+      lastUpdated: null,
+      confidenceLevel: 0,
+      correlatedAssets: []
+    };
+  }
+  
+  const assetData = brain.assets[asset];
+  
+  // Check if prediction was correct (direction match). Horizon results come from tolerance-banded
+  // verification where a flat move (0) is never correct.
+  const predDir = prediction > 0 ? 'up' : 'down';
+  const actDir = actual > 0 ? 'up' : 'down';
+  const correct = horizon ? prediction === actual : predDir === actDir;
+  
+  if (horizon) {
+    assetData.horizons = assetData.horizons || {};
+    const h = assetData.horizons[horizon] || (assetData.horizons[horizon] = { total: 0, correct: 0, accuracy: 0 });
+    h.total++;
+    if (correct) h.correct++;
+    h.accuracy = Number((h.correct / h.total * 100).toFixed(1));
     
-    // Add to session memory (keep last 100)
-    assetData.sessionMemory.unshift({
-      timestamp: new Date().toISOString(),
-      prediction,
-      actual,
-      confidence,
-      correct: predDir === actDir
+    (patterns || []).forEach(p => {
+      let existing = assetData.learnedPatterns.find(lp => lp.name === p.name);
+      if (!existing) {
+        existing = { name: p.name, occurrences: 0, successRate: 0, firstSeen: new Date().toISOString() };
+        assetData.learnedPatterns.push(existing);
+      }
+      existing.horizons = existing.horizons || {};
+      const ph = existing.horizons[horizon] || (existing.horizons[horizon] = { occurrences: 0, correct: 0, successRate: 0 });
+      ph.occurrences++;
+      if (p.success) ph.correct++;
+      ph.successRate = ph.correct / ph.occurrences * 100;
     });
-    if (assetData.sessionMemory.length > 100) {
-      assetData.sessionMemory = assetData.sessionMemory.slice(0, 100);
-    }
-    
-    // Update patterns if provided
-    if (patterns && patterns.length > 0) {
-      patterns.forEach(p => {
-        const existing = assetData.learnedPatterns.find(lp => lp.name === p.name);
-        if (existing) {
-          existing.occurrences++;
-          existing.successRate = ((existing.successRate * (existing.occurrences - 1)) + (p.success ? 100 : 0)) / existing.occurrences;
-        } else {
-          assetData.learnedPatterns.push({
-            name: p.name,
-            occurrences: 1,
-            successRate: p.success ? 100 : 0,
-            firstSeen: new Date().toISOString()
-          });
-        }
-      });
-    }
-    
-    assetData.lastUpdated = new Date().toISOString();
-    assetData.confidenceLevel = Math.min(100, assetData.totalPredictions * 2);
-    
-    // Update global stats
-    brain.globalStats.totalAnalyses++;
-    brain.globalStats.totalPatterns = Object.values(brain.assets).reduce((sum, a) => sum + (a.learnedPatterns?.length || 0), 0);
-    brain.globalStats.lastTrainingDate = new Date().toISOString();
-    
+  }
+  
+  if (horizonOnly) {
     writeAIMemory('brain.json', brain);
+    return assetData;
+  }
+  
+  assetData.totalPredictions++;
+  if (correct) {
+    assetData.correctPredictions++;
+  }
+  
+  assetData.accuracy = assetData.totalPredictions > 0 
+    ? (assetData.correctPredictions / assetData.totalPredictions * 100).toFixed(1)
+    : 0;
+  
+  // Add to session memory (keep last 100)
+  assetData.sessionMemory.unshift({
+    timestamp: new Date().toISOString(),
+    prediction,
+    actual,
+    confidence,
+    ...(horizon && { horizon }),
+    correct
+  });
+  if (assetData.sessionMemory.length > 100) {
+    assetData.sessionMemory = assetData.sessionMemory.slice(0, 100);
+  }
+  
+  // Update patterns if provided
+  if (patterns && patterns.length > 0) {
+    patterns.forEach(p => {
+      const existing = assetData.learnedPatterns.find(lp => lp.name === p.name);
+      if (existing) {
+        existing.occurrences++;
+        existing.successRate = ((existing.successRate * (existing.occurrences - 1)) + (p.success ? 100 : 0)) / existing.occurrences;
+      } else {
+        assetData.learnedPatterns.push({
+          name: p.name,
+          occurrences: 1,
+          successRate: p.success ? 100 : 0,
+          firstSeen: new Date().toISOString()
+        });
+      }
+    });
+  }
+  
+  assetData.lastUpdated = new Date().toISOString();
+  assetData.confidenceLevel = Math.min(100, assetData.totalPredictions * 2);
+  
+  // Update global stats
+  brain.globalStats.totalAnalyses++;
+  brain.globalStats.totalPatterns = Object.values(brain.assets).reduce((sum, a) => sum + (a.learnedPatterns?.length || 0), 0);
+  brain.globalStats.lastTrainingDate = new Date().toISOString();
+  
+  writeAIMemory('brain.json', brain);
+  return assetData;
+}
+
+app.post('/api/ai-memory/brain/prediction', (req, res) => {
+  try {
+    const assetData = recordBrainPrediction(req.body);
     res.json({ success: true, assetData });
   } catch (e) {
     console.error('Error updating brain:', e);
@@ -3134,6 +3430,29 @@ app.post('/api/ai-memory/brain/prediction', (req, res) => {
   }
 });
 
+// Observe mode runs on the server so it can watch any number of assets with the browser closed
+initObserver({
+  loadMarketCandles: loadRealCandles,
+  recordBrainPrediction,
+  isAssetSupported: (asset) => !!YAHOO_SYMBOLS[asset] || isCustomAsset(asset) || isProviderAsset(asset)
+});
+
+app.get('/api/ai-memory/observe/status', (req, res) => {
+  res.json(getObserverStatus());
+});
+
+app.post('/api/ai-memory/observe/start', (req, res) => {
+  try {
+    res.json(startObserver(req.body || {}));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/api/ai-memory/observe/stop', (req, res) => {
+  res.json(stopObserver());
+});
+
 // Save backtest results to brain for learning
 app.post('/api/ai-memory/brain/backtest', (req, res) => {
   const { asset, trades, summary, timeframe, patterns } = req.body;
@@ -3724,15 +4043,23 @@ Return ONLY the JSON array, no other text. If there are no significant events to
   }
 });
 
+// Name of an asset for news prompts: the imported name of a CSV asset, else the instrument
+// registry's name with its Yahoo symbol, e.g. "Crude Oil (WTI) (CL=F)"
+function newsAssetName(asset) {
+  const custom = getCustomAsset(asset);
+  if (custom) return custom.name;
+  const instrument = getInstrument(asset);
+  const name = instrument?.name || String(asset || 'silver').toUpperCase();
+  return YAHOO_SYMBOLS[asset] ? `${name} (${YAHOO_SYMBOLS[asset]})` : name;
+}
+
 // AI Trading - Check breaking news sentiment
-app.post('/api/ai/check-breaking-news', async (req, res) => {
-  const { asset } = req.body;
+// Ask the AI for the current news sentiment of an asset; falls back to neutral when both providers fail
+async function checkBreakingNews(asset) {
+  const today = new Date().toISOString().split('T')[0];
+  const assetName = newsAssetName(asset || 'silver');
   
-  try {
-    const today = new Date().toISOString().split('T')[0];
-    const assetName = asset === 'silver' ? 'silver (XAGUSD)' : 'gold (XAUUSD)';
-    
-    const prompt = `You are a trading assistant analyzing market sentiment for ${assetName}.
+  const prompt = `You are a trading assistant analyzing market sentiment for ${assetName}.
     
 Today is ${today}. Based on your knowledge of current market conditions, geopolitical events, central bank policies, and economic data:
 
@@ -3748,42 +4075,49 @@ Respond in JSON format ONLY:
   "breakingNews": true|false
 }`;
 
-    let result = { sentiment: 'neutral', confidence: 'low', reason: 'Unable to analyze', breakingNews: false };
+  let result = { sentiment: 'neutral', confidence: 'low', reason: 'Unable to analyze', breakingNews: false };
+  
+  // Try Claude first
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-5',
+      max_tokens: 300,
+      messages: [{ role: 'user', content: prompt }]
+    });
+    
+    const content = response.content[0]?.text || '{}';
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      result = JSON.parse(jsonMatch[0]);
+    }
+  } catch (claudeError) {
+    console.error('Claude breaking news error, trying GPT:', claudeError.message);
     
-    // Try Claude first
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5',
+      const gptResponse = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
         max_tokens: 300,
         messages: [{ role: 'user', content: prompt }]
       });
       
-      const content = response.content[0]?.text || '{}';
+      const content = gptResponse.choices[0]?.message?.content || '{}';
       const jsonMatch = content.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
         result = JSON.parse(jsonMatch[0]);
       }
-    } catch (claudeError) {
-      console.error('Claude breaking news error, trying GPT:', claudeError.message);
-      
-      try {
-        const gptResponse = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          max_tokens: 300,
-          messages: [{ role: 'user', content: prompt }]
-        });
-        
-        const content = gptResponse.choices[0]?.message?.content || '{}';
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          result = JSON.parse(jsonMatch[0]);
-        }
-      } catch (gptError) {
-        console.error('GPT breaking news error:', gptError.message);
-      }
+    } catch (gptError) {
+      console.error('GPT breaking news error:', gptError.message);
     }
-    
-    res.json(result);
+  }
+  
+  return result;
+}
+
+app.post('/api/ai/check-breaking-news', async (req, res) => {
+  const { asset } = req.body;
+  
+  try {
+    res.json(await checkBreakingNews(asset));
   } catch (e) {
     console.error('Breaking news error:', e);
     res.status(500).json({ error: e.message });
@@ -0,0 +1,225 @@
+// Instrument specification registry - one source of contract data for the backtester,
+// optimization workers and the AI trading engine. Built-in specs can be overridden (and new
+// instruments added) through /api/instruments; overrides are persisted to data/instruments.json.
+//
+// pointSize          price move that counts as one point
+// contractMultiplier units per contract, so one point on one contract = pointSize * contractMultiplier
+// minStopDistance    smallest allowed stop, in points
+// marginPercent      margin required as % of notional (price * contractMultiplier * size)
+// typicalSpread      spread in points
+// minSize            smallest tradable size in contracts
+// exchange           venue whose holiday calendar applies (see holidays.js)
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { EXCHANGES } from './holidays.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INSTRUMENTS_FILE = path.join(__dirname, '..', 'data', 'instruments.json');
+
+export const INSTRUMENT_FIELDS = ['name', 'pointSize', 'contractMultiplier', 'currency', 'minStopDistance', 'marginPercent', 'typicalSpread', 'minSize', 'exchange'];
+const NUMERIC_FIELDS = ['pointSize', 'contractMultiplier', 'minStopDistance', 'marginPercent', 'typicalSpread', 'minSize'];
+
+// [id, name, pointSize, contractMultiplier, currency, minStopDistance, marginPercent, typicalSpread, minSize]
+const BUILTIN_ROWS = [
+  // Precious Metals
+  ['silver', 'Silver', 0.01, 5000, 'USD', 4, 10, 2, 0.05],
+  ['gold', 'Gold', 0.1, 100, 'USD', 4, 5, 3, 0.1],
+  ['platinum', 'Platinum', 0.1, 50, 'USD', 5, 10, 5, 0.1],
+  ['palladium', 'Palladium', 0.05, 100, 'USD', 10, 10, 10, 0.1],
+  ['xagusd', 'Silver Spot', 0.01, 5000, 'USD', 4, 10, 2, 0.05],
+  ['xauusd', 'Gold Spot', 0.1, 100, 'USD', 4, 5, 3, 0.1],
+  // CFD the AI paper trading account trades: 1 AUD a point per unit, 100 units a contract
+  ['silver-cfd', 'Silver CFD', 0.01, 10000, 'AUD', 4, 10, 2, 0.05],
+  // Energy
+  ['oil', 'Crude Oil (WTI)', 0.01, 1000, 'USD', 5, 10, 3, 0.1],
+  ['brent', 'Brent Crude', 0.01, 1000, 'USD', 5, 10, 3, 0.1],
+  ['natgas', 'Natural Gas', 0.001, 10000, 'USD', 10, 10, 5, 0.1],
+  ['rbob', 'RBOB Gasoline', 0.0001, 42000, 'USD', 20, 10, 10, 0.1],
+  // Agricultural (prices in cents)
+  ['corn', 'Corn', 0.25, 50, 'USD', 2, 10, 1, 0.1],
+  ['wheat', 'Wheat', 0.25, 50, 'USD', 2, 10, 1, 0.1],
+  ['soybeans', 'Soybeans', 0.25, 50, 'USD', 2, 10, 1, 0.1],
+  ['coffee', 'Coffee', 0.05, 375, 'USD', 5, 10, 3, 0.1],
+  ['sugar', 'Sugar', 0.01, 1120, 'USD', 5, 10, 2, 0.1],
+  ['cotton', 'Cotton', 0.01, 500, 'USD', 5, 10, 3, 0.1],
+  ['cocoa', 'Cocoa', 1, 10, 'USD', 5, 10, 3, 0.1],
+  // Forex Majors
+  ['eurusd', 'EUR/USD', 0.0001, 100000, 'USD', 2, 3.33, 1, 0.01],
+  ['gbpusd', 'GBP/USD', 0.0001, 100000, 'USD', 2, 3.33, 1.5, 0.01],
+  ['usdjpy', 'USD/JPY', 0.01, 100000, 'JPY', 2, 3.33, 1, 0.01],
+  ['usdchf', 'USD/CHF', 0.0001, 100000, 'CHF', 2, 3.33, 1.5, 0.01],
+  ['audusd', 'AUD/USD', 0.0001, 100000, 'USD', 2, 3.33, 1, 0.01],
+  ['usdcad', 'USD/CAD', 0.0001, 100000, 'CAD', 2, 3.33, 1.5, 0.01],
+  ['nzdusd', 'NZD/USD', 0.0001, 100000, 'USD', 2, 3.33, 2, 0.01],
+  // Forex Crosses
+  ['eurgbp', 'EUR/GBP', 0.0001, 100000, 'GBP', 2, 3.33, 1.5, 0.01],
+  ['eurjpy', 'EUR/JPY', 0.01, 100000, 'JPY', 2, 3.33, 2, 0.01],
+  ['gbpjpy', 'GBP/JPY', 0.01, 100000, 'JPY', 3, 3.33, 3, 0.01],
+  // US Indices
+  ['spx500', 'S&P 500', 0.25, 50, 'USD', 4, 5, 2, 0.1],
+  ['nasdaq', 'NASDAQ', 0.25, 20, 'USD', 8, 5, 4, 0.1],
+  ['dow', 'Dow Jones', 1, 5, 'USD', 10, 5, 2, 0.1],
+  ['russell', 'Russell 2000', 0.1, 50, 'USD', 5, 5, 3, 0.1],
+  ['vix', 'VIX', 0.05, 1000, 'USD', 4, 20, 2, 0.1],
+  // European Indices
+  ['dax', 'DAX', 0.5, 25, 'EUR', 4, 5, 2, 0.1],
+  ['ftse', 'FTSE 100', 0.5, 10, 'GBP', 4, 5, 2, 0.1],
+  ['cac', 'CAC 40', 0.5, 10, 'EUR', 4, 5, 2, 0.1],
+  ['stoxx', 'Euro Stoxx 50', 1, 10, 'EUR', 4, 5, 2, 0.1],
+  // Asian Indices
+  ['nikkei', 'Nikkei 225', 5, 5, 'JPY', 4, 5, 2, 0.1],
+  ['hangseng', 'Hang Seng', 1, 50, 'HKD', 10, 10, 6, 0.1],
+  ['shanghai', 'Shanghai Composite', 0.01, 1, 'CNY', 0, 20, 50, 1],
+  // US Stocks (prices in dollars, one share per contract)
+  ['aapl', 'Apple', 0.01, 1, 'USD', 0, 20, 2, 1],
+  ['msft', 'Microsoft', 0.01, 1, 'USD', 0, 20, 2, 1],
+  ['googl', 'Alphabet', 0.01, 1, 'USD', 0, 20, 2, 1],
+  ['amzn', 'Amazon', 0.01, 1, 'USD', 0, 20, 2, 1],
+  ['nvda', 'NVIDIA', 0.01, 1, 'USD', 0, 20, 2, 1],
+  ['tsla', 'Tesla', 0.01, 1, 'USD', 0, 20, 3, 1],
+  ['meta', 'Meta', 0.01, 1, 'USD', 0, 20, 2, 1],
+  // Crypto
+  ['btcusd', 'Bitcoin', 1, 1, 'USD', 100, 50, 40, 0.01],
+  ['ethusd', 'Ethereum', 0.1, 1, 'USD', 50, 50, 20, 0.01],
+  ['solusd', 'Solana', 0.01, 1, 'USD', 20, 50, 10, 0.1],
+  ['xrpusd', 'XRP', 0.0001, 1, 'USD', 20, 50, 10, 10],
+  // ETFs
+  ['spy', 'SPDR S&P 500 ETF', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['qqq', 'Invesco QQQ', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['iwm', 'iShares Russell 2000', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['gld', 'SPDR Gold Shares', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['slv', 'iShares Silver Trust', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['uso', 'United States Oil Fund', 0.01, 1, 'USD', 0, 20, 1, 1],
+  ['tlt', 'iShares 20+ Year Treasury', 0.01, 1, 'USD', 0, 20, 1, 1]
+];
+
+const BUILTIN_EXCHANGES = {
+  CME: ['silver', 'silver-cfd', 'gold', 'platinum', 'palladium', 'oil', 'natgas', 'rbob', 'corn', 'wheat', 'soybeans', 'spx500', 'nasdaq', 'dow', 'russell'],
+  CBOE: ['vix'],
+  ICE_US: ['coffee', 'sugar', 'cotton', 'cocoa'],
+  ICE_EU: ['brent'],
+  FX: ['xagusd', 'xauusd', 'eurusd', 'gbpusd', 'usdjpy', 'usdchf', 'audusd', 'usdcad', 'nzdusd', 'eurgbp', 'eurjpy', 'gbpjpy'],
+  EUREX: ['dax', 'stoxx'],
+  LSE: ['ftse'],
+  EURONEXT: ['cac'],
+  JPX: ['nikkei'],
+  HKEX: ['hangseng'],
+  SSE: ['shanghai'],
+  NASDAQ: ['aapl', 'msft', 'googl', 'amzn', 'nvda', 'tsla', 'meta', 'qqq', 'tlt'],
+  NYSE: ['spy', 'iwm', 'gld', 'slv', 'uso'],
+  CRYPTO: ['btcusd', 'ethusd', 'solusd', 'xrpusd']
+};
+const EXCHANGE_BY_ID = Object.fromEntries(Object.entries(BUILTIN_EXCHANGES).flatMap(([exchange, ids]) => ids.map(id => [id, exchange])));
+
+const BUILTIN_INSTRUMENTS = Object.fromEntries(BUILTIN_ROWS.map(
+  ([id, name, pointSize, contractMultiplier, currency, minStopDistance, marginPercent, typicalSpread, minSize]) =>
+    [id, { id, name, pointSize, contractMultiplier, currency, minStopDistance, marginPercent, typicalSpread, minSize, exchange: EXCHANGE_BY_ID[id] }]
+));
+
+// Used for assets nobody has described yet (e.g. uploaded CSV symbols) - one point = one price unit
+const GENERIC_INSTRUMENT = {
+  pointSize: 0.01,
+  contractMultiplier: 1,
+  currency: 'USD',
+  minStopDistance: 0,
+  marginPercent: 100,
+  typicalSpread: 0,
+  minSize: 0.01,
+  exchange: null
+};
+
+let overrides = {};
+try {
+  if (fs.existsSync(INSTRUMENTS_FILE)) {
+    overrides = JSON.parse(fs.readFileSync(INSTRUMENTS_FILE, 'utf-8'));
+  }
+} catch (e) {
+  console.warn('Could not read instrument overrides:', e.message);
+}
+
+function saveOverrides() {
+  fs.mkdirSync(path.dirname(INSTRUMENTS_FILE), { recursive: true });
+  fs.writeFileSync(INSTRUMENTS_FILE, JSON.stringify(overrides, null, 2));
+}
+
+function normalizeId(id) {
+  return String(id || '').toLowerCase().trim();
+}
+
+// Returns the spec for a registered instrument, or null
+export function getInstrument(id) {
+  const key = normalizeId(id);
+  const builtin = BUILTIN_INSTRUMENTS[key];
+  const override = overrides[key];
+  if (!builtin && !override) return null;
+  return {
+    ...(builtin || { ...GENERIC_INSTRUMENT, id: key, name: key.toUpperCase() }),
+    ...override,
+    id: key,
+    builtin: !!builtin,
+    customized: !!override
+  };
+}
+
+// Always returns a usable spec; unregistered assets get the generic spec flagged as such
+export function resolveInstrument(id) {
+  const key = normalizeId(id);
+  return getInstrument(key) || { ...GENERIC_INSTRUMENT, id: key, name: key.toUpperCase(), builtin: false, customized: false, generic: true };
+}
+
+// The AI paper trading engine trades an asset's CFD when one is registered as "<asset>-cfd", else the
+// asset's own spec. Amounts are in the instrument's currency - nothing converts between currencies.
+export function paperTradingInstrument(asset) {
+  return getInstrument(`${normalizeId(asset)}-cfd`) || resolveInstrument(asset);
+}
+
+export function listInstruments() {
+  const ids = new Set([...Object.keys(BUILTIN_INSTRUMENTS), ...Object.keys(overrides)]);
+  return [...ids].map(getInstrument);
+}
+
+export function validateInstrumentSpec(spec) {
+  for (const field of NUMERIC_FIELDS) {
+    if (spec[field] === undefined) continue;
+    const value = Number(spec[field]);
+    if (!Number.isFinite(value) || value < 0) return `${field} must be a non-negative number`;
+  }
+  for (const field of ['pointSize', 'contractMultiplier']) {
+    if (spec[field] !== undefined && !(Number(spec[field]) > 0)) return `${field} must be greater than 0`;
+  }
+  if (spec.marginPercent !== undefined && Number(spec.marginPercent) > 100) return 'marginPercent cannot exceed 100';
+  if (spec.currency !== undefined && !/^[A-Z]{3}$/.test(String(spec.currency).toUpperCase())) return 'currency must be a 3-letter code';
+  if (spec.exchange && !EXCHANGES.includes(String(spec.exchange).toUpperCase())) return `exchange must be one of ${EXCHANGES.join(', ')}`;
+  return null;
+}
+
+// Merge the given fields into the instrument (creating it if new) and persist. Throws on invalid input.
+export function upsertInstrument(id, spec) {
+  const key = normalizeId(id);
+  if (!/^[a-z0-9._-]+$/.test(key)) throw new Error('Instrument id may only contain letters, digits, ".", "_" and "-"');
+  const error = validateInstrumentSpec(spec);
+  if (error) throw new Error(error);
+
+  const update = {};
+  for (const field of INSTRUMENT_FIELDS) {
+    if (spec[field] === undefined) continue;
+    if (NUMERIC_FIELDS.includes(field)) update[field] = Number(spec[field]);
+    else if (field === 'currency') update[field] = String(spec[field]).toUpperCase();
+    else if (field === 'exchange') update[field] = spec[field] ? String(spec[field]).toUpperCase() : null;
+    else update[field] = String(spec[field]);
+  }
+  overrides[key] = { ...overrides[key], ...update };
+  saveOverrides();
+  return getInstrument(key);
+}
+
+// Drops the override: built-ins revert to their defaults, custom instruments are removed
+export function resetInstrument(id) {
+  const key = normalizeId(id);
+  if (!overrides[key]) return getInstrument(key);
+  delete overrides[key];
+  saveOverrides();
+  return getInstrument(key);
+}
@@ -0,0 +1,191 @@
+// Trend/volatility/wave analysis of a candle series - the same scoring the client uses for
+// its AI analysis, so server-side trading loops reach the same conclusions as the browser did.
+
+export function analyzeHistoricalData(candles) {
+  const closes = candles.map(c => c.close);
+  const highs = candles.map(c => c.high);
+  const lows = candles.map(c => c.low);
+  const n = closes.length;
+  
+  if (n < 20) {
+    return { trend: 0, volatility: 0.01, waveInfo: null, indicators: {} };
+  }
+  
+  // Calculate SMAs for trend detection
+  const sma20 = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
+  const sma50 = n >= 50 ? closes.slice(-50).reduce((a, b) => a + b, 0) / 50 : sma20;
+  const sma100 = n >= 100 ? closes.slice(-100).reduce((a, b) => a + b, 0) / 100 : sma50;
+  const sma200 = n >= 200 ? closes.slice(-200).reduce((a, b) => a + b, 0) / 200 : sma100;
+  
+  // EMA calculation
+  const calcEMA = (data, period) => {
+    const k = 2 / (period + 1);
+    let ema = data.slice(0, Math.min(period, data.length)).reduce((a, b) => a + b, 0) / Math.min(period, data.length);
+    for (let i = Math.min(period, data.length); i < data.length; i++) {
+      ema = data[i] * k + ema * (1 - k);
+    }
+    return ema;
+  };
+  
+  const ema9 = calcEMA(closes, 9);
+  const ema21 = calcEMA(closes, 21);
+  const ema50 = calcEMA(closes, Math.min(50, n));
+  
+  // RSI
+  let gains = 0, losses = 0;
+  const rsiPeriod = Math.min(14, n - 1);
+  for (let i = n - rsiPeriod; i < n; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gains += change;
+    else losses -= change;
+  }
+  const avgGain = gains / rsiPeriod;
+  const avgLoss = losses / rsiPeriod;
+  const rsi = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+  
+  // MACD
+  const ema12 = calcEMA(closes, Math.min(12, n));
+  const ema26 = calcEMA(closes, Math.min(26, n));
+  const macd = ema12 - ema26;
+  
+  // Volatility (standard deviation of returns)
+  let priceChanges = [];
+  for (let i = 1; i < n; i++) {
+    priceChanges.push((closes[i] - closes[i-1]) / closes[i-1]);
+  }
+  const avgChange = priceChanges.reduce((a, b) => a + b, 0) / priceChanges.length;
+  const volatility = Math.sqrt(priceChanges.reduce((sum, c) => sum + Math.pow(c - avgChange, 2), 0) / priceChanges.length) || 0.01;
+  
+  // Trend strength (-1 to +1)
+  let trendScore = 0;
+  const currentPrice = closes[n - 1];
+  
+  // SMA alignment
+  if (currentPrice > sma20) trendScore += 0.15;
+  else trendScore -= 0.15;
+  if (currentPrice > sma50) trendScore += 0.15;
+  else trendScore -= 0.15;
+  if (currentPrice > sma100) trendScore += 0.1;
+  else trendScore -= 0.1;
+  if (currentPrice > sma200) trendScore += 0.1;
+  else trendScore -= 0.1;
+  
+  // EMA alignment
+  if (ema9 > ema21) trendScore += 0.15;
+  else trendScore -= 0.15;
+  if (ema21 > ema50) trendScore += 0.1;
+  else trendScore -= 0.1;
+  
+  // RSI contribution
+  if (rsi > 50) trendScore += (rsi - 50) / 200;
+  else trendScore -= (50 - rsi) / 200;
+  
+  // MACD contribution
+  if (macd > 0) trendScore += 0.1;
+  else trendScore -= 0.1;
+  
+  // Clamp trend score
+  trendScore = Math.max(-1, Math.min(1, trendScore));
+  
+  // Detect wave structure (swing highs/lows)
+  const swings = detectSwings(candles);
+  const waveInfo = analyzeWaveStructure(swings, currentPrice);
+  
+  // Higher timeframe trend (using longer lookback)
+  const longTermTrend = n >= 100 ? 
+    (closes[n-1] - closes[n-100]) / closes[n-100] : 
+    (closes[n-1] - closes[0]) / closes[0];
+  
+  return {
+    trend: trendScore,
+    longTermTrend,
+    volatility,
+    waveInfo,
+    indicators: {
+      sma20, sma50, sma100, sma200,
+      ema9, ema21, ema50,
+      rsi, macd,
+      currentPrice
+    }
+  };
+}
+
+// Detect swing highs and lows
+export function detectSwings(candles, lookback = 5) {
+  const swings = [];
+  const n = candles.length;
+  
+  for (let i = lookback; i < n - lookback; i++) {
+    let isHigh = true, isLow = true;
+    
+    for (let j = i - lookback; j <= i + lookback; j++) {
+      if (j === i) continue;
+      if (candles[j].high >= candles[i].high) isHigh = false;
+      if (candles[j].low <= candles[i].low) isLow = false;
+    }
+    
+    if (isHigh) {
+      swings.push({ type: 'high', price: candles[i].high, time: candles[i].time, index: i });
+    }
+    if (isLow) {
+      swings.push({ type: 'low', price: candles[i].low, time: candles[i].time, index: i });
+    }
+  }
+  
+  return swings.sort((a, b) => a.index - b.index);
+}
+
+// Analyze wave structure from swings
+function analyzeWaveStructure(swings, currentPrice) {
+  if (swings.length < 4) {
+    return { waveCount: 0, avgWaveHeight: 0, avgWaveLength: 0, currentPhase: 'unknown' };
+  }
+  
+  // Calculate average wave characteristics
+  const waves = [];
+  for (let i = 1; i < swings.length; i++) {
+    const prev = swings[i-1];
+    const curr = swings[i];
+    waves.push({
+      height: Math.abs(curr.price - prev.price),
+      length: curr.index - prev.index,
+      direction: curr.type === 'high' ? 'up' : 'down'
+    });
+  }
+  
+  const avgWaveHeight = waves.reduce((a, w) => a + w.height, 0) / waves.length;
+  const avgWaveLength = waves.reduce((a, w) => a + w.length, 0) / waves.length;
+  
+  // Determine current phase
+  const lastSwing = swings[swings.length - 1];
+  const distFromSwing = currentPrice - lastSwing.price;
+  const progressFromSwing = Math.abs(distFromSwing) / avgWaveHeight;
+  
+  let currentPhase;
+  if (lastSwing.type === 'low') {
+    if (distFromSwing > 0) currentPhase = 'upwave';
+    else currentPhase = 'breakdown';
+  } else {
+    if (distFromSwing < 0) currentPhase = 'downwave';
+    else currentPhase = 'breakout';
+  }
+  
+  // Detect nested waves (larger cycle)
+  const highs = swings.filter(s => s.type === 'high').map(s => s.price);
+  const lows = swings.filter(s => s.type === 'low').map(s => s.price);
+  const overallHigh = Math.max(...highs);
+  const overallLow = Math.min(...lows);
+  const positionInCycle = highs.length > 0 && lows.length > 0 ? 
+    (currentPrice - overallLow) / (overallHigh - overallLow) : 0.5;
+  
+  return {
+    waveCount: waves.length,
+    avgWaveHeight,
+    avgWaveLength,
+    currentPhase,
+    progressFromSwing,
+    positionInCycle,
+    lastSwingType: lastSwing.type,
+    lastSwingPrice: lastSwing.price
+  };
+}
@@ -0,0 +1,226 @@
+// Market data providers - the sources candles are fetched from, tried in priority order (globally or
+// per asset). Each provider's health is tracked and one that keeps failing is skipped for a cooldown
+// that grows with every further failure. Providers that make candles up instead of serving real
+// history are flagged synthetic and only used when no real source or stored data is left.
+// The priority config is persisted to data/market-providers.json.
+//
+// A provider is { id, name, description, synthetic, store, supports(asset, timeframe),
+// fetchCandles(asset, timeframe, { since }) } where fetchCandles resolves to { candles, symbol,
+// currency, exchange } and store says whether its bars belong in the candle store.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { resampleCandles, TIMEFRAME_SECONDS } from './candleStore.js';
+import { parseOhlcvCsv } from './customAssets.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_FILE = path.join(__dirname, '..', 'data', 'market-providers.json');
+const FIXTURES_DIR = process.env.MARKET_DATA_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'market-data');
+
+const DEFAULT_PRIORITY = ['yahoo', 'metalpriceapi'];
+// Consecutive failures before a provider is skipped, and the cooldown range
+const FAILURES_BEFORE_COOLDOWN = 3;
+const MIN_COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 15 * 60 * 1000;
+
+const providers = new Map();
+const health = new Map();
+
+// MARKET_DATA_PROVIDERS sets the default order at startup and wins over a saved one, so e.g.
+// MARKET_DATA_PROVIDERS=local stays offline whatever order was saved before
+function loadConfig() {
+  const fromEnv = process.env.MARKET_DATA_PROVIDERS?.split(',').map(id => id.trim()).filter(Boolean);
+  let config = { default: DEFAULT_PRIORITY, assets: {} };
+  try {
+    if (fs.existsSync(CONFIG_FILE)) config = { ...config, ...JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8')) };
+  } catch (e) {
+    console.warn('Could not read market data provider config:', e.message);
+  }
+  return fromEnv?.length ? { ...config, default: fromEnv } : config;
+}
+
+let config = loadConfig();
+
+function saveConfig() {
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.fetchCandles !== 'function') {
+    throw new Error('A market data provider needs an id and a fetchCandles function');
+  }
+  providers.set(provider.id, { synthetic: false, store: false, supports: () => true, ...provider });
+  health.set(provider.id, {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastLatencyMs: null,
+    cooldownUntil: null
+  });
+}
+
+export function getProviderPriority(asset) {
+  return config.assets[asset] || config.default;
+}
+
+// Set the provider order for one asset, or the default order when asset is omitted. An empty order
+// drops the asset's override.
+export function setProviderPriority(asset, order) {
+  if (order != null && !Array.isArray(order)) throw new Error('providers must be an array of provider ids');
+  const unknown = (order || []).filter(id => !providers.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown provider${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} - use ${[...providers.keys()].join(', ')}`);
+  }
+  if (asset) {
+    if (order?.length) config.assets[asset] = [...new Set(order)];
+    else delete config.assets[asset];
+  } else {
+    if (!order?.length) throw new Error('The default order needs at least one provider');
+    config.default = [...new Set(order)];
+  }
+  saveConfig();
+  return { default: config.default, assets: config.assets };
+}
+
+function healthStatus(h) {
+  if (h.cooldownUntil && h.cooldownUntil > Date.now()) return 'down';
+  if (h.consecutiveFailures > 0) return 'failing';
+  return h.successes > 0 ? 'ok' : 'unknown';
+}
+
+export function listProviders() {
+  return {
+    providers: [...providers.values()].map(p => {
+      const h = health.get(p.id);
+      return {
+        id: p.id,
+        name: p.name || p.id,
+        description: p.description || '',
+        synthetic: p.synthetic,
+        store: p.store,
+        inDefaultPriority: config.default.includes(p.id),
+        health: {
+          ...h,
+          status: healthStatus(h),
+          cooldownUntil: h.cooldownUntil && h.cooldownUntil > Date.now() ? new Date(h.cooldownUntil).toISOString() : null
+        }
+      };
+    }),
+    priority: { default: config.default, assets: config.assets }
+  };
+}
+
+function recordSuccess(id, latencyMs) {
+  const h = health.get(id);
+  h.successes++;
+  h.consecutiveFailures = 0;
+  h.cooldownUntil = null;
+  h.lastSuccessAt = new Date().toISOString();
+  h.lastLatencyMs = latencyMs;
+}
+
+function recordFailure(id, message, latencyMs) {
+  const h = health.get(id);
+  h.failures++;
+  h.consecutiveFailures++;
+  h.lastFailureAt = new Date().toISOString();
+  h.lastError = message;
+  h.lastLatencyMs = latencyMs;
+  if (h.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+    const cooldown = Math.min(MIN_COOLDOWN_MS * 2 ** (h.consecutiveFailures - FAILURES_BEFORE_COOLDOWN), MAX_COOLDOWN_MS);
+    h.cooldownUntil = Date.now() + cooldown;
+  }
+}
+
+// Whether any provider in the asset's priority can serve it
+export function isProviderAsset(asset) {
+  return getProviderPriority(asset).some(id => providers.get(id)?.supports(asset));
+}
+
+// Try the asset's providers in priority order (real or synthetic ones only) and return the first
+// that has candles, with every attempt made. Providers cooling down are skipped unless ignoreCooldown.
+export async function fetchFromProviders(asset, timeframe, { synthetic = false, since = null, ignoreCooldown = false } = {}) {
+  const attempts = [];
+  for (const id of getProviderPriority(asset)) {
+    const provider = providers.get(id);
+    if (!provider || provider.synthetic !== synthetic || !provider.supports(asset, timeframe)) continue;
+    const h = health.get(id);
+    if (!ignoreCooldown && h.cooldownUntil && h.cooldownUntil > Date.now()) {
+      attempts.push({ provider: id, skipped: 'cooling down after repeated failures' });
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const data = await provider.fetchCandles(asset, timeframe, { since });
+      if (!data?.candles?.length) throw new Error('No data returned');
+      recordSuccess(id, Date.now() - started);
+      attempts.push({ provider: id, candles: data.candles.length });
+      return { provider, data, attempts };
+    } catch (e) {
+      recordFailure(id, e.message, Date.now() - started);
+      attempts.push({ provider: id, error: e.message });
+      console.warn(`Market data provider ${id} failed for ${asset}/${timeframe}:`, e.message);
+    }
+  }
+  return { provider: null, data: null, attempts };
+}
+
+// Local provider - serves fixture files so the app works offline and can be tested without network
+// access. Files live at <fixtures>/<asset>/<timeframe>.csv or .json (an array of candles or
+// { candles }); a missing timeframe is resampled from the coarsest finer one that divides it.
+
+function fixtureFiles(asset) {
+  if (!/^[a-z0-9_-]+$/i.test(asset)) return {};
+  const dir = path.join(FIXTURES_DIR, asset.toLowerCase());
+  if (!fs.existsSync(dir)) return {};
+  const files = {};
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(/^([a-z0-9]+)\.(csv|json)$/i);
+    if (match) files[match[1] === '1mo' ? '1M' : match[1]] = path.join(dir, file);
+  }
+  return files;
+}
+
+function readFixture(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  if (file.endsWith('.csv')) return parseOhlcvCsv(text, { timezone: 'UTC' }).candles;
+  const parsed = JSON.parse(text);
+  const candles = Array.isArray(parsed) ? parsed : parsed.candles;
+  if (!Array.isArray(candles)) throw new Error(`${path.basename(file)} has no candles array`);
+  return candles.sort((a, b) => a.time - b.time);
+}
+
+// Fixture timeframe to serve a timeframe from
+function fixtureSource(files, timeframe) {
+  if (files[timeframe]) return timeframe;
+  const target = TIMEFRAME_SECONDS[timeframe];
+  if (!target) return null;
+  return Object.keys(files)
+    .filter(tf => TIMEFRAME_SECONDS[tf] < target && target % TIMEFRAME_SECONDS[tf] === 0)
+    .sort((a, b) => TIMEFRAME_SECONDS[b] - TIMEFRAME_SECONDS[a])[0] || null;
+}
+
+registerProvider({
+  id: 'local',
+  name: 'Local fixtures',
+  description: `Candle files under ${path.relative(path.join(__dirname, '..'), FIXTURES_DIR) || FIXTURES_DIR}`,
+  supports: (asset, timeframe) => {
+    const files = fixtureFiles(asset);
+    return timeframe ? !!fixtureSource(files, timeframe) : Object.keys(files).length > 0;
+  },
+  fetchCandles: async (asset, timeframe) => {
+    const files = fixtureFiles(asset);
+    const base = fixtureSource(files, timeframe);
+    const candles = readFixture(files[base]);
+    return {
+      candles: base === timeframe ? candles : resampleCandles(candles, TIMEFRAME_SECONDS[timeframe]),
+      symbol: `${asset.toUpperCase()} (${path.basename(files[base])})`
+    };
+  }
+});
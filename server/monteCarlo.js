@@ -0,0 +1,142 @@
+// Monte Carlo robustness check for a finished backtest - replays the trade P&L list in random
+// orders (shuffle) or drawn with replacement (resample), optionally skipping a share of trades.
+
+export const MONTE_CARLO_METHODS = ['shuffle', 'resample'];
+
+const MAX_ITERATIONS = 10000;
+// Equity percentiles are sampled at most this many points along the trade sequence
+const MAX_BAND_POINTS = 200;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+function round(value, decimals = 2) {
+  return Number(value.toFixed(decimals));
+}
+
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort();
+  return {
+    p5: round(percentile(sorted, 5)),
+    p25: round(percentile(sorted, 25)),
+    p50: round(percentile(sorted, 50)),
+    p75: round(percentile(sorted, 75)),
+    p95: round(percentile(sorted, 95)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length)
+  };
+}
+
+function histogram(values, bucketCount = 20) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bucketCount || 1;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({ from: round(min + i * width), to: round(min + (i + 1) * width), count: 0 }));
+  for (const v of values) {
+    buckets[Math.min(bucketCount - 1, Math.floor((v - min) / width))].count++;
+  }
+  return buckets;
+}
+
+// trades: [{ pnl }] in the order they closed. Ruin means equity touching
+// initialCapital * (1 - ruinPercent / 100) at any point. Throws on bad input.
+export function runMonteCarlo({ trades, initialCapital = 2000, iterations = 1000, method = 'shuffle', skipPercent = 0, ruinPercent = 50 }) {
+  if (!Array.isArray(trades) || trades.length === 0) {
+    throw new Error('At least one trade is required');
+  }
+  if (!MONTE_CARLO_METHODS.includes(method)) {
+    throw new Error(`Unknown Monte Carlo method "${method}" - use ${MONTE_CARLO_METHODS.join(', ')}`);
+  }
+  const capital = Number(initialCapital);
+  if (!(capital > 0)) throw new Error('initialCapital must be greater than 0');
+
+  const pnls = trades.map(t => Number(t.pnl) || 0);
+  const runs = Math.min(Math.max(parseInt(iterations) || 1000, 1), MAX_ITERATIONS);
+  const skip = Math.min(Math.max(Number(skipPercent) || 0, 0), 100) / 100;
+  const ruinLevel = capital * (1 - Math.min(Math.max(Number(ruinPercent) || 0, 0), 100) / 100);
+
+  const n = pnls.length;
+  const bandStep = Math.max(1, Math.ceil(n / MAX_BAND_POINTS));
+  const bandIndexes = [];
+  for (let k = 0; k <= n; k += bandStep) bandIndexes.push(k);
+  if (bandIndexes[bandIndexes.length - 1] !== n) bandIndexes.push(n);
+  const bandValues = bandIndexes.map(() => new Float64Array(runs));
+
+  const finalEquities = new Float64Array(runs);
+  const maxDrawdowns = new Float64Array(runs);
+  const maxDrawdownPcts = new Float64Array(runs);
+  let ruined = 0;
+  let losing = 0;
+  const order = pnls.slice();
+
+  for (let r = 0; r < runs; r++) {
+    if (method === 'shuffle') {
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+
+    let equity = capital;
+    let peak = capital;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    let hitRuin = false;
+    let band = 0;
+    for (let k = 0; k <= n; k++) {
+      if (k > 0) {
+        // Skipped trades leave equity flat so every path keeps the same length
+        if (!(skip > 0 && Math.random() < skip)) {
+          equity += method === 'shuffle' ? order[k - 1] : pnls[Math.floor(Math.random() * n)];
+        }
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+        maxDrawdownPct = Math.max(maxDrawdownPct, (peak - equity) / peak * 100);
+        if (equity <= ruinLevel) hitRuin = true;
+      }
+      if (bandIndexes[band] === k) bandValues[band++][r] = equity;
+    }
+
+    finalEquities[r] = equity;
+    maxDrawdowns[r] = maxDrawdown;
+    maxDrawdownPcts[r] = maxDrawdownPct;
+    if (hitRuin) ruined++;
+    if (equity < capital) losing++;
+  }
+
+  const actual = [capital];
+  pnls.forEach(p => actual.push(actual[actual.length - 1] + p));
+
+  return {
+    method,
+    iterations: runs,
+    tradeCount: n,
+    skipPercent: round(skip * 100),
+    initialCapital: capital,
+    ruinPercent: round((1 - ruinLevel / capital) * 100),
+    ruinLevel: round(ruinLevel),
+    riskOfRuin: round(ruined / runs * 100),
+    probabilityOfLoss: round(losing / runs * 100),
+    finalEquity: summarize(finalEquities),
+    maxDrawdown: { ...summarize(maxDrawdowns), histogram: histogram(maxDrawdowns) },
+    maxDrawdownPercent: summarize(maxDrawdownPcts),
+    bands: bandIndexes.map((trade, b) => {
+      const sorted = bandValues[b].sort();
+      return {
+        trade,
+        p5: round(percentile(sorted, 5)),
+        p25: round(percentile(sorted, 25)),
+        p50: round(percentile(sorted, 50)),
+        p75: round(percentile(sorted, 75)),
+        p95: round(percentile(sorted, 95)),
+        actual: round(actual[trade])
+      };
+    })
+  };
+}
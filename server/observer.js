@@ -0,0 +1,452 @@
+// Observe mode - a server-side scheduler that watches any number of assets, predicts each one's next
+// move from 1m candle patterns and verifies the prediction at several horizons (5m, 15m, 1h, 4h by
+// default). A move inside the tolerance band counts as flat, so it never confirms a prediction.
+// Verified results go to the AI brain. Pending predictions and results are persisted to
+// data/observer.json and a running observer resumes on restart.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = path.join(__dirname, '..', 'data', 'observer.json');
+
+// Verification horizons in seconds
+export const PREDICTION_HORIZONS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400
+};
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const DEFAULT_HORIZONS = ['5m', '15m', '1h', '4h'];
+// Smallest move (% of the prediction price) that counts as up or down
+const DEFAULT_TOLERANCE_PERCENT = 0.05;
+const MIN_INTERVAL_SECONDS = 10;
+const MAX_TOLERANCE_PERCENT = 10;
+// Candles the patterns are read from
+const PATTERN_CANDLES = 30;
+const MAX_RESULTS = 200;
+// Predictions that can't be checked this long after they were due (no candles came in) are dropped
+const MAX_OVERDUE_SECONDS = 3 * 86400;
+
+function freshState() {
+  return {
+    status: 'stopped',
+    config: {
+      assets: [],
+      intervalSeconds: DEFAULT_INTERVAL_SECONDS,
+      horizons: DEFAULT_HORIZONS,
+      tolerancePercent: DEFAULT_TOLERANCE_PERCENT
+    },
+    pending: [],
+    // Newest first
+    results: [],
+    stats: {},
+    lastRunAt: null,
+    nextRunAt: null,
+    lastError: null,
+    errors: {},
+    startedAt: null,
+    stoppedAt: null
+  };
+}
+
+// State files written before multi-horizon verification hold one horizonMinutes and a single dueTime
+// per prediction
+function migrateState(saved) {
+  if (saved.config?.horizons) return saved;
+  const { horizonMinutes = 5, ...config } = saved.config || {};
+  const label = `${horizonMinutes}m`;
+  return {
+    ...saved,
+    config: { ...freshState().config, ...config, horizons: PREDICTION_HORIZONS[label] ? [label] : DEFAULT_HORIZONS },
+    pending: (saved.pending || []).map(({ dueTime, ...pred }) => ({
+      ...pred,
+      tolerancePercent: 0,
+      checks: { [label]: { dueTime } }
+    })),
+    results: [],
+    stats: {}
+  };
+}
+
+let state = freshState();
+try {
+  if (fs.existsSync(STATE_FILE)) {
+    state = { ...state, ...migrateState(JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'))) };
+  }
+} catch (e) {
+  console.warn('Could not read observer state:', e.message);
+}
+
+function saveState() {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+let timer = null;
+let running = false;
+let loadCandles = async () => null;
+let recordPrediction = () => {};
+let isKnownAsset = () => true;
+
+// verified/correct count every horizon check; horizons splits them up
+function statsFor(asset) {
+  if (!state.stats[asset]) {
+    state.stats[asset] = { predictions: 0, verified: 0, correct: 0, expired: 0, lastCandleTime: null, horizons: {} };
+  }
+  return state.stats[asset];
+}
+
+// Indicator patterns over the last candles, each with a direction and strength
+function detectAdvancedPatterns(candles) {
+  const patterns = [];
+  const closes = candles.map(c => c.close);
+  const highs = candles.map(c => c.high);
+  const lows = candles.map(c => c.low);
+  const n = closes.length;
+
+  // Short-term indicators (last 5-10 candles)
+  const sma5 = closes.slice(-5).reduce((a, b) => a + b, 0) / 5;
+  const sma10 = closes.slice(-10).reduce((a, b) => a + b, 0) / 10;
+  const sma20 = closes.slice(-20).reduce((a, b) => a + b, 0) / Math.min(20, closes.length);
+
+  const calcEMA = (data, period) => {
+    const k = 2 / (period + 1);
+    let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < data.length; i++) {
+      ema = data[i] * k + ema * (1 - k);
+    }
+    return ema;
+  };
+
+  const ema9 = calcEMA(closes, 9);
+  const ema21 = calcEMA(closes, 21);
+
+  // RSI calculation
+  let gains = 0, losses = 0;
+  for (let i = n - 14; i < n; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gains += change;
+    else losses -= change;
+  }
+  const avgGain = gains / 14;
+  const avgLoss = losses / 14;
+  const rsi = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+
+  // MACD
+  const ema12 = calcEMA(closes, 12);
+  const ema26 = calcEMA(closes, Math.min(26, closes.length));
+  const macd = ema12 - ema26;
+
+  // Price momentum
+  const momentum = (closes[n - 1] - closes[n - 5]) / closes[n - 5] * 100;
+  const longMomentum = (closes[n - 1] - closes[n - 20]) / closes[n - 20] * 100;
+
+  // Wave detection - find recent swing highs/lows
+  const recentHigh = Math.max(...highs.slice(-10));
+  const recentLow = Math.min(...lows.slice(-10));
+  const currentPrice = closes[n - 1];
+  const priceRange = recentHigh - recentLow;
+  const positionInRange = priceRange > 0 ? (currentPrice - recentLow) / priceRange : 0.5;
+
+  // SMA crossover
+  if (sma5 > sma10 && sma10 > sma20) {
+    patterns.push({ name: 'Strong uptrend (SMA alignment)', direction: 'up', strength: 75 });
+  } else if (sma5 < sma10 && sma10 < sma20) {
+    patterns.push({ name: 'Strong downtrend (SMA alignment)', direction: 'down', strength: 75 });
+  } else if (sma5 > sma10) {
+    patterns.push({ name: 'Uptrend (SMA5 > SMA10)', direction: 'up', strength: 55 });
+  } else if (sma5 < sma10) {
+    patterns.push({ name: 'Downtrend (SMA5 < SMA10)', direction: 'down', strength: 55 });
+  }
+
+  // EMA crossover
+  if (ema9 > ema21) {
+    patterns.push({ name: 'Bullish EMA crossover', direction: 'up', strength: 60 });
+  } else {
+    patterns.push({ name: 'Bearish EMA crossover', direction: 'down', strength: 60 });
+  }
+
+  // RSI signals
+  if (rsi < 30) {
+    patterns.push({ name: 'Oversold (RSI < 30)', direction: 'up', strength: 70 });
+  } else if (rsi > 70) {
+    patterns.push({ name: 'Overbought (RSI > 70)', direction: 'down', strength: 70 });
+  } else if (rsi < 40) {
+    patterns.push({ name: 'Low RSI zone', direction: 'up', strength: 40 });
+  } else if (rsi > 60) {
+    patterns.push({ name: 'High RSI zone', direction: 'down', strength: 40 });
+  }
+
+  // MACD signal
+  if (macd > 0) {
+    patterns.push({ name: 'MACD bullish', direction: 'up', strength: 55 });
+  } else {
+    patterns.push({ name: 'MACD bearish', direction: 'down', strength: 55 });
+  }
+
+  // Momentum signal
+  if (momentum > 0.5) {
+    patterns.push({ name: `Strong momentum (+${momentum.toFixed(2)}%)`, direction: 'up', strength: 65 });
+  } else if (momentum < -0.5) {
+    patterns.push({ name: `Strong momentum (${momentum.toFixed(2)}%)`, direction: 'down', strength: 65 });
+  }
+
+  // Long-term momentum
+  if (longMomentum > 2) {
+    patterns.push({ name: 'Long-term uptrend', direction: 'up', strength: 50 });
+  } else if (longMomentum < -2) {
+    patterns.push({ name: 'Long-term downtrend', direction: 'down', strength: 50 });
+  }
+
+  // Wave position (mean reversion)
+  if (positionInRange > 0.9) {
+    patterns.push({ name: 'Near resistance (top of range)', direction: 'down', strength: 45 });
+  } else if (positionInRange < 0.1) {
+    patterns.push({ name: 'Near support (bottom of range)', direction: 'up', strength: 45 });
+  }
+
+  return patterns;
+}
+
+// Check the asset's pending predictions at each horizon against the close of the candle at that horizon.
+// A check waits until a candle at or past its due time has arrived; a prediction stays pending until
+// every horizon is checked. Only the shortest horizon counts towards the brain's overall accuracy.
+function verifyPending(asset, candles) {
+  const latestTime = candles[candles.length - 1].time;
+  const stats = statsFor(asset);
+  const stillPending = [];
+
+  for (const pred of state.pending) {
+    if (pred.asset !== asset) {
+      stillPending.push(pred);
+      continue;
+    }
+
+    const horizons = Object.keys(pred.checks);
+    for (const horizon of horizons) {
+      const check = pred.checks[horizon];
+      if (check.actual !== undefined || check.expired) continue;
+      if (latestTime < check.dueTime) {
+        if (Date.now() / 1000 - check.dueTime > MAX_OVERDUE_SECONDS) {
+          check.expired = true;
+          stats.expired++;
+        }
+        continue;
+      }
+
+      const exitCandle = candles.filter(c => c.time <= check.dueTime).pop() || candles[0];
+      const changePercent = (exitCandle.close - pred.price) / pred.price * 100;
+      const actual = changePercent > pred.tolerancePercent ? 1 : (changePercent < -pred.tolerancePercent ? -1 : 0);
+      const correct = pred.prediction === actual;
+      Object.assign(check, { exitPrice: exitCandle.close, changePercent: Number(changePercent.toFixed(4)), actual, correct, verifiedAt: new Date().toISOString() });
+
+      recordPrediction({
+        asset,
+        prediction: pred.prediction,
+        actual,
+        confidence: pred.confidence,
+        horizon,
+        horizonOnly: horizon !== horizons[0],
+        patterns: pred.patterns.map(p => ({ name: p.name, success: correct }))
+      });
+
+      const horizonStats = stats.horizons[horizon] || (stats.horizons[horizon] = { verified: 0, correct: 0 });
+      horizonStats.verified++;
+      stats.verified++;
+      if (correct) {
+        horizonStats.correct++;
+        stats.correct++;
+      }
+    }
+
+    if (isComplete(pred)) {
+      state.results.unshift({ ...pred, completedAt: new Date().toISOString() });
+    } else {
+      stillPending.push(pred);
+    }
+  }
+
+  state.pending = stillPending;
+  if (state.results.length > MAX_RESULTS) state.results = state.results.slice(0, MAX_RESULTS);
+}
+
+function isComplete(pred) {
+  return Object.values(pred.checks).every(c => c.actual !== undefined || c.expired);
+}
+
+// Predictions that verifyPending didn't reach this run - their asset was removed from the observed
+// list or its candles failed to load - still expire once a check is overdue, so they don't stay
+// pending forever
+function expireOverdue() {
+  const now = Date.now() / 1000;
+  const stillPending = [];
+  for (const pred of state.pending) {
+    for (const check of Object.values(pred.checks)) {
+      if (check.actual !== undefined || check.expired || now - check.dueTime <= MAX_OVERDUE_SECONDS) continue;
+      check.expired = true;
+      statsFor(pred.asset).expired++;
+    }
+    if (isComplete(pred)) {
+      state.results.unshift({ ...pred, completedAt: new Date().toISOString() });
+    } else {
+      stillPending.push(pred);
+    }
+  }
+  state.pending = stillPending;
+  if (state.results.length > MAX_RESULTS) state.results = state.results.slice(0, MAX_RESULTS);
+}
+
+// One new prediction per new candle
+function predict(asset, candles) {
+  const stats = statsFor(asset);
+  const latest = candles[candles.length - 1];
+  if (stats.lastCandleTime != null && latest.time <= stats.lastCandleTime) return null;
+
+  const directionalPatterns = detectAdvancedPatterns(candles.slice(-PATTERN_CANDLES))
+    .filter(p => p.direction === 'up' || p.direction === 'down');
+  if (directionalPatterns.length === 0) return null;
+
+  let upWeight = 0, downWeight = 0;
+  directionalPatterns.forEach(p => {
+    if (p.direction === 'up') upWeight += p.strength;
+    else downWeight += p.strength;
+  });
+
+  const pred = {
+    id: `obs_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    asset,
+    time: new Date().toISOString(),
+    candleTime: latest.time,
+    price: latest.close,
+    prediction: upWeight > downWeight ? 1 : -1,
+    confidence: Math.max(upWeight, downWeight) / (upWeight + downWeight) * 100,
+    tolerancePercent: state.config.tolerancePercent,
+    patterns: directionalPatterns,
+    checks: Object.fromEntries(state.config.horizons.map(h => [h, { dueTime: latest.time + PREDICTION_HORIZONS[h] }]))
+  };
+  state.pending.push(pred);
+  stats.predictions++;
+  stats.lastCandleTime = latest.time;
+  return pred;
+}
+
+async function observeAsset(asset) {
+  const candles = await loadCandles(asset, '1m');
+  if (!candles || candles.length < PATTERN_CANDLES) {
+    throw new Error(`Not enough 1m data for ${asset}`);
+  }
+  verifyPending(asset, candles);
+  predict(asset, candles);
+}
+
+async function runObservation() {
+  if (state.status !== 'running' || running) return;
+  running = true;
+  try {
+    for (const asset of state.config.assets) {
+      if (state.status !== 'running') break;
+      try {
+        await observeAsset(asset);
+        delete state.errors[asset];
+      } catch (e) {
+        state.errors[asset] = e.message;
+      }
+    }
+    expireOverdue();
+    state.lastRunAt = new Date().toISOString();
+    const failed = Object.entries(state.errors);
+    state.lastError = failed.length > 0 ? failed.map(([, message]) => message).join('; ') : null;
+  } catch (e) {
+    console.error('Observer error:', e);
+    state.lastError = e.message;
+  } finally {
+    running = false;
+    scheduleNextRun();
+    saveState();
+  }
+}
+
+function scheduleNextRun(delay) {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (state.status !== 'running') {
+    state.nextRunAt = null;
+    return;
+  }
+  const wait = delay ?? state.config.intervalSeconds * 1000;
+  state.nextRunAt = new Date(Date.now() + wait).toISOString();
+  timer = setTimeout(runObservation, wait);
+}
+
+// Wire in the data source, the brain and the asset list, and resume an observer that was running
+export function initObserver({ loadMarketCandles, recordBrainPrediction, isAssetSupported }) {
+  loadCandles = loadMarketCandles;
+  recordPrediction = recordBrainPrediction;
+  isKnownAsset = isAssetSupported;
+  if (state.status === 'running') {
+    console.log(`Resuming observe mode on ${state.config.assets.join(', ')}`);
+    scheduleNextRun(5000);
+  }
+}
+
+export function getObserverStatus() {
+  const accuracy = s => s.verified > 0 ? Number((s.correct / s.verified * 100).toFixed(1)) : null;
+  const stats = Object.fromEntries(Object.entries(state.stats).map(([asset, s]) => [asset, {
+    ...s,
+    horizons: Object.fromEntries(Object.entries(s.horizons).map(([h, hs]) => [h, { ...hs, accuracy: accuracy(hs) }])),
+    pending: state.pending.filter(p => p.asset === asset).length,
+    accuracy: accuracy(s)
+  }]));
+  return { ...state, stats, results: state.results.slice(0, 50) };
+}
+
+// horizons: labels from PREDICTION_HORIZONS, checked shortest first
+export function startObserver({ assets, intervalSeconds, horizons, tolerancePercent } = {}) {
+  if (state.status === 'running') throw new Error('Observe mode is already running');
+  const requested = [...new Set((Array.isArray(assets) ? assets : state.config.assets)
+    .map(a => String(a).toLowerCase().trim()).filter(Boolean))];
+  if (requested.length === 0) throw new Error('Choose at least one asset to observe');
+  const unknown = requested.filter(a => !isKnownAsset(a));
+  if (unknown.length > 0) throw new Error(`Unknown asset${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+
+  const interval = Number(intervalSeconds ?? state.config.intervalSeconds);
+  if (!(interval >= MIN_INTERVAL_SECONDS)) throw new Error(`intervalSeconds must be at least ${MIN_INTERVAL_SECONDS}`);
+  const checkHorizons = [...new Set(Array.isArray(horizons) ? horizons : state.config.horizons)];
+  if (checkHorizons.length === 0) throw new Error('Choose at least one verification horizon');
+  const badHorizons = checkHorizons.filter(h => !PREDICTION_HORIZONS[h]);
+  if (badHorizons.length > 0) {
+    throw new Error(`Unknown horizon ${badHorizons.join(', ')} - use ${Object.keys(PREDICTION_HORIZONS).join(', ')}`);
+  }
+  checkHorizons.sort((a, b) => PREDICTION_HORIZONS[a] - PREDICTION_HORIZONS[b]);
+  const tolerance = Number(tolerancePercent ?? state.config.tolerancePercent);
+  if (!(tolerance >= 0 && tolerance <= MAX_TOLERANCE_PERCENT)) {
+    throw new Error(`tolerancePercent must be between 0 and ${MAX_TOLERANCE_PERCENT}`);
+  }
+
+  state.config = { assets: requested, intervalSeconds: interval, horizons: checkHorizons, tolerancePercent: tolerance };
+  state.status = 'running';
+  state.startedAt = new Date().toISOString();
+  state.lastError = null;
+  state.errors = {};
+  saveState();
+  scheduleNextRun(0);
+  console.log(`Observe mode started on ${requested.join(', ')}`);
+  return getObserverStatus();
+}
+
+// Pending predictions are kept and verified when observing resumes
+export function stopObserver() {
+  state.status = 'stopped';
+  state.stoppedAt = new Date().toISOString();
+  scheduleNextRun();
+  saveState();
+  console.log('Observe mode stopped');
+  return getObserverStatus();
+}
@@ -0,0 +1,27 @@
+// Worker thread for optimization jobs - backtests one parameter set per message.
+// workerData carries the code, candles (plus optional lower-timeframe candles), settings and variable specs so only values cross the thread boundary.
+
+import { parentPort, workerData } from 'worker_threads';
+import { runBacktest } from './backtest.js';
+
+const { code, candles, lowerTimeframeCandles, settings, variables } = workerData;
+
+// Same substitution as the client's applyVariablesToCode: swap the value inside each detected pattern
+function applyVariableValues(values) {
+  let modifiedCode = code;
+  variables.forEach((v, i) => {
+    const escapedPattern = v.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const newPattern = v.pattern.replace(String(v.originalValue), String(values[i]));
+    modifiedCode = modifiedCode.replace(new RegExp(escapedPattern), newPattern);
+  });
+  return modifiedCode;
+}
+
+parentPort.on('message', ({ values }) => {
+  try {
+    const { equity, trades, dailyPerformance, ...summary } = runBacktest(applyVariableValues(values), candles, settings, lowerTimeframeCandles);
+    parentPort.postMessage({ values, result: summary });
+  } catch (error) {
+    parentPort.postMessage({ values, error: error.message });
+  }
+});
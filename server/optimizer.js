@@ -0,0 +1,387 @@
+// Server-side optimization jobs: grid, random and genetic search over detected bot variables.
+// Backtests run in worker threads; jobs keep running (and are saved to disk) when the client disconnects.
+
+import { Worker } from 'worker_threads';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseProBuilder } from './probuilder.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const JOBS_DIR = path.join(__dirname, '..', 'data', 'optimization-jobs');
+const WORKER_PATH = path.join(__dirname, 'optimizationWorker.js');
+
+export const OPTIMIZATION_METHODS = ['random', 'grid', 'genetic'];
+const MAX_EVALUATIONS = 5000;
+const MAX_STORED_RESULTS = 100;
+const MAX_STORED_JOBS = 20;
+const POOL_SIZE = Math.max(1, Math.min(os.cpus().length - 1, 4));
+
+const jobs = new Map();
+const listeners = new Map();
+
+if (!fs.existsSync(JOBS_DIR)) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+}
+
+// Reload finished jobs; anything that was still running when the server stopped is marked interrupted
+for (const file of fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json')).sort()) {
+  try {
+    const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), 'utf-8'));
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'interrupted';
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+    }
+    jobs.set(job.id, job);
+  } catch (e) {
+    console.warn(`Skipping unreadable optimization job ${file}:`, e.message);
+  }
+}
+
+function saveJob(job) {
+  const { candles, lowerTimeframeCandles, code, ...persisted } = job;
+  fs.writeFileSync(path.join(JOBS_DIR, `${job.id}.json`), JSON.stringify(persisted, null, 2));
+}
+
+function pruneJobs() {
+  const finished = [...jobs.values()]
+    .filter(j => j.status !== 'queued' && j.status !== 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  while (finished.length > MAX_STORED_JOBS) {
+    const old = finished.shift();
+    jobs.delete(old.id);
+    fs.rmSync(path.join(JOBS_DIR, `${old.id}.json`), { force: true });
+  }
+}
+
+function progressEvent(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    best: job.results[0] || null,
+    error: job.error || null
+  };
+}
+
+function emit(job) {
+  const event = progressEvent(job);
+  listeners.get(job.id)?.forEach(listener => listener(event));
+}
+
+export function scoreResult(result, metric) {
+  switch (metric) {
+    case 'winRate': return result.winRate || 0;
+    case 'gainLossRatio': return result.gainLossRatio || 0;
+    case 'sharpe': return result.statistics?.sharpeRatio ?? 0;
+    default: return result.totalGain || 0;
+  }
+}
+
+// Snap to the step grid without float noise (0.1 * 3 -> 0.3, not 0.30000000000000004)
+function roundToStep(value, v) {
+  const decimals = (String(v.step).split('.')[1] || '').length;
+  const snapped = v.min + Math.round((value - v.min) / v.step) * v.step;
+  return Number(Math.min(Math.max(snapped, v.min), v.max).toFixed(decimals));
+}
+
+function randomValue(v) {
+  return roundToStep(v.min + Math.random() * (v.max - v.min), v);
+}
+
+function randomCandidate(variables) {
+  return variables.map(v => v.includeInOptimization ? randomValue(v) : v.currentValue);
+}
+
+function gridCandidates(variables) {
+  const axes = variables.map(v => {
+    if (!v.includeInOptimization) return [v.currentValue];
+    const count = Math.floor((v.max - v.min) / v.step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, k) => roundToStep(v.min + k * v.step, v));
+  });
+  const total = axes.reduce((n, axis) => n * axis.length, 1);
+  if (total > MAX_EVALUATIONS) {
+    throw new Error(`Grid has ${total} combinations (max ${MAX_EVALUATIONS}) - increase the step sizes or exclude some variables`);
+  }
+  return axes.reduce((combos, axis) => combos.flatMap(c => axis.map(value => [...c, value])), [[]]);
+}
+
+// Fixed pool of workers for one job; run() hands candidates out as workers become free
+function createWorkerPool(workerData) {
+  const workers = Array.from({ length: POOL_SIZE }, () => new Worker(WORKER_PATH, { workerData }));
+  let failBatch = null;
+  workers.forEach(w => w.on('error', err => failBatch?.(err)));
+
+  return {
+    run(candidates, onResult, isCancelled) {
+      return new Promise((resolve, reject) => {
+        failBatch = reject;
+        let next = 0;
+        let pending = 0;
+        const dispatch = (worker) => {
+          if (isCancelled() || next >= candidates.length) {
+            if (pending === 0) resolve();
+            return;
+          }
+          next++;
+          pending++;
+          worker.once('message', (message) => {
+            pending--;
+            onResult(message);
+            dispatch(worker);
+          });
+          worker.postMessage({ values: candidates[next - 1] });
+        };
+        workers.forEach(dispatch);
+      });
+    },
+    terminate() {
+      return Promise.all(workers.map(w => w.terminate()));
+    }
+  };
+}
+
+function recordResult(job, message, evaluated) {
+  job.progress.completed++;
+  if (message.error) {
+    evaluated.set(message.values.join('|'), -Infinity);
+    job.progress.failed++;
+    job.lastError = message.error;
+    return null;
+  }
+  const entry = {
+    variables: job.variables.map((v, i) => ({
+      name: v.name,
+      value: message.values[i],
+      pattern: v.pattern,
+      originalValue: v.originalValue
+    })),
+    result: message.result,
+    score: scoreResult(message.result, job.metric)
+  };
+  evaluated.set(message.values.join('|'), entry.score);
+  job.results.push(entry);
+  job.results.sort((a, b) => b.score - a.score);
+  if (job.results.length > MAX_STORED_RESULTS) job.results.length = MAX_STORED_RESULTS;
+  job.progress.bestScore = job.results[0].score;
+  return entry;
+}
+
+function tournament(scored, size = 3) {
+  let best = null;
+  for (let i = 0; i < size; i++) {
+    const pick = scored[Math.floor(Math.random() * scored.length)];
+    if (!best || pick.score > best.score) best = pick;
+  }
+  return best.values;
+}
+
+function breed(variables, a, b, mutationRate) {
+  return variables.map((v, i) => {
+    if (!v.includeInOptimization) return v.currentValue;
+    if (Math.random() < mutationRate) return randomValue(v);
+    return Math.random() < 0.5 ? a[i] : b[i];
+  });
+}
+
+async function runGenetic(job, pool, evaluated) {
+  const populationSize = Math.min(Math.max(Math.round(job.iterations / 5), 6), 30);
+  const eliteCount = 2;
+  const mutationRate = 0.2;
+  let population = Array.from({ length: populationSize }, () => randomCandidate(job.variables));
+
+  for (let generation = 1; job.progress.completed < job.progress.total; generation++) {
+    job.progress.generation = generation;
+    const fresh = population
+      .filter((values, i) => !evaluated.has(values.join('|')) &&
+        population.findIndex(other => other.join('|') === values.join('|')) === i)
+      .slice(0, job.progress.total - job.progress.completed);
+    await pool.run(fresh, (message) => {
+      recordResult(job, message, evaluated);
+      emit(job);
+    }, () => job.cancelRequested);
+    saveJob(job);
+    if (job.cancelRequested) return;
+    // Nothing new left to try - the search space is exhausted
+    if (fresh.length === 0) job.progress.total = job.progress.completed;
+
+    const scored = population
+      .map(values => ({ values, score: evaluated.get(values.join('|')) }))
+      .filter(s => s.score !== undefined)
+      .sort((a, b) => b.score - a.score);
+    if (scored.length === 0) return;
+
+    // Children that repeat an already-tested genome are re-bred, then replaced by random immigrants
+    const children = [];
+    const seen = new Set();
+    for (let c = 0; c < populationSize - eliteCount; c++) {
+      let child = null;
+      for (let attempt = 0; attempt < 20 && !child; attempt++) {
+        const candidate = attempt < 10
+          ? breed(job.variables, tournament(scored), tournament(scored), mutationRate)
+          : randomCandidate(job.variables);
+        const key = candidate.join('|');
+        if (!evaluated.has(key) && !seen.has(key)) child = candidate;
+      }
+      if (child) {
+        seen.add(child.join('|'));
+        children.push(child);
+      }
+    }
+    population = [...scored.slice(0, eliteCount).map(s => s.values), ...children];
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  emit(job);
+
+  const evaluated = new Map();
+  const pool = createWorkerPool({
+    code: job.code,
+    candles: job.candles,
+    lowerTimeframeCandles: job.lowerTimeframeCandles,
+    settings: job.settings,
+    variables: job.variables
+  });
+  const saveEvery = Math.max(10, Math.ceil(job.progress.total / 20));
+
+  try {
+    if (job.method === 'genetic') {
+      await runGenetic(job, pool, evaluated);
+    } else {
+      const candidates = job.method === 'grid'
+        ? gridCandidates(job.variables)
+        : Array.from({ length: job.iterations }, () => randomCandidate(job.variables));
+      await pool.run(candidates, (message) => {
+        recordResult(job, message, evaluated);
+        if (job.progress.completed % saveEvery === 0) saveJob(job);
+        emit(job);
+      }, () => job.cancelRequested);
+    }
+
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+    } else if (job.results.length === 0) {
+      job.status = 'failed';
+      job.error = job.lastError || 'No parameter set produced a result';
+    } else {
+      job.status = 'completed';
+    }
+  } catch (error) {
+    console.error(`Optimization job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    await pool.terminate();
+    delete job.candles;
+    delete job.lowerTimeframeCandles;
+    delete job.cancelRequested;
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    emit(job);
+    listeners.delete(job.id);
+    pruneJobs();
+  }
+}
+
+// Validates the request, registers the job and starts it in the background. Throws on bad input.
+export function startOptimizationJob({ code, candles, lowerTimeframeCandles, settings, variables, method = 'random', iterations = 20, metric = 'totalGain' }) {
+  if (!code || !Array.isArray(candles) || candles.length === 0) {
+    throw new Error('Code and candles are required');
+  }
+  if (!OPTIMIZATION_METHODS.includes(method)) {
+    throw new Error(`Unknown optimization method "${method}" - use ${OPTIMIZATION_METHODS.join(', ')}`);
+  }
+  const specs = (variables || []).filter(v => v && v.pattern && v.originalValue !== undefined);
+  const optimized = specs.filter(v => v.includeInOptimization);
+  if (optimized.length === 0) {
+    throw new Error('Select at least one variable to optimize');
+  }
+  for (const v of optimized) {
+    if (!(v.step > 0) || !(v.max >= v.min)) {
+      throw new Error(`Variable "${v.name}" needs min <= max and a positive step`);
+    }
+  }
+
+  // Surface syntax errors before spinning up workers
+  parseProBuilder(code);
+
+  const total = method === 'grid'
+    ? gridCandidates(specs).length
+    : Math.min(Math.max(parseInt(iterations) || 20, 1), MAX_EVALUATIONS);
+
+  const job = {
+    id: `opt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: 'queued',
+    method,
+    metric,
+    iterations: total,
+    variables: specs.map(v => ({
+      name: v.name,
+      pattern: v.pattern,
+      originalValue: v.originalValue,
+      currentValue: v.currentValue ?? v.originalValue,
+      min: v.min,
+      max: v.max,
+      step: v.step,
+      includeInOptimization: !!v.includeInOptimization
+    })),
+    settings: settings || {},
+    candleCount: candles.length,
+    progress: { completed: 0, failed: 0, total, bestScore: null },
+    results: [],
+    createdAt: new Date().toISOString(),
+    code,
+    candles,
+    lowerTimeframeCandles: Array.isArray(lowerTimeframeCandles) ? lowerTimeframeCandles : []
+  };
+  jobs.set(job.id, job);
+  saveJob(job);
+  runJob(job);
+  return job;
+}
+
+export function getOptimizationJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  const { candles, lowerTimeframeCandles, code, cancelRequested, ...visible } = job;
+  return visible;
+}
+
+export function listOptimizationJobs() {
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(job => ({
+      id: job.id,
+      status: job.status,
+      method: job.method,
+      metric: job.metric,
+      progress: job.progress,
+      bestScore: job.results[0]?.score ?? null,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || null
+    }));
+}
+
+export function cancelOptimizationJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.status === 'queued' || job.status === 'running') job.cancelRequested = true;
+  return progressEvent(job);
+}
+
+// Calls listener with the current state immediately, then on every progress update until the job finishes.
+// Returns an unsubscribe function.
+export function subscribeOptimizationJob(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  listener(progressEvent(job));
+  if (job.status !== 'queued' && job.status !== 'running') return () => {};
+
+  if (!listeners.has(id)) listeners.set(id, new Set());
+  listeners.get(id).add(listener);
+  return () => listeners.get(id)?.delete(listener);
+}
@@ -0,0 +1,1299 @@
+// Server-side paper trading - the AI Trading tab's analyse/decide/execute loop, run on a server timer
+// so the mock account keeps trading after the browser closes. Several assets trade at once from one
+// shared account; each asset has its own book (contract spec, position, learning weights, analysis,
+// working orders). Entries can be market, limit or stop orders; every position carries an OCO stop/target
+// bracket that can trail or move to break-even. The account ledger, books, trade and order history are
+// persisted to data/paper-trading.json and a running loop resumes on restart.
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { paperTradingInstrument } from './instruments.js';
+import { analyzeHistoricalData } from './marketAnalysis.js';
+import { computeStatistics } from './statistics.js';
+import { getDrawings, drawingLevels, levelContext } from './drawings.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = path.join(__dirname, '..', 'data', 'paper-trading.json');
+
+const ANALYSIS_TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h', '1d'];
+// Highest first - anything before the trading timeframe counts as a higher timeframe
+const HTF_ORDER = ['1d', '4h', '1h', '15m', '5m', '1m'];
+
+// Base time between cycles per trading timeframe
+const CYCLE_INTERVALS = {
+  '1s': 3000,
+  '2s': 5000,
+  '3s': 6000,
+  '5s': 10000,
+  '10s': 15000,
+  '30s': 30000,
+  '1m': 60000,
+  '5m': 120000,
+  '15m': 300000,
+  '1h': 600000,
+  '4h': 900000,
+  '1d': 1800000
+};
+
+// Trade faster in fast markets, slower in quiet ones
+const SPEED_MULTIPLIERS = {
+  'very-fast': 0.5,
+  'fast': 0.75,
+  'normal': 1.0,
+  'slow': 1.5
+};
+
+const MIN_CONFIDENCE = 0.3;
+// A drawn level this close to the price (in %) counts as being at it
+const NEAR_LEVEL_PERCENT = 0.2;
+const NEWS_EVERY_CYCLES = 5;
+const MAX_TRADES = 500;
+const MAX_ORDERS = 1000;
+const MAX_LEDGER = 1000;
+const MAX_SIGNALS = 50;
+const MAX_ASSETS = 10;
+// Per asset: weight updates kept for explaining/rolling back, and decisions kept for the factor chart
+const MAX_LEARNING_HISTORY = 500;
+const MAX_CONTRIBUTIONS = 1000;
+
+export const ENTRY_ORDER_TYPES = ['market', 'limit', 'stop'];
+
+export const DEFAULT_WEIGHTS = {
+  trend: 1.0,
+  momentum: 1.0,
+  rsi: 1.0,
+  macd: 1.0,
+  wavePosition: 1.0,
+  news: 1.2,
+  higherTF: 1.3
+};
+
+const DEFAULT_SETTINGS = {
+  initialCapital: 2000,
+  maxPositionSize: 1,
+  positionSize: 0.5,
+  useOrderFee: true,
+  orderFee: 7,
+  useSpread: true,
+  spreadPips: 2,
+  stopLoss: 7000,
+  takeProfit: 0,
+  tradeType: 'both',
+  // How AI entries are worked: at market, or as a limit/stop order entryOffset points from the price
+  entryOrderType: 'market',
+  entryOffset: 0,
+  // Minutes before an unfilled entry order is cancelled (0 = good till cancelled)
+  orderExpiry: 60,
+  // Points; 0 disables. The stop trails the best price, or jumps to entry + offset once in profit by the trigger
+  trailingStop: 0,
+  breakEvenTrigger: 0,
+  breakEvenOffset: 0,
+  // Trade off the levels, trend lines and time windows drawn on the trading timeframe's chart
+  useDrawingLevels: true
+};
+
+// Market data and news come from index.js (cache, Yahoo, AI providers) - see initPaperTrading
+let loadCandles = async () => null;
+let checkNews = async () => ({ sentiment: 'neutral' });
+
+let timer = null;
+let cycleRunning = false;
+
+// Engine clock and trade log - wall time and the console live; a replay swaps in its bar clock and silence
+let clock = () => Date.now();
+let log = (...args) => console.log(...args);
+const nowIso = () => new Date(clock()).toISOString();
+
+// Per-asset state - positions, P&L and learning are kept apart so one market's results
+// don't steer the decisions on another
+function freshBook() {
+  return {
+    position: null,
+    pnl: 0,
+    wins: 0,
+    losses: 0,
+    learning: { score: 0, weights: { ...DEFAULT_WEIGHTS }, recentPatterns: [], history: [], contributions: [] },
+    analysis: { newsSentiment: 'neutral', marketSpeed: 'normal', timeframes: {} },
+    lastPrice: null,
+    lastDecision: null,
+    lastError: null,
+    signals: [],
+    // Pending entry orders plus the open position's stop/target bracket
+    workingOrders: [],
+    // Newest closed candle already checked against the working orders
+    lastCandleTime: null,
+    // Candle that orders placed now belong to - they can fill from the next one
+    currentCandleTime: null
+  };
+}
+
+function freshState(settings = {}, assets = ['silver']) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  return {
+    status: 'stopped',
+    config: { assets, timeframe: '5m', settings: merged },
+    account: {
+      capital: merged.initialCapital,
+      startingCapital: merged.initialCapital,
+      pnl: 0,
+      wins: 0,
+      losses: 0
+    },
+    books: Object.fromEntries(assets.map(asset => [asset, freshBook()])),
+    trades: [],
+    orders: [],
+    ledger: [{ time: nowIso(), type: 'deposit', amount: merged.initialCapital, balance: merged.initialCapital, note: 'Starting capital' }],
+    lastCycleAt: null,
+    lastError: null,
+    nextCycleAt: null,
+    cycleCount: 0,
+    startedAt: null,
+    stoppedAt: null
+  };
+}
+
+// Fill in fields added since the book was saved (order fields, learning history)
+function normalizeBook(b) {
+  const fresh = freshBook();
+  return { ...fresh, ...b, learning: { ...fresh.learning, ...b.learning } };
+}
+
+// State files written before multi-asset trading hold a single asset's position and learning at the top level
+function migrateState(saved) {
+  if (saved.books) {
+    return {
+      ...saved,
+      books: Object.fromEntries(Object.entries(saved.books).map(([asset, b]) => [asset, normalizeBook(b)]))
+    };
+  }
+  if (!saved.config?.asset) return saved;
+  const { position = null, learning, analysis, lastPrice = null, lastDecision = null, signals = [], ...rest } = saved;
+  const { asset, ...config } = saved.config;
+  const wins = (saved.trades || []).filter(t => t.asset === asset && t.isWin).length;
+  const pnl = (saved.trades || []).filter(t => t.asset === asset).reduce((sum, t) => sum + t.pnl, 0);
+  return {
+    ...rest,
+    config: { ...config, assets: [asset] },
+    books: {
+      [asset]: normalizeBook({
+        position,
+        pnl,
+        wins,
+        losses: (saved.trades || []).filter(t => t.asset === asset).length - wins,
+        ...(learning && { learning }),
+        ...(analysis && { analysis }),
+        lastPrice,
+        lastDecision,
+        signals
+      })
+    }
+  };
+}
+
+let state = freshState();
+try {
+  if (fs.existsSync(STATE_FILE)) {
+    state = { ...state, ...migrateState(JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'))) };
+  }
+} catch (e) {
+  console.warn('Could not read paper trading state:', e.message);
+}
+
+function saveState() {
+  fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+function pushCapped(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.splice(0, list.length - max);
+}
+
+function book(type, amount, note) {
+  state.account.capital += amount;
+  pushCapped(state.ledger, {
+    time: nowIso(),
+    type,
+    amount,
+    balance: state.account.capital,
+    note
+  }, MAX_LEDGER);
+}
+
+// Order log - fills (effect open/close) and pending orders that ended without one (cancelled/expired/rejected)
+function recordOrder(asset, side, size, price, reason, effect, orderType = 'market') {
+  pushCapped(state.orders, {
+    id: `ord_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    time: nowIso(),
+    asset,
+    side,
+    orderType,
+    size,
+    price,
+    effect,
+    reason
+  }, MAX_ORDERS);
+}
+
+function bookFor(asset) {
+  if (!state.books[asset]) state.books[asset] = freshBook();
+  return state.books[asset];
+}
+
+function unrealizedPnl(asset) {
+  const { position: pos, lastPrice } = state.books[asset];
+  if (!pos || lastPrice == null) return 0;
+  const { contractMultiplier } = paperTradingInstrument(pos.asset);
+  return (pos.type === 'long' ? lastPrice - pos.entryPrice : pos.entryPrice - lastPrice) * contractMultiplier * pos.size;
+}
+
+function totalUnrealizedPnl() {
+  return Object.keys(state.books).reduce((sum, asset) => sum + unrealizedPnl(asset), 0);
+}
+
+// Margin tied up by open positions on every asset except `exceptAsset`
+function usedMargin(exceptAsset) {
+  return Object.entries(state.books).reduce((sum, [asset, b]) => {
+    if (asset === exceptAsset || !b.position) return sum;
+    const { contractMultiplier, marginPercent } = paperTradingInstrument(asset);
+    return sum + b.position.entryPrice * contractMultiplier * marginPercent / 100 * b.position.size;
+  }, 0);
+}
+
+function analyzeTimeframe(candles) {
+  return { ...analyzeHistoricalData(candles), candleCount: candles.length, lastTime: candles[candles.length - 1].time };
+}
+
+// The trading price and the candles that working orders are filled against come from the finest
+// timeframe available
+function marketSnapshot(timeframes, candlesByTf) {
+  for (const tf of ANALYSIS_TIMEFRAMES) {
+    if (timeframes[tf]?.indicators?.currentPrice != null) {
+      return { timeframes, price: timeframes[tf].indicators.currentPrice, priceTime: timeframes[tf].lastTime, priceCandles: candlesByTf[tf] };
+    }
+  }
+  return { timeframes, price: null, priceTime: null, priceCandles: null };
+}
+
+// Latest analysis for every timeframe
+async function analyzeTimeframes(asset) {
+  const timeframes = {};
+  const candlesByTf = {};
+  await Promise.all(ANALYSIS_TIMEFRAMES.map(async (tf) => {
+    try {
+      const candles = await loadCandles(asset, tf);
+      if (candles?.length) {
+        candlesByTf[tf] = candles;
+        timeframes[tf] = analyzeTimeframe(candles);
+      }
+    } catch (e) {
+      console.error(`Paper trading: failed to load ${asset} ${tf}:`, e.message);
+    }
+  }));
+  return marketSnapshot(timeframes, candlesByTf);
+}
+
+function marketSpeedFor(analysis1m) {
+  if (!analysis1m) return 'normal';
+  const volatility = analysis1m.volatility || 0.01;
+  if (volatility > 0.02) return 'very-fast';
+  if (volatility > 0.01) return 'fast';
+  if (volatility > 0.005) return 'normal';
+  return 'slow';
+}
+
+// Drawn chart levels as seen from the current price (see drawings.js), or null when none are drawn
+function chartLevelContext(asset, timeframe, price, priceTime, priceCandles) {
+  if (!state.config.settings.useDrawingLevels) return null;
+  let exported;
+  try {
+    exported = drawingLevels(getDrawings(asset, timeframe));
+  } catch (e) {
+    return null;
+  }
+  if (exported.levels.length + exported.trendLines.length + exported.timeWindows.length === 0) return null;
+  const previousPrice = priceCandles?.length > 1 ? priceCandles[priceCandles.length - 2].close : null;
+  return levelContext(exported, { price, previousPrice, time: priceTime });
+}
+
+// Weighted bull/bear scoring across timeframes: 30% trading timeframe trend, 70% higher timeframes.
+// chart is the drawn levels' context: bounces off nearby levels and trend line breakouts add to the
+// score, and no new position is opened outside the drawn time windows.
+function decide(b, timeframes, currentTF, chart = null) {
+  const weights = b.learning.weights;
+  const { tradeType } = state.config.settings;
+  let bullScore = 0;
+  let bearScore = 0;
+  const reasons = [];
+  // Signed share of the score from each weighted factor - bullish positive, bearish negative
+  const contributions = { trend: 0, rsi: 0, macd: 0, wavePosition: 0, news: 0 };
+  const add = (factor, amount) => {
+    if (amount > 0) bullScore += amount;
+    else bearScore -= amount;
+    contributions[factor] += amount;
+  };
+
+  const currentIdx = HTF_ORDER.indexOf(currentTF);
+  let localTrend = 0;
+  let higherTFTrend = 0;
+  let higherTFCount = 0;
+
+  HTF_ORDER.forEach((tf, i) => {
+    const analysis = timeframes[tf];
+    if (!analysis) return;
+    const trend = analysis.trend || 0;
+    if (tf === currentTF) {
+      localTrend = trend;
+    } else if (i < currentIdx) {
+      // Longer timeframes weigh more
+      const htfWeight = 1 + (currentIdx - i) * 0.2;
+      higherTFTrend += trend * htfWeight;
+      higherTFCount += htfWeight;
+      if (Math.abs(trend) > 0.2) {
+        reasons.push(`${tf} ${trend > 0 ? 'uptrend' : 'downtrend'}`);
+      }
+    }
+  });
+  if (higherTFCount > 0) higherTFTrend /= higherTFCount;
+
+  const blendedTrend = localTrend * 0.3 + higherTFTrend * 0.7;
+  if (blendedTrend > 0.1) {
+    add('trend', blendedTrend * weights.trend);
+    reasons.push(`Blended trend bullish (${(blendedTrend * 100).toFixed(0)}%)`);
+  } else if (blendedTrend < -0.1) {
+    add('trend', blendedTrend * weights.trend);
+    reasons.push(`Blended trend bearish (${(blendedTrend * 100).toFixed(0)}%)`);
+  }
+
+  const current = timeframes[currentTF];
+  if (current) {
+    const { indicators, waveInfo } = current;
+    if (indicators?.rsi < 30) {
+      add('rsi', 0.5 * weights.rsi);
+      reasons.push('RSI oversold');
+    } else if (indicators?.rsi > 70) {
+      add('rsi', -0.5 * weights.rsi);
+      reasons.push('RSI overbought');
+    }
+
+    add('macd', (indicators?.macd > 0 ? 0.3 : -0.3) * weights.macd);
+
+    // Mean reversion from the position inside the swing range
+    if (waveInfo?.positionInCycle < 0.2) {
+      add('wavePosition', 0.4 * weights.wavePosition);
+      reasons.push('Near support');
+    } else if (waveInfo?.positionInCycle > 0.8) {
+      add('wavePosition', -0.4 * weights.wavePosition);
+      reasons.push('Near resistance');
+    }
+  }
+
+  if (chart) {
+    if (chart.support?.distancePercent <= NEAR_LEVEL_PERCENT) {
+      add('wavePosition', 0.4 * weights.wavePosition);
+      reasons.push(`At drawn support ${chart.support.price.toFixed(2)}`);
+    }
+    if (chart.resistance?.distancePercent <= NEAR_LEVEL_PERCENT) {
+      add('wavePosition', -0.4 * weights.wavePosition);
+      reasons.push(`At drawn resistance ${chart.resistance.price.toFixed(2)}`);
+    }
+    for (const breakout of chart.breakouts) {
+      add('trend', (breakout.direction === 'up' ? 0.5 : -0.5) * weights.trend);
+      reasons.push(`Broke ${breakout.direction === 'up' ? 'above' : 'below'} drawn trend line ${breakout.name}`);
+    }
+  }
+
+  if (b.analysis.newsSentiment === 'bullish') {
+    add('news', 0.5 * weights.news);
+    reasons.push('Bullish news');
+  } else if (b.analysis.newsSentiment === 'bearish') {
+    add('news', -0.5 * weights.news);
+    reasons.push('Bearish news');
+  }
+
+  // Demand more conviction in fast markets
+  const speed = b.analysis.marketSpeed;
+  const speedMultiplier = speed === 'very-fast' ? 0.7 : (speed === 'fast' ? 0.85 : 1);
+  const totalScore = bullScore + bearScore;
+  const confidence = totalScore > 0 ? Math.abs(bullScore - bearScore) / totalScore * speedMultiplier : 0;
+
+  let action = 'hold';
+  if (confidence > MIN_CONFIDENCE) {
+    if (bullScore > bearScore * 1.2 && (tradeType === 'both' || tradeType === 'long')) action = 'buy';
+    else if (bearScore > bullScore * 1.2 && (tradeType === 'both' || tradeType === 'short')) action = 'sell';
+  }
+
+  if (b.position) {
+    const pos = b.position;
+    if (pos.type === 'long' && action === 'sell') action = 'close_and_sell';
+    else if (pos.type === 'short' && action === 'buy') action = 'close_and_buy';
+    else if (confidence < 0.15) action = 'close';
+  }
+
+  // Outside the drawn time windows reversals only close
+  if (chart && !chart.inWindow && action !== 'hold' && action !== 'close') {
+    action = action.startsWith('close_and_') ? 'close' : 'hold';
+    reasons.push('Outside the drawn time windows');
+  }
+
+  return { action, confidence, bullScore, bearScore, reasons, contributions };
+}
+
+// Opens at `price` plus spread and attaches the stop/target bracket; false when the margin check rejects it.
+// options { size, stopLoss, takeProfit, orderType } override the settings for this entry.
+function openPosition(asset, type, price, confidence, reasons, options = {}) {
+  const b = bookFor(asset);
+  const settings = state.config.settings;
+  const instrument = paperTradingInstrument(asset);
+  const { pointSize, contractMultiplier, marginPercent, minSize } = instrument;
+  const fee = settings.useOrderFee ? settings.orderFee : 0;
+  const spread = settings.useSpread ? settings.spreadPips * pointSize : 0;
+  const entryPrice = type === 'long' ? price + spread : price - spread;
+
+  // Respect the contract minimum, then cap by the margin the shared account still has free
+  let size = Math.max(Math.min(options.size ?? settings.positionSize, settings.maxPositionSize), minSize);
+  const marginPerContract = price * contractMultiplier * marginPercent / 100;
+  if (marginPerContract > 0) {
+    const freeMargin = state.account.capital - usedMargin(asset);
+    const maxByMargin = Math.floor(freeMargin / marginPerContract / minSize) * minSize;
+    if (maxByMargin < minSize) {
+      log(`Paper trading: not enough free capital for the ${marginPercent}% margin on ${minSize} ${asset} contract(s) - skipping ${type} entry`);
+      return false;
+    }
+    size = Number(Math.min(size, maxByMargin).toFixed(6));
+  }
+
+  b.position = {
+    id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    asset,
+    type,
+    size,
+    entryPrice,
+    entryTime: nowIso(),
+    confidence,
+    reasons
+  };
+  recordOrder(asset, type === 'long' ? 'buy' : 'sell', size, entryPrice, reasons.join(', '), 'open', options.orderType);
+  if (fee > 0) book('fee', -fee, `Order fee (open ${type} ${asset})`);
+  attachBracket(asset, { stopLoss: options.stopLoss ?? settings.stopLoss, takeProfit: options.takeProfit ?? settings.takeProfit });
+
+  pushCapped(b.learning.recentPatterns, { type, entryPrice, reasons: [...reasons], timestamp: clock() }, 50);
+  log(`Paper trading: opened ${type} ${size} ${asset} at ${entryPrice}, confidence ${(confidence * 100).toFixed(1)}%`);
+  return true;
+}
+
+// Closes at `price` (default: the last price) less spread and drops the position's bracket
+function closePosition(asset, reason, price = state.books[asset]?.lastPrice ?? state.books[asset]?.position?.entryPrice, orderType = 'market') {
+  const b = state.books[asset];
+  const pos = b?.position;
+  if (!pos) return;
+  const settings = state.config.settings;
+  const { pointSize, contractMultiplier } = paperTradingInstrument(pos.asset);
+  const fee = settings.useOrderFee ? settings.orderFee : 0;
+  const spread = settings.useSpread ? settings.spreadPips * pointSize : 0;
+
+  const exitPrice = pos.type === 'long' ? price - spread : price + spread;
+  const grossPnl = (pos.type === 'long' ? exitPrice - pos.entryPrice : pos.entryPrice - exitPrice) * contractMultiplier * pos.size;
+  const pnl = grossPnl - fee;
+
+  recordOrder(asset, pos.type === 'long' ? 'sell' : 'buy', pos.size, exitPrice, reason, 'close', orderType);
+  book('realized', grossPnl, `Closed ${pos.type} ${pos.size} ${pos.asset}`);
+  if (fee > 0) book('fee', -fee, `Order fee (close ${pos.type} ${pos.asset})`);
+
+  const isWin = pnl > 0;
+  for (const tally of [state.account, b]) {
+    tally.pnl += pnl;
+    if (isWin) tally.wins++;
+    else tally.losses++;
+  }
+
+  const trade = {
+    asset: pos.asset,
+    type: pos.type,
+    entryPrice: pos.entryPrice,
+    exitPrice,
+    size: pos.size,
+    pnl,
+    isWin,
+    entryTime: pos.entryTime,
+    exitTime: nowIso(),
+    reasons: pos.reasons,
+    closeReason: reason
+  };
+  state.trades.unshift(trade);
+  // Replays keep every trade for their statistics
+  if (state.trades.length > (state.tradeLimit ?? MAX_TRADES)) state.trades.length = MAX_TRADES;
+
+  adjustLearningWeights(b.learning, trade);
+  b.workingOrders = b.workingOrders.filter(o => o.ocoGroup !== pos.id);
+  b.position = null;
+  log(`Paper trading: closed ${pos.type} ${pos.asset} at ${exitPrice}, P&L $${pnl.toFixed(2)} (${reason})`);
+}
+
+// ---- Working orders ----
+
+function newOrderId() {
+  return `po_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Orders only fill on candles after the one they were placed on
+function isActive(order, candle) {
+  return order.activeFrom == null || candle.time > order.activeFrom;
+}
+
+// Fill price for a pending order on this candle, or null. Buy stops and sell limits trigger on the high,
+// sell stops and buy limits on the low; an open already through the price fills at the open.
+function fillPrice(order, candle) {
+  const triggersAbove = (order.side === 'buy') === (order.type === 'stop');
+  if (triggersAbove) return candle.high >= order.price ? Math.max(candle.open, order.price) : null;
+  return candle.low <= order.price ? Math.min(candle.open, order.price) : null;
+}
+
+// Take an order off the book without a fill and log why
+function endOrder(asset, order, effect, reason) {
+  const b = state.books[asset];
+  b.workingOrders = b.workingOrders.filter(o => o.id !== order.id);
+  recordOrder(asset, order.side, order.size ?? b.position?.size ?? null, order.price, reason, effect, order.type);
+}
+
+function cancelOcoSiblings(asset, order) {
+  if (!order.ocoGroup) return;
+  for (const sibling of state.books[asset].workingOrders.filter(o => o.ocoGroup === order.ocoGroup && o.id !== order.id)) {
+    endOrder(asset, sibling, 'cancelled', 'OCO sibling filled');
+  }
+}
+
+// Stop and target for the open position as one OCO group, so the first to fill cancels the other. Distances
+// are points from the entry price; the stop is never tighter than the instrument's minimum stop distance.
+function attachBracket(asset, { stopLoss, takeProfit }) {
+  const b = state.books[asset];
+  const pos = b.position;
+  const { trailingStop, breakEvenTrigger, breakEvenOffset } = state.config.settings;
+  const { pointSize, minStopDistance } = paperTradingInstrument(asset);
+  const dir = pos.type === 'long' ? 1 : -1;
+  const base = {
+    asset,
+    side: pos.type === 'long' ? 'sell' : 'buy',
+    size: null,
+    ocoGroup: pos.id,
+    expiresAt: null,
+    createdAt: nowIso(),
+    activeFrom: b.currentCandleTime
+  };
+
+  // A trailing stop without a fixed stop starts at the trailing distance
+  const stopPoints = stopLoss > 0 ? stopLoss : trailingStop;
+  if (stopPoints > 0) {
+    b.workingOrders.push({
+      ...base,
+      id: newOrderId(),
+      role: 'stopLoss',
+      type: 'stop',
+      price: pos.entryPrice - dir * Math.max(stopPoints, minStopDistance) * pointSize,
+      trailingStop,
+      breakEvenTrigger,
+      breakEvenOffset,
+      breakEvenDone: false,
+      trailed: false
+    });
+  }
+  if (takeProfit > 0) {
+    b.workingOrders.push({ ...base, id: newOrderId(), role: 'takeProfit', type: 'limit', price: pos.entryPrice + dir * takeProfit * pointSize });
+  }
+}
+
+function createEntryOrder(asset, { side, type, price, size = null, expiryMinutes = 0, stopLoss = null, takeProfit = null, ocoGroup = null, source, confidence = 0, reasons = [] }) {
+  const b = bookFor(asset);
+  const order = {
+    id: newOrderId(),
+    asset,
+    role: 'entry',
+    side,
+    type,
+    price,
+    size,
+    stopLoss,
+    takeProfit,
+    ocoGroup,
+    expiresAt: expiryMinutes > 0 ? new Date(clock() + expiryMinutes * 60000).toISOString() : null,
+    createdAt: nowIso(),
+    activeFrom: b.currentCandleTime,
+    source,
+    confidence,
+    reasons
+  };
+  b.workingOrders.push(order);
+  return order;
+}
+
+function fillEntryOrder(asset, order, price) {
+  const b = state.books[asset];
+  const type = order.side === 'buy' ? 'long' : 'short';
+  b.workingOrders = b.workingOrders.filter(o => o.id !== order.id);
+  cancelOcoSiblings(asset, order);
+
+  if (b.position?.type === type) {
+    recordOrder(asset, order.side, order.size, price, `${type} position already open`, 'rejected', order.type);
+    return;
+  }
+  if (b.position) closePosition(asset, `Reversed by ${order.type} ${order.side} order`, price, order.type);
+  const opened = openPosition(asset, type, price, order.confidence, order.reasons, {
+    size: order.size ?? undefined,
+    stopLoss: order.stopLoss ?? undefined,
+    takeProfit: order.takeProfit ?? undefined,
+    orderType: order.type
+  });
+  if (!opened) recordOrder(asset, order.side, order.size, price, 'Not enough free margin', 'rejected', order.type);
+}
+
+// Trail the open position's stop behind the candle's best price and/or move it to break-even
+function adjustStop(asset, candle) {
+  const b = state.books[asset];
+  const pos = b.position;
+  const stop = b.workingOrders.find(o => o.role === 'stopLoss' && o.ocoGroup === pos.id);
+  if (!stop || !isActive(stop, candle)) return;
+  const { pointSize, minStopDistance } = paperTradingInstrument(asset);
+  const dir = pos.type === 'long' ? 1 : -1;
+  const best = pos.type === 'long' ? candle.high : candle.low;
+  const tightens = (price) => (price - stop.price) * dir > 0;
+
+  if (stop.breakEvenTrigger > 0 && !stop.breakEvenDone && (best - pos.entryPrice) * dir / pointSize >= stop.breakEvenTrigger) {
+    const breakEven = pos.entryPrice + dir * stop.breakEvenOffset * pointSize;
+    if (tightens(breakEven)) stop.price = breakEven;
+    stop.breakEvenDone = true;
+  }
+  if (stop.trailingStop > 0) {
+    const trail = best - dir * Math.max(stop.trailingStop, minStopDistance) * pointSize;
+    if (tightens(trail)) {
+      stop.price = trail;
+      stop.trailed = true;
+    }
+  }
+}
+
+// Work the book's orders through every candle that closed since the last cycle, oldest first. A forming
+// last candle waits for the next cycle. If the stop and the target are both touched on one candle the
+// stop is assumed to fill first.
+function processWorkingOrders(asset, candles, formingCandle = true) {
+  const b = state.books[asset];
+  if (!candles?.length) return;
+  const closed = formingCandle ? candles.slice(0, -1) : candles;
+
+  // Positions opened before brackets existed
+  if (b.position && !b.position.id) {
+    b.position.id = `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    attachBracket(asset, state.config.settings);
+  }
+
+  if (b.lastCandleTime != null) {
+    for (const candle of closed.filter(c => c.time > b.lastCandleTime)) {
+      b.currentCandleTime = candle.time;
+      for (const order of b.workingOrders.filter(o => o.expiresAt && Date.parse(o.expiresAt) <= candle.time * 1000)) {
+        endOrder(asset, order, 'expired', 'Order expired');
+      }
+
+      if (b.position) {
+        const exits = b.workingOrders
+          .filter(o => o.role !== 'entry' && o.ocoGroup === b.position.id && isActive(o, candle))
+          .sort((x, y) => (x.role === 'stopLoss' ? 0 : 1) - (y.role === 'stopLoss' ? 0 : 1));
+        for (const order of exits) {
+          const price = fillPrice(order, candle);
+          if (price == null) continue;
+          const reason = order.role === 'takeProfit' ? 'Take profit hit' : order.trailed ? 'Trailing stop hit' : order.breakEvenDone ? 'Break-even stop hit' : 'Stop loss hit';
+          closePosition(asset, reason, price, order.type);
+          break;
+        }
+      }
+
+      for (const order of b.workingOrders.filter(o => o.role === 'entry' && isActive(o, candle))) {
+        // Cancelled as the OCO sibling of an order that filled earlier on this candle
+        if (!b.workingOrders.includes(order)) continue;
+        const price = fillPrice(order, candle);
+        if (price != null) fillEntryOrder(asset, order, price);
+      }
+
+      if (b.position) adjustStop(asset, candle);
+    }
+  }
+
+  if (closed.length > 0) b.lastCandleTime = Math.max(b.lastCandleTime ?? -Infinity, closed[closed.length - 1].time);
+  b.currentCandleTime = candles[candles.length - 1].time;
+  for (const order of b.workingOrders.filter(o => o.expiresAt && Date.parse(o.expiresAt) <= clock())) {
+    endOrder(asset, order, 'expired', 'Order expired');
+  }
+}
+
+// Enter on an AI signal - at market, or as a limit (better price) or stop (confirmation) order entryOffset
+// points away. A working AI entry on the same side is left to fill or expire; one on the other side is replaced.
+function enterOnSignal(asset, type, price, decision) {
+  const b = state.books[asset];
+  const { entryOrderType, entryOffset, orderExpiry } = state.config.settings;
+  if (!entryOrderType || entryOrderType === 'market') {
+    openPosition(asset, type, price, decision.confidence, decision.reasons);
+    return;
+  }
+
+  const side = type === 'long' ? 'buy' : 'sell';
+  const aiEntries = b.workingOrders.filter(o => o.role === 'entry' && o.source === 'ai');
+  if (aiEntries.some(o => o.side === side)) return;
+  for (const order of aiEntries) endOrder(asset, order, 'cancelled', 'Replaced by an opposite signal');
+
+  const { pointSize } = paperTradingInstrument(asset);
+  const away = (side === 'buy') === (entryOrderType === 'limit') ? -1 : 1;
+  createEntryOrder(asset, {
+    side,
+    type: entryOrderType,
+    price: price + away * (entryOffset || 0) * pointSize,
+    expiryMinutes: orderExpiry,
+    source: 'ai',
+    confidence: decision.confidence,
+    reasons: decision.reasons
+  });
+}
+
+// Nudge the weight of every factor that contributed to the trade towards its outcome. Each update is
+// kept with the trade and the reasons behind it, so it can be explained and rolled back.
+function adjustLearningWeights(learning, trade) {
+  const adjust = trade.isWin ? 0.05 : -0.05;
+  const weights = learning.weights;
+  const changes = {};
+  const nudge = (key, reason) => {
+    changes[key] ??= { weight: key, from: weights[key], to: weights[key], reasons: [] };
+    weights[key] = Math.max(0.5, Math.min(2, weights[key] + adjust));
+    changes[key].to = weights[key];
+    changes[key].reasons.push(reason);
+  };
+  for (const reason of trade.reasons || []) {
+    const r = reason.toLowerCase();
+    if (r.includes('trend')) nudge('trend', reason);
+    if (r.includes('rsi')) nudge('rsi', reason);
+    if (r.includes('support') || r.includes('resistance')) nudge('wavePosition', reason);
+    if (r.includes('news')) nudge('news', reason);
+  }
+  learning.score = Math.max(0, learning.score + (trade.isWin ? 5 : -3));
+
+  pushCapped(learning.history, {
+    id: `lw_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    time: trade.exitTime,
+    type: 'trade',
+    trade: {
+      asset: trade.asset,
+      type: trade.type,
+      pnl: trade.pnl,
+      isWin: trade.isWin,
+      entryTime: trade.entryTime,
+      exitTime: trade.exitTime,
+      closeReason: trade.closeReason,
+      reasons: trade.reasons
+    },
+    changes: Object.values(changes),
+    weights: { ...weights },
+    score: learning.score
+  }, MAX_LEARNING_HISTORY);
+}
+
+// One analyse/decide/execute pass for a single asset's book
+async function runAssetCycle(asset, checkNewsNow) {
+  const b = bookFor(asset);
+  const market = await analyzeTimeframes(asset);
+
+  if (checkNewsNow) {
+    try {
+      const news = await checkNews(asset);
+      b.analysis.newsSentiment = news?.sentiment || 'neutral';
+      b.analysis.newsReason = news?.reason || null;
+    } catch (e) {
+      b.analysis.newsSentiment = 'neutral';
+    }
+  }
+
+  // Stopped while the data was loading
+  if (state.status !== 'running') return;
+  tradeOnMarket(asset, market);
+}
+
+// Decide and execute on one asset's analysed market - shared by the live loop and replays. Live data ends
+// in a still-forming candle (formingCandle); a replay only ever passes closed candles.
+function tradeOnMarket(asset, { timeframes, price, priceTime, priceCandles }, { formingCandle = true } = {}) {
+  const b = bookFor(asset);
+  const { timeframe } = state.config;
+
+  b.analysis.marketSpeed = marketSpeedFor(timeframes['1m']);
+  b.analysis.timeframes = Object.fromEntries(Object.entries(timeframes).map(([tf, a]) => [tf, {
+    trend: a.trend,
+    volatility: a.volatility,
+    rsi: a.indicators?.rsi,
+    macd: a.indicators?.macd,
+    positionInCycle: a.waveInfo?.positionInCycle
+  }]));
+
+  if (price == null) {
+    b.lastError = `No market data for ${asset}`;
+    return;
+  }
+  b.lastPrice = price;
+  b.lastError = null;
+  processWorkingOrders(asset, priceCandles, formingCandle);
+
+  const chart = chartLevelContext(asset, timeframe, price, priceTime, priceCandles);
+  b.analysis.chartLevels = chart;
+  const decision = decide(b, timeframes, timeframe, chart);
+  b.lastDecision = { ...decision, price, time: nowIso() };
+  pushCapped(b.learning.contributions, {
+    time: Math.floor(clock() / 1000),
+    action: decision.action,
+    confidence: decision.confidence,
+    bullScore: decision.bullScore,
+    bearScore: decision.bearScore,
+    factors: decision.contributions
+  }, MAX_CONTRIBUTIONS);
+
+  if (decision.action !== 'hold') {
+    const label = decision.action === 'close' ? 'CLOSE' : decision.action.endsWith('buy') ? 'BUY' : 'SELL';
+    pushCapped(b.signals, { time: priceTime, price, action: label }, MAX_SIGNALS);
+  }
+
+  if (decision.action.includes('close') && b.position) {
+    closePosition(asset, decision.reasons.join(', '));
+  }
+  if ((decision.action === 'buy' || decision.action === 'close_and_buy') && !b.position) {
+    enterOnSignal(asset, 'long', price, decision);
+  } else if ((decision.action === 'sell' || decision.action === 'close_and_sell') && !b.position) {
+    enterOnSignal(asset, 'short', price, decision);
+  }
+}
+
+async function runCycle() {
+  if (state.status !== 'running' || cycleRunning) return;
+  cycleRunning = true;
+  try {
+    const checkNewsNow = state.cycleCount % NEWS_EVERY_CYCLES === 0;
+    state.cycleCount++;
+    // One asset at a time so the books see each other's margin use in order
+    for (const asset of state.config.assets) {
+      if (state.status !== 'running') break;
+      try {
+        await runAssetCycle(asset, checkNewsNow);
+      } catch (e) {
+        console.error(`Paper trading cycle error (${asset}):`, e);
+        bookFor(asset).lastError = e.message;
+      }
+    }
+    state.lastCycleAt = new Date().toISOString();
+    const failed = state.config.assets.filter(asset => state.books[asset]?.lastError);
+    state.lastError = failed.length > 0 ? failed.map(asset => state.books[asset].lastError).join('; ') : null;
+  } catch (e) {
+    console.error('Paper trading cycle error:', e);
+    state.lastError = e.message;
+  } finally {
+    cycleRunning = false;
+    scheduleNextCycle();
+    saveState();
+  }
+}
+
+// The fastest market among the traded assets sets the pace
+function fastestSpeedMultiplier() {
+  return Math.min(...state.config.assets.map(asset => SPEED_MULTIPLIERS[state.books[asset]?.analysis.marketSpeed] || 1));
+}
+
+function scheduleNextCycle(delay) {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  if (state.status !== 'running') {
+    state.nextCycleAt = null;
+    return;
+  }
+  const base = CYCLE_INTERVALS[state.config.timeframe] || 60000;
+  const wait = delay ?? Math.floor(base * fastestSpeedMultiplier());
+  state.nextCycleAt = new Date(Date.now() + wait).toISOString();
+  timer = setTimeout(runCycle, wait);
+}
+
+function normalizeAssets(assets) {
+  const list = [...new Set((assets || []).map(a => String(a).toLowerCase().trim()).filter(Boolean))];
+  if (list.length > MAX_ASSETS) throw new Error(`Paper trading can run at most ${MAX_ASSETS} assets at once`);
+  return list;
+}
+
+// Wire in the data sources and resume a loop that was running when the server stopped
+export function initPaperTrading({ loadMarketCandles, checkNewsSentiment }) {
+  loadCandles = loadMarketCandles;
+  checkNews = checkNewsSentiment;
+  if (state.status === 'running') {
+    console.log(`Resuming paper trading on ${state.config.assets.join(', ')} ${state.config.timeframe}`);
+    scheduleNextCycle(5000);
+  }
+}
+
+export function getPaperTradingStatus() {
+  const books = Object.fromEntries(Object.entries(state.books).map(([asset, b]) => {
+    const { recentPatterns, history, contributions, ...learning } = b.learning;
+    learning.historyCount = history.length;
+    learning.lastUpdateId = history[history.length - 1]?.id ?? null;
+    const instrument = paperTradingInstrument(asset);
+    return [asset, {
+      ...b,
+      learning,
+      active: state.config.assets.includes(asset),
+      unrealizedPnl: unrealizedPnl(asset),
+      instrument: {
+        name: instrument.name,
+        pointSize: instrument.pointSize,
+        contractMultiplier: instrument.contractMultiplier,
+        currency: instrument.currency,
+        marginPercent: instrument.marginPercent,
+        generic: !!instrument.generic
+      }
+    }];
+  }));
+  const unrealized = totalUnrealizedPnl();
+  return {
+    ...state,
+    books,
+    trades: state.trades.slice(0, 100),
+    orders: state.orders.slice(-100).reverse(),
+    ledger: state.ledger.slice(-100).reverse(),
+    usedMargin: usedMargin(),
+    unrealizedPnl: unrealized,
+    equity: state.account.capital + unrealized
+  };
+}
+
+// Start (or change the assets/timeframe/settings of) the loop. `asset` is accepted as a single-asset
+// shorthand for `assets`. A fresh account takes its capital from settings.initialCapital; an account
+// with history keeps its balance.
+export function startPaperTrading({ assets, asset, timeframe, settings } = {}) {
+  if (state.status === 'running') throw new Error('Paper trading is already running');
+  const requested = normalizeAssets(Array.isArray(assets) ? assets : (asset ? [asset] : state.config.assets));
+  if (requested.length === 0) throw new Error('Choose at least one asset to trade');
+  const orphaned = Object.keys(state.books).filter(a => state.books[a].position && !requested.includes(a));
+  if (orphaned.length > 0) {
+    throw new Error(`Close the open ${orphaned.join(', ')} position${orphaned.length > 1 ? 's' : ''} before removing ${orphaned.length > 1 ? 'those assets' : 'that asset'}`);
+  }
+
+  const merged = { ...DEFAULT_SETTINGS, ...state.config.settings, ...settings };
+  if (!ENTRY_ORDER_TYPES.includes(merged.entryOrderType)) {
+    throw new Error(`Unknown entry order type "${merged.entryOrderType}" - use ${ENTRY_ORDER_TYPES.join(', ')}`);
+  }
+  const pristine = state.trades.length === 0 && !Object.values(state.books).some(b => b.position);
+  if (pristine && merged.initialCapital !== state.account.startingCapital) {
+    const { books } = state;
+    state = freshState(merged, requested);
+    // Keep what each asset has learned across a capital change
+    for (const a of requested) {
+      if (books[a]) state.books[a].learning = books[a].learning;
+    }
+  }
+  // Orders only work while the loop runs - don't fill them on candles from the time it was stopped
+  for (const a of requested) bookFor(a).lastCandleTime = null;
+  state.config = {
+    assets: requested,
+    timeframe: CYCLE_INTERVALS[timeframe] ? timeframe : state.config.timeframe,
+    settings: merged
+  };
+  state.status = 'running';
+  state.startedAt = new Date().toISOString();
+  state.lastError = null;
+  saveState();
+  scheduleNextCycle(0);
+  console.log(`Paper trading started on ${state.config.assets.join(', ')} ${state.config.timeframe}`);
+  return getPaperTradingStatus();
+}
+
+export function stopPaperTrading({ closeOpenPosition = true } = {}) {
+  state.status = 'stopped';
+  state.stoppedAt = new Date().toISOString();
+  scheduleNextCycle();
+  if (closeOpenPosition) {
+    for (const [asset, b] of Object.entries(state.books)) {
+      closePosition(asset, 'Trading stopped');
+      for (const order of b.workingOrders.filter(o => o.role === 'entry')) endOrder(asset, order, 'cancelled', 'Trading stopped');
+    }
+  }
+  saveState();
+  console.log('Paper trading stopped');
+  return getPaperTradingStatus();
+}
+
+// Stop, then start over with a new account, empty history and default learning weights
+export function resetPaperTrading({ settings } = {}) {
+  stopPaperTrading();
+  const { assets, timeframe } = state.config;
+  state = freshState({ ...state.config.settings, ...settings }, assets);
+  state.config.timeframe = timeframe;
+  saveState();
+  return getPaperTradingStatus();
+}
+
+function findWorkingOrder(id) {
+  for (const [asset, b] of Object.entries(state.books)) {
+    const order = b.workingOrders.find(o => o.id === id);
+    if (order) return { asset, order };
+  }
+  return null;
+}
+
+function validPrice(value, label) {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price <= 0) throw new Error(`${label} must be a positive number`);
+  return price;
+}
+
+// Place a pending entry by hand: { asset, side: buy|sell, type: limit|stop, price, size?, expiryMinutes?,
+// stopLoss?, takeProfit?, oco? }. `oco` ({ side, type, price }) adds a second entry in the same OCO group,
+// e.g. a buy stop above and a sell stop below the range; whichever fills first cancels the other. Throws on bad input.
+export function placePaperOrder({ asset, side, type, price, size, expiryMinutes = 0, stopLoss, takeProfit, oco } = {}) {
+  const key = String(asset || '').toLowerCase().trim();
+  if (!state.config.assets.includes(key)) {
+    throw new Error(`${key || 'The asset'} is not one of the paper traded assets (${state.config.assets.join(', ')})`);
+  }
+  const legs = [{ side, type, price }, ...(oco ? [oco] : [])].map((leg, i) => {
+    const label = i === 0 ? 'Order' : 'OCO order';
+    if (!['buy', 'sell'].includes(leg.side)) throw new Error(`${label} side must be buy or sell`);
+    if (!['limit', 'stop'].includes(leg.type)) throw new Error(`${label} type must be limit or stop`);
+    return { side: leg.side, type: leg.type, price: validPrice(leg.price, `${label} price`) };
+  });
+  if (size != null && !(Number(size) > 0)) throw new Error('Size must be a positive number');
+  for (const [field, value] of Object.entries({ expiryMinutes, stopLoss, takeProfit })) {
+    if (value != null && !(Number(value) >= 0)) throw new Error(`${field} must be a non-negative number`);
+  }
+
+  const ocoGroup = legs.length > 1 ? `oco_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null;
+  for (const leg of legs) {
+    createEntryOrder(key, {
+      ...leg,
+      size: size != null ? Number(size) : null,
+      expiryMinutes: Number(expiryMinutes) || 0,
+      stopLoss: stopLoss != null ? Number(stopLoss) : null,
+      takeProfit: takeProfit != null ? Number(takeProfit) : null,
+      ocoGroup,
+      source: 'manual',
+      reasons: [`Manual ${leg.type} ${leg.side}`]
+    });
+  }
+  saveState();
+  return getPaperTradingStatus();
+}
+
+// Returns null when no working order has this id
+export function cancelPaperOrder(id) {
+  const found = findWorkingOrder(id);
+  if (!found) return null;
+  endOrder(found.asset, found.order, 'cancelled', 'Cancelled by user');
+  saveState();
+  return getPaperTradingStatus();
+}
+
+// Change a working order: price for any order; size and expiryMinutes for entries; trailingStop,
+// breakEvenTrigger and breakEvenOffset (points) for a position's stop. Returns null when no working
+// order has this id, throws on bad values.
+export function modifyPaperOrder(id, changes = {}) {
+  const found = findWorkingOrder(id);
+  if (!found) return null;
+  const { order } = found;
+
+  const updates = {};
+  if (changes.price !== undefined) updates.price = validPrice(changes.price, 'Price');
+  if (order.role === 'entry') {
+    if (changes.size !== undefined) {
+      if (!(Number(changes.size) > 0)) throw new Error('Size must be a positive number');
+      updates.size = Number(changes.size);
+    }
+    if (changes.expiryMinutes !== undefined) {
+      const minutes = Number(changes.expiryMinutes);
+      if (!(minutes >= 0)) throw new Error('expiryMinutes must be a non-negative number');
+      updates.expiresAt = minutes > 0 ? new Date(Date.now() + minutes * 60000).toISOString() : null;
+    }
+  }
+  if (order.role === 'stopLoss') {
+    for (const field of ['trailingStop', 'breakEvenTrigger', 'breakEvenOffset']) {
+      if (changes[field] === undefined) continue;
+      const value = Number(changes[field]);
+      if (!(value >= 0)) throw new Error(`${field} must be a non-negative number`);
+      updates[field] = value;
+    }
+    if (updates.breakEvenTrigger !== undefined) updates.breakEvenDone = false;
+  }
+
+  Object.assign(order, updates, { modifiedAt: new Date().toISOString() });
+  saveState();
+  return getPaperTradingStatus();
+}
+
+// Weight history (oldest first) and recent decision factor contributions for one asset, or null
+export function getLearningHistory(asset) {
+  const b = state.books[String(asset || '').toLowerCase()];
+  if (!b) return null;
+  const { weights, score, history, contributions } = b.learning;
+  return { asset: String(asset).toLowerCase(), defaults: DEFAULT_WEIGHTS, weights, score, history, contributions };
+}
+
+// Restore the weights saved with an earlier update ('default' for the starting weights). The rollback is
+// itself recorded, so it can be undone the same way. Returns null when the asset or snapshot is unknown.
+export function rollbackLearningWeights(asset, snapshotId) {
+  const b = state.books[String(asset || '').toLowerCase()];
+  if (!b) return null;
+  const { learning } = b;
+  const snapshot = snapshotId === 'default'
+    ? { id: 'default', weights: DEFAULT_WEIGHTS }
+    : learning.history.find(h => h.id === snapshotId);
+  if (!snapshot) return null;
+
+  const changes = Object.keys(snapshot.weights)
+    .filter(key => learning.weights[key] !== snapshot.weights[key])
+    .map(key => ({ weight: key, from: learning.weights[key], to: snapshot.weights[key], reasons: [`Rolled back to ${snapshot.id}`] }));
+  learning.weights = { ...DEFAULT_WEIGHTS, ...snapshot.weights };
+  pushCapped(learning.history, {
+    id: `lw_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    time: new Date().toISOString(),
+    type: 'rollback',
+    restoredFrom: snapshot.id,
+    changes,
+    weights: { ...learning.weights },
+    score: learning.score
+  }, MAX_LEARNING_HISTORY);
+  saveState();
+  return getLearningHistory(asset);
+}
+
+// ---- Replay ----
+
+// Candles per timeframe each replayed analysis sees - bounds the cost of a bar; live analysis sees
+// whatever the market data cache holds
+const REPLAY_LOOKBACK = 500;
+const MAX_REPLAY_STEPS = 10000;
+const TIMEFRAME_SECONDS = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600, '4h': 14400, '1d': 86400 };
+
+// Run `fn` against another account and clock. fn must be synchronous, so the live loop can never
+// interleave while the engine is borrowed.
+function withEngine(engineState, engineClock, fn) {
+  const live = { state, clock, log };
+  state = engineState;
+  clock = engineClock;
+  log = () => {};
+  try {
+    return fn();
+  } finally {
+    ({ state, clock, log } = live);
+  }
+}
+
+function toSeconds(value, label) {
+  if (value == null || value === '') return null;
+  const seconds = typeof value === 'number' ? value : Date.parse(value) / 1000;
+  if (!Number.isFinite(seconds)) throw new Error(`${label} must be a date or a unix time in seconds`);
+  return seconds;
+}
+
+// Feed stored candles through the live pipeline (analysis -> decide -> orders) bar by bar on a separate
+// account. Each step is the close of a trading-timeframe bar (1m for sub-minute timeframes); only candles
+// that had closed by then are visible on every timeframe, so higher timeframes can't leak the future.
+// News is neutral and the live account is untouched. candles ({ [asset]: { [tf]: [...] } }) overrides
+// the market data loader. Returns the live status shape plus an equity curve and statistics.
+export async function replayPaperTrading({ assets, asset, timeframe = '5m', settings = {}, from, to, startFromLiveWeights = true, candles } = {}) {
+  const list = normalizeAssets(Array.isArray(assets) ? assets : [asset || 'silver']);
+  if (list.length === 0) throw new Error('Choose at least one asset to replay');
+  if (!CYCLE_INTERVALS[timeframe]) throw new Error(`Unknown timeframe "${timeframe}"`);
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  if (!ENTRY_ORDER_TYPES.includes(merged.entryOrderType)) {
+    throw new Error(`Unknown entry order type "${merged.entryOrderType}" - use ${ENTRY_ORDER_TYPES.join(', ')}`);
+  }
+  const fromSec = toSeconds(from, 'from') ?? -Infinity;
+  const toSec = toSeconds(to, 'to') ?? Infinity;
+  const stepTf = TIMEFRAME_SECONDS[timeframe] ? timeframe : '1m';
+
+  const data = {};
+  for (const a of list) {
+    data[a] = {};
+    for (const tf of ANALYSIS_TIMEFRAMES) {
+      const series = candles?.[a]?.[tf] ?? await loadCandles(a, tf).catch(() => null);
+      if (series?.length) data[a][tf] = [...series].sort((x, y) => x.time - y.time);
+    }
+    if (!data[a][stepTf]) throw new Error(`No stored ${stepTf} candles for ${a}`);
+  }
+
+  const steps = [...new Set(list.flatMap(a => data[a][stepTf].map(c => c.time + TIMEFRAME_SECONDS[stepTf])))]
+    .filter(t => t >= fromSec && t <= toSec)
+    .sort((x, y) => x - y);
+  if (steps.length === 0) throw new Error('No candles in the replay range');
+  if (steps.length > MAX_REPLAY_STEPS) {
+    throw new Error(`The replay range has ${steps.length} ${stepTf} bars - narrow it to at most ${MAX_REPLAY_STEPS}`);
+  }
+
+  let now = steps[0] * 1000;
+  const replayClock = () => now;
+  const replay = withEngine(null, replayClock, () => freshState(merged, list));
+  replay.config.timeframe = timeframe;
+  replay.status = 'running';
+  replay.tradeLimit = Infinity;
+  replay.startedAt = new Date(now).toISOString();
+  for (const a of list) {
+    const liveWeights = state.books[a]?.learning.weights;
+    if (startFromLiveWeights && liveWeights) replay.books[a].learning.weights = { ...liveWeights };
+  }
+
+  // Per asset and timeframe: how many candles have closed, and the analysis of the window ending there
+  const views = Object.fromEntries(list.map(a => [a, Object.fromEntries(Object.keys(data[a]).map(tf => [tf, { closed: 0, analysis: null, window: null }]))]));
+  const equity = [];
+  let barsInPosition = 0;
+
+  withEngine(replay, replayClock, () => {
+    for (const t of steps) {
+      now = t * 1000;
+      for (const a of list) {
+        const timeframes = {};
+        const windows = {};
+        for (const [tf, view] of Object.entries(views[a])) {
+          const series = data[a][tf];
+          const seconds = TIMEFRAME_SECONDS[tf];
+          let closed = view.closed;
+          while (closed < series.length && series[closed].time + seconds <= t) closed++;
+          if (closed !== view.closed) {
+            view.closed = closed;
+            view.window = series.slice(Math.max(0, closed - REPLAY_LOOKBACK), closed);
+            view.analysis = analyzeTimeframe(view.window);
+          }
+          if (view.analysis) {
+            timeframes[tf] = view.analysis;
+            windows[tf] = view.window;
+          }
+        }
+        tradeOnMarket(a, marketSnapshot(timeframes, windows), { formingCandle: false });
+      }
+      replay.cycleCount++;
+      equity.push({ time: t, value: replay.account.capital + totalUnrealizedPnl() });
+      if (list.some(a => replay.books[a].position)) barsInPosition++;
+    }
+
+    for (const a of list) closePosition(a, 'Replay ended');
+    equity[equity.length - 1].value = replay.account.capital;
+  });
+
+  replay.status = 'stopped';
+  replay.stoppedAt = new Date(now).toISOString();
+  replay.lastCycleAt = replay.stoppedAt;
+  const status = withEngine(replay, replayClock, getPaperTradingStatus);
+  const chronological = [...replay.trades].reverse();
+  return {
+    ...status,
+    trades: replay.trades,
+    equity,
+    statistics: computeStatistics({
+      equity: equity.map(e => e.value),
+      trades: chronological,
+      candles: equity.map(e => ({ time: e.time })),
+      initialCapital: merged.initialCapital,
+      barsInPosition
+    }),
+    replay: {
+      from: new Date(steps[0] * 1000).toISOString(),
+      to: new Date(steps[steps.length - 1] * 1000).toISOString(),
+      timeframe,
+      stepTimeframe: stepTf,
+      steps: steps.length,
+      lookback: REPLAY_LOOKBACK
+    }
+  };
+}
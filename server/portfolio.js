@@ -0,0 +1,184 @@
+// Portfolio backtest - several (bot, asset, timeframe) legs stepped on one merged timeline and
+// sharing one capital pool. Each leg may tie up at most its allocation % of pool equity in margin.
+
+import { createBacktest } from './backtest.js';
+import { computeStatistics } from './statistics.js';
+import { ProBuilderError } from './probuilder.js';
+
+const MAX_LEGS = 10;
+
+function round(value, decimals = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  if (n < 3) return null;
+  const mx = x.reduce((s, v) => s + v, 0) / n;
+  const my = y.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? round(sxy / Math.sqrt(sxx * syy), 4) : null;
+}
+
+// Correlation of leg returns, bucketed at the slowest leg's bar spacing so legs on different
+// timeframes are compared over the same periods
+function correlationMatrix(legs, timeline, legValues) {
+  const bucketSeconds = Math.max(1, ...legs.map(leg =>
+    median(leg.candles.slice(1).map((c, i) => c.time - leg.candles[i].time))));
+
+  const bucketEnds = [];
+  for (let t = 0; t < timeline.length; t++) {
+    const bucket = Math.floor(timeline[t] / bucketSeconds);
+    const next = t + 1 < timeline.length ? Math.floor(timeline[t + 1] / bucketSeconds) : null;
+    if (bucket !== next) bucketEnds.push(t);
+  }
+
+  const returns = legValues.map(values =>
+    bucketEnds.slice(1).map((t, k) => values[t] - values[bucketEnds[k]]));
+
+  return {
+    labels: legs.map(leg => leg.id),
+    periodSeconds: bucketSeconds,
+    periods: Math.max(0, bucketEnds.length - 1),
+    matrix: returns.map((a, i) => returns.map((b, j) => i === j ? 1 : pearson(a, b)))
+  };
+}
+
+// legs: [{ code, asset, timeframe, allocation (% of pool), candles, lowerTimeframeCandles?, settings? }]
+// settings are the shared simulator settings; leg.settings override them per leg. Throws on bad input.
+export function runPortfolioBacktest({ legs, settings = {} }) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw new Error('At least one leg is required');
+  }
+  if (legs.length > MAX_LEGS) {
+    throw new Error(`A portfolio can have at most ${MAX_LEGS} legs`);
+  }
+
+  const initialCapital = settings.initialCapital || 2000;
+  const defaultAllocation = 100 / legs.length;
+
+  const prepared = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}${leg.asset ? ` (${leg.asset})` : ''}`;
+    if (!leg.code) throw new Error(`${label}: bot code is required`);
+    if (!Array.isArray(leg.candles) || leg.candles.length === 0) throw new Error(`${label}: no candle data`);
+    const allocation = leg.allocation ?? defaultAllocation;
+    if (!(allocation > 0 && allocation <= 100)) throw new Error(`${label}: allocation must be between 0 and 100%`);
+
+    return {
+      id: leg.id || [leg.asset || 'leg', leg.timeframe, index + 1].filter(Boolean).join('-'),
+      label,
+      code: leg.code,
+      asset: leg.asset,
+      timeframe: leg.timeframe,
+      allocation,
+      candles: [...leg.candles].sort((a, b) => a.time - b.time),
+      lowerTimeframeCandles: leg.lowerTimeframeCandles || [],
+      settings: { ...settings, ...leg.settings, asset: leg.asset || settings.asset, initialCapital }
+    };
+  });
+
+  // Every leg starts from the pool's capital and books its own P&L; the pool is the sum of those P&Ls
+  const poolCash = () => initialCapital + prepared.reduce((sum, leg) => sum + leg.backtest.capital - initialCapital, 0);
+  const poolEquity = () => poolCash() + prepared.reduce((sum, leg) => sum + leg.backtest.unrealizedPnl(), 0);
+  const usedMargin = () => prepared.reduce((sum, leg) => sum + leg.backtest.usedMargin(), 0);
+
+  for (const leg of prepared) {
+    const sizeLimit = ({ price, instrument }) => {
+      const marginPerContract = price * instrument.contractMultiplier * instrument.marginPercent / 100;
+      if (!(marginPerContract > 0)) return Infinity;
+      const equity = poolEquity();
+      const budget = Math.min(equity - usedMargin(), equity * leg.allocation / 100 - leg.backtest.usedMargin());
+      const contracts = budget / marginPerContract;
+      return contracts >= instrument.minSize ? contracts : 0;
+    };
+    try {
+      leg.backtest = createBacktest(leg.code, leg.candles, leg.settings, leg.lowerTimeframeCandles, { sizeLimit });
+    } catch (e) {
+      if (e instanceof ProBuilderError) throw new Error(`${leg.label}: ${e.message}`);
+      throw e;
+    }
+  }
+
+  const timeline = [...new Set(prepared.flatMap(leg => leg.candles.map(c => c.time)))].sort((a, b) => a - b);
+  const cursors = prepared.map(() => 0);
+  const equity = [];
+  const capitalUse = [];
+  const legValues = prepared.map(() => []);
+  let barsInMarket = 0;
+
+  for (const time of timeline) {
+    prepared.forEach((leg, k) => {
+      while (cursors[k] < leg.candles.length && leg.candles[cursors[k]].time === time) {
+        leg.backtest.step(cursors[k]++);
+      }
+    });
+
+    const value = poolEquity();
+    equity.push(value);
+    capitalUse.push(value > 0 ? usedMargin() / value * 100 : 0);
+    prepared.forEach((leg, k) => legValues[k].push(leg.backtest.capital - initialCapital + leg.backtest.unrealizedPnl()));
+    if (prepared.some(leg => leg.backtest.inPosition)) barsInMarket++;
+  }
+
+  const reports = prepared.map(leg => leg.backtest.finish());
+  const finalEquity = poolCash();
+  if (equity.length > 0) equity[equity.length - 1] = finalEquity;
+  prepared.forEach((leg, k) => {
+    if (legValues[k].length > 0) legValues[k][legValues[k].length - 1] = reports[k].totalGain;
+  });
+
+  const totalGain = finalEquity - initialCapital;
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  for (const value of equity) {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak - value);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? (peak - value) / peak * 100 : 0);
+  }
+
+  const trades = prepared
+    .flatMap((leg, k) => reports[k].trades.map(t => ({ ...t, leg: leg.id, asset: leg.asset })))
+    .sort((a, b) => a.exitTime - b.exitTime);
+
+  return {
+    initialCapital,
+    finalEquity,
+    totalGain,
+    totalTrades: trades.length,
+    maxDrawdown: -maxDrawdown,
+    maxDrawdownPercent: round(maxDrawdownPercent),
+    peakCapitalUse: round(Math.max(0, ...capitalUse)),
+    avgCapitalUse: round(capitalUse.reduce((s, v) => s + v, 0) / (capitalUse.length || 1)),
+    statistics: computeStatistics({ equity, trades, candles: timeline.map(time => ({ time })), initialCapital, barsInPosition: barsInMarket }),
+    legs: prepared.map((leg, k) => ({
+      id: leg.id,
+      asset: leg.asset,
+      timeframe: leg.timeframe,
+      allocation: round(leg.allocation),
+      totalGain: reports[k].totalGain,
+      contribution: totalGain !== 0 ? round(reports[k].totalGain / Math.abs(totalGain) * 100) : null,
+      totalTrades: reports[k].totalTrades,
+      winRate: reports[k].winRate,
+      maxDrawdown: reports[k].maxDrawdown,
+      rejectedEntries: reports[k].rejectedEntries,
+      instrument: reports[k].instrument
+    })),
+    correlation: correlationMatrix(prepared, timeline, legValues),
+    equity: timeline.map((time, t) => ({ time, value: equity[t], capitalUse: round(capitalUse[t]) })),
+    trades
+  };
+}
@@ -0,0 +1,1088 @@
+// ProBuilder (ProRealTime) lexer, parser and bar-by-bar interpreter
+// Used by the backtester to run the actual strategy text instead of a fixed rule set.
+
+export class ProBuilderError extends Error {
+  constructor(message, line = null, column = null) {
+    super(line != null ? `Line ${line}, column ${column}: ${message}` : message);
+    this.name = 'ProBuilderError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+export const KEYWORDS = new Set([
+  'IF', 'THEN', 'ELSIF', 'ELSE', 'ENDIF', 'FOR', 'TO', 'DOWNTO', 'DO', 'NEXT', 'WHILE', 'WEND',
+  'BREAK', 'CONTINUE', 'ONCE', 'DEFPARAM', 'AND', 'OR', 'XOR', 'NOT', 'MOD', 'CROSSES', 'OVER', 'UNDER',
+  'BUY', 'SELL', 'SELLSHORT', 'EXITSHORT', 'AT', 'MARKET', 'STOP', 'LIMIT', 'SET', 'TARGET', 'QUIT',
+  'GRAPH', 'GRAPHONPRICE', 'PRINT', 'RETURN', 'COLOURED', 'AS', 'TRUE', 'FALSE',
+  'CONTRACT', 'CONTRACTS', 'SHARE', 'SHARES', 'LOT', 'LOTS', 'PERPOINT', 'CASH',
+  'NEXTBAROPEN', 'THISBARONCLOSE', 'REALTIME'
+]);
+
+const QUANTITY_UNITS = new Set(['CONTRACT', 'CONTRACTS', 'SHARE', 'SHARES', 'LOT', 'LOTS', 'PERPOINT', 'CASH']);
+const ORDER_TIMING = new Set(['NEXTBAROPEN', 'THISBARONCLOSE', 'REALTIME']);
+
+const STOP_KINDS = {
+  LOSS: { unit: 'price' },
+  PLOSS: { unit: 'points' },
+  $LOSS: { unit: 'money' },
+  '%LOSS': { unit: 'percent' },
+  TRAILING: { unit: 'price', trailing: true },
+  PTRAILING: { unit: 'points', trailing: true },
+  $TRAILING: { unit: 'money', trailing: true },
+  '%TRAILING': { unit: 'percent', trailing: true }
+};
+
+const TARGET_KINDS = {
+  PROFIT: { unit: 'price' },
+  PPROFIT: { unit: 'points' },
+  $PROFIT: { unit: 'money' },
+  '%PROFIT': { unit: 'percent' }
+};
+
+const MAX_LOOP_ITERATIONS = 100000;
+
+// ============ LEXER ============
+
+export function tokenize(code) {
+  const tokens = [];
+  const src = String(code || '').replace(/\r\n?/g, '\n');
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\n') {
+      push('newline', '\n', i);
+      i++;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\u00a0') {
+      i++;
+      continue;
+    }
+    // Comments: // and REM run to the end of the line
+    if (ch === '/' && src[i + 1] === '/') {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (/[A-Za-z]/.test(ch) && src.slice(i, i + 3).toUpperCase() === 'REM' && !/[A-Za-z0-9_]/.test(src[i + 3] || '')) {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+      while (i < src.length && /[0-9]/.test(src[i])) i++;
+      if (src[i] === '.') {
+        i++;
+        while (i < src.length && /[0-9]/.test(src[i])) i++;
+      }
+      push('number', parseFloat(src.slice(start, i)), start);
+      continue;
+    }
+
+    // $ and % prefixes form identifiers such as $LOSS, %PROFIT and $myArray
+    if (/[A-Za-z_]/.test(ch) || ((ch === '$' || ch === '%') && /[A-Za-z_]/.test(src[i + 1] || ''))) {
+      i++;
+      while (i < src.length && /[A-Za-z0-9_]/.test(src[i])) i++;
+      push('ident', src.slice(start, i), start);
+      continue;
+    }
+
+    if (ch === '"') {
+      i++;
+      while (i < src.length && src[i] !== '"' && src[i] !== '\n') i++;
+      if (src[i] !== '"') throw new ProBuilderError('Unterminated string', line, start - lineStart + 1);
+      i++;
+      push('string', src.slice(start + 1, i - 1), start);
+      continue;
+    }
+
+    const two = src.slice(i, i + 2);
+    if (two === '<>' || two === '<=' || two === '>=') {
+      push('op', two, start);
+      i += 2;
+      continue;
+    }
+    if ('+-*/=<>()[],;:'.includes(ch)) {
+      push('op', ch, start);
+      i++;
+      continue;
+    }
+
+    throw new ProBuilderError(`Unexpected character "${ch}"`, line, start - lineStart + 1);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+// ============ BUILT-INS ============
+
+// Price and bar series addressable with [n] lookback, e.g. Close[1]
+export const BUILTIN_SERIES = new Set([
+  'OPEN', 'HIGH', 'LOW', 'CLOSE', 'VOLUME', 'TYPICALPRICE', 'MEDIANPRICE', 'WEIGHTEDCLOSE', 'TOTALPRICE', 'RANGE',
+  'BARINDEX', 'INTRADAYBARINDEX', 'DATE', 'TIME', 'OPENDATE', 'OPENTIME', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE',
+  'DAYOFWEEK', 'OPENDAYOFWEEK', 'CURRENTHOUR', 'CURRENTMINUTE', 'CURRENTTIME', 'CURRENTDAYOFWEEK',
+  'ONMARKET', 'LONGONMARKET', 'SHORTONMARKET', 'COUNTOFPOSITION', 'COUNTOFLONGSHARES', 'COUNTOFSHORTSHARES',
+  'POSITIONPRICE', 'STRATEGYPROFIT', 'PIPSIZE', 'POINTSIZE', 'PIPVALUE', 'POINTVALUE', 'TRUE', 'FALSE'
+]);
+
+function sma(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function stdDev(values) {
+  if (values.length === 0) return 0;
+  const mean = sma(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+function wma(values) {
+  let num = 0;
+  let den = 0;
+  values.forEach((v, k) => {
+    num += v * (k + 1);
+    den += k + 1;
+  });
+  return den ? num / den : 0;
+}
+
+// Indicator functions: params are the [bracket] values, args the (parenthesised) sources.
+// Each receives (rt, call) where call.src(k, b) evaluates argument k at bar b and call.key is a
+// per-call-site memo key for recursive (stateful) indicators.
+const INDICATORS = {
+  AVERAGE: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const [period = 20, type = 0] = c.params;
+    if (type === 1) return rt.ema(c, period, 2 / (period + 1));
+    if (type === 2) return wma(rt.window(c, period));
+    if (type === 3) return rt.ema(c, period, 1 / period);
+    return sma(rt.window(c, period));
+  } },
+  EXPONENTIALAVERAGE: { defaultSource: 'CLOSE', fn: (rt, c) => rt.ema(c, c.params[0] || 20, 2 / ((c.params[0] || 20) + 1)) },
+  WEIGHTEDAVERAGE: { defaultSource: 'CLOSE', fn: (rt, c) => wma(rt.window(c, c.params[0] || 20)) },
+  WILDERAVERAGE: { defaultSource: 'CLOSE', fn: (rt, c) => rt.ema(c, c.params[0] || 14, 1 / (c.params[0] || 14)) },
+  HIGHEST: { defaultSource: 'HIGH', fn: (rt, c) => Math.max(...rt.window(c, c.params[0] || 1)) },
+  LOWEST: { defaultSource: 'LOW', fn: (rt, c) => Math.min(...rt.window(c, c.params[0] || 1)) },
+  SUMMATION: { defaultSource: 'CLOSE', fn: (rt, c) => rt.window(c, c.params[0] || 1).reduce((a, b) => a + b, 0) },
+  STD: { defaultSource: 'CLOSE', fn: (rt, c) => stdDev(rt.window(c, c.params[0] || 20)) },
+  STDDEV: { defaultSource: 'CLOSE', fn: (rt, c) => stdDev(rt.window(c, c.params[0] || 20)) },
+  BOLLINGERUP: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const w = rt.window(c, c.params[0] || 20);
+    return sma(w) + 2 * stdDev(w);
+  } },
+  BOLLINGERDOWN: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const w = rt.window(c, c.params[0] || 20);
+    return sma(w) - 2 * stdDev(w);
+  } },
+  MOMENTUM: { defaultSource: 'CLOSE', fn: (rt, c) => c.src(0, c.bar) - c.src(0, c.bar - (c.params[0] || 12)) },
+  ROC: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const prev = c.src(0, c.bar - (c.params[0] || 12));
+    return prev ? ((c.src(0, c.bar) - prev) / prev) * 100 : 0;
+  } },
+  RSI: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const period = c.params[0] || 14;
+    const state = rt.recursive(c.key, c.bar, (prev, b) => {
+      const change = c.src(0, b) - c.src(0, b - 1);
+      const up = Math.max(change, 0);
+      const down = Math.max(-change, 0);
+      if (!prev) return { up, down };
+      return { up: (prev.up * (period - 1) + up) / period, down: (prev.down * (period - 1) + down) / period };
+    });
+    if (state.down === 0) return state.up === 0 ? 50 : 100;
+    return 100 - 100 / (1 + state.up / state.down);
+  } },
+  TR: { defaultSource: 'CLOSE', fn: (rt, c) => rt.trueRange(c.bar) },
+  TRUERANGE: { defaultSource: 'CLOSE', fn: (rt, c) => rt.trueRange(c.bar) },
+  AVERAGETRUERANGE: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const period = c.params[0] || 14;
+    return rt.recursive(c.key, c.bar, (prev, b) => prev === undefined
+      ? rt.trueRange(b)
+      : (prev * (period - 1) + rt.trueRange(b)) / period);
+  } },
+  OBV: { defaultSource: 'CLOSE', fn: (rt, c) => rt.recursive(c.key, c.bar, (prev, b) => {
+    if (prev === undefined) return 0;
+    // Spot FX and some CFDs report no volume; count bars instead so OBV still has a direction
+    const vol = rt.candle(b).volume || 1;
+    const change = c.src(0, b) - c.src(0, b - 1);
+    return prev + (change > 0 ? vol : change < 0 ? -vol : 0);
+  }) },
+  MACDLINE: { defaultSource: 'CLOSE', fn: (rt, c) => rt.macd(c).line },
+  MACDSIGNAL: { defaultSource: 'CLOSE', fn: (rt, c) => rt.macd(c).signal },
+  MACD: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const m = rt.macd(c);
+    return m.line - m.signal;
+  } },
+  STOCHASTIC: { defaultSource: 'CLOSE', fn: (rt, c) => rt.stochasticK(c, c.bar) },
+  STOCHASTICD: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const d = c.params[1] || 3;
+    const values = [];
+    for (let b = Math.max(0, c.bar - d + 1); b <= c.bar; b++) values.push(rt.stochasticK(c, b));
+    return sma(values);
+  } },
+  WILLIAMS: { defaultSource: 'CLOSE', fn: (rt, c) => {
+    const period = c.params[0] || 14;
+    let hh = -Infinity;
+    let ll = Infinity;
+    for (let b = Math.max(0, c.bar - period + 1); b <= c.bar; b++) {
+      hh = Math.max(hh, rt.candle(b).high);
+      ll = Math.min(ll, rt.candle(b).low);
+    }
+    return hh === ll ? 0 : ((hh - c.src(0, c.bar)) / (hh - ll)) * -100;
+  } },
+  CCI: { defaultSource: 'TYPICALPRICE', fn: (rt, c) => {
+    const w = rt.window(c, c.params[0] || 20);
+    const mean = sma(w);
+    const meanDev = sma(w.map(v => Math.abs(v - mean)));
+    return meanDev ? (w[w.length - 1] - mean) / (0.015 * meanDev) : 0;
+  } },
+  ADX: { defaultSource: 'CLOSE', fn: (rt, c) => rt.directional(c).adx },
+  DIPLUS: { defaultSource: 'CLOSE', fn: (rt, c) => rt.directional(c).diPlus },
+  DIMINUS: { defaultSource: 'CLOSE', fn: (rt, c) => rt.directional(c).diMinus },
+
+  // Plain functions
+  ABS: { fn: (rt, c) => Math.abs(c.src(0, c.bar)) },
+  MIN: { fn: (rt, c) => Math.min(...c.args.map((_, k) => c.src(k, c.bar))) },
+  MAX: { fn: (rt, c) => Math.max(...c.args.map((_, k) => c.src(k, c.bar))) },
+  ROUND: { fn: (rt, c) => {
+    const digits = c.args.length > 1 ? c.src(1, c.bar) : 0;
+    const f = 10 ** digits;
+    return Math.round(c.src(0, c.bar) * f) / f;
+  } },
+  FLOOR: { fn: (rt, c) => Math.floor(c.src(0, c.bar)) },
+  CEIL: { fn: (rt, c) => Math.ceil(c.src(0, c.bar)) },
+  SQRT: { fn: (rt, c) => Math.sqrt(c.src(0, c.bar)) },
+  SQUARE: { fn: (rt, c) => c.src(0, c.bar) ** 2 },
+  POW: { fn: (rt, c) => c.src(0, c.bar) ** c.src(1, c.bar) },
+  LOG: { fn: (rt, c) => Math.log(c.src(0, c.bar)) },
+  EXP: { fn: (rt, c) => Math.exp(c.src(0, c.bar)) },
+  SGN: { fn: (rt, c) => Math.sign(c.src(0, c.bar)) },
+  SIN: { fn: (rt, c) => Math.sin(c.src(0, c.bar) * Math.PI / 180) },
+  COS: { fn: (rt, c) => Math.cos(c.src(0, c.bar) * Math.PI / 180) },
+  ATAN: { fn: (rt, c) => Math.atan(c.src(0, c.bar)) * 180 / Math.PI },
+  // Daily bars built from the loaded candles: DClose(0) is today so far, DClose(1) yesterday
+  DOPEN: { optionalArgs: true, fn: (rt, c) => rt.dailyBar(c).open },
+  DHIGH: { optionalArgs: true, fn: (rt, c) => rt.dailyBar(c).high },
+  DLOW: { optionalArgs: true, fn: (rt, c) => rt.dailyBar(c).low },
+  DCLOSE: { optionalArgs: true, fn: (rt, c) => rt.dailyBar(c).close },
+  TRADEPRICE: { optionalArgs: true, fn: (rt, c) => rt.tradePrice(c.args.length ? c.src(0, c.bar) : 1, c.bar) },
+  POSITIONPERF: { optionalArgs: true, fn: (rt, c) => rt.state(c.bar).positionPerf || 0 }
+};
+
+export const BUILTIN_FUNCTIONS = new Set(Object.keys(INDICATORS));
+
+// ============ PARSER ============
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.nextId = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  node(type, tok, props) {
+    return { type, id: this.nextId++, line: tok.line, column: tok.column, ...props };
+  }
+
+  error(message, tok = this.peek()) {
+    return new ProBuilderError(message, tok.line, tok.column);
+  }
+
+  isKeyword(value, tok = this.peek()) {
+    return tok.type === 'ident' && tok.value.toUpperCase() === value;
+  }
+
+  isOp(value, tok = this.peek()) {
+    return tok.type === 'op' && tok.value === value;
+  }
+
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) throw this.error(`Expected ${value} but found ${describe(this.peek())}`);
+    return this.next();
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) throw this.error(`Expected "${value}" but found ${describe(this.peek())}`);
+    return this.next();
+  }
+
+  skipNewlines() {
+    while (this.peek().type === 'newline' || this.isOp(';') || this.isOp(':')) this.next();
+  }
+
+  parseProgram() {
+    const body = this.parseBlock([]);
+    if (this.peek().type !== 'eof') throw this.error(`Unexpected ${describe(this.peek())}`);
+    const defparams = {};
+    for (const stmt of body) {
+      if (stmt.type === 'Defparam') defparams[stmt.name] = stmt.value;
+    }
+    return { type: 'Program', body, defparams };
+  }
+
+  parseBlock(terminators) {
+    const body = [];
+    for (;;) {
+      this.skipNewlines();
+      const tok = this.peek();
+      if (tok.type === 'eof') return body;
+      if (tok.type === 'ident' && terminators.includes(tok.value.toUpperCase())) return body;
+      const stmt = this.parseStatement();
+      if (stmt) body.push(stmt);
+    }
+  }
+
+  parseStatement() {
+    const tok = this.peek();
+    if (tok.type !== 'ident') throw this.error(`Unexpected ${describe(tok)}`);
+    const word = tok.value.toUpperCase();
+
+    switch (word) {
+      case 'DEFPARAM': {
+        this.next();
+        const nameTok = this.next();
+        if (nameTok.type !== 'ident') throw this.error('Expected parameter name after DEFPARAM', nameTok);
+        this.expectOp('=');
+        const value = this.parseExpression();
+        return this.node('Defparam', tok, { name: nameTok.value.toLowerCase(), value: constantValue(value) });
+      }
+      case 'ONCE': {
+        this.next();
+        return this.node('Once', tok, { assignment: this.parseAssignment() });
+      }
+      case 'IF': return this.parseIf();
+      case 'FOR': return this.parseFor();
+      case 'WHILE': return this.parseWhile();
+      case 'BREAK': this.next(); return this.node('Break', tok);
+      case 'CONTINUE': this.next(); return this.node('Continue', tok);
+      case 'QUIT': this.next(); return this.node('Quit', tok);
+      case 'BUY':
+      case 'SELL':
+      case 'SELLSHORT':
+      case 'EXITSHORT':
+        return this.parseOrder();
+      case 'SET': return this.parseSet();
+      case 'GRAPH':
+      case 'GRAPHONPRICE':
+      case 'PRINT':
+      case 'RETURN':
+        // Display-only statements have no effect on the backtest
+        while (this.peek().type !== 'newline' && this.peek().type !== 'eof') this.next();
+        return null;
+      case 'ELSIF':
+      case 'ELSE':
+      case 'ENDIF':
+        throw this.error(`${word} without matching IF`);
+      case 'NEXT':
+        throw this.error('NEXT without matching FOR');
+      case 'WEND':
+        throw this.error('WEND without matching WHILE');
+      default:
+        if (KEYWORDS.has(word)) throw this.error(`Unexpected keyword ${word}`);
+        return this.parseAssignment();
+    }
+  }
+
+  parseAssignment() {
+    const tok = this.next();
+    if (tok.type !== 'ident') throw this.error(`Expected variable name but found ${describe(tok)}`, tok);
+    const name = tok.value.toLowerCase();
+    const upper = tok.value.toUpperCase();
+    if (KEYWORDS.has(upper) || BUILTIN_SERIES.has(upper) || BUILTIN_FUNCTIONS.has(upper)) {
+      throw this.error(`Cannot assign to reserved word ${tok.value}`, tok);
+    }
+    let index = null;
+    if (name.startsWith('$')) {
+      this.expectOp('[');
+      index = this.parseExpression();
+      this.expectOp(']');
+    }
+    if (!this.isOp('=')) throw this.error(`Expected "=" after ${tok.value} but found ${describe(this.peek())}`);
+    this.next();
+    const value = this.parseExpression();
+    return this.node('Assign', tok, { name, index, value });
+  }
+
+  parseIf() {
+    const tok = this.expectKeyword('IF');
+    const branches = [];
+    let condition = this.parseExpression();
+    this.expectKeyword('THEN');
+    let body = this.parseBlock(['ELSIF', 'ELSE', 'ENDIF']);
+    branches.push({ condition, body });
+    let elseBody = null;
+    for (;;) {
+      const t = this.peek();
+      if (this.isKeyword('ELSIF')) {
+        this.next();
+        condition = this.parseExpression();
+        this.expectKeyword('THEN');
+        body = this.parseBlock(['ELSIF', 'ELSE', 'ENDIF']);
+        branches.push({ condition, body });
+      } else if (this.isKeyword('ELSE')) {
+        this.next();
+        elseBody = this.parseBlock(['ENDIF']);
+      } else if (this.isKeyword('ENDIF')) {
+        this.next();
+        break;
+      } else {
+        throw new ProBuilderError(`IF opened on line ${tok.line} is missing ENDIF`, t.line, t.column);
+      }
+    }
+    return this.node('If', tok, { branches, elseBody });
+  }
+
+  parseFor() {
+    const tok = this.expectKeyword('FOR');
+    const varTok = this.next();
+    if (varTok.type !== 'ident') throw this.error('Expected loop variable after FOR', varTok);
+    this.expectOp('=');
+    const from = this.parseExpression();
+    let descending = false;
+    if (this.isKeyword('DOWNTO')) {
+      descending = true;
+      this.next();
+    } else {
+      this.expectKeyword('TO');
+    }
+    const to = this.parseExpression();
+    if (this.isKeyword('DO')) this.next();
+    const body = this.parseBlock(['NEXT']);
+    if (!this.isKeyword('NEXT')) throw this.error(`FOR opened on line ${tok.line} is missing NEXT`);
+    this.next();
+    return this.node('For', tok, { variable: varTok.value.toLowerCase(), from, to, descending, body });
+  }
+
+  parseWhile() {
+    const tok = this.expectKeyword('WHILE');
+    const condition = this.parseExpression();
+    if (this.isKeyword('DO')) this.next();
+    const body = this.parseBlock(['WEND']);
+    if (!this.isKeyword('WEND')) throw this.error(`WHILE opened on line ${tok.line} is missing WEND`);
+    this.next();
+    return this.node('While', tok, { condition, body });
+  }
+
+  parseOrder() {
+    const tok = this.next();
+    const action = tok.value.toUpperCase();
+    let quantity = null;
+    if (!this.isKeyword('AT')) {
+      quantity = this.parseExpression();
+      if (this.peek().type === 'ident' && QUANTITY_UNITS.has(this.peek().value.toUpperCase())) this.next();
+    }
+    this.expectKeyword('AT');
+    let orderType = 'market';
+    let price = null;
+    if (this.isKeyword('MARKET')) {
+      this.next();
+    } else {
+      price = this.parseExpression();
+      if (this.isKeyword('STOP')) orderType = 'stop';
+      else if (this.isKeyword('LIMIT')) orderType = 'limit';
+      else throw this.error(`Expected STOP or LIMIT after order price but found ${describe(this.peek())}`);
+      this.next();
+    }
+    if (this.peek().type === 'ident' && ORDER_TIMING.has(this.peek().value.toUpperCase())) this.next();
+    return this.node('Order', tok, { action, quantity, orderType, price });
+  }
+
+  parseSet() {
+    const tok = this.expectKeyword('SET');
+    const what = this.next();
+    const whatUpper = what.type === 'ident' ? what.value.toUpperCase() : '';
+    if (whatUpper !== 'STOP' && whatUpper !== 'TARGET') {
+      throw this.error(`Expected STOP or TARGET after SET but found ${describe(what)}`, what);
+    }
+    const kindTok = this.next();
+    const kinds = whatUpper === 'STOP' ? STOP_KINDS : TARGET_KINDS;
+    const kind = kindTok.type === 'ident' ? kinds[kindTok.value.toUpperCase()] : null;
+    if (!kind) throw this.error(`Unknown SET ${whatUpper} type ${describe(kindTok)}`, kindTok);
+    const value = this.parseExpression();
+    return this.node('Set', tok, { target: whatUpper === 'STOP' ? 'stop' : 'target', ...kind, value });
+  }
+
+  // Expressions, lowest precedence first
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  binaryLevel(ops, parseOperand) {
+    let left = parseOperand();
+    for (;;) {
+      const tok = this.peek();
+      const op = tok.type === 'op' ? tok.value : tok.type === 'ident' ? tok.value.toUpperCase() : null;
+      if (!ops.includes(op)) return left;
+      this.next();
+      this.skipLineBreaks();
+      const right = parseOperand();
+      left = this.node('Binary', tok, { op, left, right });
+    }
+  }
+
+  skipLineBreaks() {
+    while (this.peek().type === 'newline') this.next();
+  }
+
+  parseOr() {
+    return this.binaryLevel(['OR', 'XOR'], () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.binaryLevel(['AND'], () => this.parseNot());
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      const tok = this.next();
+      return this.node('Unary', tok, { op: 'NOT', operand: this.parseNot() });
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    for (;;) {
+      const tok = this.peek();
+      if (this.isKeyword('CROSSES')) {
+        this.next();
+        const dir = this.next();
+        const dirUpper = dir.type === 'ident' ? dir.value.toUpperCase() : '';
+        if (dirUpper !== 'OVER' && dirUpper !== 'UNDER') throw this.error('Expected OVER or UNDER after CROSSES', dir);
+        this.skipLineBreaks();
+        const right = this.parseAdditive();
+        left = this.node('Cross', tok, { direction: dirUpper === 'OVER' ? 1 : -1, left, right });
+        continue;
+      }
+      if (tok.type === 'op' && ['=', '<>', '<', '>', '<=', '>='].includes(tok.value)) {
+        this.next();
+        this.skipLineBreaks();
+        const right = this.parseAdditive();
+        left = this.node('Binary', tok, { op: tok.value, left, right });
+        continue;
+      }
+      return left;
+    }
+  }
+
+  parseAdditive() {
+    return this.binaryLevel(['+', '-'], () => this.parseMultiplicative());
+  }
+
+  parseMultiplicative() {
+    return this.binaryLevel(['*', '/', 'MOD'], () => this.parseUnary());
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+')) {
+      const tok = this.next();
+      const operand = this.parseUnary();
+      return tok.value === '-' ? this.node('Unary', tok, { op: '-', operand }) : operand;
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(expr) {
+    while (this.isOp('[')) {
+      const tok = this.next();
+      const offset = this.parseExpression();
+      this.expectOp(']');
+      expr = expr.type === 'Identifier' && expr.name.startsWith('$')
+        ? this.node('ArrayAccess', tok, { name: expr.name, index: offset })
+        : this.node('Offset', tok, { target: expr, offset });
+    }
+    return expr;
+  }
+
+  parseList(close) {
+    const items = [];
+    this.skipLineBreaks();
+    if (this.isOp(close)) {
+      this.next();
+      return items;
+    }
+    for (;;) {
+      this.skipLineBreaks();
+      items.push(this.parseExpression());
+      this.skipLineBreaks();
+      if (this.isOp(',')) {
+        this.next();
+        continue;
+      }
+      this.expectOp(close);
+      return items;
+    }
+  }
+
+  parsePrimary() {
+    const tok = this.next();
+    if (tok.type === 'number') return this.node('Number', tok, { value: tok.value });
+    if (tok.type === 'string') return this.node('String', tok, { value: tok.value });
+    if (tok.type === 'op' && tok.value === '(') {
+      this.skipLineBreaks();
+      const expr = this.parseExpression();
+      this.skipLineBreaks();
+      this.expectOp(')');
+      return expr;
+    }
+    if (tok.type === 'ident') {
+      const upper = tok.value.toUpperCase();
+      if (upper === 'TRUE' || upper === 'FALSE') return this.node('Number', tok, { value: upper === 'TRUE' ? 1 : 0 });
+      if (BUILTIN_FUNCTIONS.has(upper) && !BUILTIN_SERIES.has(upper)) {
+        let params = [];
+        let args = null;
+        if (this.isOp('[')) {
+          this.next();
+          params = this.parseList(']');
+        }
+        if (this.isOp('(')) {
+          this.next();
+          args = this.parseList(')');
+        }
+        return this.node('Call', tok, { name: upper, params, args: args || [] });
+      }
+      if (KEYWORDS.has(upper)) throw this.error(`Unexpected keyword ${upper}`, tok);
+      return this.node('Identifier', tok, { name: tok.value.toLowerCase(), builtin: BUILTIN_SERIES.has(upper) ? upper : null });
+    }
+    throw this.error(`Unexpected ${describe(tok)}`, tok);
+  }
+}
+
+function describe(tok) {
+  if (tok.type === 'eof') return 'end of code';
+  if (tok.type === 'newline') return 'end of line';
+  return `"${tok.value}"`;
+}
+
+function constantValue(node) {
+  if (node.type === 'Number') return node.value;
+  if (node.type === 'Unary' && node.op === '-' && node.operand.type === 'Number') return -node.operand.value;
+  if (node.type === 'Identifier') return node.name;
+  return null;
+}
+
+export function parseProBuilder(code) {
+  return new Parser(tokenize(code)).parseProgram();
+}
+
+// ============ INTERPRETER ============
+
+const BREAK = 'break';
+const CONTINUE = 'continue';
+const QUIT = 'quit';
+
+function toBool(v) {
+  return v !== 0 && !Number.isNaN(v) && v != null;
+}
+
+function num(v) {
+  return typeof v === 'boolean' ? (v ? 1 : 0) : (Number.isFinite(v) ? v : 0);
+}
+
+function formatDateNumber(d) {
+  return d.getUTCFullYear() * 10000 + (d.getUTCMonth() + 1) * 100 + d.getUTCDate();
+}
+
+function formatTimeNumber(d) {
+  return d.getUTCHours() * 10000 + d.getUTCMinutes() * 100 + d.getUTCSeconds();
+}
+
+// Creates a runner for a parsed program over a fixed candle array.
+// runBar(bar, state) executes the code at the close of `bar` and returns the orders it placed.
+// `state` describes the simulated account on that bar: { direction, quantity, positionPrice,
+// tradePrices, strategyProfit, positionPerf }.
+// options.series supplies per-bar values ({ name: [value per bar] }) for variables the code reads but
+// never assigns, e.g. the chart drawing levels.
+export function createStrategyRunner(program, candles, options = {}) {
+  const pointSize = options.pointSize || 0.01;
+  const pointValue = options.pointValue || 1;
+  const series = options.series || {};
+  const vars = new Map();
+  const history = new Map();
+  const stateHistory = [];
+  const memo = new Map();
+  const onceDone = new Set();
+  const risk = { stop: null, target: null };
+  let currentBar = 0;
+  let orders = [];
+
+  const clampBar = (b) => Math.max(0, Math.min(b, candles.length - 1));
+  const candle = (b) => candles[clampBar(b)];
+  const dayStarts = [];
+  // Index of the first bar of the UTC day that bar b belongs to
+  const dayStart = (b) => {
+    for (let k = dayStarts.length; k <= b; k++) {
+      const sameDay = k > 0 && Math.floor(candles[k].time / 86400) === Math.floor(candles[k - 1].time / 86400);
+      dayStarts[k] = sameDay ? dayStarts[k - 1] : k;
+    }
+    return dayStarts[b];
+  };
+
+  const rt = {
+    candle,
+    state(b) {
+      return stateHistory[clampBar(b)] || {};
+    },
+    tradePrice(n, b) {
+      const prices = rt.state(b).tradePrices || [];
+      return prices[prices.length - Math.max(1, Math.round(n))] ?? 0;
+    },
+    trueRange(b) {
+      const c = candle(b);
+      if (b <= 0) return c.high - c.low;
+      const prevClose = candle(b - 1).close;
+      return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+    },
+    window(call, period) {
+      const n = Math.max(1, Math.round(period));
+      const values = [];
+      for (let b = Math.max(0, call.bar - n + 1); b <= call.bar; b++) values.push(call.src(0, b));
+      return values;
+    },
+    // Recursive indicators are memoised for completed bars only; the current bar is
+    // recomputed on every evaluation because variables may still change during the bar.
+    recursive(key, bar, step) {
+      let m = memo.get(key);
+      if (!m) {
+        m = { values: [], last: -1 };
+        memo.set(key, m);
+      }
+      const target = clampBar(bar);
+      const upto = Math.min(target, currentBar - 1);
+      for (let b = m.last + 1; b <= upto; b++) {
+        m.values[b] = step(b === 0 ? undefined : m.values[b - 1], b);
+        m.last = b;
+      }
+      if (target <= m.last) return m.values[target];
+      return step(target === 0 ? undefined : m.values[target - 1], target);
+    },
+    ema(call, period, alpha) {
+      return rt.recursive(call.key, call.bar, (prev, b) => {
+        const x = call.src(0, b);
+        return prev === undefined ? x : prev + alpha * (x - prev);
+      });
+    },
+    macd(call) {
+      const [fast = 12, slow = 26, signal = 9] = call.params;
+      return rt.recursive(call.key, call.bar, (prev, b) => {
+        const x = call.src(0, b);
+        if (!prev) return { fast: x, slow: x, line: 0, signal: 0 };
+        const f = prev.fast + (2 / (fast + 1)) * (x - prev.fast);
+        const s = prev.slow + (2 / (slow + 1)) * (x - prev.slow);
+        const line = f - s;
+        return { fast: f, slow: s, line, signal: prev.signal + (2 / (signal + 1)) * (line - prev.signal) };
+      });
+    },
+    // OHLC of the UTC day n days before the call's bar (n from the argument, default 0); before the
+    // first loaded day it is the first day
+    dailyBar(call) {
+      const n = Math.max(0, Math.round(call.args.length ? call.src(0, call.bar) : 0));
+      let end = clampBar(call.bar);
+      let start = dayStart(end);
+      for (let k = 0; k < n && start > 0; k++) {
+        end = start - 1;
+        start = dayStart(end);
+      }
+      const bar = { open: candles[start].open, high: -Infinity, low: Infinity, close: candles[end].close };
+      for (let b = start; b <= end; b++) {
+        bar.high = Math.max(bar.high, candles[b].high);
+        bar.low = Math.min(bar.low, candles[b].low);
+      }
+      return bar;
+    },
+    stochasticK(call, bar) {
+      const period = call.params[0] || 14;
+      let hh = -Infinity;
+      let ll = Infinity;
+      for (let b = Math.max(0, bar - period + 1); b <= bar; b++) {
+        hh = Math.max(hh, candle(b).high);
+        ll = Math.min(ll, candle(b).low);
+      }
+      return hh === ll ? 50 : ((call.src(0, bar) - ll) / (hh - ll)) * 100;
+    },
+    directional(call) {
+      const period = call.params[0] || 14;
+      return rt.recursive(call.key, call.bar, (prev, b) => {
+        const c = candle(b);
+        const p = candle(b - 1);
+        const upMove = b > 0 ? c.high - p.high : 0;
+        const downMove = b > 0 ? p.low - c.low : 0;
+        const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+        const tr = rt.trueRange(b);
+        const smooth = (old, v) => (old === undefined ? v : old - old / period + v);
+        const trS = smooth(prev?.tr, tr);
+        const plusS = smooth(prev?.plus, plusDM);
+        const minusS = smooth(prev?.minus, minusDM);
+        const diPlus = trS ? (100 * plusS) / trS : 0;
+        const diMinus = trS ? (100 * minusS) / trS : 0;
+        const dx = diPlus + diMinus ? (100 * Math.abs(diPlus - diMinus)) / (diPlus + diMinus) : 0;
+        const adx = prev === undefined ? dx : (prev.adx * (period - 1) + dx) / period;
+        return { tr: trS, plus: plusS, minus: minusS, diPlus, diMinus, adx };
+      });
+    }
+  };
+
+  function builtinValue(name, b) {
+    const bar = clampBar(b);
+    const c = candles[bar];
+    const d = new Date(c.time * 1000);
+    const state = rt.state(bar);
+    switch (name) {
+      case 'OPEN': return c.open;
+      case 'HIGH': return c.high;
+      case 'LOW': return c.low;
+      case 'CLOSE': return c.close;
+      case 'VOLUME': return c.volume || 0;
+      case 'TYPICALPRICE': return (c.high + c.low + c.close) / 3;
+      case 'MEDIANPRICE': return (c.high + c.low) / 2;
+      case 'WEIGHTEDCLOSE': return (c.high + c.low + 2 * c.close) / 4;
+      case 'TOTALPRICE': return (c.open + c.high + c.low + c.close) / 4;
+      case 'RANGE': return c.high - c.low;
+      case 'BARINDEX': return bar;
+      case 'INTRADAYBARINDEX': {
+        let k = 0;
+        const day = formatDateNumber(d);
+        while (bar - k - 1 >= 0 && formatDateNumber(new Date(candles[bar - k - 1].time * 1000)) === day) k++;
+        return k;
+      }
+      case 'DATE':
+      case 'OPENDATE': return formatDateNumber(d);
+      case 'TIME':
+      case 'OPENTIME':
+      case 'CURRENTTIME': return formatTimeNumber(d);
+      case 'YEAR': return d.getUTCFullYear();
+      case 'MONTH': return d.getUTCMonth() + 1;
+      case 'DAY': return d.getUTCDate();
+      case 'HOUR':
+      case 'CURRENTHOUR': return d.getUTCHours();
+      case 'MINUTE':
+      case 'CURRENTMINUTE': return d.getUTCMinutes();
+      case 'DAYOFWEEK':
+      case 'OPENDAYOFWEEK':
+      case 'CURRENTDAYOFWEEK': return d.getUTCDay();
+      case 'ONMARKET': return state.direction ? 1 : 0;
+      case 'LONGONMARKET': return state.direction > 0 ? 1 : 0;
+      case 'SHORTONMARKET': return state.direction < 0 ? 1 : 0;
+      case 'COUNTOFPOSITION': return (state.direction || 0) * (state.quantity || 0);
+      case 'COUNTOFLONGSHARES': return state.direction > 0 ? state.quantity : 0;
+      case 'COUNTOFSHORTSHARES': return state.direction < 0 ? state.quantity : 0;
+      case 'POSITIONPRICE': return state.positionPrice || 0;
+      case 'STRATEGYPROFIT': return state.strategyProfit || 0;
+      case 'PIPSIZE':
+      case 'POINTSIZE': return pointSize;
+      case 'PIPVALUE':
+      case 'POINTVALUE': return pointValue;
+      case 'TRUE': return 1;
+      case 'FALSE': return 0;
+      default: return 0;
+    }
+  }
+
+  function variableValue(name, b) {
+    if (!vars.has(name) && Object.hasOwn(series, name)) return series[name][clampBar(b)] ?? 0;
+    if (b >= currentBar) return vars.has(name) ? vars.get(name) : 0;
+    const h = history.get(name);
+    return h ? (h[Math.max(0, b)] ?? 0) : 0;
+  }
+
+  function evaluate(node, b) {
+    switch (node.type) {
+      case 'Number': return node.value;
+      case 'String': return 0;
+      case 'Identifier':
+        return node.builtin ? builtinValue(node.builtin, b) : num(variableValue(node.name, b));
+      case 'Offset': {
+        const offset = Math.round(evaluate(node.offset, currentBar));
+        if (offset < 0) throw new ProBuilderError('Negative lookback is not allowed', node.line, node.column);
+        return evaluate(node.target, b - offset);
+      }
+      case 'ArrayAccess': {
+        const arr = vars.get(node.name);
+        const idx = Math.round(evaluate(node.index, b));
+        return arr && typeof arr === 'object' ? (arr[idx] ?? 0) : 0;
+      }
+      case 'Unary': {
+        const v = evaluate(node.operand, b);
+        return node.op === 'NOT' ? (toBool(v) ? 0 : 1) : -v;
+      }
+      case 'Binary': return evaluateBinary(node, b);
+      case 'Cross': {
+        const a = evaluate(node.left, b);
+        const c = evaluate(node.right, b);
+        const aPrev = evaluate(node.left, b - 1);
+        const cPrev = evaluate(node.right, b - 1);
+        if (b <= 0) return 0;
+        return node.direction > 0 ? (a > c && aPrev <= cPrev ? 1 : 0) : (a < c && aPrev >= cPrev ? 1 : 0);
+      }
+      case 'Call': return evaluateCall(node, b);
+      default:
+        throw new ProBuilderError(`Cannot evaluate ${node.type}`, node.line, node.column);
+    }
+  }
+
+  function evaluateBinary(node, b) {
+    const { op } = node;
+    if (op === 'AND') return toBool(evaluate(node.left, b)) && toBool(evaluate(node.right, b)) ? 1 : 0;
+    if (op === 'OR') return toBool(evaluate(node.left, b)) || toBool(evaluate(node.right, b)) ? 1 : 0;
+    const l = evaluate(node.left, b);
+    const r = evaluate(node.right, b);
+    switch (op) {
+      case '+': return l + r;
+      case '-': return l - r;
+      case '*': return l * r;
+      case '/': return r === 0 ? 0 : l / r;
+      case 'MOD': return r === 0 ? 0 : l % r;
+      case '=': return l === r ? 1 : 0;
+      case '<>': return l !== r ? 1 : 0;
+      case '<': return l < r ? 1 : 0;
+      case '>': return l > r ? 1 : 0;
+      case '<=': return l <= r ? 1 : 0;
+      case '>=': return l >= r ? 1 : 0;
+      case 'XOR': return toBool(l) !== toBool(r) ? 1 : 0;
+      default:
+        throw new ProBuilderError(`Unknown operator ${op}`, node.line, node.column);
+    }
+  }
+
+  function evaluateCall(node, b) {
+    const def = INDICATORS[node.name];
+    const params = node.params.map(p => evaluate(p, currentBar));
+    const args = node.args.length ? node.args : def.defaultSource
+      ? [{ type: 'Identifier', name: def.defaultSource.toLowerCase(), builtin: def.defaultSource }]
+      : [];
+    if (!args.length && !def.optionalArgs) throw new ProBuilderError(`${node.name} requires an argument`, node.line, node.column);
+    const call = {
+      bar: clampBar(b),
+      params,
+      args,
+      key: `${node.id}|${params.join(',')}`,
+      src: (k, bar) => evaluate(args[k], bar)
+    };
+    return num(def.fn(rt, call));
+  }
+
+  function assign(node) {
+    const value = evaluate(node.value, currentBar);
+    if (node.index) {
+      let arr = vars.get(node.name);
+      if (!arr || typeof arr !== 'object') {
+        arr = {};
+        vars.set(node.name, arr);
+      }
+      arr[Math.round(evaluate(node.index, currentBar))] = value;
+    } else {
+      vars.set(node.name, value);
+    }
+  }
+
+  function execBlock(body) {
+    for (const stmt of body) {
+      const signal = exec(stmt);
+      if (signal) return signal;
+    }
+    return null;
+  }
+
+  function exec(stmt) {
+    switch (stmt.type) {
+      case 'Defparam': return null;
+      case 'Assign': assign(stmt); return null;
+      case 'Once':
+        if (!onceDone.has(stmt.id)) {
+          onceDone.add(stmt.id);
+          assign(stmt.assignment);
+        }
+        return null;
+      case 'If': {
+        for (const branch of stmt.branches) {
+          if (toBool(evaluate(branch.condition, currentBar))) return execBlock(branch.body);
+        }
+        return stmt.elseBody ? execBlock(stmt.elseBody) : null;
+      }
+      case 'For': {
+        const from = Math.round(evaluate(stmt.from, currentBar));
+        const to = Math.round(evaluate(stmt.to, currentBar));
+        const step = stmt.descending ? -1 : 1;
+        let iterations = 0;
+        for (let v = from; stmt.descending ? v >= to : v <= to; v += step) {
+          if (++iterations > MAX_LOOP_ITERATIONS) throw new ProBuilderError('FOR loop exceeded iteration limit', stmt.line, stmt.column);
+          vars.set(stmt.variable, v);
+          const signal = execBlock(stmt.body);
+          if (signal === BREAK) break;
+          if (signal === QUIT) return QUIT;
+        }
+        return null;
+      }
+      case 'While': {
+        let iterations = 0;
+        while (toBool(evaluate(stmt.condition, currentBar))) {
+          if (++iterations > MAX_LOOP_ITERATIONS) throw new ProBuilderError('WHILE loop exceeded iteration limit', stmt.line, stmt.column);
+          const signal = execBlock(stmt.body);
+          if (signal === BREAK) break;
+          if (signal === QUIT) return QUIT;
+        }
+        return null;
+      }
+      case 'Break': return BREAK;
+      case 'Continue': return CONTINUE;
+      case 'Quit': return QUIT;
+      case 'Order':
+        orders.push({
+          action: stmt.action,
+          quantity: stmt.quantity ? evaluate(stmt.quantity, currentBar) : null,
+          type: stmt.orderType,
+          price: stmt.price ? evaluate(stmt.price, currentBar) : null,
+          line: stmt.line
+        });
+        return null;
+      case 'Set': {
+        const value = evaluate(stmt.value, currentBar);
+        risk[stmt.target] = value > 0 ? { unit: stmt.unit, trailing: !!stmt.trailing, value } : null;
+        return null;
+      }
+      default:
+        throw new ProBuilderError(`Cannot execute ${stmt.type}`, stmt.line, stmt.column);
+    }
+  }
+
+  return {
+    defparams: program.defparams,
+    risk,
+    runBar(bar, state = {}) {
+      currentBar = bar;
+      stateHistory[bar] = state;
+      orders = [];
+      const signal = execBlock(program.body);
+      for (const [name, value] of vars) {
+        if (typeof value === 'object') continue;
+        let h = history.get(name);
+        if (!h) {
+          h = [];
+          history.set(name, h);
+        }
+        h[bar] = value;
+      }
+      return { orders, risk: { ...risk }, quit: signal === QUIT };
+    }
+  };
+}
@@ -0,0 +1,228 @@
+// Static ProBuilder linter - checks generated code against PRC_STYLE_CONSTRAINTS and
+// PROREALTIME_SYNTAX_RULES without calling an AI. Diagnostics carry 1-based line/column.
+
+import {
+  tokenize,
+  parseProBuilder,
+  ProBuilderError,
+  KEYWORDS,
+  BUILTIN_SERIES,
+  BUILTIN_FUNCTIONS
+} from './probuilder.js';
+
+// Words that are only meaningful after SET STOP / SET TARGET
+const RISK_WORDS = new Set([
+  'LOSS', 'PLOSS', '$LOSS', '%LOSS', 'TRAILING', 'PTRAILING', '$TRAILING', '%TRAILING',
+  'PROFIT', 'PPROFIT', '$PROFIT', '%PROFIT'
+]);
+
+const BLOCK_PAIRS = {
+  IF: 'ENDIF',
+  FOR: 'NEXT',
+  WHILE: 'WEND'
+};
+
+// Rules whose diagnostic explains a parse failure on the same line better than the parser does
+const BETTER_REPORTED = ['unbalanced-block', 'unknown-function'];
+
+function diagnostic(severity, rule, message, line, column) {
+  return { severity, rule, message, line, column };
+}
+
+// Walks every AST node depth-first
+function walk(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(n => walk(n, visit));
+    return;
+  }
+  if (node.type) visit(node);
+  for (const value of Object.values(node)) {
+    if (value && typeof value === 'object') walk(value, visit);
+  }
+}
+
+// Returns the blocks still open at the end of the code, innermost last
+function checkBlocks(tokens, diagnostics) {
+  const stack = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type !== 'ident') continue;
+    const word = tok.value.toUpperCase();
+    if (BLOCK_PAIRS[word]) {
+      stack.push({ word, tok });
+    } else if (word === 'ELSIF' || word === 'ELSE') {
+      if (!stack.length || stack[stack.length - 1].word !== 'IF') {
+        diagnostics.push(diagnostic('error', 'unbalanced-block', `${word} without matching IF`, tok.line, tok.column));
+      }
+    } else if (Object.values(BLOCK_PAIRS).includes(word)) {
+      const opener = Object.keys(BLOCK_PAIRS).find(k => BLOCK_PAIRS[k] === word);
+      const top = stack[stack.length - 1];
+      if (top && top.word === opener) {
+        stack.pop();
+      } else if (top) {
+        diagnostics.push(diagnostic('error', 'unbalanced-block',
+          `${word} found but ${top.word} opened on line ${top.tok.line} is still open`, tok.line, tok.column));
+        // Assume the inner block was left unclosed and recover at the matching opener
+        const idx = stack.map(s => s.word).lastIndexOf(opener);
+        if (idx >= 0) stack.length = idx;
+      } else {
+        diagnostics.push(diagnostic('error', 'unbalanced-block', `${word} without matching ${opener}`, tok.line, tok.column));
+      }
+    }
+  }
+  for (const open of stack) {
+    diagnostics.push(diagnostic('error', 'unbalanced-block',
+      `${open.word} is missing ${BLOCK_PAIRS[open.word]}`, open.tok.line, open.tok.column));
+  }
+  return stack;
+}
+
+function checkTokens(tokens, diagnostics) {
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type !== 'ident') continue;
+    const upper = tok.value.toUpperCase();
+
+    if (tok.value.includes('_')) {
+      diagnostics.push(diagnostic('error', 'no-underscore',
+        `"${tok.value}" contains an underscore - use CamelCase (e.g. ${tok.value.split('_').map((p, k) => k ? p.charAt(0).toUpperCase() + p.slice(1) : p).join('')})`,
+        tok.line, tok.column));
+    }
+
+    if (KEYWORDS.has(upper) || BUILTIN_SERIES.has(upper) || BUILTIN_FUNCTIONS.has(upper) || RISK_WORDS.has(upper)) continue;
+
+    // name(...) or name[...](...) is a function call - only built-ins may be called
+    const nextTok = tokens[i + 1];
+    let isCall = nextTok?.type === 'op' && nextTok.value === '(';
+    if (nextTok?.type === 'op' && nextTok.value === '[' && !upper.startsWith('$')) {
+      let depth = 0;
+      let j = i + 1;
+      for (; j < tokens.length; j++) {
+        if (tokens[j].type === 'op' && tokens[j].value === '[') depth++;
+        if (tokens[j].type === 'op' && tokens[j].value === ']' && --depth === 0) break;
+      }
+      isCall = tokens[j + 1]?.type === 'op' && tokens[j + 1].value === '(';
+    }
+    if (isCall) {
+      diagnostics.push(diagnostic('error', 'unknown-function', `Unknown function "${tok.value}"`, tok.line, tok.column));
+    }
+  }
+}
+
+function checkOneLiners(tokens, diagnostics) {
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type === 'ident' && tok.value.toUpperCase() === 'THEN') {
+      const nextTok = tokens[i + 1];
+      if (nextTok && nextTok.type !== 'newline' && nextTok.type !== 'eof') {
+        diagnostics.push(diagnostic('warning', 'no-one-liner',
+          'Put the statements after THEN on their own lines (ProRealCode forum style)', nextTok.line, nextTok.column));
+      }
+    }
+  }
+}
+
+// externals are variables supplied from outside the code (the chart drawing levels): the backtester
+// knows them but ProRealTime doesn't, so they are warned about instead of reported as undefined
+function checkProgram(program, diagnostics, externals) {
+  const defined = new Set();
+  walk(program, node => {
+    if (node.type === 'Assign') defined.add(node.name);
+    if (node.type === 'For') defined.add(node.variable);
+  });
+
+  const reported = new Set();
+  walk(program, node => {
+    if (node.type !== 'Identifier' || node.builtin || defined.has(node.name) || reported.has(node.name)) return;
+    if (RISK_WORDS.has(node.name.toUpperCase())) return;
+    reported.add(node.name);
+    if (externals.has(node.name)) {
+      diagnostics.push(diagnostic('warning', 'chart-variable',
+        `Variable "${node.name}" comes from the chart drawings - only the backtester defines it, assign it before running in ProRealTime`, node.line, node.column));
+      return;
+    }
+    diagnostics.push(diagnostic('error', 'undefined-variable', `Variable "${node.name}" is used but never assigned`, node.line, node.column));
+  });
+}
+
+function checkDefparam(tokens, diagnostics) {
+  const defparamLines = new Set();
+  const defparamTokens = tokens.filter(t => t.type === 'ident' && t.value.toUpperCase() === 'DEFPARAM');
+  if (defparamTokens.length === 0) {
+    diagnostics.push(diagnostic('warning', 'defparam-required', 'Missing DEFPARAM - start the code with e.g. "DEFPARAM CumulateOrders = False"', 1, 1));
+    return;
+  }
+  defparamTokens.forEach(t => defparamLines.add(t.line));
+  const firstCode = tokens.find(t => t.type !== 'newline' && t.type !== 'eof' && !defparamLines.has(t.line));
+  for (const t of defparamTokens) {
+    if (firstCode && t.line > firstCode.line) {
+      diagnostics.push(diagnostic('warning', 'defparam-position', 'DEFPARAM should be at the top of the code', t.line, t.column));
+    }
+  }
+}
+
+export function lintProBuilder(code, { externals = [] } = {}) {
+  const diagnostics = [];
+  let tokens;
+  try {
+    tokens = tokenize(code);
+  } catch (e) {
+    if (!(e instanceof ProBuilderError)) throw e;
+    diagnostics.push(diagnostic('error', 'syntax', e.reason, e.line, e.column));
+    return summarize(diagnostics);
+  }
+
+  const unclosed = checkBlocks(tokens, diagnostics);
+  checkTokens(tokens, diagnostics);
+  checkOneLiners(tokens, diagnostics);
+  checkDefparam(tokens, diagnostics);
+
+  const externalNames = new Set(externals.map(name => String(name).toLowerCase()));
+  let parseError = null;
+  try {
+    checkProgram(parseProBuilder(code), diagnostics, externalNames);
+  } catch (e) {
+    if (!(e instanceof ProBuilderError)) throw e;
+    parseError = e;
+  }
+  // Close the blocks left open and parse again, so one missing ENDIF doesn't hide the checks on the
+  // rest of the code. An error that only shows up in the appended closers isn't placed in the code,
+  // so the first parse error stands.
+  if (parseError && unclosed.length > 0) {
+    const codeLines = code.split('\n').length;
+    const closers = unclosed.map(open => BLOCK_PAIRS[open.word]).reverse();
+    try {
+      checkProgram(parseProBuilder(`${code}\n${closers.join('\n')}`), diagnostics, externalNames);
+      parseError = null;
+    } catch (e) {
+      if (!(e instanceof ProBuilderError)) throw e;
+      if (e.line <= codeLines) parseError = e;
+    }
+  }
+  // Block and call problems are reported with better messages above; drop the parse error only when
+  // its line has one of those
+  if (parseError && !diagnostics.some(d => d.line === parseError.line && BETTER_REPORTED.includes(d.rule))) {
+    diagnostics.push(diagnostic('error', 'syntax', parseError.reason, parseError.line, parseError.column));
+  }
+
+  return summarize(diagnostics);
+}
+
+function summarize(diagnostics) {
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: diagnostics.length - errorCount,
+    diagnostics
+  };
+}
+
+// Plain-text rendering used when diagnostics are fed back to the AI as an error message
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => `Line ${d.line}, column ${d.column} [${d.severity}] ${d.message}`)
+    .join('\n');
+}
@@ -0,0 +1,101 @@
+// Session filters for the backtester - the trading hours, opening/closing exclusions, trading days,
+// weekend and holiday exclusions and forced flat before the session end that the bot settings
+// describe. Clock times and weekdays are read in settings.timezone; holidays come from the calendar
+// of the instrument's exchange, in the exchange's own timezone, plus any settings.holidays dates.
+// The filters only apply when settings.enableTimeFilters is true.
+
+import { utcOffsetResolver } from './timezones.js';
+import { isExchangeHoliday, exchangeTimezone } from './holidays.js';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 1440;
+
+function parseClock(value, fallback) {
+  const m = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return fallback;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= MINUTES_PER_DAY ? minutes % MINUTES_PER_DAY : fallback;
+}
+
+// Date string, weekday and minute of day of a unix time in a zone
+function localClock(offsetAt, time) {
+  const d = new Date(time * 1000 + offsetAt(time * 1000) * 60000);
+  return { date: d.toISOString().slice(0, 10), day: d.getUTCDay(), minute: d.getUTCHours() * 60 + d.getUTCMinutes() };
+}
+
+// Returns null when no filter is active. barSeconds decides whether intraday rules apply: daily and
+// longer bars only get the day filters.
+export function createSessionFilter(settings, instrument, barSeconds) {
+  if (settings?.enableTimeFilters !== true) return null;
+
+  const timezone = settings.timezone || 'UTC';
+  const offsetAt = utcOffsetResolver(timezone);
+  const exchange = instrument?.exchange || null;
+  const exchangeOffsetAt = exchange ? utcOffsetResolver(exchangeTimezone(exchange)) : null;
+  const extraHolidays = new Set(Array.isArray(settings.holidays) ? settings.holidays : []);
+  const tradeDays = settings.tradeDays && typeof settings.tradeDays === 'object' ? settings.tradeDays : null;
+
+  const intraday = barSeconds > 0 && barSeconds < 86400 && settings.useTimeFilter === true;
+  const start = parseClock(settings.tradingStartTime, 0);
+  const end = parseClock(settings.tradingEndTime, 0);
+  // Sessions may run past midnight (22:00-05:00); equal times mean the whole day
+  const sessionLength = (end - start + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+  const openSkip = settings.excludeOpenPeriod ? Math.max(0, Number(settings.openPeriodMinutes) || 0) : 0;
+  const closeSkip = settings.excludeClosePeriod ? Math.max(0, Number(settings.closePeriodMinutes) || 0) : 0;
+  const flatBefore = intraday && settings.closeBeforeEnd ? Math.max(0, Number(settings.closeBeforeMinutes) || 0) : null;
+
+  const holidayDates = new Set();
+
+  function isHoliday(time, localDate) {
+    if (extraHolidays.has(localDate)) return true;
+    if (!exchange) return false;
+    const { date } = localClock(exchangeOffsetAt, time);
+    if (!isExchangeHoliday(exchange, date)) return false;
+    holidayDates.add(date);
+    return true;
+  }
+
+  function isTradingDay(time, clock) {
+    if (tradeDays && !tradeDays[DAY_KEYS[clock.day]]) return false;
+    if (settings.excludeWeekends && (clock.day === 0 || clock.day === 6)) return false;
+    if (settings.excludeHolidays && isHoliday(time, clock.date)) return false;
+    return true;
+  }
+
+  // Minutes since the session opened, or null outside the session
+  function sessionMinute(clock) {
+    const sinceStart = (clock.minute - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return sinceStart < sessionLength ? sinceStart : null;
+  }
+
+  // Whether a position may be held at this instant with the flat-before-end rule on
+  function holdable(time) {
+    const clock = localClock(offsetAt, time);
+    if (!isTradingDay(time, clock)) return false;
+    const minute = sessionMinute(clock);
+    return minute !== null && minute < sessionLength - flatBefore;
+  }
+
+  return {
+    timezone,
+    exchange,
+
+    // Whether a new position may be opened at this instant
+    canEnter(time) {
+      const clock = localClock(offsetAt, time);
+      if (!isTradingDay(time, clock)) return false;
+      if (!intraday) return true;
+      const minute = sessionMinute(clock);
+      if (minute === null || minute < openSkip || minute >= sessionLength - closeSkip) return false;
+      return flatBefore === null || minute < sessionLength - flatBefore;
+    },
+
+    // Whether an open position has to be closed by this instant (closeBeforeEnd, intraday bars only)
+    mustBeFlat(time) {
+      return flatBefore !== null && !holdable(time);
+    },
+
+    // Exchange holidays that were skipped so far
+    holidaysSkipped: () => [...holidayDates].sort()
+  };
+}
@@ -0,0 +1,140 @@
+// Detailed backtest statistics, in the spirit of ProRealTime's detailed report.
+// Return-based ratios use the bar-by-bar marked-to-market equity, annualised from the candles' real time span.
+
+const SECONDS_PER_YEAR = 365.25 * 86400;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function round(value, decimals = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+function longestStreaks(trades) {
+  let wins = 0;
+  let losses = 0;
+  let maxConsecutiveWins = 0;
+  let maxConsecutiveLosses = 0;
+  for (const t of trades) {
+    if (t.pnl > 0) {
+      wins++;
+      losses = 0;
+    } else if (t.pnl < 0) {
+      losses++;
+      wins = 0;
+    } else {
+      wins = 0;
+      losses = 0;
+    }
+    maxConsecutiveWins = Math.max(maxConsecutiveWins, wins);
+    maxConsecutiveLosses = Math.max(maxConsecutiveLosses, losses);
+  }
+  return { maxConsecutiveWins, maxConsecutiveLosses };
+}
+
+// Trade count and net result per exit reason (signal, stop, target, sessionClose, quit, end)
+function exitReasons(trades) {
+  const byReason = {};
+  for (const t of trades) {
+    const reason = t.exitReason || 'unknown';
+    if (!byReason[reason]) byReason[reason] = { trades: 0, pnl: 0 };
+    byReason[reason].trades++;
+    byReason[reason].pnl += t.pnl;
+  }
+  for (const r of Object.values(byReason)) r.pnl = round(r.pnl, 2);
+  return byReason;
+}
+
+// Longest stretch spent below a previous equity peak, in bars and in seconds
+function longestDrawdown(equity, times) {
+  let peak = -Infinity;
+  let peakIndex = 0;
+  let bars = 0;
+  let seconds = 0;
+  for (let i = 0; i < equity.length; i++) {
+    if (equity[i] >= peak) {
+      peak = equity[i];
+      peakIndex = i;
+      continue;
+    }
+    if (i - peakIndex > bars) {
+      bars = i - peakIndex;
+      seconds = times[i] - times[peakIndex];
+    }
+  }
+  return { bars, seconds };
+}
+
+// Month-end to month-end change of the marked equity
+function monthlyReturns(equity, times) {
+  const months = [];
+  let current = null;
+  for (let i = 0; i < equity.length; i++) {
+    const month = new Date(times[i] * 1000).toISOString().slice(0, 7);
+    if (!current || current.month !== month) {
+      const startEquity = current ? current.endEquity : equity[i];
+      current = { month, startEquity, endEquity: equity[i] };
+      months.push(current);
+    }
+    current.endEquity = equity[i];
+  }
+  return months.map(m => ({
+    month: m.month,
+    gain: round(m.endEquity - m.startEquity, 2),
+    returnPct: m.startEquity > 0 ? round((m.endEquity / m.startEquity - 1) * 100, 2) : null
+  }));
+}
+
+// equity: marked-to-market equity per candle; trades: closed trades with pnl/mae/mfe
+export function computeStatistics({ equity, trades, candles, initialCapital, barsInPosition }) {
+  const times = candles.map(c => c.time);
+  const finalEquity = equity.length > 0 ? equity[equity.length - 1] : initialCapital;
+  const years = times.length > 1 ? (times[times.length - 1] - times[0]) / SECONDS_PER_YEAR : 0;
+  const periodsPerYear = years > 0 ? (equity.length - 1) / years : 0;
+
+  const returns = [];
+  for (let i = 1; i < equity.length; i++) {
+    if (equity[i - 1] > 0) returns.push(equity[i] / equity[i - 1] - 1);
+  }
+  const avgReturn = mean(returns);
+  const stdDev = Math.sqrt(mean(returns.map(r => (r - avgReturn) ** 2)));
+  const downsideDev = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+  const annualise = Math.sqrt(periodsPerYear);
+
+  const grossProfit = trades.filter(t => t.pnl > 0).reduce((sum, t) => sum + t.pnl, 0);
+  const grossLoss = Math.abs(trades.filter(t => t.pnl < 0).reduce((sum, t) => sum + t.pnl, 0));
+
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  for (const value of equity) {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak - value);
+  }
+
+  const drawdown = longestDrawdown(equity, times);
+
+  return {
+    sharpeRatio: stdDev > 0 ? round(avgReturn / stdDev * annualise) : null,
+    sortinoRatio: downsideDev > 0 ? round(avgReturn / downsideDev * annualise) : null,
+    cagr: years > 0 && initialCapital > 0
+      ? round(finalEquity > 0 ? ((finalEquity / initialCapital) ** (1 / years) - 1) * 100 : -100, 2)
+      : null,
+    annualVolatility: round(stdDev * annualise * 100, 2),
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    grossProfit: round(grossProfit, 2),
+    grossLoss: round(grossLoss, 2),
+    expectancy: trades.length > 0 ? round((grossProfit - grossLoss) / trades.length, 2) : 0,
+    recoveryFactor: maxDrawdown > 0 ? round((finalEquity - initialCapital) / maxDrawdown) : null,
+    avgMAE: trades.length > 0 ? round(mean(trades.map(t => t.mae || 0)), 2) : 0,
+    avgMFE: trades.length > 0 ? round(mean(trades.map(t => t.mfe || 0)), 2) : 0,
+    maxDrawdownMarked: round(-maxDrawdown, 2),
+    longestDrawdownBars: drawdown.bars,
+    longestDrawdownSeconds: drawdown.seconds,
+    timeInMarket: candles.length > 0 ? round((barsInPosition / candles.length) * 100, 2) : 0,
+    avgBarsInTrade: trades.length > 0 ? round(barsInPosition / trades.length, 1) : 0,
+    ...longestStreaks(trades),
+    exitReasons: exitReasons(trades),
+    monthlyReturns: monthlyReturns(equity, times)
+  };
+}
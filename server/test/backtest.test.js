@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../backtest.js';
+import { parseProBuilder, createStrategyRunner } from '../probuilder.js';
+
+// Daily silver candles from [open, high, low, close] rows
+const DAY = 86400;
+const START = Date.UTC(2024, 0, 2) / 1000;
+function bars(rows) {
+  return rows.map(([open, high, low, close], i) => ({ time: START + i * DAY, open, high, low, close, volume: 0 }));
+}
+
+// No spread or fee, so fills and exits show up unchanged in the trade prices
+const SETTINGS = { asset: 'silver', useSpread: false, useOrderFee: false };
+
+function run(code, rows, settings = {}) {
+  return runBacktest(code, bars(rows), { ...SETTINGS, ...settings });
+}
+
+const BUY_FIRST_BAR = 'IF BarIndex = 0 THEN\n  BUY 1 CONTRACT AT MARKET\nENDIF\n';
+
+test('orders placed at a close execute on the next bar', () => {
+  const runner = createStrategyRunner(parseProBuilder(BUY_FIRST_BAR), bars([[25, 25.2, 24.8, 25]]));
+  const { orders } = runner.runBar(0, {});
+  assert.equal(orders.length, 1);
+  assert.equal(orders[0].action, 'BUY');
+  assert.equal(orders[0].type, 'market');
+
+  const result = run(BUY_FIRST_BAR, [[25, 25.2, 24.8, 25], [25.1, 25.3, 25, 25.2], [25.2, 25.4, 25.1, 25.3]]);
+  assert.equal(result.totalTrades, 1);
+  assert.equal(result.trades[0].entryPrice, 25.1);
+  assert.equal(result.trades[0].entryTime, START + DAY);
+  assert.equal(result.trades[0].exitPrice, 25.3);
+  assert.equal(result.trades[0].exitReason, 'end');
+});
+
+test('stop entries fill at the stop price, or at the open when the bar gaps past it', () => {
+  const code = 'IF BarIndex = 0 THEN\n  BUY 1 CONTRACT AT 25.5 STOP\nENDIF\n';
+  const runner = createStrategyRunner(parseProBuilder(code), bars([[25, 25.2, 24.8, 25]]));
+  const [order] = runner.runBar(0, {}).orders;
+  assert.equal(order.type, 'stop');
+  assert.equal(order.price, 25.5);
+
+  const touched = run(code, [[25, 25.2, 24.8, 25], [25.3, 25.8, 25.2, 25.6]]);
+  assert.equal(touched.trades[0].entryPrice, 25.5);
+  const gapped = run(code, [[25, 25.2, 24.8, 25], [25.7, 25.9, 25.6, 25.8]]);
+  assert.equal(gapped.trades[0].entryPrice, 25.7);
+  const missed = run(code, [[25, 25.2, 24.8, 25], [25.1, 25.4, 25, 25.2]]);
+  assert.equal(missed.totalTrades, 0);
+});
+
+test('limit entries fill at the limit price or better', () => {
+  const code = 'IF BarIndex = 0 THEN\n  BUY 1 CONTRACT AT 24.5 LIMIT\nENDIF\n';
+  const touched = run(code, [[25, 25.2, 24.8, 25], [24.9, 25, 24.3, 24.6]]);
+  assert.equal(touched.trades[0].entryPrice, 24.5);
+  const gapped = run(code, [[25, 25.2, 24.8, 25], [24.2, 24.4, 24.1, 24.3]]);
+  assert.equal(gapped.trades[0].entryPrice, 24.2);
+});
+
+test('a reversal closes the position before opening the other side', () => {
+  const code = 'IF BarIndex = 0 THEN\n  BUY 1 CONTRACT AT MARKET\nENDIF\nIF BarIndex = 1 THEN\n  SELLSHORT 1 CONTRACT AT MARKET\nENDIF\n';
+  const result = run(code, [[25, 25.2, 24.8, 25], [25.1, 25.3, 25, 25.2], [25.2, 25.4, 25.1, 25.3], [25.3, 25.5, 25.2, 25.4]]);
+  assert.equal(result.totalTrades, 2);
+  assert.deepEqual(result.trades.map(t => [t.type, t.entryPrice, t.exitPrice, t.exitReason]), [
+    ['long', 25.1, 25.2, 'signal'],
+    ['short', 25.2, 25.4, 'end']
+  ]);
+});
+
+test('SET STOP exits at the stop, or at the open when the bar gaps through it', () => {
+  const code = BUY_FIRST_BAR + 'SET STOP PLOSS 10\n';
+  const touched = run(code, [[25, 25.2, 24.8, 25], [25.1, 25.3, 25.05, 25.2], [25.15, 25.2, 24.9, 24.95]]);
+  assert.equal(touched.trades[0].exitReason, 'stop');
+  assert.ok(Math.abs(touched.trades[0].exitPrice - 25) < 1e-9);
+
+  const gapped = run(code, [[25, 25.2, 24.8, 25], [25.1, 25.3, 25.05, 25.2], [24.9, 25, 24.8, 24.95]]);
+  assert.equal(gapped.trades[0].exitReason, 'stop');
+  assert.equal(gapped.trades[0].exitPrice, 24.9);
+});
+
+test('stops closer than the instrument minimum are widened to it', () => {
+  // Silver's minimum stop distance is 4 points (0.04): a 1 point stop would be hit on bar 1 already
+  const code = BUY_FIRST_BAR + 'SET STOP PLOSS 1\n';
+  const result = run(code, [[25, 25.2, 24.8, 25], [25.1, 25.2, 25.07, 25.08], [25.07, 25.1, 25, 25.02]]);
+  assert.equal(result.trades[0].exitReason, 'stop');
+  assert.equal(result.trades[0].exitTime, START + 2 * DAY);
+  assert.ok(Math.abs(result.trades[0].exitPrice - 25.06) < 1e-9);
+});
+
+test('a bar touching both the stop and the target exits by the intrabar order setting', () => {
+  const code = BUY_FIRST_BAR + 'SET STOP PLOSS 10\nSET TARGET PPROFIT 20\n';
+  const rows = [[25, 25.2, 24.8, 25], [25.1, 25.25, 25.05, 25.2], [25.15, 25.4, 24.9, 25.2]];
+
+  const pessimistic = run(code, rows);
+  assert.equal(pessimistic.trades[0].exitReason, 'stop');
+  assert.ok(Math.abs(pessimistic.trades[0].exitPrice - 25) < 1e-9);
+
+  const optimistic = run(code, rows, { intrabarOrder: 'optimistic' });
+  assert.equal(optimistic.trades[0].exitReason, 'target');
+  assert.ok(Math.abs(optimistic.trades[0].exitPrice - 25.3) < 1e-9);
+});
+
+test('a trailing SET STOP follows the best price of the earlier bars', () => {
+  const code = BUY_FIRST_BAR + 'SET STOP PTRAILING 10\n';
+  const result = run(code, [
+    [25, 25.2, 24.8, 25],
+    [25.1, 25.5, 25.05, 25.4],
+    [25.4, 25.45, 25.3, 25.35]
+  ]);
+  // Best price 25.5 from bar 1, so the stop sits at 25.4 on bar 2
+  assert.equal(result.trades[0].exitReason, 'stop');
+  assert.ok(Math.abs(result.trades[0].exitPrice - 25.4) < 1e-9);
+});
+
+test('statisticsFrom adds statistics for the run from that time on', () => {
+  const code = 'IF BarIndex = 0 OR BarIndex = 2 THEN\n  BUY 1 CONTRACT AT MARKET\nENDIF\nIF BarIndex = 1 OR BarIndex = 3 THEN\n  SELL AT MARKET\nENDIF\n';
+  const rows = [[25, 25.2, 24.8, 25], [25.1, 25.3, 25, 25.2], [25.2, 25.4, 25.1, 25.3], [25.3, 25.5, 25.2, 25.4], [25.1, 25.2, 25, 25.1]];
+  assert.equal(run(code, rows).periodStatistics, undefined);
+  const result = run(code, rows, { statisticsFrom: START + 2 * DAY });
+  // The run makes 500 then loses 1000; only the losing trade opens on or after bar 2
+  assert.deepEqual([result.statistics.grossProfit, result.statistics.grossLoss], [500, 1000]);
+  assert.deepEqual([result.periodStatistics.grossProfit, result.periodStatistics.grossLoss], [0, 1000]);
+  assert.deepEqual(result.periodStatistics.monthlyReturns, [{ month: '2024-01', gain: -1000, returnPct: -40 }]);
+  assert.equal(result.periodStatistics.timeInMarket, 33.33);
+});
+
+test('close before end exits at the close of the bar reaching the cut-off, or at the open after a gap', () => {
+  const hourly = (hours) => hours.map(h => ({ time: START + h * 3600, open: 25 + h / 4, high: 25.5 + h / 4, low: 24.5 + h / 4, close: 25.125 + h / 4, volume: 0 }));
+  const settings = {
+    ...SETTINGS,
+    enableTimeFilters: true,
+    useTimeFilter: true,
+    timezone: 'UTC',
+    tradingStartTime: '00:00',
+    tradingEndTime: '06:00',
+    closeBeforeEnd: true,
+    closeBeforeMinutes: 60
+  };
+  // Filled at the 01:00 open; the 04:00 bar ends at the 05:00 cut-off
+  let [trade] = runBacktest(BUY_FIRST_BAR, hourly([0, 1, 2, 3, 4, 5, 6, 7]), settings).trades;
+  assert.equal(trade.exitReason, 'sessionClose');
+  assert.equal(trade.exitTime, START + 4 * 3600);
+  assert.equal(trade.exitPrice, 26.125);
+
+  // No bars between 02:00 and 06:00: the 06:00 bar is past the cut-off and closes the position at its open
+  [trade] = runBacktest(BUY_FIRST_BAR, hourly([0, 1, 2, 6, 7]), settings).trades;
+  assert.equal(trade.exitReason, 'sessionClose');
+  assert.equal(trade.exitTime, START + 6 * 3600);
+  assert.equal(trade.exitPrice, 26.5);
+
+  // Without the filters the position is held to the end
+  [trade] = runBacktest(BUY_FIRST_BAR, hourly([0, 1, 2, 3, 4, 5, 6, 7]), SETTINGS).trades;
+  assert.equal(trade.exitReason, 'end');
+});
+
+test('the percent trailing stop starts at the trigger and moves one step per close', () => {
+  // 1% trigger and 0.5% step on an entry at 100
+  const result = run(BUY_FIRST_BAR, [
+    [100, 100, 100, 100],
+    [100, 100.75, 99.5, 100.5], // half way to the trigger
+    [100.5, 101.25, 100.25, 101], // trigger reached: stop to 100.50
+    [101, 102, 100.75, 101.75], // more than a step past it: one step up to 101
+    [101.75, 101.75, 101.25, 101.5], // exactly a step past it: stays
+    [101.5, 101.5, 100.5, 100.75]
+  ], { useTrailingStop: true, trailingPercent: 1, stepPercent: 0.5 });
+  assert.equal(result.totalTrades, 1);
+  assert.equal(result.trades[0].exitReason, 'trailingStop');
+  assert.equal(result.trades[0].exitTime, START + 5 * DAY);
+  assert.equal(result.trades[0].exitPrice, 101);
+});
+
+test('cumulated entries add lots up to the max size and close oldest first, partly with SELL n CONTRACTS', () => {
+  const code = [
+    'DEFPARAM CUMULATEORDERS = true',
+    'IF BarIndex < 2 THEN',
+    '  BUY 2 CONTRACTS AT MARKET',
+    'ENDIF',
+    // The strategy sees the total size and the average entry price
+    'IF BarIndex = 2 AND CountOfPosition = 3 AND PositionPrice = 101 THEN',
+    '  SELL 1 CONTRACT AT MARKET',
+    'ENDIF',
+    'IF BarIndex = 3 THEN',
+    '  SELL AT MARKET',
+    'ENDIF',
+    ''
+  ].join('\n');
+  const rows = [[100, 100, 100, 100], [100, 101, 99, 100], [103, 104, 102, 103], [104, 105, 103, 104], [105, 106, 104, 105]];
+  const result = run(code, rows, { maxPositionSize: 3 });
+  assert.deepEqual(result.trades.map(t => [t.entryPrice, t.exitPrice, t.quantity, t.entryTime]), [
+    [100, 104, 1, START + DAY],
+    [100, 105, 1, START + DAY],
+    [103, 105, 1, START + 2 * DAY]
+  ]);
+
+  // Without cumulating, the second entry is ignored and the SELL 1 condition never holds
+  const single = run(code.replace('true', 'false'), rows, { maxPositionSize: 3 });
+  assert.deepEqual(single.trades.map(t => [t.entryPrice, t.exitPrice, t.quantity]), [[100, 105, 2]]);
+});
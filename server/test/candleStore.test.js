@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mergeCandles, readCandles, lastStoredTime, listStoredCandles, resampleCandles, TIMEFRAME_SECONDS } from '../candleStore.js';
+
+// A test-only asset under data/candles, removed afterwards (with the store directory if it made it and nothing else is in it)
+const ASSET = `storetest${process.pid}`;
+const STORE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'candles');
+const storeExisted = fs.existsSync(STORE_DIR);
+
+after(() => {
+  fs.rmSync(path.join(STORE_DIR, ASSET), { recursive: true, force: true });
+  if (!storeExisted && fs.readdirSync(STORE_DIR).length === 0) fs.rmdirSync(STORE_DIR);
+});
+
+const bar = (time, close) => ({ time, open: close, high: close + 1, low: close - 1, close, volume: 10 });
+
+test('merging keeps one bar per time, the newest fetch winning', () => {
+  assert.equal(readCandles(ASSET, '1h'), null);
+  assert.deepEqual(mergeCandles(ASSET, '1h', [bar(7200, 2), bar(3600, 1)], { source: 'yahoo' }),
+    { count: 2, from: 3600, to: 7200, added: 2 });
+
+  // 7200 is fetched again with a new close; the NaN bar is dropped
+  const result = mergeCandles(ASSET, '1h', [bar(7200, 5), bar(10800, 3), { ...bar(14400, 4), close: NaN }]);
+  assert.deepEqual(result, { count: 3, from: 3600, to: 10800, added: 1 });
+
+  const stored = readCandles(ASSET, '1h');
+  assert.deepEqual(stored.candles.map(c => [c.time, c.close]), [[3600, 1], [7200, 5], [10800, 3]]);
+  // Metadata of an earlier sync stays until a later one replaces it
+  assert.equal(stored.source, 'yahoo');
+  assert.equal(lastStoredTime(ASSET, '1h'), 10800);
+  assert.deepEqual(readCandles(ASSET, '1h', { from: 5000, to: 9000 }).candles.map(c => c.time), [7200]);
+});
+
+test('monthly and minute bars are stored apart', () => {
+  mergeCandles(ASSET, '1m', [bar(60, 1)]);
+  mergeCandles(ASSET, '1M', [bar(0, 9)]);
+  assert.deepEqual(readCandles(ASSET, '1M').candles.map(c => c.close), [9]);
+  assert.deepEqual(readCandles(ASSET, '1m').candles.map(c => c.close), [1]);
+  assert.deepEqual(listStoredCandles().filter(s => s.asset === ASSET).map(s => s.timeframe).sort(), ['1M', '1h', '1m']);
+  assert.throws(() => readCandles('../etc', '1h'), /Invalid candle store asset: ..\/etc/);
+});
+
+test('weekly bars start on Monday 00:00 UTC, shorter bars on UTC multiples', () => {
+  const day = (d) => Date.UTC(2024, 0, d) / 1000;
+  // Wednesday 3 Jan to Tuesday 16 Jan 2024, skipping the weekends
+  const daily = [3, 4, 5, 8, 9, 10, 11, 12, 15, 16].map((d, i) => ({ ...bar(day(d), 10 + i), volume: 1 }));
+  const weekly = resampleCandles(daily, TIMEFRAME_SECONDS['1w']);
+  assert.deepEqual(weekly.map(w => [new Date(w.time * 1000).toISOString().slice(0, 10), w.open, w.high, w.low, w.close, w.volume]), [
+    ['2024-01-01', 10, 13, 9, 12, 3],
+    ['2024-01-08', 13, 18, 12, 17, 5],
+    ['2024-01-15', 18, 20, 17, 19, 2]
+  ]);
+  // The same weeks come out of a range that starts mid-week
+  assert.deepEqual(resampleCandles(daily.slice(4), TIMEFRAME_SECONDS['1w']).map(w => w.time), [day(8), day(15)]);
+
+  const hourly = [0, 1, 2, 3, 4, 5].map(h => bar(day(3) + (h + 2) * 3600, h));
+  assert.deepEqual(resampleCandles(hourly, TIMEFRAME_SECONDS['4h']).map(b => [b.time - day(3), b.open, b.close]), [[0, 0, 1], [14400, 2, 5]]);
+});
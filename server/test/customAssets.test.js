@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOhlcvCsv } from '../customAssets.js';
+
+const utc = (...parts) => Date.UTC(...parts) / 1000;
+
+test('a Yahoo style export is read from its header', () => {
+  const csv = [
+    'Date,Open,High,Low,Close,Adj Close,Volume',
+    '2024-01-02,10,11,9,10.5,10.4,1000',
+    '2024-01-03,10.5,12,10,11.5,11.4,1200',
+    '2024-01-04,11.5,12.5,11,12,11.9,900'
+  ].join('\n');
+  const result = parseOhlcvCsv(csv);
+  assert.equal(result.detected.delimiter, ',');
+  assert.equal(result.detected.hasHeader, true);
+  assert.equal(result.detected.dateFormat, 'iso');
+  // Adj Close isn't taken for close
+  assert.deepEqual(result.detected.columns, { date: 0, open: 1, high: 2, low: 3, close: 4, volume: 6 });
+  assert.equal(result.timeframe, '1d');
+  assert.deepEqual(result.candles[0], { time: utc(2024, 0, 2), open: 10, high: 11, low: 9, close: 10.5, volume: 1000 });
+  assert.deepEqual(result.warnings, []);
+});
+
+test('a headerless ProRealTime export with separate time and decimal commas', () => {
+  const csv = [
+    '02/01/2024;09:00;10,5;11;10;10,75;100',
+    '02/01/2024;10:00;10,75;11,25;10,5;11;120',
+    '13/01/2024;11:00;11;11,5;10,75;11,25;80'
+  ].join('\r\n');
+  const result = parseOhlcvCsv(csv);
+  assert.equal(result.detected.delimiter, ';');
+  assert.equal(result.detected.hasHeader, false);
+  assert.equal(result.detected.decimalComma, true);
+  assert.equal(result.detected.dateFormat, 'dd/mm/yyyy');
+  assert.deepEqual(result.detected.columns, { date: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 });
+  assert.equal(result.timeframe, '1h');
+  assert.equal(result.candles[0].time, utc(2024, 0, 2, 9));
+  assert.equal(result.candles[0].open, 10.5);
+});
+
+test('day/month order is taken from a field above 12, and flagged when none is', () => {
+  const monthFirst = parseOhlcvCsv('Date,Open,High,Low,Close\n01/13/2024,1,2,0.5,1.5\n01/14/2024,1,2,0.5,1.5\n');
+  assert.equal(monthFirst.detected.dateFormat, 'mm/dd/yyyy');
+  assert.equal(monthFirst.candles[0].time, utc(2024, 0, 13));
+
+  const ambiguous = parseOhlcvCsv('Date,Open,High,Low,Close\n01/02/2024,1,2,0.5,1.5\n02/02/2024,1,2,0.5,1.5\n');
+  assert.equal(ambiguous.detected.dateFormat, 'dd/mm/yyyy');
+  assert.ok(ambiguous.warnings.some(w => /ambiguous/.test(w)));
+});
+
+test('tab separated unix times with the timezone left to the timestamps', () => {
+  const csv = 'time\topen\thigh\tlow\tclose\n1704186000\t1\t2\t0.5\t1.5\n1704186300\t1.5\t2\t1\t1.8\n';
+  const result = parseOhlcvCsv(csv);
+  assert.equal(result.detected.delimiter, 'tab');
+  assert.equal(result.detected.dateFormat, 'unix');
+  assert.equal(result.timeframe, '5m');
+  assert.equal(result.candles[1].time, 1704186300);
+});
+
+test('local times are converted from the header or the given timezone', () => {
+  const csv = 'Date (UTC+2),Open,High,Low,Close\n2024-01-02 10:00,1,2,0.5,1.5\n2024-01-02 11:00,1,2,0.5,1.5\n';
+  assert.equal(parseOhlcvCsv(csv).detected.timezone, 'UTC+2');
+  assert.equal(parseOhlcvCsv(csv).candles[0].time, utc(2024, 0, 2, 8));
+
+  const plain = 'Date,Open,High,Low,Close\n2024-07-01 10:00,1,2,0.5,1.5\n2024-07-01 11:00,1,2,0.5,1.5\n';
+  assert.equal(parseOhlcvCsv(plain, { timezone: 'America/New_York' }).candles[0].time, utc(2024, 6, 1, 14));
+});
+
+test('bad rows are skipped and duplicates keep the last row', () => {
+  const csv = [
+    'Date,Open,High,Low,Close',
+    '2024-01-02,1,2,0.5,1.5',
+    '2024-01-02,1,2,0.5,1.6',
+    'not a date,1,2,0.5,1.5',
+    '2024-01-04,1,0.8,0.5,1.5',
+    '2024-01-05,1,2,0.5,1.5'
+  ].join('\n');
+  const result = parseOhlcvCsv(csv, { dateFormat: 'iso', timeframe: '1d' });
+  assert.equal(result.candles.length, 2);
+  assert.equal(result.candles[0].close, 1.6);
+  assert.deepEqual(result.invalidRows.map(r => r.line), [4, 5]);
+  assert.equal(result.warnings.length, 2);
+});
+
+test('layouts that can\'t be worked out throw', () => {
+  assert.throws(() => parseOhlcvCsv('Date,Open,High,Low,Close\n'), /at least two rows/);
+  assert.throws(() => parseOhlcvCsv('a;b\n1;2\n'), /delimiter/);
+  assert.throws(() => parseOhlcvCsv('Date,Open,High,Low,Price,Foo\n2024-01-02,1,2,0.5,1.5,3\n2024-01-03,1,2,0.5,1.5,3\n', { columns: { close: 'Last' } }), /Column "Last"/);
+});
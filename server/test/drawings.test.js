@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { drawingLevels, levelSeries, levelContext, normalizeDrawings } from '../drawings.js';
+
+const T0 = Date.UTC(2024, 0, 2) / 1000;
+const HOUR = 3600;
+
+const DRAWINGS = [
+  { type: 'horizontal', price: 30 },
+  { type: 'low', point: { time: T0, price: 29.2, low: 29 } },
+  { type: 'high', point: { time: T0 + HOUR, price: 30.8, high: 31 } },
+  // Drawn right to left: stored left to right, rising 0.5 an hour
+  { type: 'line', start: { time: T0 + 2 * HOUR, price: 30 }, end: { time: T0, price: 29 } },
+  { type: 'vertical', time: T0 + 5 * HOUR },
+  { type: 'vertical', time: T0 + HOUR },
+  { type: 'horizontal', price: 32 }
+];
+
+test('drawings export as named levels, trend lines and time windows', () => {
+  const exported = drawingLevels(DRAWINGS);
+  assert.deepEqual(exported.levels.map(l => [l.name, l.role, l.price]), [
+    ['drawlevel1', 'level', 30],
+    ['drawlow1', 'support', 29],
+    ['drawhigh1', 'resistance', 31],
+    ['drawlevel2', 'level', 32]
+  ]);
+  assert.deepEqual(exported.trendLines.map(t => [t.name, t.start.price, t.end.price, t.slopePerHour]), [['drawtrend1', 29, 30, 0.5]]);
+  assert.deepEqual(exported.timeWindows, [{ start: T0 + HOUR, end: T0 + 5 * HOUR }]);
+  assert.deepEqual(exported.variables, [
+    'drawlevel1', 'drawlow1', 'drawhigh1', 'drawlevel2', 'drawtrend1', 'drawsupport', 'drawresistance', 'drawwindow'
+  ]);
+});
+
+test('the level variables follow the close and the time windows bar by bar', () => {
+  const exported = drawingLevels(DRAWINGS);
+  const candles = [0, 2.5, 6].map(h => ({ time: T0 + h * HOUR, close: 30.5 }));
+  const series = levelSeries(exported, candles);
+  assert.deepEqual(series.drawtrend1, [29, 30.25, 32]);
+  // The rising trend line is the nearest support for a while, then rises past the close
+  assert.deepEqual(series.drawsupport, [30, 30.25, 30]);
+  assert.deepEqual(series.drawresistance, [31, 31, 31]);
+  assert.deepEqual(series.drawwindow, [0, 1, 0]);
+
+  const context = levelContext(exported, { price: 30.25, previousPrice: 29.75, time: T0 + 2 * HOUR });
+  assert.equal(context.support.name, 'drawlevel1');
+  assert.deepEqual(context.breakouts, [{ name: 'drawtrend1', direction: 'up', price: 30 }]);
+  assert.equal(context.inWindow, true);
+});
+
+test('ids are kept, duplicates renumbered and bad drawings rejected', () => {
+  const normalized = normalizeDrawings([{ type: 'horizontal', price: 1, id: 'd2' }, { type: 'horizontal', price: 2, id: 'd2' }, { type: 'horizontal', price: 3 }]);
+  assert.deepEqual(normalized.map(d => d.id), ['d2', 'd1', 'd3']);
+  assert.throws(() => drawingLevels([{ type: 'circle' }]), /Drawing 1: type must be one of/);
+  assert.throws(() => drawingLevels([{ type: 'line', start: { time: T0, price: 1 }, end: { time: T0, price: 2 } }]), /two points at different times/);
+  assert.throws(() => drawingLevels([{ type: 'horizontal', price: 'x' }]), /Drawing 1 price must be a number/);
+});
+
+// [name, price] rounded past float noise
+const priced = (levels) => levels.map(l => [l.name, Math.round(l.price * 1e6) / 1e6]);
+
+test('a Fibonacci exports its retracements back from the end and its extensions from the start', () => {
+  const up = drawingLevels([{ type: 'fib', start: { time: T0, price: 10 }, end: { time: T0 + HOUR, price: 20 } }]);
+  assert.deepEqual(priced(up.levels), [
+    ['drawfib1r236', 17.64],
+    ['drawfib1r382', 16.18],
+    ['drawfib1r500', 15],
+    ['drawfib1r618', 13.82],
+    ['drawfib1r786', 12.14],
+    ['drawfib1e1272', 22.72],
+    ['drawfib1e1618', 26.18],
+    ['drawfib1e2618', 36.18]
+  ]);
+
+  // Drawn downwards it keeps its direction; a second one is numbered on
+  const down = drawingLevels([
+    { type: 'horizontal', price: 1 },
+    { type: 'fib', start: { time: T0, price: 20 }, end: { time: T0 + HOUR, price: 10 } },
+    { type: 'fib', start: { time: T0, price: 20 }, end: { time: T0 + HOUR, price: 10 } }
+  ]);
+  const byName = Object.fromEntries(priced(down.levels));
+  assert.equal(byName.drawfib1r618, 16.18);
+  assert.equal(byName.drawfib1e1618, 3.82);
+  assert.equal(byName.drawfib2r500, 15);
+  assert.equal(down.levels.find(l => l.name === 'drawfib1r618').kind, 'retracement');
+  assert.throws(() => drawingLevels([{ type: 'fib', start: { time: T0, price: 10 }, end: { time: T0 + HOUR, price: 10 } }]), /two different prices/);
+});
+
+test('a channel exports its upper and lower lines, whichever side the third point is on', () => {
+  const channel = (through) => drawingLevels([{ type: 'channel', start: { time: T0, price: 10 }, end: { time: T0 + 2 * HOUR, price: 12 }, through }]);
+
+  const above = channel({ time: T0 + HOUR, price: 13 });
+  assert.deepEqual(above.trendLines.map(t => [t.name, t.channel, t.start.price, t.end.price, t.slopePerHour]), [
+    ['drawchannel1upper', 'upper', 12, 14, 1],
+    ['drawchannel1lower', 'lower', 10, 12, 1]
+  ]);
+
+  const below = channel({ time: T0 + 3 * HOUR, price: 10 });
+  assert.deepEqual(below.trendLines.map(t => [t.name, t.start.price, t.end.price]), [
+    ['drawchannel1upper', 10, 12],
+    ['drawchannel1lower', 7, 9]
+  ]);
+  assert.deepEqual(below.variables.slice(0, 2), ['drawchannel1upper', 'drawchannel1lower']);
+  const series = levelSeries(below, [{ time: T0 + HOUR, close: 10 }]);
+  assert.deepEqual([series.drawchannel1upper[0], series.drawchannel1lower[0], series.drawsupport[0], series.drawresistance[0]], [11, 8, 8, 11]);
+});
+
+test('a rectangle exports a zone and its edges, and notes come out as they are', () => {
+  const exported = drawingLevels([
+    { type: 'rectangle', start: { time: T0 + HOUR, price: 29 }, end: { time: T0, price: 31 } },
+    { type: 'text', point: { time: T0, price: 30 }, text: '  Asian range  ' }
+  ]);
+  assert.deepEqual(exported.zones.map(z => [z.name, z.top, z.bottom, z.start, z.end]), [['drawzone1', 31, 29, T0, T0 + HOUR]]);
+  assert.deepEqual(exported.levels.map(l => [l.name, l.role, l.price]), [['drawzone1top', 'resistance', 31], ['drawzone1bottom', 'support', 29]]);
+  assert.deepEqual(exported.notes.map(n => n.text), ['Asian range']);
+});
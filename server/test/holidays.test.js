@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exchangeHolidays, isExchangeHoliday, exchangeTimezone } from '../holidays.js';
+
+test('NYSE observes Saturday holidays on Friday, except New Year\'s Day', () => {
+  // Christmas 2021 fell on a Saturday
+  assert.equal(isExchangeHoliday('NYSE', '2021-12-24'), true);
+  // New Year's Day 2022 too, but the exchange stays open on the last day of 2021
+  assert.equal(isExchangeHoliday('NYSE', '2021-12-31'), false);
+  assert.equal(isExchangeHoliday('NYSE', '2022-01-01'), false);
+  // Independence Day 2021 fell on a Sunday
+  assert.equal(isExchangeHoliday('NYSE', '2021-07-05'), true);
+});
+
+test('NYSE holidays of 2022', () => {
+  assert.deepEqual(exchangeHolidays('NYSE', 2022), [
+    '2022-01-17', // Martin Luther King Jr. Day
+    '2022-02-21', // Washington's Birthday
+    '2022-04-15', // Good Friday
+    '2022-05-30', // Memorial Day
+    '2022-06-20', // Juneteenth, observed
+    '2022-07-04',
+    '2022-09-05', // Labor Day
+    '2022-11-24', // Thanksgiving
+    '2022-12-26' // Christmas, observed
+  ]);
+});
+
+test('Easter holidays follow the Easter date', () => {
+  // Easter Sunday was 2021-04-04 and 2024-03-31
+  assert.equal(isExchangeHoliday('NYSE', '2021-04-02'), true);
+  assert.equal(isExchangeHoliday('LSE', '2021-04-05'), true);
+  assert.equal(isExchangeHoliday('XETRA', '2024-03-29'), true);
+  assert.equal(isExchangeHoliday('XETRA', '2024-04-01'), true);
+});
+
+test('LSE moves weekend Christmas and Boxing Day to the next free weekdays', () => {
+  assert.deepEqual(exchangeHolidays('LSE', 2021).filter(d => d >= '2021-12-01'), ['2021-12-27', '2021-12-28']);
+  assert.equal(isExchangeHoliday('LSE', '2022-01-03'), true);
+});
+
+test('unknown exchanges have no holidays and a UTC timezone', () => {
+  assert.deepEqual(exchangeHolidays('NOPE', 2022), []);
+  assert.equal(exchangeTimezone('NOPE'), 'UTC');
+  assert.equal(exchangeTimezone('NYSE'), 'America/New_York');
+  assert.deepEqual(exchangeHolidays('CRYPTO', 2022), []);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rsi, atr, trueRange } from '../../client/src/indicators.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('RSI uses Wilder\'s smoothing seeded with the simple average of the first changes', () => {
+  // Changes +1 +1 -1 +2 -1. First RSI(3) on bar 3: gains 2/3, losses 1/3, RS 2.
+  // Then gains (2/3 * 2 + 2) / 3 = 10/9, losses (1/3 * 2) / 3 = 2/9, RS 5;
+  // then gains 20/27, losses (2/9 * 2 + 1) / 3 = 13/27, RS 20/13
+  const values = rsi([10, 11, 12, 11, 13, 12], 3);
+  assert.deepEqual(values.slice(0, 3), [null, null, null]);
+  close(values[3], 100 - 100 / 3);
+  close(values[4], 100 - 100 / 6);
+  close(values[5], 100 - 100 / (1 + 20 / 13));
+
+  // No losses at all is 100
+  assert.deepEqual(rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+});
+
+test('ATR smooths the true range, which reaches back to the previous close on gaps', () => {
+  const candles = [[10, 8, 9], [11, 9, 10], [12, 10, 11], [15, 11, 14], [13, 9, 10], [12, 11, 11.5]]
+    .map(([high, low, close]) => ({ open: close, high, low, close }));
+  // Bar 4 gaps down from 14: its true range is 14 - 9, not 13 - 9
+  assert.deepEqual(trueRange(candles), [2, 2, 2, 4, 5, 2]);
+  const values = atr(candles, 3);
+  assert.deepEqual(values.slice(0, 2), [null, null]);
+  close(values[2], 2);
+  close(values[3], (2 * 2 + 4) / 3);
+  close(values[4], (8 / 3 * 2 + 5) / 3);
+  close(values[5], (31 / 9 * 2 + 2) / 3);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getInstrument, resolveInstrument, paperTradingInstrument } from '../instruments.js';
+
+test('built-in specs and the generic fallback', () => {
+  const silver = getInstrument('Silver');
+  assert.equal(silver.id, 'silver');
+  assert.equal(silver.pointSize * silver.contractMultiplier, 50);
+  assert.equal(silver.currency, 'USD');
+  assert.equal(getInstrument('nope'), null);
+
+  const generic = resolveInstrument('nope');
+  assert.equal(generic.generic, true);
+  assert.equal(generic.name, 'NOPE');
+  assert.equal(generic.contractMultiplier, 1);
+});
+
+test('paper trading takes the asset CFD when one is registered', () => {
+  const cfd = paperTradingInstrument('silver');
+  assert.equal(cfd.id, 'silver-cfd');
+  assert.equal(cfd.currency, 'AUD');
+  // 100 AUD per point on one contract, as the AI trading account has always booked it
+  assert.equal(Math.round(cfd.pointSize * cfd.contractMultiplier * 1e6) / 1e6, 100);
+  assert.equal(cfd.minSize, 0.05);
+
+  assert.equal(paperTradingInstrument('gold').id, 'gold');
+  assert.equal(paperTradingInstrument('nope').generic, true);
+});
@@ -0,0 +1,74 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The registry reads data/market-providers.json and MARKET_DATA_PROVIDERS on import - keep the real
+// file aside and save an order for the variable to override
+const CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'market-providers.json');
+const saved = fs.existsSync(CONFIG_FILE) ? fs.readFileSync(CONFIG_FILE) : null;
+
+let registry;
+
+before(async () => {
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify({ default: ['yahoo', 'metalpriceapi'], assets: { gold: ['local'] } }));
+  process.env.MARKET_DATA_PROVIDERS = 'flaky, local';
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 2) });
+  registry = await import('../marketDataProviders.js');
+});
+
+after(() => {
+  mock.timers.reset();
+  delete process.env.MARKET_DATA_PROVIDERS;
+  if (saved) fs.writeFileSync(CONFIG_FILE, saved);
+  else fs.rmSync(CONFIG_FILE, { force: true });
+});
+
+test('MARKET_DATA_PROVIDERS sets the default order over a saved one, and keeps the saved asset orders', () => {
+  assert.deepEqual(registry.getProviderPriority('silver'), ['flaky', 'local']);
+  assert.deepEqual(registry.getProviderPriority('gold'), ['local']);
+});
+
+test('a provider that keeps failing is skipped for a cooldown that doubles with each further failure', async () => {
+  let calls = 0;
+  registry.registerProvider({
+    id: 'flaky',
+    fetchCandles: async () => {
+      calls++;
+      throw new Error('offline');
+    }
+  });
+  const cooldownSeconds = () => {
+    const { health } = registry.listProviders().providers.find(p => p.id === 'flaky');
+    return health.cooldownUntil ? (Date.parse(health.cooldownUntil) - Date.now()) / 1000 : null;
+  };
+  const fetch = (options) => registry.fetchFromProviders('nothing-stored', '1h', options);
+
+  // Two failures are tolerated
+  await fetch();
+  await fetch();
+  assert.equal(cooldownSeconds(), null);
+  await fetch();
+  assert.equal(cooldownSeconds(), 60);
+  assert.equal(registry.listProviders().providers.find(p => p.id === 'flaky').health.status, 'down');
+
+  const { attempts } = await fetch();
+  assert.deepEqual(attempts, [{ provider: 'flaky', skipped: 'cooling down after repeated failures' }]);
+  assert.equal(calls, 3);
+
+  await fetch({ ignoreCooldown: true });
+  assert.equal(cooldownSeconds(), 120);
+  await fetch({ ignoreCooldown: true });
+  assert.equal(cooldownSeconds(), 240);
+
+  // Capped at 15 minutes
+  for (let i = 0; i < 3; i++) await fetch({ ignoreCooldown: true });
+  assert.equal(cooldownSeconds(), 900);
+
+  // Once the cooldown is over it is tried again
+  mock.timers.tick(900 * 1000);
+  await fetch();
+  assert.equal(calls, 9);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMonteCarlo } from '../monteCarlo.js';
+
+// Three losers of 400 take 2000 to 800 in any order, below the 50% ruin level of 1000
+const LOSERS = [{ pnl: -400 }, { pnl: -400 }, { pnl: -400 }];
+
+test('risk of ruin counts every path when no trade is skipped', () => {
+  for (const method of ['shuffle', 'resample']) {
+    const result = runMonteCarlo({ trades: LOSERS, initialCapital: 2000, iterations: 200, method, skipPercent: 0 });
+    assert.equal(result.ruinLevel, 1000);
+    assert.equal(result.riskOfRuin, 100);
+    assert.equal(result.probabilityOfLoss, 100);
+    assert.equal(result.finalEquity.p50, 800);
+  }
+});
+
+test('skipping every trade keeps equity flat and never ruins', () => {
+  const result = runMonteCarlo({ trades: LOSERS, initialCapital: 2000, iterations: 200, skipPercent: 100 });
+  assert.equal(result.skipPercent, 100);
+  assert.equal(result.riskOfRuin, 0);
+  assert.equal(result.probabilityOfLoss, 0);
+  assert.deepEqual([result.finalEquity.min, result.finalEquity.max], [2000, 2000]);
+  assert.equal(result.maxDrawdown.max, 0);
+});
+
+test('shuffled paths all end at the actual final equity', () => {
+  const trades = [{ pnl: 300 }, { pnl: -500 }, { pnl: 100 }, { pnl: -200 }];
+  const result = runMonteCarlo({ trades, initialCapital: 2000, iterations: 300 });
+  assert.deepEqual([result.finalEquity.min, result.finalEquity.max], [1700, 1700]);
+  assert.deepEqual(result.bands.map(b => b.actual), [2000, 2300, 1800, 1900, 1700]);
+  // Worst ordering: both losers straight after the winners
+  assert.equal(result.maxDrawdown.max, 700);
+});
+
+test('bad input throws', () => {
+  assert.throws(() => runMonteCarlo({ trades: [] }), /At least one trade/);
+  assert.throws(() => runMonteCarlo({ trades: LOSERS, method: 'bootstrap' }), /Unknown Monte Carlo method "bootstrap"/);
+  assert.throws(() => runMonteCarlo({ trades: LOSERS, initialCapital: 0 }), /initialCapital/);
+});
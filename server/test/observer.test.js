@@ -0,0 +1,78 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The observer persists to data/observer.json and reads it on import - keep the real file aside
+const STATE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'observer.json');
+const saved = fs.existsSync(STATE_FILE) ? fs.readFileSync(STATE_FILE) : null;
+
+let observer;
+let candles = [];
+const recorded = [];
+
+// Recent candle times, so no check is overdue
+const LATEST = Math.floor(Date.now() / 60000) * 60;
+const candle = (time, close) => ({ time, open: close, high: close + 0.01, low: close - 0.01, close, volume: 0 });
+
+before(async () => {
+  fs.rmSync(STATE_FILE, { force: true });
+  mock.timers.enable({ apis: ['setTimeout'] });
+  observer = await import('../observer.js');
+  observer.initObserver({
+    loadMarketCandles: async () => candles,
+    recordBrainPrediction: (result) => recorded.push(result),
+    isAssetSupported: () => true
+  });
+});
+
+after(() => {
+  observer.stopObserver();
+  mock.timers.reset();
+  if (saved) fs.writeFileSync(STATE_FILE, saved);
+  else fs.rmSync(STATE_FILE, { force: true });
+});
+
+// Run the next observation; the fake data source resolves without I/O, so one turn finishes it
+async function run() {
+  mock.timers.tick(60 * 1000);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('a move inside the tolerance band is flat and never confirms a prediction; only the first horizon counts overall', async () => {
+  // A steady climb, so the patterns call a direction
+  candles = Array.from({ length: 40 }, (_, i) => candle(LATEST - (39 - i) * 60, 30 + i * 0.02));
+  observer.startObserver({ assets: ['silver'], intervalSeconds: 10, horizons: ['15m', '5m'], tolerancePercent: 0.05 });
+  await run();
+  const [pred] = observer.getObserverStatus().pending;
+  assert.deepEqual(Object.keys(pred.checks), ['5m', '15m']);
+  const price = pred.price;
+
+  // +0.03% at 5m is inside the 0.05% band; -1% at 15m is a real move down
+  const later = Array.from({ length: 15 }, (_, i) => {
+    const time = LATEST + (i + 1) * 60;
+    if (time <= LATEST + 300) return candle(time, price * 1.0003);
+    return candle(time, price * 0.99);
+  });
+  candles = [...candles, ...later];
+  await run();
+
+  assert.deepEqual(recorded.map(r => [r.horizon, r.actual, r.horizonOnly]), [['5m', 0, false], ['15m', -1, true]]);
+  assert.equal(recorded[0].patterns.some(p => p.success), false);
+  assert.equal(recorded[1].patterns.every(p => p.success === (pred.prediction === -1)), true);
+
+  const status = observer.getObserverStatus();
+  const [result] = status.results;
+  assert.equal(result.id, pred.id);
+  assert.equal(result.checks['5m'].correct, false);
+  assert.equal(result.checks['15m'].correct, pred.prediction === -1);
+  assert.deepEqual(status.stats.silver.horizons['5m'], { verified: 1, correct: 0, accuracy: 0 });
+});
+
+test('bad settings throw', () => {
+  observer.stopObserver();
+  assert.throws(() => observer.startObserver({ assets: [] }), /at least one asset/);
+  assert.throws(() => observer.startObserver({ assets: ['silver'], horizons: ['2m'] }), /Unknown horizon 2m/);
+  assert.throws(() => observer.startObserver({ assets: ['silver'], tolerancePercent: 11 }), /tolerancePercent must be between 0 and 10/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startOptimizationJob, subscribeOptimizationJob, getOptimizationJob } from '../optimizer.js';
+
+const JOBS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'optimization-jobs');
+
+const CODE = 'DEFPARAM CUMULATEORDERS = false\nperiod = 10\nlevel = 2\nIF Close > Average[period](Close) + level THEN\n  BUY 1 CONTRACT AT MARKET\nELSE\n  SELL AT MARKET\nENDIF\n';
+const CANDLES = Array.from({ length: 60 }, (_, i) => {
+  const close = 25 + Math.sin(i / 4) * 2;
+  return { time: 1704153600 + i * 86400, open: close, high: close + 0.3, low: close - 0.3, close, volume: 0 };
+});
+const SETTINGS = { asset: 'silver', useSpread: false, useOrderFee: false };
+
+function variable(name, value, min, max, step) {
+  return { name, pattern: `${name} = ${value}`, originalValue: value, currentValue: value, min, max, step, includeInOptimization: true };
+}
+
+// Resolves with the finished job and removes its file from data/
+function finished(job) {
+  return new Promise(resolve => {
+    subscribeOptimizationJob(job.id, (event) => {
+      if (event.status === 'queued' || event.status === 'running') return;
+      setImmediate(() => {
+        fs.rmSync(path.join(JOBS_DIR, `${job.id}.json`), { force: true });
+        resolve(getOptimizationJob(job.id));
+      });
+    });
+  });
+}
+
+test('grids above the evaluation cap are refused before any job starts', () => {
+  const variables = [variable('period', 10, 1, 100, 1), variable('level', 2, 0, 1, 0.01)];
+  assert.throws(() => startOptimizationJob({ code: CODE, candles: CANDLES, settings: SETTINGS, variables, method: 'grid' }),
+    /Grid has 10100 combinations \(max 5000\)/);
+});
+
+test('a grid job tries every combination once', async () => {
+  const variables = [variable('period', 10, 5, 15, 5), variable('level', 2, 0, 0.2, 0.1)];
+  const job = await finished(startOptimizationJob({ code: CODE, candles: CANDLES, settings: SETTINGS, variables, method: 'grid' }));
+  assert.equal(job.status, 'completed');
+  assert.equal(job.progress.total, 9);
+  const combos = job.results.map(r => r.variables.map(v => v.value).join('|')).sort();
+  assert.deepEqual(combos, ['10|0', '10|0.1', '10|0.2', '15|0', '15|0.1', '15|0.2', '5|0', '5|0.1', '5|0.2']);
+});
+
+test('genetic search stays on the step grid inside the bounds', async () => {
+  const variables = [variable('period', 10, 4, 20, 2), variable('level', 2, 0.5, 1.5, 0.25)];
+  const job = await finished(startOptimizationJob({ code: CODE, candles: CANDLES, settings: SETTINGS, variables, method: 'genetic', iterations: 30 }));
+  assert.equal(job.status, 'completed');
+  assert.ok(job.results.length > 0);
+  const seen = new Set();
+  for (const { variables: [period, level] } of job.results) {
+    assert.ok(period.value >= 4 && period.value <= 20 && period.value % 2 === 0, `period ${period.value}`);
+    assert.ok(level.value >= 0.5 && level.value <= 1.5 && Number.isInteger(level.value / 0.25), `level ${level.value}`);
+    const key = `${period.value}|${level.value}`;
+    assert.ok(!seen.has(key), `${key} evaluated twice`);
+    seen.add(key);
+  }
+  // Results are ranked best first
+  assert.deepEqual(job.results.map(r => r.score), [...job.results.map(r => r.score)].sort((a, b) => b - a));
+});
@@ -0,0 +1,166 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The service persists to data/paper-trading.json and reads it on import - keep the real file aside
+const STATE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'paper-trading.json');
+const saved = fs.existsSync(STATE_FILE) ? fs.readFileSync(STATE_FILE) : null;
+
+let paper;
+let candles = [];
+
+const T0 = Date.UTC(2024, 0, 2) / 1000;
+const bar = (i, [open, high, low, close]) => ({ time: T0 + i * 60, open, high, low, close, volume: 0 });
+const flat = (i) => bar(i, [30, 30.05, 29.95, 30]);
+
+// No spread, fees or default stop in the way, and nothing kept from the settings of an earlier test.
+// Silver trades as silver-cfd (100 AUD a point a contract).
+const SETTINGS = {
+  initialCapital: 1000000,
+  positionSize: 1,
+  useSpread: false,
+  useOrderFee: false,
+  stopLoss: 0,
+  takeProfit: 0,
+  orderExpiry: 0,
+  trailingStop: 0,
+  breakEvenTrigger: 0,
+  breakEvenOffset: 0
+};
+
+before(async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  paper = await import('../paperTrading.js');
+  // Only 1m candles: the 5m trading timeframe has no analysis, so the AI holds and doesn't enter
+  paper.initPaperTrading({
+    loadMarketCandles: async (asset, tf) => tf === '1m' ? candles : null,
+    checkNewsSentiment: async () => ({ sentiment: 'neutral' })
+  });
+});
+
+after(() => {
+  paper.stopPaperTrading();
+  mock.timers.reset();
+  if (saved) fs.writeFileSync(STATE_FILE, saved);
+  else fs.rmSync(STATE_FILE, { force: true });
+});
+
+// Run the next trading cycle; the fake data sources resolve without I/O, so one turn finishes it
+async function cycle() {
+  mock.timers.tick(4 * 3600 * 1000);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+// A running account that has seen 20 flat candles; orders placed now fill from candle 21 on
+async function session(settings = {}) {
+  candles = [...Array.from({ length: 20 }, (_, i) => flat(i)), flat(20)];
+  paper.resetPaperTrading({ settings: { ...SETTINGS, ...settings } });
+  paper.startPaperTrading({ asset: 'silver', timeframe: '5m', settings: { ...SETTINGS, ...settings } });
+  await cycle();
+}
+
+// Close candle 20 and the given [open, high, low, close] rows, leave a flat candle forming after them
+async function closeCandles(rows) {
+  candles = [...candles.slice(0, 20), flat(20), ...rows.map((row, k) => bar(21 + k, row)), flat(21 + rows.length)];
+  await cycle();
+  return paper.getPaperTradingStatus();
+}
+
+const opened = (status) => status.orders.filter(o => o.effect === 'open').map(o => [o.side, o.orderType, o.price]);
+
+test('limit and stop entries fill at their price, or at the open when the candle gaps past it', async () => {
+  await session();
+  paper.placePaperOrder({ asset: 'silver', side: 'buy', type: 'limit', price: 29.8 });
+  // Placed on the forming candle 20, so its low of 29.95 doesn't count
+  let status = await closeCandles([[29.9, 29.95, 29.75, 29.85]]);
+  assert.deepEqual(opened(status), [['buy', 'limit', 29.8]]);
+
+  await session();
+  paper.placePaperOrder({ asset: 'silver', side: 'buy', type: 'stop', price: 30.2 });
+  status = await closeCandles([[30.3, 30.4, 30.25, 30.35]]);
+  assert.deepEqual(opened(status), [['buy', 'stop', 30.3]]);
+
+  await session();
+  paper.placePaperOrder({ asset: 'silver', side: 'sell', type: 'limit', price: 30.2 });
+  status = await closeCandles([[30, 30.1, 29.9, 30.05]]);
+  assert.deepEqual(opened(status), []);
+  assert.equal(status.books.silver.workingOrders.length, 1);
+});
+
+test('an OCO entry cancels its sibling, and the bracket target cancels the stop', async () => {
+  await session();
+  paper.placePaperOrder({
+    asset: 'silver', side: 'buy', type: 'stop', price: 30.2, stopLoss: 10, takeProfit: 10,
+    oco: { side: 'sell', type: 'stop', price: 29.8 }
+  });
+  const status = await closeCandles([
+    [30, 30.25, 29.98, 30.2],
+    [30.2, 30.35, 30.15, 30.3]
+  ]);
+  assert.deepEqual(opened(status), [['buy', 'stop', 30.2]]);
+  assert.ok(status.orders.some(o => o.side === 'sell' && o.orderType === 'stop' && o.effect === 'cancelled' && o.reason === 'OCO sibling filled'));
+  const [trade] = status.trades;
+  assert.equal(trade.closeReason, 'Take profit hit');
+  assert.ok(Math.abs(trade.exitPrice - 30.3) < 1e-9);
+  assert.ok(Math.abs(trade.pnl - 1000) < 1e-6);
+  assert.deepEqual(status.books.silver.workingOrders, []);
+});
+
+test('a trailing stop follows the best price of the closed candles', async () => {
+  await session({ trailingStop: 10 });
+  paper.placePaperOrder({ asset: 'silver', side: 'buy', type: 'stop', price: 30.1 });
+  const status = await closeCandles([
+    [30, 30.12, 29.98, 30.1], // fill at 30.10, stop starts 10 points below
+    [30.1, 30.4, 30.25, 30.35], // high 30.40 trails it to 30.30
+    [30.35, 30.36, 30.2, 30.22]
+  ]);
+  const [trade] = status.trades;
+  assert.equal(trade.closeReason, 'Trailing stop hit');
+  assert.ok(Math.abs(trade.entryPrice - 30.1) < 1e-9);
+  assert.ok(Math.abs(trade.exitPrice - 30.3) < 1e-9);
+});
+
+test('the stop moves to break-even plus the offset once the trigger is reached', async () => {
+  await session({ stopLoss: 20, breakEvenTrigger: 15, breakEvenOffset: 2 });
+  paper.placePaperOrder({ asset: 'silver', side: 'buy', type: 'limit', price: 29.9 });
+  const status = await closeCandles([
+    [30, 30.02, 29.85, 29.95], // fill at 29.90, stop at 29.70
+    [29.95, 30.1, 29.95, 30.05], // 20 points in profit: stop to 29.92
+    [30, 30.01, 29.85, 29.9]
+  ]);
+  const [trade] = status.trades;
+  assert.equal(trade.closeReason, 'Break-even stop hit');
+  assert.ok(Math.abs(trade.exitPrice - 29.92) < 1e-9);
+});
+
+test('a replay only sees candles that had closed by each step', async () => {
+  const H0 = Date.UTC(2024, 0, 2, 10) / 1000;
+  const wave = (t) => 30 + Math.sin(t / 2000) * 0.5;
+  const series = (count, seconds, start) => Array.from({ length: count }, (_, i) => {
+    const time = start + i * seconds;
+    const open = wave(time);
+    const close = wave(time + seconds);
+    return { time, open, high: Math.max(open, close) + 0.02, low: Math.min(open, close) - 0.02, close, volume: 0 };
+  });
+  const data = {
+    '1m': series(120, 60, H0),
+    // The 10:00 hour closes at 11:00; the 11:00 hour is still forming when the replay ends at 11:30
+    '1h': series(32, 3600, H0 - 30 * 3600)
+  };
+  const to = H0 + 90 * 60;
+  const replay = (candles) => paper.replayPaperTrading({ asset: 'silver', timeframe: '1m', settings: SETTINGS, to, startFromLiveWeights: false, candles: { silver: candles } });
+
+  const result = await replay(data);
+  assert.equal(result.replay.steps, 90);
+  // The last step is the close of the 11:29 candle
+  assert.equal(result.books.silver.lastPrice, data['1m'][89].close);
+
+  // Candles that close after the end, wildly different, change nothing
+  const future = (list, closesAfter) => list.map(c => c.time + closesAfter > to ? { ...c, open: 90, high: 99, low: 1, close: 10 } : c);
+  const spiked = await replay({ '1m': future(data['1m'], 60), '1h': future(data['1h'], 3600) });
+  assert.deepEqual(spiked.books.silver.analysis, result.books.silver.analysis);
+  assert.deepEqual(spiked.equity, result.equity);
+  assert.deepEqual(spiked.trades.map(t => [t.type, t.entryPrice, t.exitPrice]), result.trades.map(t => [t.type, t.entryPrice, t.exitPrice]));
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPortfolioBacktest } from '../portfolio.js';
+
+const DAY = 86400;
+const START = Date.UTC(2024, 0, 2) / 1000;
+// Flat silver at 25: one contract (5000 oz, 10% margin) ties up 12500 of margin
+const CANDLES = [0, 1, 2].map(i => ({ time: START + i * DAY, open: 25, high: 25.1, low: 24.9, close: 25, volume: 0 }));
+const BUY_TEN = 'IF BarIndex = 0 THEN\n  BUY 10 CONTRACTS AT MARKET\nENDIF\n';
+const SETTINGS = { initialCapital: 100000, maxPositionSize: 10, useSpread: false, useOrderFee: false };
+
+function leg(allocation) {
+  return { code: BUY_TEN, asset: 'silver', timeframe: '1d', allocation, candles: CANDLES };
+}
+
+test('entries are sized to the margin left in the leg allocation and the shared pool', () => {
+  const result = runPortfolioBacktest({ legs: [leg(75), leg(75)], settings: SETTINGS });
+  // The first leg takes 75% of the pool (6 contracts); the second only gets the 25% left (2)
+  assert.deepEqual(result.trades.map(t => [t.leg, t.quantity]), [['silver-1d-1', 6], ['silver-1d-2', 2]]);
+  assert.equal(result.peakCapitalUse, 100);
+  assert.deepEqual(result.legs.map(l => l.rejectedEntries), [0, 0]);
+});
+
+test('an entry the pool cannot margin a minimum size for is rejected', () => {
+  const result = runPortfolioBacktest({ legs: [leg(100), leg(50)], settings: SETTINGS });
+  assert.deepEqual(result.trades.map(t => [t.leg, t.quantity]), [['silver-1d-1', 8]]);
+  assert.deepEqual(result.legs.map(l => l.rejectedEntries), [0, 1]);
+});
+
+test('bad legs throw', () => {
+  assert.throws(() => runPortfolioBacktest({ legs: [] }), /At least one leg/);
+  assert.throws(() => runPortfolioBacktest({ legs: [leg(150)] }), /Leg 1 \(silver\): allocation must be between 0 and 100%/);
+  assert.throws(() => runPortfolioBacktest({ legs: [{ ...leg(50), code: 'x = Foo(Close)\n' }] }), /^Error: Leg 1 \(silver\): Line 1/);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProBuilder, createStrategyRunner, ProBuilderError } from '../probuilder.js';
+
+const DAY = 86400;
+const START = Date.UTC(2024, 0, 2) / 1000;
+function candlesFrom(closes) {
+  return closes.map((close, i) => ({ time: START + i * DAY, open: close, high: close + 1, low: close - 1, close, volume: 0 }));
+}
+
+// Runs the code on every bar and returns the value it ends with in `x`, read back through the
+// quantity of a market order the code places last
+function values(code, closes) {
+  const candles = candlesFrom(closes);
+  const runner = createStrategyRunner(parseProBuilder(`${code}\nBUY x CONTRACT AT MARKET\n`), candles);
+  return candles.map((c, bar) => {
+    const { orders } = runner.runBar(bar, {});
+    return orders[orders.length - 1].quantity;
+  });
+}
+
+test('ONCE assigns on the first bar only', () => {
+  assert.deepEqual(values('ONCE x = 0\nx = x + 1', [10, 11, 12, 13]), [1, 2, 3, 4]);
+  assert.deepEqual(values('x = 0\nx = x + 1', [10, 11, 12]), [1, 1, 1]);
+});
+
+test('IF / ELSIF / ELSE takes the first true branch', () => {
+  const code = 'IF Close > 12 THEN\n  x = 3\nELSIF Close > 10 THEN\n  x = 2\nELSE\n  x = 1\nENDIF';
+  assert.deepEqual(values(code, [9, 11, 13, 10]), [1, 2, 3, 1]);
+});
+
+test('FOR and WHILE loops, with BREAK', () => {
+  assert.deepEqual(values('x = 0\nFOR i = 1 TO 4 DO\n  x = x + i\nNEXT', [1]), [10]);
+  assert.deepEqual(values('x = 0\nFOR i = 3 DOWNTO 1 DO\n  x = x * 10 + i\nNEXT', [1]), [321]);
+  assert.deepEqual(values('x = 1\nWHILE x < 100 DO\n  x = x * 2\nWEND', [1]), [128]);
+  assert.deepEqual(values('x = 0\nFOR i = 1 TO 10 DO\n  IF i = 4 THEN\n    BREAK\n  ENDIF\n  x = i\nNEXT', [1]), [3]);
+});
+
+test('runaway loops stop at the iteration guard with the loop position', () => {
+  const runner = createStrategyRunner(parseProBuilder('x = 0\nWHILE x >= 0 DO\n  x = x + 1\nWEND\n'), candlesFrom([1]));
+  assert.throws(() => runner.runBar(0, {}), (e) => {
+    assert.ok(e instanceof ProBuilderError);
+    assert.match(e.reason, /WHILE loop exceeded iteration limit/);
+    assert.equal(e.line, 2);
+    assert.equal(e.column, 1);
+    return true;
+  });
+});
+
+test('[n] reads prices and variables n bars back', () => {
+  assert.deepEqual(values('x = Close[1]', [10, 11, 12]), [10, 10, 11]);
+  assert.deepEqual(values('x = Close - Close[2]', [10, 11, 14]), [0, 1, 4]);
+  assert.deepEqual(values('ONCE y = 0\ny = y + Close\nx = y[1]', [1, 2, 3]), [0, 1, 3]);
+});
+
+test('indicators warm up over the bars available so far', () => {
+  assert.deepEqual(values('x = Average[3](Close)', [3, 6, 9, 12]), [3, 4.5, 6, 9]);
+  assert.deepEqual(values('x = Highest[2](High)', [3, 6, 4]), [4, 7, 7]);
+});
+
+test('parse errors carry the line and column', () => {
+  assert.throws(() => parseProBuilder('x = 1\nIF x > THEN\n  x = 2\nENDIF\n'), (e) => {
+    assert.ok(e instanceof ProBuilderError);
+    assert.equal(e.line, 2);
+    assert.equal(e.column, 8);
+    assert.match(e.message, /^Line 2, column 8: /);
+    return true;
+  });
+  assert.throws(() => parseProBuilder('x = Foo(Close)\n'), { name: 'ProBuilderError', line: 1 });
+});
+
+test('orders carry their action, size, type and price', () => {
+  const code = [
+    'IF Close > 10 THEN',
+    '  BUY 2 CONTRACTS AT Close + 1 STOP',
+    'ELSE',
+    '  SELLSHORT 1 CONTRACT AT Close + 2 LIMIT',
+    '  EXITSHORT AT MARKET',
+    'ENDIF'
+  ].join('\n');
+  const candles = candlesFrom([9, 12]);
+  const runner = createStrategyRunner(parseProBuilder(code), candles);
+  assert.deepEqual(runner.runBar(0, {}).orders, [
+    { action: 'SELLSHORT', quantity: 1, type: 'limit', price: 11, line: 4 },
+    { action: 'EXITSHORT', quantity: null, type: 'market', price: null, line: 5 }
+  ]);
+  assert.deepEqual(runner.runBar(1, {}).orders, [{ action: 'BUY', quantity: 2, type: 'stop', price: 13, line: 2 }]);
+});
+
+test('SET STOP / SET TARGET keep their unit until changed, and QUIT ends the run', () => {
+  const code = 'IF BarIndex = 0 THEN\n  SET STOP PLOSS 20\n  SET TARGET %PROFIT 1.5\nENDIF\nIF BarIndex = 2 THEN\n  SET STOP PTRAILING 5\n  QUIT\nENDIF\n';
+  const runner = createStrategyRunner(parseProBuilder(code), candlesFrom([1, 2, 3]));
+  const first = runner.runBar(0, {});
+  assert.deepEqual(first.risk, {
+    stop: { unit: 'points', trailing: false, value: 20 },
+    target: { unit: 'percent', trailing: false, value: 1.5 }
+  });
+  assert.equal(first.quit, false);
+  assert.deepEqual(runner.runBar(1, {}).risk.stop, { unit: 'points', trailing: false, value: 20 });
+  const last = runner.runBar(2, {});
+  assert.deepEqual(last.risk.stop, { unit: 'points', trailing: true, value: 5 });
+  assert.equal(last.quit, true);
+});
+
+test('DOpen / DHigh / DLow / DClose aggregate the UTC day n days back', () => {
+  const hour = 3600;
+  const rows = [
+    [0, 10, 12, 9, 11], [1, 11, 14, 10, 13], // day 1
+    [24, 13, 13, 8, 9], [25, 9, 10, 7, 10], [26, 10, 15, 10, 14] // day 2
+  ];
+  const candles = rows.map(([h, open, high, low, close]) => ({ time: START + h * hour, open, high, low, close, volume: 0 }));
+  const runner = createStrategyRunner(parseProBuilder('BUY DOpen(1) CONTRACTS AT DHigh(1) STOP\nSELLSHORT DLow CONTRACTS AT DClose(0) LIMIT\n'), candles);
+  for (let bar = 0; bar < 4; bar++) runner.runBar(bar, {});
+  const [buy, sell] = runner.runBar(4, {}).orders;
+  assert.deepEqual([buy.quantity, buy.price], [10, 14]);
+  // Today so far: low 7, last close 14
+  assert.deepEqual([sell.quantity, sell.price], [7, 14]);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintProBuilder } from '../probuilderLint.js';
+
+const HEADER = 'DEFPARAM CUMULATEORDERS = false\n';
+
+// [rule, line] of every diagnostic, in report order
+function rules(code) {
+  return lintProBuilder(code).diagnostics.map(d => [d.rule, d.line]);
+}
+
+test('clean code has no diagnostics', () => {
+  const result = lintProBuilder(HEADER + 'x = Close\nIF x > DClose(1) AND High > DHigh THEN\n  BUY 1 CONTRACT AT MARKET\nENDIF\n');
+  assert.equal(result.valid, true);
+  assert.equal(result.errorCount, 0);
+  assert.equal(result.warningCount, 0);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('a missing ENDIF is reported and the rest of the code is still checked', () => {
+  const result = lintProBuilder(HEADER + 'IF Close > Open THEN\n  BUY 1 CONTRACT AT MARKET\nz = q + 1\n');
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.diagnostics.map(d => [d.rule, d.line]), [
+    ['unbalanced-block', 2],
+    ['undefined-variable', 4]
+  ]);
+  assert.match(result.diagnostics[0].message, /IF is missing ENDIF/);
+  assert.match(result.diagnostics[1].message, /"q"/);
+});
+
+test('a block end without its opener is reported instead of the parse error', () => {
+  assert.deepEqual(rules(HEADER + 'x = Close\nENDIF\n'), [['unbalanced-block', 3]]);
+  assert.deepEqual(rules(HEADER + 'x = Foo(Close)\n'), [['unknown-function', 2]]);
+});
+
+test('a syntax error is still reported on a line with an underscore', () => {
+  assert.deepEqual(rules(HEADER + 'my_var = Close + * 2\n'), [['no-underscore', 2], ['syntax', 2]]);
+  // With a block left open, the error is placed in the code, not in the closers added to re-parse
+  const result = lintProBuilder(HEADER + 'IF Close > Open THEN\n  my_var = (Close + 1\n  BUY 1 CONTRACT AT MARKET\n');
+  assert.deepEqual(result.diagnostics.map(d => [d.rule, d.line]), [
+    ['unbalanced-block', 2],
+    ['no-underscore', 3],
+    ['syntax', 4]
+  ]);
+});
+
+test('unknown functions, underscores and undefined variables are errors', () => {
+  const result = lintProBuilder(HEADER + 'my_var = Foo(Close)\n');
+  assert.equal(result.errorCount, 2);
+  assert.deepEqual(result.diagnostics.map(d => [d.rule, d.column]), [['no-underscore', 1], ['unknown-function', 10]]);
+  assert.match(result.diagnostics[0].message, /myVar/);
+
+  assert.deepEqual(rules(HEADER + 'y = z + 1\nw = y + z\n'), [['undefined-variable', 2]]);
+});
+
+test('DEFPARAM placement and one-line IFs are warnings', () => {
+  assert.deepEqual(rules('x = Close\n'), [['defparam-required', 1]]);
+  assert.deepEqual(rules('x = Close\n' + HEADER), [['defparam-position', 2]]);
+  assert.ok(rules(HEADER + 'IF Close > Open THEN BUY 1 CONTRACT AT MARKET\nENDIF\n').some(([rule]) => rule === 'no-one-liner'));
+});
+
+test('externals are accepted as chart variables with a warning', () => {
+  const code = HEADER + 'IF Close > drawsupport THEN\n  BUY 1 CONTRACT AT MARKET\nENDIF\n';
+  assert.deepEqual(rules(code), [['undefined-variable', 2]]);
+
+  const result = lintProBuilder(code, { externals: ['drawsupport'] });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.diagnostics.map(d => [d.severity, d.rule]), [['warning', 'chart-variable']]);
+
+  // Also when the code is re-parsed with an open block closed
+  const unclosed = lintProBuilder(HEADER + 'IF Close > drawsupport THEN\n  BUY 1 CONTRACT AT MARKET\n', { externals: ['drawsupport'] });
+  assert.deepEqual(unclosed.diagnostics.map(d => [d.rule, d.line]), [['unbalanced-block', 2], ['chart-variable', 2]]);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionFilter } from '../sessionFilter.js';
+
+const at = (iso) => Date.parse(`${iso}Z`) / 1000;
+
+function filter(settings, instrument = null, barSeconds = 300) {
+  return createSessionFilter({ enableTimeFilters: true, useTimeFilter: true, timezone: 'UTC', ...settings }, instrument, barSeconds);
+}
+
+test('no filter unless time filters are enabled', () => {
+  assert.equal(createSessionFilter({ useTimeFilter: true, tradingStartTime: '09:00' }, null, 300), null);
+});
+
+test('an overnight session runs past midnight', () => {
+  const session = filter({ tradingStartTime: '22:00', tradingEndTime: '05:00' });
+  assert.equal(session.canEnter(at('2024-01-02T22:00')), true);
+  assert.equal(session.canEnter(at('2024-01-03T00:30')), true);
+  assert.equal(session.canEnter(at('2024-01-03T04:55')), true);
+  assert.equal(session.canEnter(at('2024-01-03T05:00')), false);
+  assert.equal(session.canEnter(at('2024-01-03T12:00')), false);
+  assert.equal(session.canEnter(at('2024-01-03T21:55')), false);
+});
+
+test('the opening and closing minutes of the session are excluded', () => {
+  const session = filter({
+    tradingStartTime: '09:00',
+    tradingEndTime: '17:00',
+    excludeOpenPeriod: true,
+    openPeriodMinutes: 30,
+    excludeClosePeriod: true,
+    closePeriodMinutes: 15
+  });
+  assert.equal(session.canEnter(at('2024-01-02T09:00')), false);
+  assert.equal(session.canEnter(at('2024-01-02T09:25')), false);
+  assert.equal(session.canEnter(at('2024-01-02T09:30')), true);
+  assert.equal(session.canEnter(at('2024-01-02T16:40')), true);
+  assert.equal(session.canEnter(at('2024-01-02T16:45')), false);
+  // An overnight session counts its minutes across midnight
+  const overnight = filter({ tradingStartTime: '23:00', tradingEndTime: '02:00', excludeClosePeriod: true, closePeriodMinutes: 60 });
+  assert.equal(overnight.canEnter(at('2024-01-03T00:55')), true);
+  assert.equal(overnight.canEnter(at('2024-01-03T01:00')), false);
+});
+
+test('clock times are read in the timezone, across DST changes', () => {
+  const session = filter({ timezone: 'America/New_York', tradingStartTime: '09:30', tradingEndTime: '16:00' });
+  // EST is UTC-5 in January, EDT UTC-4 in July
+  assert.equal(session.canEnter(at('2024-01-02T14:30')), true);
+  assert.equal(session.canEnter(at('2024-01-02T13:30')), false);
+  assert.equal(session.canEnter(at('2024-07-02T13:30')), true);
+  assert.equal(session.canEnter(at('2024-07-02T20:00')), false);
+});
+
+test('close before end makes the position flat ahead of the session end', () => {
+  const session = filter({ tradingStartTime: '22:00', tradingEndTime: '05:00', closeBeforeEnd: true, closeBeforeMinutes: 30 });
+  assert.equal(session.mustBeFlat(at('2024-01-03T04:25')), false);
+  assert.equal(session.mustBeFlat(at('2024-01-03T04:30')), true);
+  assert.equal(session.mustBeFlat(at('2024-01-03T12:00')), true);
+  // No new entries once flat is required
+  assert.equal(session.canEnter(at('2024-01-03T04:30')), false);
+  // Daily bars only get the day filters
+  assert.equal(filter({ tradingStartTime: '22:00', tradingEndTime: '05:00', closeBeforeEnd: true, closeBeforeMinutes: 30 }, null, 86400).mustBeFlat(at('2024-01-03T12:00')), false);
+});
+
+test('weekends, trading days and exchange holidays are skipped', () => {
+  const weekdays = filter({ useTimeFilter: false, excludeWeekends: true });
+  assert.equal(weekdays.canEnter(at('2024-01-06T12:00')), false);
+  assert.equal(weekdays.canEnter(at('2024-01-08T12:00')), true);
+
+  const noMondays = filter({ useTimeFilter: false, tradeDays: { mon: false, tue: true, wed: true, thu: true, fri: true } });
+  assert.equal(noMondays.canEnter(at('2024-01-08T12:00')), false);
+  assert.equal(noMondays.canEnter(at('2024-01-09T12:00')), true);
+
+  // Good Friday 2024 on the NYSE, read in New York time; plus a date of our own
+  const holidays = filter({ useTimeFilter: false, excludeHolidays: true, holidays: ['2024-01-09'] }, { exchange: 'NYSE' });
+  assert.equal(holidays.canEnter(at('2024-03-29T15:00')), false);
+  assert.equal(holidays.canEnter(at('2024-03-30T02:00')), false);
+  assert.equal(holidays.canEnter(at('2024-03-30T05:00')), true);
+  assert.equal(holidays.canEnter(at('2024-01-09T12:00')), false);
+  assert.deepEqual(holidays.holidaysSkipped(), ['2024-03-29']);
+});
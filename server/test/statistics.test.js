@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStatistics } from '../statistics.js';
+
+const YEAR = 365.25 * 86400;
+const START = Date.UTC(2023, 0, 1) / 1000;
+
+// Equity marked at evenly spaced times over one year
+function yearOf(equity) {
+  return equity.map((_, i) => ({ time: START + Math.round(i * YEAR / (equity.length - 1)) }));
+}
+
+test('ratios on a known equity curve', () => {
+  // Per-period returns +10%, -10%, +10% over one year: three periods a year
+  const equity = [100, 110, 99, 108.9];
+  const trades = [{ pnl: 30 }, { pnl: -10 }, { pnl: -5 }, { pnl: 0 }];
+  const stats = computeStatistics({ equity, trades, candles: yearOf(equity), initialCapital: 100, barsInPosition: 2 });
+
+  const mean = 0.1 / 3;
+  const stdDev = Math.sqrt(((0.1 - mean) ** 2 * 2 + (-0.1 - mean) ** 2) / 3);
+  assert.equal(stats.sharpeRatio, Number((mean / stdDev * Math.sqrt(3)).toFixed(4)));
+  assert.equal(stats.sortinoRatio, Number((mean / Math.sqrt(0.01 / 3) * Math.sqrt(3)).toFixed(4)));
+  assert.equal(stats.cagr, 8.9);
+  assert.equal(stats.maxDrawdownMarked, -11);
+  assert.equal(stats.recoveryFactor, Number((8.9 / 11).toFixed(4)));
+
+  assert.equal(stats.profitFactor, 2);
+  assert.equal(stats.grossProfit, 30);
+  assert.equal(stats.grossLoss, 15);
+  assert.equal(stats.expectancy, 3.75);
+  assert.equal(stats.maxConsecutiveWins, 1);
+  assert.equal(stats.maxConsecutiveLosses, 2);
+  assert.equal(stats.timeInMarket, 50);
+  assert.equal(stats.longestDrawdownBars, 2);
+});
+
+test('CAGR compounds over the real time span', () => {
+  const candles = [{ time: START }, { time: START + YEAR }, { time: START + 2 * YEAR }];
+  const stats = computeStatistics({ equity: [100, 110, 121], trades: [], candles, initialCapital: 100, barsInPosition: 0 });
+  assert.equal(stats.cagr, 10);
+  // Constant returns have no deviation to divide by
+  assert.equal(stats.sharpeRatio, null);
+});
+
+test('profit factor is undefined without losing trades', () => {
+  const equity = [100, 120];
+  const winners = computeStatistics({ equity, trades: [{ pnl: 20 }], candles: yearOf(equity), initialCapital: 100, barsInPosition: 1 });
+  assert.equal(winners.profitFactor, null);
+  assert.equal(winners.grossProfit, 20);
+  assert.equal(winners.grossLoss, 0);
+
+  const none = computeStatistics({ equity: [100, 100], trades: [], candles: yearOf(equity), initialCapital: 100, barsInPosition: 0 });
+  assert.equal(none.profitFactor, null);
+  assert.equal(none.grossProfit, 0);
+  assert.equal(none.expectancy, 0);
+});
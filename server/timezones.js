@@ -0,0 +1,43 @@
+// Timezone conversions for the CSV importer and the backtester's session filters. Zones are IANA
+// names (Europe/Paris) or fixed offsets ("+02:00", "UTC-5"); IANA offsets come from Intl.
+
+// A fixed offset ("+02:00", "UTC-5") in minutes, or null for an IANA zone name
+export function parseFixedOffset(timezone) {
+  if (/^(UTC|GMT|Z)$/i.test(timezone)) return 0;
+  const m = timezone.match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0)) : null;
+}
+
+// Function from a UTC instant (ms) to the zone's UTC offset at that instant, in minutes. Offsets only
+// change on the hour, so IANA lookups are cached per hour. Throws for unknown zones.
+export function utcOffsetResolver(timezone) {
+  const fixed = parseFixedOffset(timezone);
+  if (fixed !== null) return () => fixed;
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  } catch (e) {
+    throw new Error(`Unknown timezone "${timezone}" - use an IANA name like Europe/Paris or an offset like +01:00`);
+  }
+  const cache = new Map();
+  return (utcMs) => {
+    const hour = Math.floor(utcMs / 3600000);
+    if (cache.has(hour)) return cache.get(hour);
+    const p = Object.fromEntries(formatter.formatToParts(new Date(hour * 3600000)).map(x => [x.type, x.value]));
+    const offset = (Date.UTC(+p.year, p.month - 1, +p.day, +p.hour % 24, +p.minute, +p.second) - hour * 3600000) / 60000;
+    cache.set(hour, offset);
+    return offset;
+  };
+}
+
+// Function from a wall-clock time in the zone (ms, read as if UTC) to the UTC instant
+export function wallTimeConverter(timezone) {
+  const offsetAt = utcOffsetResolver(timezone);
+  return (wallMs) => {
+    // Take the offset at the wall time read as UTC, then once more at the corrected instant (DST edges)
+    const first = wallMs - offsetAt(wallMs) * 60000;
+    return wallMs - offsetAt(first) * 60000;
+  };
+}